@@ -1,21 +1,47 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // Licensed under the MIT License.
 
-const { CardFactory } = require('botbuilder');
+const { CardFactory, InputHints, MessageFactory } = require('botbuilder');
 const { DialogBot } = require('./dialogBot');
+const { createCardMessage, supportsAdaptiveCards } = require('../dialogs/cards');
+const { UserProfile } = require('../dialogs/userProfile');
+const { today } = require('../immigration/dates');
+const { getLocale, translate } = require('../localization');
 const WelcomeCard = require('./resources/welcomeCard.json');
 
+// Text blocks of the welcome card => welcome.* string.
+const WELCOME_TEXTS = {
+    title: 'title',
+    intro: 'intro',
+    visaTypesHeading: 'visaTypes',
+    disclaimer: 'disclaimer',
+    getStarted: 'getStarted'
+};
+
 class DialogAndWelcomeBot extends DialogBot {
-    constructor(conversationState, userState, dialog) {
+    /**
+     * Greets new users with the welcome card and returning users, recognized by their profile, with a shorter greeting.
+     * Greetings are in the language of the turn, see localization/.
+     * @param {ConversationState} conversationState
+     * @param {UserState} userState
+     * @param {Dialog} dialog
+     * @param {*} knowledgeBase
+     * @param {StatePropertyAccessor} userProfileAccessor the UserProfile in userState
+     */
+    constructor(conversationState, userState, dialog, knowledgeBase, userProfileAccessor) {
         super(conversationState, userState, dialog);
+        if (!knowledgeBase) throw new Error('[DialogAndWelcomeBot]: Missing parameter. knowledgeBase is required');
+        if (!userProfileAccessor) throw new Error('[DialogAndWelcomeBot]: Missing parameter. userProfileAccessor is required');
+
+        this.knowledgeBase = knowledgeBase;
+        this.userProfileAccessor = userProfileAccessor;
 
         this.onMembersAdded(async (context, next) => {
             const membersAdded = context.activity.membersAdded;
             for (let cnt = 0; cnt < membersAdded.length; cnt++) {
                 if (membersAdded[cnt].id !== context.activity.recipient.id) {
-                    // const welcomeCard = CardFactory.adaptiveCard(WelcomeCard);
-                    // await context.sendActivity({ attachments: [welcomeCard] });
-                    await dialog.run(context, conversationState.createProperty('DialogState'));
+                    await this.welcome(context);
+                    await dialog.run(context, this.dialogState);
                 }
             }
 
@@ -23,6 +49,86 @@ class DialogAndWelcomeBot extends DialogBot {
             await next();
         });
     }
+
+    async welcome(context) {
+        const locale = getLocale(context);
+        const knowledgeBase = this.knowledgeBase.forLocale(locale);
+        const profile = await this.userProfileAccessor.get(context, new UserProfile());
+        if (profile.lastVisit) {
+            await context.sendActivity(this.createWelcomeBackMessage(profile, locale));
+        } else {
+            const questions = this.quickStartQuestions(locale);
+            const text = describeWelcome(knowledgeBase, questions, locale);
+            const suggestions = supportsAdaptiveCards(context.activity.channelId) ? [] : questions;
+            await context.sendActivity(createCardMessage(context.activity.channelId, createWelcomeCard(knowledgeBase, questions, locale), text, suggestions));
+        }
+        profile.lastVisit = today();
+    }
+
+    /**
+     * Returning users already saw the welcome card and disclaimer, so they only get asked whether their visa is still the same.
+     * @param {UserProfile} profile
+     * @param {string} locale optional, defaults to English
+     */
+    createWelcomeBackMessage(profile, locale) {
+        if (!profile.visaType) {
+            const backMessageText = translate(locale, 'welcome.back');
+            return MessageFactory.text(backMessageText, backMessageText, InputHints.IgnoringInput);
+        }
+
+        const visaName = this.knowledgeBase.forLocale(locale).displayName('visaTypes', profile.visaType);
+        const messageText = translate(locale, 'welcome.backVisa', { visaName: visaName });
+        const message = MessageFactory.text(messageText, messageText, InputHints.IgnoringInput);
+        message.suggestedActions = { actions: CardFactory.actions([quickStartQuestion(visaName, locale), translate(locale, 'welcome.forgetMyInfo')]), to: [] };
+        return message;
+    }
+
+    /**
+     * One question per visa type in the knowledge base, to start a conversation with a single click.
+     * @param {string} locale optional, defaults to English
+     */
+    quickStartQuestions(locale) {
+        return this.knowledgeBase.forLocale(locale).visaTypes.map(visaType => quickStartQuestion(visaType.name, locale));
+    }
+}
+
+function quickStartQuestion(visaName, locale) {
+    return translate(locale, 'welcome.quickStart', { visaName: visaName });
+}
+
+/**
+ * Fills the welcome card with the visas in the knowledge base, and a quick-start button per visa.
+ * The buttons submit their question as { question }, see DialogBot.
+ */
+function createWelcomeCard(knowledgeBase, questions, locale) {
+    const card = JSON.parse(JSON.stringify(WelcomeCard));
+    Object.keys(WELCOME_TEXTS).forEach(id => {
+        card.body.find(element => element.id === id).text = translate(locale, `welcome.${ WELCOME_TEXTS[id] }`);
+    });
+    card.body.find(element => element.id === 'visaTypes').facts = knowledgeBase.visaTypes.map(visaType => ({
+        title: visaType.name,
+        value: visaType.description || ''
+    }));
+    card.actions = knowledgeBase.visaTypes.map((visaType, i) => ({
+        type: 'Action.Submit',
+        title: visaType.name,
+        data: { question: questions[i] }
+    }));
+    return CardFactory.adaptiveCard(card);
+}
+
+/**
+ * The welcome card as plain text, for channels that can't show it.
+ */
+function describeWelcome(knowledgeBase, questions, locale) {
+    return [
+        `${ translate(locale, 'welcome.title') } ${ translate(locale, 'welcome.textVisaTypes') }`,
+        knowledgeBase.visaTypes.map(visaType => `- ${ visaType.name }`).join('\n'),
+        '',
+        translate(locale, 'welcome.disclaimer'),
+        '',
+        translate(locale, 'welcome.textGetStarted', { question: questions[0] })
+    ].join('\n');
 }
 
 module.exports.DialogAndWelcomeBot = DialogAndWelcomeBot;
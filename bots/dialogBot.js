@@ -22,7 +22,10 @@ class DialogBot extends ActivityHandler {
         this.dialogState = this.conversationState.createProperty('DialogState');
 
         this.onMessage(async (context, next) => {
-            console.log('Running dialog with Message Activity.');
+            // Quick-start buttons on cards submit their question as the activity value instead of as text.
+            if (!context.activity.text && context.activity.value && context.activity.value.question) {
+                context.activity.text = context.activity.value.question;
+            }
 
             // Run the Dialog with the new message Activity.
             await this.dialog.run(context, this.dialogState);
@@ -1,148 +1,327 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // Licensed under the MIT License.
 
-const { TimexProperty } = require('@microsoft/recognizers-text-data-types-timex-expression');
 const { InputHints, MessageFactory } = require('botbuilder');
-const { ConfirmPrompt, TextPrompt, WaterfallDialog } = require('botbuilder-dialogs');
+const { ChoicePrompt, ListStyle, WaterfallDialog } = require('botbuilder-dialogs');
 const { CancelAndHelpDialog } = require('./cancelAndHelpDialog');
-const { DateResolverDialog } = require('./dateResolverDialog');
+const { describeVocabulary } = require('./help');
+const { WILDCARD } = require('../knowledgeBase/schema');
+const { getLocale, localize, translate } = require('../localization');
 
+const CHANGE_PROMPT = 'changePrompt';
 const CONFIRM_PROMPT = 'confirmPrompt';
-const DATE_RESOLVER_DIALOG = 'dateResolverDialog';
-const TEXT_PROMPT = 'textPrompt';
+const OCCUPATION_STATUS_PROMPT = 'occupationStatusPrompt';
+const VISA_TYPE_PROMPT = 'visaTypePrompt';
+const WORK_TYPE_PROMPT = 'workTypePrompt';
 const WATERFALL_DIALOG = 'waterfallDialog';
 
+// The English words keep working in every language.
+const GENERAL_INFORMATION_SYNONYMS = ['general', 'general info', 'general information', 'anything', 'nothing specific', 'none'];
+
+// Details the user can change from the confirmation step, with the userinfo property each one fills and the
+// bookingDialog.* strings of its choice and of its name in messages.
+const SLOT_CHOICES = [
+    { choice: 'visaTypeChoice', name: 'visaTypeName', slot: 'visa_type', synonyms: ['visa', 'visa type', 'my visa'] },
+    { choice: 'workTypeChoice', name: 'workTypeName', slot: 'work_type', synonyms: ['work', 'work type', 'work authorization', 'authorization'] },
+    { choice: 'occupationStatusChoice', name: 'occupationStatusName', slot: 'occupation_status', synonyms: ['occupation', 'occupation status', 'job', 'status'] }
+];
+
+// userinfo property => knowledge base vocabulary category.
+const SLOT_CATEGORIES = {
+    visa_type: 'visaTypes',
+    work_type: 'workTypes',
+    occupation_status: 'occupationStatuses'
+};
+
+/**
+ * Collects the visa type, work type and occupation status needed to answer a question.
+ * Values the recognizer already supplied are normalized to canonical knowledge base ids and their prompts are skipped.
+ * Before ending, the details are summarized so the user can confirm them or correct a single one.
+ * Ends with the details when confirmed, or without a result when the user cancels.
+ * Prompts and choices are in the language of the turn, see localization/.
+ */
 class BookingDialog extends CancelAndHelpDialog {
-    constructor(id) {
+    constructor(id, knowledgeBase) {
         super(id || 'bookingDialog');
 
-        this.addDialog(new TextPrompt(TEXT_PROMPT))
-            .addDialog(new ConfirmPrompt(CONFIRM_PROMPT))
+        if (!knowledgeBase) throw new Error('[BookingDialog]: Missing parameter \'knowledgeBase\' is required');
+        this.knowledgeBase = knowledgeBase;
+
+        this.addDialog(new ChoicePrompt(VISA_TYPE_PROMPT))
+            .addDialog(new ChoicePrompt(WORK_TYPE_PROMPT))
+            .addDialog(new ChoicePrompt(OCCUPATION_STATUS_PROMPT))
+            .addDialog(new ChoicePrompt(CONFIRM_PROMPT, this.confirmPromptValidator.bind(this)))
+            .addDialog(new ChoicePrompt(CHANGE_PROMPT))
             .addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
                 this.visaTypeStep.bind(this),
                 this.workTypeStep.bind(this),
-                this.occupationStatusStep.bind(this)
+                this.occupationStatusStep.bind(this),
+                this.confirmStep.bind(this),
+                this.correctionStep.bind(this),
+                this.changeSlotStep.bind(this)
             ]));
 
         this.initialDialogId = WATERFALL_DIALOG;
     }
 
     /**
-     * If a destination city has not been provided, prompt for one.
+     * If a known visa type has not been provided, prompt for one.
      */
-    async destinationStep(stepContext) {
-        const bookingDetails = stepContext.options;
+    async visaTypeStep(stepContext) {
+        const userinfo = stepContext.options;
+        const knowledgeBase = this.localKnowledgeBase(stepContext.context);
 
-        if (!bookingDetails.destination) {
-            const messageText = 'To what city would you like to travel?';
-            const msg = MessageFactory.text(messageText, messageText, InputHints.ExpectingInput);
-            return await stepContext.prompt(TEXT_PROMPT, { prompt: msg });
+        userinfo.visa_type = knowledgeBase.resolveVisaType(userinfo.visa_type);
+        if (!userinfo.visa_type) {
+            return await stepContext.prompt(VISA_TYPE_PROMPT, this.choicePromptOptions(stepContext.context, 'visaType',
+                this.vocabularyChoices(knowledgeBase, 'visaTypes'),
+                { visaTypes: describeVocabulary(knowledgeBase, 'visaTypes') }
+            ));
         }
-        return await stepContext.next(bookingDetails.destination);
+        return await stepContext.next();
     }
 
     /**
-     * If an origin city has not been provided, prompt for one.
+     * If a known work type has not been provided, prompt for one.
+     * "General information" is stored as the knowledge base wildcard so the general answer for the visa is used.
      */
-
-    async visaTypeStep(stepContext) {
-        // console.log("visa status step");
+    async workTypeStep(stepContext) {
         const userinfo = stepContext.options;
-        // console.log(userinfo);
-        if (!userinfo.visa_type) {
-            // const messageText = 'What visa type do you current have?';
-            // const msg = MessageFactory.text(messageText, 'What visa type do you current have?', InputHints.ExpectingInput);
-            // return await stepContext.prompt(TEXT_PROMPT, { prompt: msg });
-            userinfo.visa_type = 'f1';
+        const knowledgeBase = this.localKnowledgeBase(stepContext.context);
+
+        // Capture the response to the previous step's prompt
+        if (stepContext.result) {
+            userinfo.visa_type = knowledgeBase.visaTypes[stepContext.result.index].id;
         }
-        return await stepContext.next(userinfo.visa_type);
-    }
 
-    async workTypeStep(stepContext) {
-        // console.log("work status step");
-        const userinfo = stepContext.options;
-        // console.log(userinfo);
-        userinfo.visa_type = stepContext.result;
+        if (userinfo.work_type !== WILDCARD) {
+            userinfo.work_type = knowledgeBase.resolveWorkType(userinfo.work_type);
+        }
         if (!userinfo.work_type) {
-            // const messageText = 'What work authorization do you want to learn about?';
-            // const msg = MessageFactory.text(messageText, 'What work authorization do you want to learn about?', InputHints.ExpectingInput);
-            // return await stepContext.prompt(TEXT_PROMPT, { prompt: msg });
-            userinfo.work_type = 'opt';
+            const generalInformation = localize(stepContext.context, 'bookingDialog.generalInformation');
+            return await stepContext.prompt(WORK_TYPE_PROMPT, this.choicePromptOptions(stepContext.context, 'workType',
+                this.vocabularyChoices(knowledgeBase, 'workTypes').concat({ value: generalInformation, synonyms: GENERAL_INFORMATION_SYNONYMS }),
+                { workTypes: describeVocabulary(knowledgeBase, 'workTypes'), generalInformation: generalInformation }
+            ));
         }
-        return await stepContext.next(userinfo.work_type);
+        return await stepContext.next();
     }
 
+    /**
+     * Eligibility depends on what the user is doing right now, so prompt for the occupation status
+     * when it has not been provided. The other question types don't use it.
+     */
     async occupationStatusStep(stepContext) {
-        // console.log("occupation status step");
         const userinfo = stepContext.options;
-        // console.log(userinfo);
-        userinfo.work_type = stepContext.result;
-        if (!userinfo.occupation_status) {
-            // const messageText = 'What job do you currently hold? If you do not currently have a job, just reply "student".';
-            // const msg = MessageFactory.text(messageText, 'What job do you currently hold? If you do not currently have a job, just reply "student".', InputHints.ExpectingInput);
-            // return await stepContext.prompt(TEXT_PROMPT, { prompt: msg });
-            userinfo.occupation_status = 'student'
+        const knowledgeBase = this.localKnowledgeBase(stepContext.context);
+
+        // Capture the response to the previous step's prompt
+        if (stepContext.result) {
+            const workType = knowledgeBase.workTypes[stepContext.result.index];
+            userinfo.work_type = workType ? workType.id : WILDCARD;
         }
-        return await stepContext.next(userinfo);
+
+        userinfo.occupation_status = knowledgeBase.resolveOccupationStatus(userinfo.occupation_status);
+        if (!userinfo.occupation_status && userinfo.type === 'eligibility') {
+            return await stepContext.prompt(OCCUPATION_STATUS_PROMPT, this.choicePromptOptions(stepContext.context, 'occupationStatus',
+                this.vocabularyChoices(knowledgeBase, 'occupationStatuses'),
+                { occupationStatuses: describeVocabulary(knowledgeBase, 'occupationStatuses') }
+            ));
+        }
+        return await stepContext.next();
     }
 
-    async originStep(stepContext) {
-        const bookingDetails = stepContext.options;
+    /**
+     * Summarize what we understood and ask the user to confirm it before answering.
+     */
+    async confirmStep(stepContext) {
+        const userinfo = stepContext.options;
 
         // Capture the response to the previous step's prompt
-        bookingDetails.destination = stepContext.result;
-        if (!bookingDetails.origin) {
-            const messageText = 'From what city will you be travelling?';
-            const msg = MessageFactory.text(messageText, 'From what city will you be travelling?', InputHints.ExpectingInput);
-            return await stepContext.prompt(TEXT_PROMPT, { prompt: msg });
+        if (stepContext.result) {
+            userinfo.occupation_status = this.knowledgeBase.occupationStatuses[stepContext.result.index].id;
         }
-        return await stepContext.next(bookingDetails.origin);
+
+        return await stepContext.prompt(CONFIRM_PROMPT, this.choicePromptOptions(stepContext.context, 'confirm',
+            this.confirmChoices(stepContext.context),
+            undefined,
+            { summary: this.describeQuestion(userinfo, getLocale(stepContext.context)) }
+        ));
     }
 
     /**
-     * If a travel date has not been provided, prompt for one.
-     * This will use the DATE_RESOLVER_DIALOG.
+     * Apply any correction the user typed ("no, I'm on J-1") and confirm again, or ask which detail to change.
      */
-    async travelDateStep(stepContext) {
-        const bookingDetails = stepContext.options;
+    async correctionStep(stepContext) {
+        const userinfo = stepContext.options;
+
+        // Only a detail that differs from what we have counts as a correction, so "yes, F-1" still confirms.
+        const corrections = this.findCorrections(stepContext.context.activity.text, getLocale(stepContext.context));
+        const changed = Object.keys(corrections).filter(slot => corrections[slot] !== userinfo[slot]);
+        if (changed.length || !stepContext.result) {
+            changed.forEach(slot => { userinfo[slot] = corrections[slot]; });
+            return await stepContext.replaceDialog(WATERFALL_DIALOG, userinfo);
+        }
 
-        // Capture the results of the previous step
-        bookingDetails.origin = stepContext.result;
-        if (!bookingDetails.travelDate || this.isAmbiguous(bookingDetails.travelDate)) {
-            return await stepContext.beginDialog(DATE_RESOLVER_DIALOG, { date: bookingDetails.travelDate });
+        // The first choice is "Yes".
+        if (stepContext.result.index === 0) {
+            return await stepContext.endDialog(userinfo);
         }
-        return await stepContext.next(bookingDetails.travelDate);
+
+        return await stepContext.prompt(CHANGE_PROMPT, this.choicePromptOptions(stepContext.context, 'change',
+            this.slotChoices(userinfo).map(choice => ({ value: localize(stepContext.context, `bookingDialog.${ choice.choice }`), synonyms: choice.synonyms }))
+        ));
     }
 
     /**
-     * Confirm the information the user has provided.
+     * Forget the detail the user wants to change and run the waterfall again.
+     * Every other detail is kept, so only the forgotten one is prompted for before confirming again.
      */
-    async confirmStep(stepContext) {
-        const bookingDetails = stepContext.options;
+    async changeSlotStep(stepContext) {
+        const userinfo = stepContext.options;
+        const slot = this.slotChoices(userinfo)[stepContext.result.index].slot;
 
-        // Capture the results of the previous step
-        bookingDetails.travelDate = stepContext.result;
-        const messageText = `Please confirm, I have you traveling to: ${ bookingDetails.destination } from: ${ bookingDetails.origin } on: ${ bookingDetails.travelDate }. Is this correct?`;
-        const msg = MessageFactory.text(messageText, messageText, InputHints.ExpectingInput);
+        userinfo[slot] = undefined;
+        return await stepContext.replaceDialog(WATERFALL_DIALOG, userinfo);
+    }
+
+    /**
+     * "change my visa type" forgets the visa type and "change my visa to J-1" replaces it. The waterfall then runs again,
+     * so only the changed detail is asked for before confirming again and every other answer is kept.
+     * The occupation status is only collected for eligibility questions, so it can't be changed for the others.
+     */
+    async changeSlot(innerDc, interruption) {
+        const userinfo = this.getOptions(innerDc);
+        if (interruption.slot === 'occupation_status' && userinfo.type !== 'eligibility') return undefined;
+        userinfo[interruption.slot] = interruption.value;
+
+        const knowledgeBase = this.localKnowledgeBase(innerDc.context);
+        const detail = localize(innerDc.context, `bookingDialog.${ SLOT_CHOICES.find(choice => choice.slot === interruption.slot).name }`);
+        const messageText = interruption.value
+            ? localize(innerDc.context, 'bookingDialog.changed', { detail: detail, value: knowledgeBase.displayName(SLOT_CATEGORIES[interruption.slot], interruption.value) })
+            : localize(innerDc.context, 'bookingDialog.changing', { detail: detail });
+        await innerDc.context.sendActivity(messageText, messageText, InputHints.IgnoringInput);
 
-        // Offer a YES/NO prompt.
-        return await stepContext.prompt(CONFIRM_PROMPT, { prompt: msg });
+        await innerDc.cancelAllDialogs();
+        return await innerDc.beginDialog(WATERFALL_DIALOG, userinfo);
     }
 
     /**
-     * Complete the interaction and end the dialog.
+     * Describes the collected details, e.g. "You're on an F-1 asking about CPT eligibility".
+     * In English the article depends on how the visa name is pronounced, hence summaryVisaA and summaryVisaAn.
+     * @param {*} userinfo
+     * @param {string} locale optional, defaults to English
      */
-    async finalStep(stepContext) {
-        if (stepContext.result === true) {
-            const bookingDetails = stepContext.options;
-            return await stepContext.endDialog(bookingDetails);
+    describeQuestion(userinfo, locale) {
+        const knowledgeBase = this.knowledgeBase.forLocale(locale);
+        const text = (key, params) => translate(locale, `bookingDialog.${ key }`, params);
+        const visaName = knowledgeBase.displayName('visaTypes', userinfo.visa_type);
+        const visa = text(/^[AEFHILMNORSX]/.test(visaName) ? 'summaryVisaAn' : 'summaryVisaA', { visaName: visaName });
+        const occupation = userinfo.occupation_status
+            ? text('summaryOccupation', { occupation: knowledgeBase.displayName('occupationStatuses', userinfo.occupation_status) })
+            : '';
+        const workName = userinfo.work_type === WILDCARD
+            ? undefined
+            : knowledgeBase.displayName('workTypes', userinfo.work_type);
+
+        let topic;
+        switch (userinfo.type) {
+        case 'eligibility':
+            topic = workName ? text('topicEligibility', { workName: workName }) : text('topicEligibilityGeneral');
+            break;
+        case 'procedure_auth':
+            topic = workName ? text('topicProcedure', { workName: workName }) : text('topicProcedureGeneral');
+            break;
+        default:
+            topic = workName ? text('topicInformation', { workName: workName }) : text('topicInformationGeneral');
         }
-        return await stepContext.endDialog();
+        return text('summary', { visa: visa, occupation: occupation, topic: topic });
     }
 
-    isAmbiguous(timex) {
-        const timexPropery = new TimexProperty(timex);
-        return !timexPropery.types.has('definite');
+    /**
+     * Returns the details mentioned in a confirmation reply, e.g. { visa_type: 'j1' } for "no, I'm on J-1".
+     * When a category is mentioned more than once the last mention wins.
+     * @param {string} text
+     * @param {string} locale optional, to also recognize the details in that language
+     */
+    findCorrections(text, locale) {
+        const knowledgeBase = this.knowledgeBase.forLocale(locale);
+        const corrections = {};
+        Object.keys(SLOT_CATEGORIES).forEach(slot => {
+            const mentions = knowledgeBase.findMentions(SLOT_CATEGORIES[slot], text);
+            if (mentions.length) {
+                corrections[slot] = mentions[mentions.length - 1].id;
+            }
+        });
+        return corrections;
+    }
+
+    /**
+     * Accepts the yes/no/cancel choices as well as free-text corrections that mention a known detail.
+     */
+    async confirmPromptValidator(promptContext) {
+        if (promptContext.recognized.succeeded) {
+            return true;
+        }
+        return Object.keys(this.findCorrections(promptContext.context.activity.text, getLocale(promptContext.context))).length > 0;
+    }
+
+    /**
+     * The knowledge base in the language of the turn, for choices and display names.
+     */
+    localKnowledgeBase(context) {
+        return this.knowledgeBase.forLocale(getLocale(context));
+    }
+
+    /**
+     * Builds one choice per vocabulary entry, in vocabulary order, so a recognized choice index maps back to its id.
+     * Translated knowledge bases keep the English name as a synonym.
+     */
+    vocabularyChoices(knowledgeBase, category) {
+        return knowledgeBase.vocabulary[category].map((entry, i) => ({
+            value: entry.name,
+            synonyms: [entry.id, this.knowledgeBase.vocabulary[category][i].name].concat(entry.synonyms)
+        }));
+    }
+
+    /**
+     * Yes, No and Cancel, in that order. Picking "Cancel" is handled like typing it, by CancelAndHelpDialog
+     * before the prompt sees it.
+     */
+    confirmChoices(context) {
+        return [
+            { value: localize(context, 'bookingDialog.yes'), synonyms: localize(context, 'bookingDialog.yesSynonyms') },
+            { value: localize(context, 'bookingDialog.no'), synonyms: localize(context, 'bookingDialog.noSynonyms') },
+            { value: localize(context, 'bookingDialog.cancel') }
+        ];
+    }
+
+    /**
+     * The details the user can change; the occupation status is only collected for eligibility questions.
+     */
+    slotChoices(userinfo) {
+        return SLOT_CHOICES.filter(choice => choice.slot !== 'occupation_status' || userinfo.type === 'eligibility');
+    }
+
+    /**
+     * Builds prompt options from the bookingDialog.<name>Prompt, <name>Retry and <name>Help strings.
+     * @param {TurnContext} context
+     * @param {string} name e.g. 'visaType'
+     * @param {*} choices
+     * @param {*} helpParams placeholders of the help text
+     * @param {*} promptParams placeholders of the prompt text
+     */
+    choicePromptOptions(context, name, choices, helpParams, promptParams) {
+        const promptText = localize(context, `bookingDialog.${ name }Prompt`, promptParams);
+        const retryPromptText = localize(context, `bookingDialog.${ name }Retry`);
+        const help = localize(context, `bookingDialog.${ name }Help`, helpParams);
+        return {
+            prompt: MessageFactory.text(promptText, promptText, InputHints.ExpectingInput),
+            retryPrompt: MessageFactory.text(retryPromptText, retryPromptText, InputHints.ExpectingInput),
+            choices: choices,
+            style: ListStyle.suggestedAction,
+            help: help
+        };
     }
 }
 
@@ -3,40 +3,152 @@
 
 const { InputHints } = require('botbuilder');
 const { ComponentDialog, DialogTurnStatus } = require('botbuilder-dialogs');
+const { INTERRUPTION_TYPES, recognizeInterruption } = require('./interruptions');
+const { getLocale, localize } = require('../localization');
+const { trackEvent } = require('../telemetry');
+
+// How many answers "go back" can undo.
+const MAX_HISTORY = 20;
 
 /**
- * This base class watches for common phrases like "help" and "cancel" and takes action on them
- * BEFORE they reach the normal bot logic.
+ * This base class watches for interruptions like "help", "cancel", "start over" and "go back" and takes action
+ * on them BEFORE they reach the normal bot logic. See interruptions.js for the phrases it recognizes.
+ * Prompts can carry a `help` text in their options, e.g. { prompt, choices, help }. When the user asks for help
+ * while that prompt is open, the help is shown and the question is asked again.
+ * To go back, the dialog remembers its inner dialog stack before every answer: "go back" restores the previous
+ * stack, which undoes the last answer and asks its question again, and "start over" restores the first one.
+ * Dialogs that collect named details can support "change my visa type" by overriding changeSlot().
+ * Starting and ending the dialog are tracked as 'dialogStarted' and 'dialogEnded' telemetry events.
  */
 class CancelAndHelpDialog extends ComponentDialog {
+    async onBeginDialog(innerDc, options) {
+        await trackEvent(innerDc.context, 'dialogStarted', { dialogId: this.id });
+        return await super.onBeginDialog(innerDc, options);
+    }
+
+    async endComponent(outerDc, result) {
+        // Cancelled dialogs end without a result.
+        await trackEvent(outerDc.context, 'dialogEnded', { dialogId: this.id, completed: result !== undefined && result !== null });
+        return await super.endComponent(outerDc, result);
+    }
+
     async onContinueDialog(innerDc) {
         const result = await this.interrupt(innerDc);
         if (result) {
             return result;
         }
-        return await super.onContinueDialog(innerDc);
+
+        const before = snapshot(innerDc);
+        const turnResult = await super.onContinueDialog(innerDc);
+        if (turnResult.status === DialogTurnStatus.waiting && snapshot(innerDc) !== before) {
+            this.remember(innerDc, before);
+        }
+        return turnResult;
     }
 
     async interrupt(innerDc) {
-        if (innerDc.context.activity.text) {
-            const text = innerDc.context.activity.text.toLowerCase();
-
-            switch (text) {
-            case 'help':
-            case '?': {
-                const helpMessageText = 'Show help here';
-                await innerDc.context.sendActivity(helpMessageText, helpMessageText, InputHints.ExpectingInput);
-                return { status: DialogTurnStatus.waiting };
-            }
-            case 'cancel':
-            case 'quit': {
-                const cancelMessageText = 'Cancelling...';
-                await innerDc.context.sendActivity(cancelMessageText, cancelMessageText, InputHints.IgnoringInput);
-                return await innerDc.cancelAllDialogs();
-            }
-            }
+        const interruption = recognizeInterruption(innerDc.context.activity.text, this.knowledgeBase, getLocale(innerDc.context));
+        if (!interruption) return undefined;
+
+        switch (interruption.type) {
+        case INTERRUPTION_TYPES.help: {
+            const helpMessageText = `${ this.findHelp(innerDc) || localize(innerDc.context, 'interruptions.defaultHelp') }\n\n${ localize(innerDc.context, 'interruptions.helpFooter') }`;
+            await innerDc.context.sendActivity(helpMessageText, helpMessageText, InputHints.IgnoringInput);
+            await innerDc.repromptDialog();
+            return { status: DialogTurnStatus.waiting };
+        }
+        case INTERRUPTION_TYPES.cancel: {
+            const cancelMessageText = localize(innerDc.context, 'interruptions.cancelling');
+            await innerDc.context.sendActivity(cancelMessageText, cancelMessageText, InputHints.IgnoringInput);
+            return await innerDc.cancelAllDialogs();
+        }
+        case INTERRUPTION_TYPES.startOver: {
+            const firstStack = this.getHistory(innerDc).splice(0)[0];
+            return await this.rewind(innerDc, firstStack, localize(innerDc.context, 'interruptions.startingOver'));
+        }
+        case INTERRUPTION_TYPES.goBack: {
+            const previousStack = this.getHistory(innerDc).pop();
+            return await this.rewind(innerDc, previousStack,
+                localize(innerDc.context, previousStack ? 'interruptions.goingBack' : 'interruptions.nothingToGoBackTo'));
+        }
+        case INTERRUPTION_TYPES.change: {
+            const before = snapshot(innerDc);
+            const result = await this.changeSlot(innerDc, interruption);
+            if (result) this.remember(innerDc, before);
+            return result;
+        }
+        }
+    }
+
+    /**
+     * Returns the help of the prompt the user is answering, or undefined when it has none.
+     * Child dialogs derived from CancelAndHelpDialog are searched first, so the innermost prompt's help wins.
+     */
+    findHelp(innerDc) {
+        const instance = innerDc.activeDialog;
+        if (!instance) return undefined;
+
+        const dialog = this.findDialog(instance.id);
+        if (dialog instanceof CancelAndHelpDialog) {
+            const childHelp = dialog.findHelp(dialog.createChildContext(innerDc));
+            if (childHelp) return childHelp;
         }
+        return instance.state && instance.state.options ? instance.state.options.help : undefined;
+    }
+
+    /**
+     * Handles "change my visa type" or "change my visa to J-1": { slot, name, value } of the interruption.
+     * Returns the turn result, or undefined when the dialog has no such detail so the text is treated as an answer.
+     * The default dialog has no details to change.
+     */
+    async changeSlot(innerDc, interruption) {
+        return undefined;
+    }
+
+    /**
+     * The options of the dialog's initial waterfall, where the collected details live.
+     * The waterfall is at the bottom of the inner stack; the top is usually the prompt it is waiting on.
+     */
+    getOptions(innerDc) {
+        const waterfall = innerDc.stack.find(instance => instance.id === this.initialDialogId);
+        return waterfall ? waterfall.state.options : undefined;
+    }
+
+    /**
+     * Restores an inner dialog stack from the history and asks its question again.
+     * Without a stack we are still on the first question, which is simply asked again.
+     */
+    async rewind(innerDc, stack, messageText) {
+        if (stack) {
+            innerDc.stack.splice(0, innerDc.stack.length, ...stack);
+        }
+
+        await innerDc.context.sendActivity(messageText, messageText, InputHints.IgnoringInput);
+        await innerDc.repromptDialog();
+        return { status: DialogTurnStatus.waiting };
     }
+
+    remember(innerDc, stack) {
+        const history = this.getHistory(innerDc);
+        history.push(JSON.parse(stack));
+        if (history.length > MAX_HISTORY) history.shift();
+    }
+
+    /**
+     * The history is kept in this dialog's own state, so it is saved with the conversation and ends with the dialog.
+     */
+    getHistory(innerDc) {
+        const state = innerDc.parent.activeDialog.state;
+        state.history = state.history || [];
+        return state.history;
+    }
+}
+
+/**
+ * Serializes the inner dialog stack. Prompt attempt counts are left out, so a rejected answer doesn't count as progress.
+ */
+function snapshot(innerDc) {
+    return JSON.stringify(innerDc.stack, (key, value) => (key === 'attemptCount' ? undefined : value));
 }
 
 module.exports.CancelAndHelpDialog = CancelAndHelpDialog;
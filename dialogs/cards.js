@@ -0,0 +1,130 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { CardFactory, InputHints, MessageFactory } = require('botbuilder');
+const { DEFAULT_LOCALE, translate } = require('../localization');
+const AnswerCard = require('./resources/answerCard.json');
+const TopicMenuCard = require('./resources/topicMenuCard.json');
+
+// Channels known to render Adaptive Cards. Everywhere else the bot sends the plain-text version of a card.
+const ADAPTIVE_CARD_CHANNELS = ['cortana', 'directline', 'emulator', 'msteams', 'webchat'];
+
+// Text blocks of the topic menu card => cards.* string.
+const TOPIC_MENU_TEXTS = {
+    title: 'topicMenuTitle',
+    visaTypesHeading: 'topicMenuVisaTypes',
+    workTypesHeading: 'topicMenuWorkTypes',
+    examplesHeading: 'topicMenuExamples',
+    footer: 'topicMenuFooter'
+};
+
+/**
+ * Returns a copy of a card template, so filling it in never changes the template itself.
+ */
+function copyCard(template) {
+    return JSON.parse(JSON.stringify(template));
+}
+
+function findElement(card, id) {
+    return card.body.find(element => element.id === id);
+}
+
+/**
+ * The topic menu: the visas and work authorizations in the knowledge base and some example questions.
+ * @param {*} knowledgeBase the knowledge base in the language of the card, see KnowledgeBase.forLocale()
+ * @param {string[]} examples example questions to list
+ */
+function createTopicMenuCard(knowledgeBase, examples) {
+    const locale = knowledgeBase.locale || DEFAULT_LOCALE;
+    const card = copyCard(TopicMenuCard);
+    Object.keys(TOPIC_MENU_TEXTS).forEach(id => {
+        findElement(card, id).text = translate(locale, `cards.${ TOPIC_MENU_TEXTS[id] }`);
+    });
+    ['visaTypes', 'workTypes'].forEach(category => {
+        findElement(card, category).facts = knowledgeBase.vocabulary[category].map(entry => ({
+            title: entry.name,
+            value: entry.description || ''
+        }));
+    });
+    findElement(card, 'examples').text = examples.map(example => `- ${ example }`).join('\n');
+
+    return CardFactory.adaptiveCard(card);
+}
+
+function textBlock(text, properties) {
+    return Object.assign({ type: 'TextBlock', text: text, wrap: true }, properties);
+}
+
+/**
+ * An answer from the knowledge base: its text, the numbered steps and links to the sources.
+ * Sections the answer has nothing for are left out.
+ * @param {{ text: string, steps: string[], sources: { title: string, url: string }[] }} answer as returned by KnowledgeBase.lookup()
+ * @param {string} locale optional, the language of the headings
+ */
+function createAnswerCard(answer, locale) {
+    const card = copyCard(AnswerCard);
+    findElement(card, 'text').items = answer.text.split('\n')
+        .filter(paragraph => paragraph.trim())
+        .map(paragraph => textBlock(paragraph));
+
+    const steps = findElement(card, 'steps');
+    steps.items[0].text = translate(locale, 'cards.steps');
+    answer.steps.forEach((step, i) => steps.items.push(textBlock(`${ i + 1 }. ${ step }`, { spacing: 'small' })));
+
+    const sources = findElement(card, 'sources');
+    sources.items[0].text = translate(locale, answer.sources.length > 1 ? 'cards.sources' : 'cards.source');
+    answer.sources.forEach(source => sources.items.push(textBlock(`[${ source.title }](${ source.url })`, { spacing: 'small' })));
+
+    card.body = card.body.filter(element =>
+        (element !== steps || answer.steps.length) && (element !== sources || answer.sources.length));
+    card.fallbackText = describeAnswer(answer, locale);
+    return CardFactory.adaptiveCard(card);
+}
+
+/**
+ * The plain-text version of an answer card, for channels without Adaptive Cards. The follow-up questions are
+ * listed as well, because such channels may not show suggested actions either.
+ * @param {*} answer
+ * @param {string} locale optional
+ */
+function describeAnswer(answer, locale) {
+    const lines = [answer.text];
+    if (answer.steps.length) {
+        lines.push('', ...answer.steps.map((step, i) => `${ i + 1 }. ${ step }`));
+    }
+    if (answer.sources.length) {
+        lines.push('', ...answer.sources.map(source => translate(locale, 'cards.sourceLine', { title: source.title, url: source.url })));
+    }
+    if (answer.followUps && answer.followUps.length) {
+        lines.push('', translate(locale, 'cards.followUps'), ...answer.followUps.map(followUp => `- ${ followUp }`));
+    }
+    return lines.join('\n');
+}
+
+function supportsAdaptiveCards(channelId) {
+    return ADAPTIVE_CARD_CHANNELS.includes(channelId);
+}
+
+/**
+ * Creates a message with a card on channels that can show it, otherwise with the card's plain-text version.
+ * Suggestions (e.g. follow-up questions) are added as suggested actions either way.
+ * @param {string} channelId the channel the message is sent to
+ * @param {*} card an Adaptive Card attachment
+ * @param {string} text the plain-text version of the card
+ * @param {string[]} suggestions optional
+ */
+function createCardMessage(channelId, card, text, suggestions) {
+    const message = supportsAdaptiveCards(channelId)
+        ? MessageFactory.attachment(card, undefined, text, InputHints.IgnoringInput)
+        : MessageFactory.text(text, text, InputHints.IgnoringInput);
+    if (suggestions && suggestions.length) {
+        message.suggestedActions = { actions: CardFactory.actions(suggestions), to: [] };
+    }
+    return message;
+}
+
+module.exports.createAnswerCard = createAnswerCard;
+module.exports.createCardMessage = createCardMessage;
+module.exports.createTopicMenuCard = createTopicMenuCard;
+module.exports.describeAnswer = describeAnswer;
+module.exports.supportsAdaptiveCards = supportsAdaptiveCards;
@@ -0,0 +1,139 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { InputHints, MessageFactory } = require('botbuilder');
+const { ChoicePrompt, ListStyle, TextPrompt, WaterfallDialog } = require('botbuilder-dialogs');
+const { CancelAndHelpDialog } = require('./cancelAndHelpDialog');
+const { describeChecklist, exportChecklist, getChecklist, parseItemNumbers, toggleItems } = require('../immigration/checklists');
+const { getLocale, localize } = require('../localization');
+
+const ACTION_PROMPT = 'actionPrompt';
+const ITEMS_PROMPT = 'itemsPrompt';
+const WATERFALL_DIALOG = 'waterfallDialog';
+
+// The actions, in the order of the choices; their names and synonyms are the checklistDialog.* strings.
+const ACTIONS = ['tickOff', 'exportMarkdown', 'exportText', 'done'];
+
+// The exported files, by the action that asks for them.
+const EXPORTS = {
+    exportMarkdown: { format: 'markdown', extension: 'md', contentType: 'text/markdown' },
+    exportText: { format: 'text', extension: 'txt', contentType: 'text/plain' }
+};
+
+/**
+ * Shows the document checklist of an application procedure, lets the user tick items off by number and
+ * exports the list as a Markdown or plain text file.
+ * Options: `checklistId` (see checklists.json) and `checkedItems`, the ids of the items ticked off before.
+ * Ends with the options, including the ticked items, so they can be remembered.
+ */
+class ChecklistDialog extends CancelAndHelpDialog {
+    /**
+     * @param {string} id
+     * @param {*} knowledgeBase for the checklists
+     */
+    constructor(id, knowledgeBase) {
+        super(id || 'checklistDialog');
+
+        if (!knowledgeBase) throw new Error('[ChecklistDialog]: Missing parameter \'knowledgeBase\' is required');
+        this.knowledgeBase = knowledgeBase;
+
+        this.addDialog(new ChoicePrompt(ACTION_PROMPT))
+            .addDialog(new TextPrompt(ITEMS_PROMPT, this.itemsValidator.bind(this)))
+            .addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
+                this.summaryStep.bind(this),
+                this.actionStep.bind(this),
+                this.tickStep.bind(this)
+            ]));
+
+        this.initialDialogId = WATERFALL_DIALOG;
+    }
+
+    /**
+     * Shows the checklist with the ticked items, then asks what to do next.
+     */
+    async summaryStep(stepContext) {
+        const context = stepContext.context;
+        const userinfo = stepContext.options;
+        const checklist = this.checklist(context, userinfo);
+        userinfo.checkedItems = userinfo.checkedItems || [];
+
+        const messageText = describeChecklist(checklist, userinfo.checkedItems, getLocale(context));
+        await context.sendActivity(messageText, messageText, InputHints.IgnoringInput);
+
+        const promptText = localize(context, 'checklistDialog.actionPrompt');
+        const retryPromptText = localize(context, 'checklistDialog.actionRetry');
+        return await stepContext.prompt(ACTION_PROMPT, {
+            prompt: MessageFactory.text(promptText, promptText, InputHints.ExpectingInput),
+            retryPrompt: MessageFactory.text(retryPromptText, retryPromptText, InputHints.ExpectingInput),
+            choices: ACTIONS.map(action => ({ value: localize(context, `checklistDialog.${ action }`), synonyms: localize(context, `checklistDialog.${ action }Synonyms`) })),
+            style: ListStyle.suggestedAction,
+            help: localize(context, 'checklistDialog.actionHelp')
+        });
+    }
+
+    async actionStep(stepContext) {
+        const context = stepContext.context;
+        const userinfo = stepContext.options;
+        const action = ACTIONS[stepContext.result.index];
+
+        if (action === 'tickOff') {
+            const count = this.checklist(context, userinfo).items.length;
+            const promptText = localize(context, 'checklistDialog.itemsPrompt');
+            const retryPromptText = localize(context, 'checklistDialog.itemsRetry', { count: count });
+            return await stepContext.prompt(ITEMS_PROMPT, {
+                prompt: MessageFactory.text(promptText, promptText, InputHints.ExpectingInput),
+                retryPrompt: MessageFactory.text(retryPromptText, retryPromptText, InputHints.ExpectingInput),
+                validations: { count: count },
+                help: localize(context, 'checklistDialog.itemsHelp')
+            });
+        }
+
+        if (EXPORTS[action]) {
+            await context.sendActivity(this.exportMessage(context, userinfo, EXPORTS[action]));
+            return await stepContext.replaceDialog(WATERFALL_DIALOG, userinfo);
+        }
+
+        return await stepContext.endDialog(userinfo);
+    }
+
+    /**
+     * Ticks off (or unticks) the items and shows the checklist again.
+     */
+    async tickStep(stepContext) {
+        const userinfo = stepContext.options;
+        const checklist = this.checklist(stepContext.context, userinfo);
+        const numbers = parseItemNumbers(stepContext.result, checklist.items.length, getLocale(stepContext.context));
+        userinfo.checkedItems = toggleItems(checklist, userinfo.checkedItems, numbers);
+        return await stepContext.replaceDialog(WATERFALL_DIALOG, userinfo);
+    }
+
+    async itemsValidator(promptContext) {
+        return promptContext.recognized.succeeded &&
+            parseItemNumbers(promptContext.recognized.value, promptContext.options.validations.count, getLocale(promptContext.context)) !== undefined;
+    }
+
+    /**
+     * Sends the checklist as a file attachment. The file is inlined as a data URI, so it doesn't need to be hosted.
+     */
+    exportMessage(context, userinfo, file) {
+        const checklist = this.checklist(context, userinfo);
+        const content = exportChecklist(checklist, userinfo.checkedItems, file.format, getLocale(context));
+        const attachment = {
+            name: `${ checklist.id }.${ file.extension }`,
+            contentType: file.contentType,
+            contentUrl: `data:${ file.contentType };base64,${ Buffer.from(content, 'utf8').toString('base64') }`
+        };
+        return MessageFactory.attachment(attachment, localize(context, 'checklistDialog.exported', { title: checklist.title }));
+    }
+
+    /**
+     * The checklist in the language of the turn.
+     */
+    checklist(context, userinfo) {
+        const checklist = getChecklist(this.knowledgeBase.forLocale(getLocale(context)).checklists, userinfo.checklistId);
+        if (!checklist) throw new Error(`[ChecklistDialog]: Unknown checklist '${ userinfo.checklistId }'`);
+        return checklist;
+    }
+}
+
+module.exports.ChecklistDialog = ChecklistDialog;
@@ -0,0 +1,99 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { translate } = require('../localization');
+
+// A top intent scoring below this is too unsure to act on without asking.
+const LOW_SCORE = 0.5;
+
+// Two intents scoring at most this far apart are too close to pick one without asking.
+const CLOSE_SCORE = 0.1;
+
+// At most this many questions are offered, plus "Something else".
+const MAX_CANDIDATES = 2;
+
+const NONE_INTENT = 'None';
+
+// The questions that are answered for a visa type; the timeline and unemployment questions don't depend on it.
+const VISA_QUESTION_TYPES = ['eligibility', 'procedure_auth', 'visa_information'];
+
+/**
+ * Returns the questions an unclear recognition could mean, or undefined when it is clear enough to answer:
+ * - one per visa type when the question names more than one, e.g. "can F-1 and J-1 students do CPT?";
+ * - the two best intents when the top intent scores below LOW_SCORE or the second best is within CLOSE_SCORE of it,
+ *   e.g. "can I apply for OPT?" could ask about eligibility or how to apply.
+ * Questions whose intent was kept from the last topic (see conversationTopic.js) aren't second-guessed.
+ * @param {*} question the recognized { type, visa_type, work_type, occupation_status }
+ * @param {*} intents the intent scores of the recognizer result, { [intent]: { score } }
+ * @param {string[]} visaTypes every canonical visa type recognized in the question
+ */
+function findCandidates(question, intents, visaTypes) {
+    const distinctVisaTypes = Array.from(new Set((visaTypes || []).filter(visaType => visaType)));
+    if (VISA_QUESTION_TYPES.includes(question.type) && distinctVisaTypes.length > 1) {
+        return distinctVisaTypes.slice(0, MAX_CANDIDATES).map(visaType => Object.assign({}, question, { visa_type: visaType }));
+    }
+
+    // An intent kept from the last topic isn't the recognizer's top intent.
+    if (!intents || !intents[question.type]) return undefined;
+    const ranked = Object.keys(intents).sort((a, b) => intents[b].score - intents[a].score);
+    const topScore = intents[ranked[0]].score;
+    if (intents[question.type].score < topScore) return undefined;
+
+    const close = ranked.length > 1 && topScore - intents[ranked[1]].score <= CLOSE_SCORE;
+    if (topScore >= LOW_SCORE && !close) return undefined;
+
+    const candidates = ranked.filter(intent => intent !== NONE_INTENT).slice(0, MAX_CANDIDATES);
+    if (!candidates.length) return undefined;
+    return candidates.map(intent => Object.assign({}, question, { type: intent }));
+}
+
+/**
+ * Describes a candidate question for the user, e.g. "how to apply for OPT".
+ * The visa type is only named when the candidates differ in it, or when there is no work type to name.
+ * @param {*} candidate
+ * @param {*} knowledgeBase the knowledge base in the same locale, for display names
+ * @param {string} locale optional, defaults to English
+ * @param {boolean} withVisaType whether to name the visa type together with the work type
+ */
+function describeCandidate(candidate, knowledgeBase, locale, withVisaType) {
+    const workType = candidate.work_type && knowledgeBase.displayName('workTypes', candidate.work_type);
+    const visaType = candidate.visa_type && knowledgeBase.displayName('visaTypes', candidate.visa_type);
+
+    let subject;
+    if (workType && visaType && withVisaType) {
+        subject = translate(locale, 'clarification.subjectWorkOnVisa', { workType: workType, visaType: visaType });
+    } else if (workType) {
+        subject = workType;
+    } else if (visaType) {
+        subject = translate(locale, 'clarification.subjectVisa', { visaType: visaType });
+    } else {
+        subject = translate(locale, 'clarification.subjectAny');
+    }
+    return translate(locale, `clarification.${ candidate.type }`, { subject: subject });
+}
+
+/**
+ * Describes every candidate, naming the visa types when the candidates differ in them.
+ * @returns {string[]}
+ */
+function describeCandidates(candidates, knowledgeBase, locale) {
+    const withVisaType = new Set(candidates.map(candidate => candidate.visa_type)).size > 1;
+    return candidates.map(candidate => describeCandidate(candidate, knowledgeBase, locale, withVisaType));
+}
+
+/**
+ * Asks which of the candidates the user meant, e.g. "Did you mean eligibility for OPT or how to apply for OPT?"
+ * @param {string[]} descriptions see describeCandidates()
+ * @param {string} locale optional, defaults to English
+ */
+function describeClarification(descriptions, locale) {
+    return descriptions.length > 1
+        ? translate(locale, 'clarification.promptTwo', { first: descriptions[0], second: descriptions[1] })
+        : translate(locale, 'clarification.promptOne', { first: descriptions[0] });
+}
+
+module.exports.CLOSE_SCORE = CLOSE_SCORE;
+module.exports.LOW_SCORE = LOW_SCORE;
+module.exports.describeCandidates = describeCandidates;
+module.exports.describeClarification = describeClarification;
+module.exports.findCandidates = findCandidates;
@@ -0,0 +1,88 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { InputHints, MessageFactory } = require('botbuilder');
+const { ChoicePrompt, ListStyle, WaterfallDialog } = require('botbuilder-dialogs');
+const { CancelAndHelpDialog } = require('./cancelAndHelpDialog');
+const { describeCandidates, describeClarification } = require('./clarification');
+const { getLocale, localize } = require('../localization');
+const { redact } = require('../telemetry');
+
+const CHOICE_PROMPT = 'choicePrompt';
+const WATERFALL_DIALOG = 'waterfallDialog';
+
+/**
+ * Asks which question the user meant when the recognition was unclear, with a button per candidate question
+ * and "Something else". Options are the question `text` and the `candidates`, see findCandidates() in clarification.js.
+ * Ends with the chosen candidate, or without a result when the user picked "Something else" and was asked to rephrase.
+ * When a log is given, every outcome is appended to it as { timestamp, locale, text, candidates, chosen } so the
+ * questions can be added to the language model's examples later. Personal details in the text are redacted.
+ */
+class ClarificationDialog extends CancelAndHelpDialog {
+    /**
+     * @param {string} id
+     * @param {*} knowledgeBase for display names
+     * @param {JsonLinesLog} clarificationLog optional, where outcomes are logged for retraining
+     */
+    constructor(id, knowledgeBase, clarificationLog) {
+        super(id || 'clarificationDialog');
+
+        if (!knowledgeBase) throw new Error('[ClarificationDialog]: Missing parameter \'knowledgeBase\' is required');
+        this.knowledgeBase = knowledgeBase;
+        this.clarificationLog = clarificationLog;
+
+        this.addDialog(new ChoicePrompt(CHOICE_PROMPT))
+            .addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
+                this.chooseStep.bind(this),
+                this.finalStep.bind(this)
+            ]));
+
+        this.initialDialogId = WATERFALL_DIALOG;
+    }
+
+    async chooseStep(stepContext) {
+        const locale = getLocale(stepContext.context);
+        const descriptions = describeCandidates(stepContext.options.candidates, this.knowledgeBase.forLocale(locale), locale);
+        const choices = descriptions.map(description => ({ value: capitalize(description) })).concat({
+            value: localize(stepContext.context, 'clarification.somethingElse'),
+            synonyms: localize(stepContext.context, 'clarification.somethingElseSynonyms')
+        });
+
+        const promptText = describeClarification(descriptions, locale);
+        const retryPromptText = localize(stepContext.context, 'clarification.retry');
+        return await stepContext.prompt(CHOICE_PROMPT, {
+            prompt: MessageFactory.text(promptText, promptText, InputHints.ExpectingInput),
+            retryPrompt: MessageFactory.text(retryPromptText, retryPromptText, InputHints.ExpectingInput),
+            choices: choices,
+            style: ListStyle.suggestedAction,
+            help: localize(stepContext.context, 'clarification.help')
+        });
+    }
+
+    async finalStep(stepContext) {
+        const { text, candidates } = stepContext.options;
+        const chosen = candidates[stepContext.result.index];
+
+        if (this.clarificationLog) {
+            await this.clarificationLog.append({
+                timestamp: new Date().toISOString(),
+                locale: getLocale(stepContext.context),
+                text: redact(text),
+                candidates: candidates,
+                chosen: chosen || null
+            });
+        }
+
+        if (!chosen) {
+            const rephraseMessageText = localize(stepContext.context, 'clarification.rephrase');
+            await stepContext.context.sendActivity(rephraseMessageText, rephraseMessageText, InputHints.IgnoringInput);
+        }
+        return await stepContext.endDialog(chosen);
+    }
+}
+
+function capitalize(text) {
+    return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+module.exports.ClarificationDialog = ClarificationDialog;
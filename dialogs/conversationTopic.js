@@ -0,0 +1,73 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { translate } = require('../localization');
+
+// Follow-up phrases in these scripts are written without a space before the rest of the question, e.g. '那J-1呢？'.
+const UNSPACED_PHRASE_PATTERN = /[\u3000-\u9fff]$/;
+
+// Below this score a follow-up keeps the intent of the last question. The offline recognizer scores a question
+// without intent keywords, like "what about for J-1?", 0.5.
+const CLEAR_INTENT_SCORE = 0.6;
+
+/**
+ * The topic of the last answered question: its intent and the visa type, work type and occupation status
+ * it was answered for, in the same shape as the user info the dialogs pass around.
+ * The main dialog keeps it in its options, so it is saved with the dialog state in ConversationState.
+ * @param {*} userinfo the result of the booking, eligibility or timeline dialog
+ */
+function createTopic(userinfo) {
+    if (!userinfo || !userinfo.type) return undefined;
+    return {
+        type: userinfo.type,
+        visa_type: userinfo.visa_type,
+        work_type: userinfo.work_type,
+        occupation_status: userinfo.occupation_status
+    };
+}
+
+/**
+ * Whether the text starts with a follow-up phrase like "and", "what about" or "how about",
+ * or one of the topic.followUpPhrases of the locale.
+ * @param {string} text
+ * @param {string} locale optional, defaults to English
+ */
+function isFollowUp(text, locale) {
+    if (typeof text !== 'string') return false;
+    const normalized = text.trim().toLowerCase().replace(/\s+/g, ' ').replace(/^[¿¡]+/, '');
+    return translate(locale, 'topic.followUpPhrases').some(phrase => {
+        if (!normalized.startsWith(phrase)) return false;
+        const next = normalized[phrase.length];
+        return next === undefined || UNSPACED_PHRASE_PATTERN.test(phrase) || /[\s,.!?，。！？、]/.test(next);
+    });
+}
+
+/**
+ * Fills the details a follow-up question leaves out from the topic of the last question, so that after
+ * "can I do CPT on my F-1?", "and how do I apply?" asks how to apply for CPT on an F-1 and
+ * "what about for J-1?" asks whether a J-1 can do CPT.
+ * A question is a follow-up when it starts with a follow-up phrase or names neither a visa nor a work type.
+ * Follow-up phrases also keep the last intent when the question itself has no clear one: None or a low score.
+ * Details recognized in the question always win.
+ * @param {*} userinfo the recognized { type, score, visa_type, work_type, occupation_status }
+ * @param {*} topic the topic of the last question, see createTopic()
+ * @param {string} text the question
+ * @param {string} locale optional, defaults to English
+ */
+function applyTopic(userinfo, topic, text, locale) {
+    if (!topic) return userinfo;
+
+    const followUp = isFollowUp(text, locale);
+    if (!followUp && (userinfo.visa_type || userinfo.work_type)) return userinfo;
+    if (followUp && (userinfo.type === 'None' || userinfo.score < CLEAR_INTENT_SCORE)) userinfo.type = topic.type;
+    if (userinfo.type === 'None') return userinfo;
+
+    if (!userinfo.visa_type) userinfo.visa_type = topic.visa_type;
+    if (!userinfo.work_type) userinfo.work_type = topic.work_type;
+    if (!userinfo.occupation_status) userinfo.occupation_status = topic.occupation_status;
+    return userinfo;
+}
+
+module.exports.applyTopic = applyTopic;
+module.exports.createTopic = createTopic;
+module.exports.isFollowUp = isFollowUp;
@@ -5,10 +5,16 @@ const { InputHints, MessageFactory } = require('botbuilder');
 const { DateTimePrompt, WaterfallDialog } = require('botbuilder-dialogs');
 const { CancelAndHelpDialog } = require('./cancelAndHelpDialog');
 const { TimexProperty } = require('@microsoft/recognizers-text-data-types-timex-expression');
+const { localize } = require('../localization');
 
 const DATETIME_PROMPT = 'datetimePrompt';
 const WATERFALL_DIALOG = 'waterfallDialog';
 
+/**
+ * Asks for a definite calendar date (day, month and year) and ends with it as a TIMEX date, e.g. '2021-05-15'.
+ * Options: `date` is a TIMEX we already have (it is only asked for when missing or ambiguous) and
+ * `prompt` is the question to ask, e.g. 'When does your program end?', and `help` explains it when the user asks for help.
+ */
 class DateResolverDialog extends CancelAndHelpDialog {
     constructor(id) {
         super(id || 'dateResolverDialog');
@@ -24,31 +30,34 @@ class DateResolverDialog extends CancelAndHelpDialog {
     async initialStep(stepContext) {
         const timex = stepContext.options.date;
 
-        const promptMessageText = 'On what date would you like to travel?';
+        const promptMessageText = stepContext.options.prompt || localize(stepContext.context, 'dateResolverDialog.prompt');
         const promptMessage = MessageFactory.text(promptMessageText, promptMessageText, InputHints.ExpectingInput);
 
-        const repromptMessageText = "I'm sorry, for best results, please enter your travel date including the month, day and year.";
+        const repromptMessageText = localize(stepContext.context, 'dateResolverDialog.retry');
         const repromptMessage = MessageFactory.text(repromptMessageText, repromptMessageText, InputHints.ExpectingInput);
+        const help = stepContext.options.help || localize(stepContext.context, 'dateResolverDialog.help');
 
         if (!timex) {
             // We were not given any date at all so prompt the user.
             return await stepContext.prompt(DATETIME_PROMPT,
                 {
                     prompt: promptMessage,
-                    retryPrompt: repromptMessage
+                    retryPrompt: repromptMessage,
+                    help: help
                 });
         }
         // We have a Date we just need to check it is unambiguous.
         const timexProperty = new TimexProperty(timex);
         if (!timexProperty.types.has('definite')) {
             // This is essentially a "reprompt" of the data we were given up front.
-            return await stepContext.prompt(DATETIME_PROMPT, { prompt: repromptMessage });
+            return await stepContext.prompt(DATETIME_PROMPT, { prompt: repromptMessage, help: help });
         }
         return await stepContext.next([{ timex: timex }]);
     }
 
     async finalStep(stepContext) {
-        const timex = stepContext.result[0].timex;
+        // Like the validator, keep only the date of an answer with a time, e.g. '2021-05-15' of '2021-05-15T15'.
+        const timex = stepContext.result[0].timex.split('T')[0];
         return await stepContext.endDialog(timex);
     }
 
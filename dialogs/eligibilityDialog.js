@@ -0,0 +1,181 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { InputHints, MessageFactory } = require('botbuilder');
+const { ChoicePrompt, ListStyle, TextPrompt, WaterfallDialog } = require('botbuilder-dialogs');
+const { CancelAndHelpDialog } = require('./cancelAndHelpDialog');
+const { RulesEngine, describeEligibility } = require('../immigration/rulesEngine');
+const { getLocale, localize, translate } = require('../localization');
+
+const BOOLEAN_PROMPT = 'booleanPrompt';
+const CHOICE_PROMPT = 'choicePrompt';
+const NUMBER_PROMPT = 'numberPrompt';
+const WATERFALL_DIALOG = 'waterfallDialog';
+
+// The answers to a yes/no question, in the order of the choices, and the value each stands for.
+// Their names and synonyms are the eligibilityDialog.* strings.
+const BOOLEAN_ANSWERS = [
+    { name: 'yes', value: true },
+    { name: 'no', value: false },
+    { name: 'notSure', value: undefined }
+];
+
+/**
+ * Answers an eligibility question with the rules engine: yes, no or maybe, with the rules behind the answer.
+ * Options are the details collected by the booking dialog (visa_type, work_type and occupation_status) and `facts`
+ * already known about the user. Facts the rules still need are asked for one at a time, and skipped when the user
+ * isn't sure, until asking can no longer change the answer.
+ * Ends with the options, the facts that were collected in `facts` and the evaluation in `eligibility`.
+ */
+class EligibilityDialog extends CancelAndHelpDialog {
+    constructor(id, knowledgeBase) {
+        super(id || 'eligibilityDialog');
+
+        if (!knowledgeBase) throw new Error('[EligibilityDialog]: Missing parameter \'knowledgeBase\' is required');
+        this.knowledgeBase = knowledgeBase;
+        this.rulesEngines = new Map();
+
+        this.addDialog(new ChoicePrompt(BOOLEAN_PROMPT))
+            .addDialog(new ChoicePrompt(CHOICE_PROMPT))
+            .addDialog(new TextPrompt(NUMBER_PROMPT, this.numberPromptValidator.bind(this)))
+            .addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
+                this.questionStep.bind(this),
+                this.answerStep.bind(this)
+            ]));
+
+        this.initialDialogId = WATERFALL_DIALOG;
+    }
+
+    /**
+     * Asks for the next fact the rules need, or replies with the verdict when there is nothing left to ask.
+     */
+    async questionStep(stepContext) {
+        const context = stepContext.context;
+        const userinfo = stepContext.options;
+        userinfo.facts = userinfo.facts || {};
+        userinfo.skippedFacts = userinfo.skippedFacts || [];
+
+        const rulesEngine = this.rulesEngine(context);
+        const facts = this.collectFacts(userinfo);
+        const fact = rulesEngine.nextQuestion(userinfo.work_type, facts, userinfo.skippedFacts);
+        if (fact) {
+            stepContext.values.factId = fact.id;
+            const promptText = fact.question;
+            const help = this.describeFact(context, userinfo.work_type, fact);
+            if (fact.type === 'boolean') {
+                const retryPromptText = localize(context, 'eligibilityDialog.booleanRetry');
+                return await stepContext.prompt(BOOLEAN_PROMPT, {
+                    prompt: MessageFactory.text(promptText, promptText, InputHints.ExpectingInput),
+                    retryPrompt: MessageFactory.text(retryPromptText, retryPromptText, InputHints.ExpectingInput),
+                    choices: BOOLEAN_ANSWERS.map(answer => ({ value: localize(context, `eligibilityDialog.${ answer.name }`), synonyms: localize(context, `eligibilityDialog.${ answer.name }Synonyms`) })),
+                    style: ListStyle.suggestedAction,
+                    help: help
+                });
+            }
+            if (fact.type === 'choice') {
+                const retryPromptText = localize(context, 'eligibilityDialog.choiceRetry');
+                return await stepContext.prompt(CHOICE_PROMPT, {
+                    prompt: MessageFactory.text(promptText, promptText, InputHints.ExpectingInput),
+                    retryPrompt: MessageFactory.text(retryPromptText, retryPromptText, InputHints.ExpectingInput),
+                    choices: fact.choices.map(choice => ({ value: choice.name, synonyms: [choice.id].concat(choice.synonyms || []) }))
+                        .concat({ value: localize(context, 'eligibilityDialog.notSure'), synonyms: localize(context, 'eligibilityDialog.notSureSynonyms') }),
+                    style: ListStyle.suggestedAction,
+                    help: help
+                });
+            }
+            const retryPromptText = localize(context, 'eligibilityDialog.numberRetry');
+            return await stepContext.prompt(NUMBER_PROMPT, {
+                prompt: MessageFactory.text(promptText, promptText, InputHints.ExpectingInput),
+                retryPrompt: MessageFactory.text(retryPromptText, retryPromptText, InputHints.ExpectingInput),
+                help: help
+            });
+        }
+
+        userinfo.eligibility = rulesEngine.evaluate(userinfo.work_type, facts);
+        const messageText = describeEligibility(userinfo.eligibility, rulesEngine, this.describeQuestion(context, userinfo), getLocale(context));
+        await context.sendActivity(messageText, messageText, InputHints.IgnoringInput);
+        return await stepContext.endDialog(userinfo);
+    }
+
+    /**
+     * Records the answer and moves on to the next question.
+     */
+    async answerStep(stepContext) {
+        const userinfo = stepContext.options;
+        const fact = this.rulesEngine(stepContext.context).getFact(stepContext.values.factId);
+
+        const value = fact.type === 'boolean' ? this.parseBoolean(stepContext.result)
+            : fact.type === 'choice' ? this.parseChoice(fact, stepContext.result)
+                : this.parseNumber(stepContext.result);
+        if (value === undefined) {
+            userinfo.skippedFacts.push(fact.id);
+        } else {
+            userinfo.facts[fact.id] = value;
+        }
+
+        return await stepContext.replaceDialog(WATERFALL_DIALOG, userinfo);
+    }
+
+    /**
+     * The facts the rules are evaluated against: the details from the booking dialog and everything collected so far.
+     */
+    collectFacts(userinfo) {
+        return Object.assign({}, userinfo.facts, {
+            visaType: userinfo.visa_type,
+            occupationStatus: userinfo.occupation_status
+        });
+    }
+
+    /**
+     * The rules engine with the rules in the language of the turn, so questions and requirements are asked in it.
+     */
+    rulesEngine(context) {
+        const knowledgeBase = this.knowledgeBase.forLocale(getLocale(context));
+        if (!this.rulesEngines.has(knowledgeBase.locale)) {
+            this.rulesEngines.set(knowledgeBase.locale, new RulesEngine(knowledgeBase.rules));
+        }
+        return this.rulesEngines.get(knowledgeBase.locale);
+    }
+
+    /**
+     * Explains why a fact is asked for: the requirements of the work type that depend on it.
+     */
+    describeFact(context, workType, fact) {
+        const requirements = this.rulesEngine(context).rules
+            .filter(rule => rule.workType === workType && (rule.condition.fact === fact.id || (rule.when && rule.when.fact === fact.id)))
+            .map(rule => `- ${ rule.description }`);
+        return localize(context, 'eligibilityDialog.factHelp', { fact: fact.description, requirements: requirements.join('\n') });
+    }
+
+    describeQuestion(context, userinfo) {
+        const knowledgeBase = this.knowledgeBase.forLocale(getLocale(context));
+        return localize(context, 'eligibilityDialog.question', {
+            workType: knowledgeBase.displayName('workTypes', userinfo.work_type),
+            visaType: knowledgeBase.displayName('visaTypes', userinfo.visa_type)
+        });
+    }
+
+    parseBoolean(foundChoice) {
+        return BOOLEAN_ANSWERS[foundChoice.index].value;
+    }
+
+    /**
+     * The id of the chosen answer, or undefined for "not sure", which is the choice after the fact's own.
+     */
+    parseChoice(fact, foundChoice) {
+        const choice = fact.choices[foundChoice.index];
+        return choice && choice.id;
+    }
+
+    parseNumber(text) {
+        const match = /\d+(\.\d+)?/.exec(text);
+        return match ? Number(match[0]) : undefined;
+    }
+
+    async numberPromptValidator(promptContext) {
+        const text = (promptContext.recognized.value || '').trim().toLowerCase();
+        return /\d/.test(text) || translate(getLocale(promptContext.context), 'eligibilityDialog.notSureSynonyms').includes(text);
+    }
+}
+
+module.exports.EligibilityDialog = EligibilityDialog;
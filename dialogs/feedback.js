@@ -0,0 +1,47 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { translate } = require('../localization');
+
+const HELPFUL_PATTERN = /^(👍|(👍 )?helpful|this (was|is) helpful|thumbs up|good answer)$/;
+const NOT_HELPFUL_PATTERN = /^(👎|(👎 )?not helpful|this (was|is) not helpful|unhelpful|thumbs down|wrong answer|bad answer|outdated)$/;
+
+function normalize(text) {
+    return text.trim().toLowerCase().replace(/\s+/g, ' ').replace(/^[¿¡]+|[.!?。！？]+$/g, '');
+}
+
+/**
+ * The "👍 Helpful" and "👎 Not helpful" buttons answers are sent with, in the language of the turn.
+ * @param {string} locale
+ */
+function feedbackActions(locale) {
+    return [translate(locale, 'feedback.helpful'), translate(locale, 'feedback.notHelpful')];
+}
+
+/**
+ * Returns 'helpful' or 'notHelpful' when the text rates the last answer, e.g. the text of a feedback button,
+ * otherwise undefined. Besides the English phrases, the feedback.*Commands phrases of the locale are recognized.
+ * @param {string} text
+ * @param {string} locale optional, defaults to English
+ */
+function getFeedbackCommand(text, locale) {
+    if (typeof text !== 'string') return undefined;
+    const phrase = normalize(text);
+    const [helpful, notHelpful] = feedbackActions(locale).map(normalize);
+    if (phrase === helpful || HELPFUL_PATTERN.test(phrase) || translate(locale, 'feedback.helpfulCommands').includes(phrase)) return 'helpful';
+    if (phrase === notHelpful || NOT_HELPFUL_PATTERN.test(phrase) || translate(locale, 'feedback.notHelpfulCommands').includes(phrase)) return 'notHelpful';
+    return undefined;
+}
+
+/**
+ * Whether the text declines to leave a comment, e.g. "skip".
+ * @param {string} text
+ * @param {string} locale optional, defaults to English
+ */
+function isSkipComment(text, locale) {
+    return typeof text !== 'string' || !text.trim() || translate(locale, 'feedback.skipCommands').includes(normalize(text));
+}
+
+module.exports.feedbackActions = feedbackActions;
+module.exports.getFeedbackCommand = getFeedbackCommand;
+module.exports.isSkipComment = isSkipComment;
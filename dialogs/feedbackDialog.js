@@ -0,0 +1,74 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { InputHints, MessageFactory } = require('botbuilder');
+const { TextPrompt, WaterfallDialog } = require('botbuilder-dialogs');
+const { CancelAndHelpDialog } = require('./cancelAndHelpDialog');
+const { isSkipComment } = require('./feedback');
+const { getLocale, localize } = require('../localization');
+const { redact, trackEvent } = require('../telemetry');
+
+const COMMENT_PROMPT = 'commentPrompt';
+const WATERFALL_DIALOG = 'waterfallDialog';
+
+/**
+ * Records whether an answer helped. Options are the `answer` ({ key, intent, visaType, workType }) and `helpful`.
+ * An answer that didn't help asks what was wrong or outdated first; the comment is optional.
+ * When a log is given, the feedback is appended to it as { timestamp, locale, helpful, answerKey, intent, visaType,
+ * workType, comment }, with personal details in the comment redacted. See scripts/feedbackReport.js.
+ * Ends without a result.
+ */
+class FeedbackDialog extends CancelAndHelpDialog {
+    /**
+     * @param {string} id
+     * @param {JsonLinesLog} feedbackLog optional, where the feedback is stored
+     */
+    constructor(id, feedbackLog) {
+        super(id || 'feedbackDialog');
+        this.feedbackLog = feedbackLog;
+
+        this.addDialog(new TextPrompt(COMMENT_PROMPT))
+            .addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
+                this.commentStep.bind(this),
+                this.saveStep.bind(this)
+            ]));
+
+        this.initialDialogId = WATERFALL_DIALOG;
+    }
+
+    async commentStep(stepContext) {
+        if (stepContext.options.helpful) return await stepContext.next();
+
+        const promptText = localize(stepContext.context, 'feedback.askComment');
+        return await stepContext.prompt(COMMENT_PROMPT, {
+            prompt: MessageFactory.text(promptText, promptText, InputHints.ExpectingInput),
+            help: localize(stepContext.context, 'feedback.help')
+        });
+    }
+
+    async saveStep(stepContext) {
+        const { answer, helpful } = stepContext.options;
+        const locale = getLocale(stepContext.context);
+        const comment = helpful || isSkipComment(stepContext.result, locale) ? undefined : redact(stepContext.result.trim());
+
+        await trackEvent(stepContext.context, 'feedbackReceived', { answerKey: answer.key, helpful: helpful, commented: !!comment });
+        if (this.feedbackLog) {
+            await this.feedbackLog.append({
+                timestamp: new Date().toISOString(),
+                locale: locale,
+                helpful: helpful,
+                answerKey: answer.key,
+                intent: answer.intent,
+                visaType: answer.visaType,
+                workType: answer.workType || null,
+                comment: comment || null
+            });
+        }
+
+        const thanksMessageText = localize(stepContext.context, comment ? 'feedback.thanksComment' : 'feedback.thanks');
+        await stepContext.context.sendActivity(thanksMessageText, thanksMessageText, InputHints.IgnoringInput);
+        return await stepContext.endDialog();
+    }
+}
+
+module.exports.FeedbackDialog = FeedbackDialog;
@@ -1,92 +1,194 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // Licensed under the MIT License.
 
-const { LuisRecognizer } = require('botbuilder-ai');
+const http = require('http');
+const https = require('https');
+const { ActivityTypes } = require('botbuilder');
 
+// LUIS list entity name => knowledge base vocabulary category.
+const ENTITY_CATEGORIES = {
+    visa_type: 'visaTypes',
+    work_type: 'workTypes',
+    occupation_status: 'occupationStatuses'
+};
+
+/**
+ * Calls the LUIS v2 prediction endpoint and reads the immigration entities from its results.
+ * The endpoint is called directly rather than through botbuilder-ai's LuisRecognizer, whose client retries server
+ * errors itself, waiting 30 seconds or more before the first retry. Every call is made once, so RetryingRecognizer
+ * and ResilientRecognizer decide how long a turn waits.
+ */
 class FlightBookingRecognizer {
-    constructor(config) {
+    /**
+     * @param {{ applicationId: string, endpointKey: string, endpoint: string }} config optional, LUIS isn't called without it
+     * @param {*} knowledgeBase
+     */
+    constructor(config, knowledgeBase) {
         const luisIsConfigured = config && config.applicationId && config.endpointKey && config.endpoint;
         if (luisIsConfigured) {
-            this.recognizer = new LuisRecognizer(config, {}, true);
+            this.application = { applicationId: config.applicationId, endpointKey: config.endpointKey, endpoint: config.endpoint };
         }
+
+        if (!knowledgeBase) throw new Error('[FlightBookingRecognizer]: Missing parameter \'knowledgeBase\' is required');
+        this.knowledgeBase = knowledgeBase;
     }
 
     get isConfigured() {
-        return (this.recognizer !== undefined);
+        return (this.application !== undefined);
     }
 
     /**
-     * Returns an object with preformatted LUIS results for the bot's dialogs to consume.
+     * Returns an object with preformatted LUIS results for the bot's dialogs to consume, in the format of LuisRecognizer:
+     * { text, intents, entities, luisResult }. Like LuisRecognizer, the result is sent as a trace activity for the Emulator.
      * @param {TurnContext} context
      */
     async executeLuisQuery(context) {
-        return await this.recognizer.recognize(context);
+        const text = context.activity.text || '';
+        // Empty messages aren't sent to LUIS.
+        if (!text.trim()) {
+            return { text: text, intents: { '': { score: 1 } }, entities: {} };
+        }
+
+        const luisResult = await this.predict(text);
+        const result = toRecognizerResult(luisResult);
+        await context.sendActivity({
+            type: ActivityTypes.Trace,
+            valueType: 'https://www.luis.ai/schemas/trace',
+            name: 'LuisRecognizer',
+            label: 'Luis Trace',
+            value: { recognizerResult: result, luisModel: { ModelID: this.application.applicationId }, luisResult: luisResult }
+        });
+        return result;
     }
 
-    getVisaTypeEntities(result) {
-        let visatype;
-        // console.log("visa type result:",result.entities.$instance.visa_type[0]);
-        if (result.entities.$instance.visa_type) {
-            visatype = result.entities.$instance.visa_type[0].text;
-        }
-        return { visa_type: visatype };
+    /**
+     * Returns the raw LUIS result for the text. A failed call rejects with the error of the request, or with an error
+     * carrying the `statusCode` of the response, e.g. 429 when LUIS throttles the bot.
+     * @param {string} text
+     */
+    predict(text) {
+        const url = new URL(`luis/v2.0/apps/${ encodeURIComponent(this.application.applicationId) }`, this.application.endpoint.replace(/\/?$/, '/'));
+        url.searchParams.set('verbose', 'true');
+        url.searchParams.set('q', text);
+
+        return new Promise((resolve, reject) => {
+            const client = url.protocol === 'http:' ? http : https;
+            const request = client.get(url, { headers: { 'Ocp-Apim-Subscription-Key': this.application.endpointKey } }, response => {
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', chunk => { body += chunk; });
+                response.on('error', reject);
+                response.on('end', () => {
+                    if (response.statusCode !== 200) {
+                        const error = new Error(`[FlightBookingRecognizer]: LUIS answered with status ${ response.statusCode }${ describeLuisError(body) }`);
+                        error.statusCode = response.statusCode;
+                        return reject(error);
+                    }
+                    try {
+                        resolve(JSON.parse(body));
+                    } catch (err) {
+                        reject(new Error(`[FlightBookingRecognizer]: LUIS answered with invalid JSON: ${ err.message }`));
+                    }
+                });
+            });
+            request.on('error', reject);
+        });
     }
 
-    getWorkTypeEntities(result) {
-        let worktype;
-        if (result.entities.$instance.visa_type) {
-            worktype = result.entities.$instance.work_type[0].text;
-        }
-        return { work_type: worktype };
+    /**
+     * Returns every match of a list entity in the result, in the order LUIS returned them:
+     * [{ value, text, score, startIndex, endIndex }].
+     * `value` is the canonical knowledge base id, or undefined when neither the resolved list value nor the
+     * surface text is part of the vocabulary. List entities are exact matches, so they score 1 unless LUIS says otherwise.
+     * Missing entities give an empty array.
+     * @param {*} result a LuisRecognizer result
+     * @param {string} name visa_type, work_type or occupation_status
+     */
+    getEntities(result, name) {
+        const entities = (result && result.entities) || {};
+        const resolutions = entities[name] || [];
+        const instances = (entities.$instance && entities.$instance[name]) || [];
+
+        return instances.map((instance, i) => {
+            // List entities resolve to [['canonical']], but botbuilder-ai flattens repeated matches to 'canonical'.
+            const resolution = [].concat(resolutions[i] === undefined ? [] : resolutions[i])[0];
+            return {
+                value: this.normalize(name, resolution) || this.normalize(name, instance.text),
+                text: instance.text,
+                score: instance.score === undefined ? 1 : instance.score,
+                startIndex: instance.startIndex,
+                endIndex: instance.endIndex
+            };
+        });
     }
 
-    getOccupationStatusEntities(result) {
-        let occupationStatus;
-        // console.log(result.entities.$instance.occupation_status);
-        if (result.entities.$instance.visa_type) {
-            occupationStatus = result.entities.$instance.occupation_status[0].text;
-        }
-        return { occupation_status: occupationStatus };
+    normalize(name, value) {
+        return this.knowledgeBase.resolve(ENTITY_CATEGORIES[name], value);
     }
 
-    getFromEntities(result) {
-        let fromValue, fromAirportValue;
-        if (result.entities.$instance.From) {
-            fromValue = result.entities.$instance.From[0].text;
-        }
-        if (fromValue && result.entities.From[0].Airport) {
-            fromAirportValue = result.entities.From[0].Airport[0][0];
-        }
+    /**
+     * Returns the first canonical value of an entity together with all of its matches.
+     */
+    getEntityValue(result, name) {
+        const matches = this.getEntities(result, name);
+        const first = matches.find(match => match.value);
+        return { value: first ? first.value : undefined, matches: matches };
+    }
 
-        return { from: fromValue, airport: fromAirportValue };
+    getVisaTypeEntities(result) {
+        const entity = this.getEntityValue(result, 'visa_type');
+        return { visa_type: entity.value, matches: entity.matches };
     }
 
-    getToEntities(result) {
-        let toValue, toAirportValue;
-        if (result.entities.$instance.To) {
-            toValue = result.entities.$instance.To[0].text;
-        }
-        if (toValue && result.entities.To[0].Airport) {
-            toAirportValue = result.entities.To[0].Airport[0][0];
-        }
+    getWorkTypeEntities(result) {
+        const entity = this.getEntityValue(result, 'work_type');
+        return { work_type: entity.value, matches: entity.matches };
+    }
 
-        return { to: toValue, airport: toAirportValue };
+    getOccupationStatusEntities(result) {
+        const entity = this.getEntityValue(result, 'occupation_status');
+        return { occupation_status: entity.value, matches: entity.matches };
     }
+}
 
-    /**
-     * This value will be a TIMEX. And we are only interested in a Date so grab the first result and drop the Time part.
-     * TIMEX is a format that represents DateTime expressions that include some ambiguity. e.g. missing a Year.
-     */
-    getTravelDate(result) {
-        const datetimeEntity = result.entities.datetime;
-        if (!datetimeEntity || !datetimeEntity[0]) return undefined;
+/**
+ * Converts a LUIS v2 result into a LuisRecognizer result. The immigration app only has list entities, which resolve
+ * to their canonical values: [['f1']], with the matched text and span in $instance.
+ * @param {*} luisResult
+ */
+function toRecognizerResult(luisResult) {
+    const intents = {};
+    (luisResult.intents || [luisResult.topScoringIntent]).forEach(intent => {
+        intents[intent.intent.replace(/\.| /g, '_')] = { score: intent.score };
+    });
 
-        const timex = datetimeEntity[0].timex;
-        if (!timex || !timex[0]) return undefined;
+    const entities = { $instance: {} };
+    (luisResult.entities || []).forEach(entity => {
+        const name = entity.type.replace(/\.| /g, '_');
+        entities[name] = (entities[name] || []).concat([entity.resolution ? entity.resolution.values : entity.entity]);
+        entities.$instance[name] = (entities.$instance[name] || []).concat([{
+            startIndex: entity.startIndex,
+            endIndex: entity.endIndex + 1,
+            score: entity.score,
+            text: entity.entity,
+            type: entity.type
+        }]);
+    });
+
+    return { text: luisResult.query, alteredText: luisResult.alteredQuery, intents: intents, entities: entities, luisResult: luisResult };
+}
 
-        const datetime = timex[0].split('T')[0];
-        return datetime;
+/**
+ * The message of a LUIS error response, e.g. ': Rate limit is exceeded.', or nothing when it has none.
+ */
+function describeLuisError(body) {
+    try {
+        const error = JSON.parse(body).error;
+        return error && error.message ? `: ${ error.message }` : '';
+    } catch (err) {
+        return '';
     }
 }
 
+module.exports.ENTITY_CATEGORIES = ENTITY_CATEGORIES;
 module.exports.FlightBookingRecognizer = FlightBookingRecognizer;
@@ -0,0 +1,68 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { DEFAULT_LOCALE, translate } = require('../localization');
+
+const TOPICS_PATTERN = /^(help|\?|menu|topics|what can you do|what can you help (me )?with|what do you know( about)?)\??$/;
+const EXAMPLES_PATTERN = /^(what (can|should) (i|you) ask( you)?|what questions can (i|you) (ask|answer)|examples|give me (an |some )?examples?)\??$/;
+
+/**
+ * Returns 'topics' when the text asks what the bot can help with, 'examples' when it asks what to ask,
+ * otherwise undefined. Besides the English phrases, the help.*Commands phrases of the locale are recognized.
+ * @param {string} text
+ * @param {string} locale optional, defaults to English
+ */
+function getHelpCommand(text, locale) {
+    if (typeof text !== 'string') return undefined;
+    const normalized = text.trim().toLowerCase().replace(/\s+/g, ' ');
+    const phrase = normalized.replace(/^[¿¡]+|[.!?。！？]+$/g, '');
+    if (TOPICS_PATTERN.test(normalized) || translate(locale, 'help.topicsCommands').includes(phrase)) return 'topics';
+    if (EXAMPLES_PATTERN.test(normalized) || translate(locale, 'help.examplesCommands').includes(phrase)) return 'examples';
+    return undefined;
+}
+
+/**
+ * Lists the entries of a vocabulary category ('visaTypes', 'workTypes' or 'occupationStatuses') with their descriptions.
+ */
+function describeVocabulary(knowledgeBase, category) {
+    return knowledgeBase.vocabulary[category]
+        .map(entry => (entry.description ? `- ${ entry.name }: ${ entry.description }` : `- ${ entry.name }`))
+        .join('\n');
+}
+
+/**
+ * Example questions generated from the knowledge base, about the user's visa when the knowledge base knows it.
+ * @param {string} visaType optional visa type
+ */
+function exampleQuestions(knowledgeBase, visaType) {
+    return knowledgeBase.exampleQuestions(knowledgeBase.resolveVisaType(visaType));
+}
+
+function describeExamples(examples, locale) {
+    return translate(locale, 'help.examples', { examples: `- ${ examples.join('\n- ') }` });
+}
+
+/**
+ * The topic menu as plain text, for channels that can't show the topic menu card.
+ * @param {*} knowledgeBase the knowledge base in the same locale, see KnowledgeBase.forLocale()
+ * @param {string} locale optional, defaults to the locale of the knowledge base
+ */
+function describeTopics(knowledgeBase, locale) {
+    const language = locale || knowledgeBase.locale || DEFAULT_LOCALE;
+    return [
+        translate(language, 'help.topicsVisaTypes'),
+        describeVocabulary(knowledgeBase, 'visaTypes'),
+        '',
+        translate(language, 'help.topicsWorkTypes'),
+        describeVocabulary(knowledgeBase, 'workTypes'),
+        '',
+        translate(language, 'help.topicsQuestions'),
+        translate(language, 'help.topicsExamples')
+    ].join('\n');
+}
+
+module.exports.describeExamples = describeExamples;
+module.exports.describeTopics = describeTopics;
+module.exports.describeVocabulary = describeVocabulary;
+module.exports.exampleQuestions = exampleQuestions;
+module.exports.getHelpCommand = getHelpCommand;
@@ -0,0 +1,119 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { translate } = require('../localization');
+
+const INTERRUPTION_TYPES = {
+    help: 'help',
+    cancel: 'cancel',
+    startOver: 'startOver',
+    goBack: 'goBack',
+    change: 'change'
+};
+
+// Interruption types recognized from whole utterances; the phrases are the interruptions.<type> strings.
+const PHRASE_TYPES = ['help', 'cancel', 'startOver', 'goBack'];
+
+// Polite wrappers that don't change what the user is asking for, e.g. "can we start over please".
+const PREFIX_PATTERN = /^(please|can we|can you|can i|could we|let's|let us|i want to|i'd like to|i would like to)\s+/;
+const SUFFIX_PATTERN = /\s+please$/;
+
+const CHANGE_PATTERN = /^(change|update|correct|fix|edit|switch)\b/;
+
+// Details that can be changed, with the words that name them and the knowledge base category of their values.
+const SLOTS = [
+    { slot: 'visa_type', category: 'visaTypes', name: 'visa type', pattern: /\bvisa\b/ },
+    { slot: 'work_type', category: 'workTypes', name: 'work authorization', pattern: /\b(work|authori[sz]ation)\b/ },
+    { slot: 'occupation_status', category: 'occupationStatuses', name: 'occupation status', pattern: /\b(occupation|status)\b/ }
+];
+
+function normalize(text) {
+    let normalized = text.trim().toLowerCase().replace(/\s+/g, ' ');
+    if (normalized !== '?') normalized = normalized.replace(/^[¿¡]+|[.!?。！？]+$/g, '');
+    return normalized.replace(PREFIX_PATTERN, '').replace(SUFFIX_PATTERN, '');
+}
+
+/**
+ * The optimal string alignment distance: the insertions, deletions, substitutions and swaps of
+ * neighbouring letters needed to turn one string into the other.
+ */
+function editDistance(a, b) {
+    const d = [];
+    for (let i = 0; i <= a.length; i++) {
+        d.push([i]);
+        for (let j = 1; j <= b.length; j++) {
+            d[i][j] = i === 0 ? j : Math.min(
+                d[i - 1][j] + 1,
+                d[i][j - 1] + 1,
+                d[i - 1][j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return d[a.length][b.length];
+}
+
+/**
+ * How many typos a phrase tolerates: none for short phrases, where one typo easily makes another word.
+ */
+function allowedTypos(phrase) {
+    if (phrase.length >= 10) return 2;
+    if (phrase.length >= 6) return 1;
+    return 0;
+}
+
+function matchPhrase(text, locale) {
+    let best;
+    PHRASE_TYPES.forEach(type => {
+        translate(locale, `interruptions.${ type }`).forEach(phrase => {
+            const distance = editDistance(text, phrase);
+            if (distance <= allowedTypos(phrase) && (!best || distance < best.distance)) {
+                best = { type: type, distance: distance };
+            }
+        });
+    });
+    return best ? best.type : undefined;
+}
+
+/**
+ * Recognizes "change my visa type" or "change my visa to J-1". The detail is named, or implied by the new value.
+ */
+function matchChange(text, knowledgeBase) {
+    if (!CHANGE_PATTERN.test(text)) return undefined;
+
+    for (const slot of SLOTS) {
+        const mentions = knowledgeBase ? knowledgeBase.findMentions(slot.category, text) : [];
+        if (slot.pattern.test(text) || mentions.length) {
+            return {
+                type: INTERRUPTION_TYPES.change,
+                slot: slot.slot,
+                name: slot.name,
+                value: mentions.length ? mentions[mentions.length - 1].id : undefined
+            };
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Recognizes a request to interrupt the current question: { type } with one of INTERRUPTION_TYPES,
+ * and for 'change' also the `slot` to change, its `name` and the new `value` when the user gave one.
+ * Returns undefined for anything else, so it can be treated as an answer.
+ * Phrases must make up the whole utterance and tolerate small typos, e.g. "strat over".
+ * The English phrases always work; the locale adds its own. Changing a detail is only recognized in English.
+ * @param {string} text
+ * @param {*} knowledgeBase optional, to recognize the new value of a changed detail
+ * @param {string} locale optional, defaults to English
+ */
+function recognizeInterruption(text, knowledgeBase, locale) {
+    if (typeof text !== 'string' || !text.trim()) return undefined;
+    const normalized = normalize(text);
+
+    const type = matchPhrase(normalized, locale);
+    if (type) return { type: type };
+    return matchChange(normalized, knowledgeBase);
+}
+
+module.exports.INTERRUPTION_TYPES = INTERRUPTION_TYPES;
+module.exports.recognizeInterruption = recognizeInterruption;
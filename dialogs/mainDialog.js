@@ -1,15 +1,45 @@
 // Copyright (c) Microsoft Corporation. All rights reserved.
 // Licensed under the MIT License.
 
-const { TimexProperty } = require('@microsoft/recognizers-text-data-types-timex-expression');
 const { MessageFactory, InputHints } = require('botbuilder');
 const { LuisRecognizer } = require('botbuilder-ai');
 const { ComponentDialog, DialogSet, DialogTurnStatus, TextPrompt, WaterfallDialog } = require('botbuilder-dialogs');
-
+const { ChecklistDialog } = require('./checklistDialog');
+const { createAnswerCard, createCardMessage, createTopicMenuCard, describeAnswer } = require('./cards');
+const { findCandidates } = require('./clarification');
+const { ClarificationDialog } = require('./clarificationDialog');
+const { applyTopic, createTopic } = require('./conversationTopic');
+const { EligibilityDialog } = require('./eligibilityDialog');
+const { feedbackActions, getFeedbackCommand } = require('./feedback');
+const { FeedbackDialog } = require('./feedbackDialog');
+const { describeExamples, describeTopics, exampleQuestions, getHelpCommand } = require('./help');
+const { TimelineDialog } = require('./timelineDialog');
+const { UnemploymentDialog } = require('./unemploymentDialog');
+const { UserProfile, describeProfile, getProfileCommand } = require('./userProfile');
+const { findChecklist } = require('../immigration/checklists');
+const { RulesEngine } = require('../immigration/rulesEngine');
+const { LOCALE_NAMES, getLanguageCommand, getLocale, localize, setLocale } = require('../localization');
+const { redact, trackEvent } = require('../telemetry');
+
+const CHECKLIST_DIALOG = 'checklistDialog';
+const CLARIFICATION_DIALOG = 'clarificationDialog';
+const ELIGIBILITY_DIALOG = 'eligibilityDialog';
+const FEEDBACK_DIALOG = 'feedbackDialog';
 const MAIN_WATERFALL_DIALOG = 'mainWaterfallDialog';
+const TIMELINE_DIALOG = 'timelineDialog';
+const UNEMPLOYMENT_DIALOG = 'unemploymentDialog';
 
 class MainDialog extends ComponentDialog {
-    constructor(luisRecognizer, bookingDialog) {
+    /**
+     * @param {FlightBookingRecognizer} luisRecognizer
+     * @param {BookingDialog} bookingDialog
+     * @param {*} knowledgeBase
+     * @param {StatePropertyAccessor} userProfileAccessor the UserProfile in UserState
+     * @param {JsonLinesLog} clarificationLog optional, where the clarification dialog logs which question users meant
+     * @param {JsonLinesLog} unansweredLog optional, where questions the knowledge base couldn't answer are logged
+     * @param {JsonLinesLog} feedbackLog optional, where users' ratings of the answers are stored
+     */
+    constructor(luisRecognizer, bookingDialog, knowledgeBase, userProfileAccessor, clarificationLog, unansweredLog, feedbackLog) {
         super('MainDialog');
 
         if (!luisRecognizer) throw new Error('[MainDialog]: Missing parameter \'luisRecognizer\' is required');
@@ -17,13 +47,29 @@ class MainDialog extends ComponentDialog {
 
         if (!bookingDialog) throw new Error('[MainDialog]: Missing parameter \'bookingDialog\' is required');
 
+        if (!knowledgeBase) throw new Error('[MainDialog]: Missing parameter \'knowledgeBase\' is required');
+        this.knowledgeBase = knowledgeBase;
+        this.rulesEngine = new RulesEngine(knowledgeBase.rules);
+
+        if (!userProfileAccessor) throw new Error('[MainDialog]: Missing parameter \'userProfileAccessor\' is required');
+        this.userProfileAccessor = userProfileAccessor;
+        this.unansweredLog = unansweredLog;
+
         // Define the main dialog and its related components.
-        // This is a sample "book a flight" dialog.
         this.addDialog(new TextPrompt('TextPrompt'))
             .addDialog(bookingDialog)
+            .addDialog(new ChecklistDialog(CHECKLIST_DIALOG, knowledgeBase))
+            .addDialog(new ClarificationDialog(CLARIFICATION_DIALOG, knowledgeBase, clarificationLog))
+            .addDialog(new EligibilityDialog(ELIGIBILITY_DIALOG, knowledgeBase))
+            .addDialog(new FeedbackDialog(FEEDBACK_DIALOG, feedbackLog))
+            .addDialog(new TimelineDialog(TIMELINE_DIALOG))
+            .addDialog(new UnemploymentDialog(UNEMPLOYMENT_DIALOG))
             .addDialog(new WaterfallDialog(MAIN_WATERFALL_DIALOG, [
                 this.introStep.bind(this),
                 this.actStep.bind(this),
+                this.clarifiedStep.bind(this),
+                this.eligibilityStep.bind(this),
+                this.checklistStep.bind(this),
                 this.finalStep.bind(this)
             ]));
 
@@ -48,9 +94,9 @@ class MainDialog extends ComponentDialog {
     }
 
     /**
-     * First step in the waterfall dialog. Prompts the user for a command.
-     * Currently, this expects a booking request, like "book me a flight from Paris to Berlin on march 22"
-     * Note that the sample LUIS model will only recognize Paris, Berlin, New York and London as airport cities.
+     * First step in the waterfall dialog. Prompts the user for a question.
+     * Currently, this expects a question about a visa or work authorization, like "can I do CPT on my F-1 visa?"
+     * Note that the LUIS model will only recognize the visa and work types listed in the knowledge base vocabulary.
      */
     async introStep(stepContext) {
         if (!this.luisRecognizer.isConfigured) {
@@ -59,116 +105,205 @@ class MainDialog extends ComponentDialog {
             return await stepContext.next();
         }
 
-        const messageText = stepContext.options.restartMsg ? stepContext.options.restartMsg : 'Hi! What would you like to know about your visa and occupation status?';
+        const messageText = stepContext.options.restartMsg ? stepContext.options.restartMsg : localize(stepContext.context, 'mainDialog.greeting');
         const promptMessage = MessageFactory.text(messageText, messageText, InputHints.ExpectingInput);
         return await stepContext.prompt('TextPrompt', { prompt: promptMessage });
     }
 
     /**
-     * Second step in the waterfall.  This will use LUIS to attempt to extract the origin, destination and travel dates.
+     * Second step in the waterfall.  This will use LUIS to attempt to extract the visa type, work type and occupation status.
      * Then, it hands off to the bookingDialog child dialog to collect any remaining details.
      */
     async actStep(stepContext) {
         const userinfo = {};
-        const bookingDetails = {};
+        const profile = await this.userProfileAccessor.get(stepContext.context, new UserProfile());
 
         if (!this.luisRecognizer.isConfigured) {
             // LUIS is not configured, we just run the BookingDialog path.
-            return await stepContext.beginDialog('bookingDialog', bookingDetails);
+            return await stepContext.beginDialog('bookingDialog', this.applyProfile(userinfo, profile));
         }
 
-        // Call LUIS and gather any potential booking details. (Note the TurnContext has the response to the prompt)
-        const luisResult = await this.luisRecognizer.executeLuisQuery(stepContext.context);
-        console.log(LuisRecognizer.topIntent(luisResult))
-        switch (LuisRecognizer.topIntent(luisResult)) {
-        case 'eligibility': {
-            // eslint-disable-next-line camelcase
-            const visa_type = this.luisRecognizer.getVisaTypeEntities(luisResult);
-            // console.log(visa_type);
-            const work_type = this.luisRecognizer.getWorkTypeEntities(luisResult);
-            // console.log(work_type);
-            const occupation_status = this.luisRecognizer.getOccupationStatusEntities(luisResult);
+        // "speak Spanish" switches the language for this and every later conversation.
+        const locale = getLanguageCommand(stepContext.context.activity.text);
+        if (locale) {
+            profile.locale = locale;
+            await this.userProfileAccessor.set(stepContext.context, profile);
+            setLocale(stepContext.context, locale);
+            const languageMessageText = localize(stepContext.context, 'mainDialog.languageChanged', { language: LOCALE_NAMES[locale] });
+            await stepContext.context.sendActivity(languageMessageText, languageMessageText, InputHints.IgnoringInput);
+            return await stepContext.next();
+        }
 
-            // console.log(occupation_status);
-            await this.showWarningForUnsupportedCities(stepContext.context, visa_type, work_type, occupation_status);
+        // "what do you know about me" and "forget my info" are answered before asking LUIS.
+        const knowledgeBase = this.knowledgeBase.forLocale(getLocale(stepContext.context));
+        switch (getProfileCommand(stepContext.context.activity.text, getLocale(stepContext.context))) {
+        case 'show': {
+            const profileMessageText = describeProfile(profile, knowledgeBase, getLocale(stepContext.context));
+            await stepContext.context.sendActivity(profileMessageText, profileMessageText, InputHints.IgnoringInput);
+            return await stepContext.next();
+        }
+        case 'forget': {
+            await this.userProfileAccessor.delete(stepContext.context);
+            // The last topic names the user's visa too.
+            stepContext.options.topic = undefined;
+            const forgetMessageText = localize(stepContext.context, 'mainDialog.forgotProfile');
+            await stepContext.context.sendActivity(forgetMessageText, forgetMessageText, InputHints.IgnoringInput);
+            return await stepContext.next();
+        }
+        }
 
-            // Initialize BookingDetails with any entities we may have found in the response.
-            userinfo.type = 'eligibility';
-            userinfo.visa_type = visa_type;
-            userinfo.work_type = work_type;
-            userinfo.occupation_status = occupation_status;
-            console.log(userinfo);
-            console.log('LUIS extracted these details:', JSON.stringify(userinfo));
+        // "help" shows the topic menu and "what can I ask?" lists example questions, about the user's visa when we know it.
+        switch (getHelpCommand(stepContext.context.activity.text, getLocale(stepContext.context))) {
+        case 'topics': {
+            const examples = exampleQuestions(knowledgeBase, profile.visaType);
+            await stepContext.context.sendActivity(createCardMessage(stepContext.context.activity.channelId,
+                createTopicMenuCard(knowledgeBase, examples), describeTopics(knowledgeBase), examples.slice(0, 3)));
+            return await stepContext.next();
+        }
+        case 'examples': {
+            const examplesMessageText = describeExamples(exampleQuestions(knowledgeBase, profile.visaType), getLocale(stepContext.context));
+            await stepContext.context.sendActivity(examplesMessageText, examplesMessageText, InputHints.IgnoringInput);
+            return await stepContext.next();
+        }
+        }
 
-            // Run the BookingDialog passing in whatever details we have from the LUIS call, it will fill out the remainder.
-            return await stepContext.beginDialog('bookingDialog', userinfo);
+        // "👍 Helpful" and "👎 Not helpful" rate the answer just given.
+        const feedback = getFeedbackCommand(stepContext.context.activity.text, getLocale(stepContext.context));
+        if (feedback && stepContext.options.lastAnswer) {
+            return await stepContext.beginDialog(FEEDBACK_DIALOG, { answer: stepContext.options.lastAnswer, helpful: feedback === 'helpful' });
+        }
 
+        // Call LUIS and gather any potential visa details. (Note the TurnContext has the response to the prompt)
+        // Follow-ups like "what about for J-1?" take the details they leave out from the last question's topic.
+        const luisResult = await this.luisRecognizer.executeLuisQuery(stepContext.context);
+        const intent = LuisRecognizer.topIntent(luisResult);
+        const recognized = {
+            type: intent,
+            score: luisResult.intents[intent] ? luisResult.intents[intent].score : 0,
+            visa_type: this.luisRecognizer.getVisaTypeEntities(luisResult).visa_type,
+            work_type: this.luisRecognizer.getWorkTypeEntities(luisResult).work_type,
+            occupation_status: this.luisRecognizer.getOccupationStatusEntities(luisResult).occupation_status
+        };
+        const question = applyTopic(Object.assign({}, recognized), stepContext.options.topic, stepContext.context.activity.text, getLocale(stepContext.context));
+        const entities = {
+            visa_type: recognized.visa_type,
+            work_type: recognized.work_type,
+            occupation_status: recognized.occupation_status
+        };
+        // Kept for the later steps, which run on later turns, in case the question goes unanswered.
+        stepContext.values.question = { text: stepContext.context.activity.text, intent: recognized.type, score: recognized.score, entities: entities };
+        await trackEvent(stepContext.context, 'intentRecognized', {
+            intent: recognized.type,
+            score: recognized.score,
+            entities: entities,
+            // Whether details were taken from the last question's topic.
+            topicApplied: Object.keys(recognized).some(detail => question[detail] !== recognized[detail])
+        });
+
+        // Ask which question the user meant when the recognizer isn't sure, or when the question names two visas.
+        const visaTypes = this.luisRecognizer.getVisaTypeEntities(luisResult).matches.map(match => match.value);
+        const candidates = findCandidates(question, luisResult.intents, visaTypes);
+        if (candidates) {
+            stepContext.values.clarifying = true;
+            return await stepContext.beginDialog(CLARIFICATION_DIALOG, { text: stepContext.context.activity.text, candidates: candidates });
         }
-        case 'procedure_auth': {
-            // eslint-disable-next-line camelcase
-            const visa_type = this.luisRecognizer.getVisaTypeEntities(luisResult);
-            // console.log("HERE");
-            // console.log(visa_type);
+        return await this.routeQuestion(stepContext, question, profile);
+    }
+
+    /**
+     * Routes the question the user picked in the clarification dialog, and passes any other result on.
+     * Without a pick the clarification dialog has already asked the user to rephrase.
+     */
+    async clarifiedStep(stepContext) {
+        if (!stepContext.values.clarifying) return await stepContext.next(stepContext.result);
+        if (!stepContext.result) return await stepContext.next();
 
-            // await this.showWarningForUnsupportedCities(stepContext.context, visa_type);
+        const profile = await this.userProfileAccessor.get(stepContext.context, new UserProfile());
+        return await this.routeQuestion(stepContext, stepContext.result, profile);
+    }
 
-            // Initialize BookingDetails with any entities we may have found in the response.
-            userinfo.visa_type = visa_type;
+    /**
+     * Starts the dialog that answers a recognized question, e.g. the booking dialog to collect the details it needs.
+     * @param {WaterfallStepContext} stepContext
+     * @param {*} question the recognized { type, visa_type, work_type, occupation_status }
+     * @param {UserProfile} profile
+     */
+    async routeQuestion(stepContext, question, profile) {
+        const userinfo = {};
+        switch (question.type) {
+        case 'eligibility': {
+            // Initialize the user info with any entities we may have found in the response.
+            userinfo.type = 'eligibility';
+            userinfo.visa_type = question.visa_type;
+            userinfo.work_type = question.work_type;
+            userinfo.occupation_status = question.occupation_status;
+
+            // Run the BookingDialog passing in whatever details we have from the LUIS call and the user's profile,
+            // it will fill out the remainder.
+            return await stepContext.beginDialog('bookingDialog', this.applyProfile(userinfo, profile));
+        }
+        case 'procedure_auth': {
+            // Initialize the user info with any entities we may have found in the response.
             userinfo.type = 'procedure_auth';
-            console.log(userinfo);
-            console.log('LUIS extracted these details:', JSON.stringify(userinfo));
+            userinfo.visa_type = question.visa_type;
+            userinfo.work_type = question.work_type;
 
-            // Run the BookingDialog passing in whatever details we have from the LUIS call, it will fill out the remainder.
-            return await stepContext.beginDialog('bookingDialog', userinfo);
+            // Run the BookingDialog passing in whatever details we have from the LUIS call and the user's profile,
+            // it will fill out the remainder.
+            return await stepContext.beginDialog('bookingDialog', this.applyProfile(userinfo, profile));
         }
         case 'visa_information': {
-            // eslint-disable-next-line camelcase
-            const visa_type = this.luisRecognizer.getVisaTypeEntities(luisResult);
-            const work_type = this.luisRecognizer.getWorkTypeEntities(luisResult);
-            // console.log(visa_type)
-
-            // await this.showWarningForUnsupportedCities(stepContext.context, visa_type, work_type);
-
-            // Initialize BookingDetails with any entities we may have found in the response.
+            // Initialize the user info with any entities we may have found in the response.
             userinfo.type = 'visa_information';
-            userinfo.visa_type = visa_type;
-            userinfo.work_type = work_type;
-            console.log(userinfo);
-            console.log('LUIS extracted these details:', JSON.stringify(userinfo));
+            userinfo.visa_type = question.visa_type;
+            userinfo.work_type = question.work_type;
 
-            // Run the BookingDialog passing in whatever details we have from the LUIS call, it will fill out the remainder.
-            return await stepContext.beginDialog('bookingDialog', userinfo);
+            // Run the BookingDialog passing in whatever details we have from the LUIS call and the user's profile,
+            // it will fill out the remainder.
+            return await stepContext.beginDialog('bookingDialog', this.applyProfile(userinfo, profile));
         }
-
-        case 'BookFlight': {
-            // Extract the values for the composite entities from the LUIS result.
-            const fromEntities = this.luisRecognizer.getFromEntities(luisResult);
-            const toEntities = this.luisRecognizer.getToEntities(luisResult);
-
-            // Show a warning for Origin and Destination if we can't resolve them.
-            await this.showWarningForUnsupportedCities(stepContext.context, fromEntities, toEntities);
-
-            // Initialize BookingDetails with any entities we may have found in the response.
-            bookingDetails.destination = toEntities.airport;
-            bookingDetails.origin = fromEntities.airport;
-            bookingDetails.travelDate = this.luisRecognizer.getTravelDate(luisResult);
-            console.log('LUIS extracted these booking details:', JSON.stringify(bookingDetails));
-
-            // Run the BookingDialog passing in whatever details we have from the LUIS call, it will fill out the remainder.
-            return await stepContext.beginDialog('bookingDialog', bookingDetails);
+        case 'timeline': {
+            // Dates the user gave before are reused, the timeline dialog asks for the missing ones.
+            userinfo.type = 'timeline';
+            userinfo.work_type = question.work_type;
+            userinfo.programStartDate = profile.programStartDate;
+            userinfo.programEndDate = profile.programEndDate;
+            userinfo.optStartDate = profile.optStartDate;
+            return await stepContext.beginDialog(TIMELINE_DIALOG, userinfo);
         }
-
-        case 'GetWeather': {
-            // We haven't implemented the GetWeatherDialog so we just display a TODO message.
-            const getWeatherMessageText = 'TODO: get weather flow here';
-            await stepContext.context.sendActivity(getWeatherMessageText, getWeatherMessageText, InputHints.IgnoringInput);
-            break;
+        case 'unemployment': {
+            // A question about STEM OPT says which limit applies, otherwise the profile may know it.
+            const workType = question.work_type;
+            userinfo.type = 'unemployment';
+            userinfo.optStartDate = profile.optStartDate;
+            userinfo.workAuthorization = workType === 'opt' || workType === 'stem_opt' ? workType : profile.workAuthorization;
+            userinfo.employmentPeriods = profile.employmentPeriods;
+            return await stepContext.beginDialog(UNEMPLOYMENT_DIALOG, userinfo);
         }
 
         default: {
-            // Catch all for unhandled intents
-            const didntUnderstandMessageText = `Sorry, I didn't get that. Please try asking in a different way (intent was ${ LuisRecognizer.topIntent(luisResult) })`;
-            await stepContext.context.sendActivity(didntUnderstandMessageText, didntUnderstandMessageText, InputHints.IgnoringInput);
+            // Catch all for unhandled intents: the FAQ documents may still have a passage about the question.
+            const match = this.knowledgeBase.faq.search(stepContext.context.activity.text);
+            if (match) {
+                await trackEvent(stepContext.context, 'answerServed', {
+                    source: 'faq',
+                    document: match.document,
+                    heading: match.heading,
+                    confidence: match.confidence
+                });
+                await this.logUnanswered(stepContext, 'faq', { faq: `${ match.document }#${ match.heading }`, confidence: match.confidence });
+                const faqMessageText = localize(stepContext.context, 'mainDialog.faqAnswer', {
+                    source: `${ match.title } > ${ match.heading }`,
+                    passage: match.text,
+                    confidence: Math.round(match.confidence * 100)
+                });
+                await stepContext.context.sendActivity(faqMessageText, faqMessageText, InputHints.IgnoringInput);
+            } else {
+                await trackEvent(stepContext.context, 'questionNotUnderstood', { intent: question.type, text: stepContext.context.activity.text });
+                await this.logUnanswered(stepContext, 'notUnderstood');
+                const didntUnderstandMessageText = localize(stepContext.context, 'mainDialog.didntUnderstand');
+                await stepContext.context.sendActivity(didntUnderstandMessageText, didntUnderstandMessageText, InputHints.IgnoringInput);
+            }
         }
         }
 
@@ -176,93 +311,154 @@ class MainDialog extends ComponentDialog {
     }
 
     /**
-     * Shows a warning if the requested From or To cities are recognized as entities but they are not in the Airport entity list.
-     * In some cases LUIS will recognize the From and To composite entities as a valid cities but the From and To Airport values
-     * will be empty if those entity values can't be mapped to a canonical item in the Airport.
+     * Eligibility questions about a work type with rules are answered by the rules engine rather than the knowledge base.
+     * Facts the user told us before, like whether their degree is STEM designated, are passed on so they aren't asked again.
      */
-    async showWarningForUnsupportedCities(context, fromEntities, toEntities) {
-        const unsupportedCities = [];
-        if (fromEntities.from && !fromEntities.airport) {
-            unsupportedCities.push(fromEntities.from);
-        }
-
-        if (toEntities.to && !toEntities.airport) {
-            unsupportedCities.push(toEntities.to);
-        }
-
-        if (unsupportedCities.length) {
-            const messageText = `Sorry but the following airports are not supported: ${ unsupportedCities.join(', ') }`;
-            await context.sendActivity(messageText, messageText, InputHints.IgnoringInput);
+    async eligibilityStep(stepContext) {
+        const result = stepContext.result;
+        if (result && result.type === 'eligibility' && this.rulesEngine.hasRules(result.work_type)) {
+            const profile = await this.userProfileAccessor.get(stepContext.context, new UserProfile());
+            result.facts = {};
+            this.rememberedFacts().forEach(fact => {
+                if (profile[fact.id] !== undefined) result.facts[fact.id] = profile[fact.id];
+            });
+            return await stepContext.beginDialog(ELIGIBILITY_DIALOG, result);
         }
+        return await stepContext.next(result);
     }
 
     /**
-     * This is the final step in the main waterfall dialog.
-     * It wraps up the sample "book a flight" interaction with a simple confirmation.
+     * Questions about applying for a work authorization with a document checklist are answered, then the checklist
+     * is shown with the items the user ticked off before, so they can keep ticking them off across conversations.
      */
-
-    messagefunc (visa_type, work_type) {
-        if(visa_type =='f1'){
-            if(work_type == "on campus"){
-                return "On-campus employment must meet one of the following definitions: \nThe employment takes place on school premises and the employee (student) is paid by the university for the work. Examples include GSI/GSR positions or jobs at dining halls, campus libraries, etc. This is the most common type of on-campus employment. \nThe employment takes place at a commercial firm (e.g., bookstore, coffee shop) that is located on the university floor campus and provides services for students on campus. \nThe employment takes place at an off-campus location that is educationally affiliated with UC Berkeley. The affiliation must be associated with the school's established curriculum or related to contractually-funded research projects at the post-graduate level. The employment must be an integral part of the student's educational program."
-            }
-            else if(work_type == "cpt"){
-                return "Speak to a student advisor at your university to find out more about the CPT programs available at your institution, the eligibility requirements, and potential employers. If you’re not yet an international student in the US consider going through a program like HTIR Work-Study.\nTake any college required CPT courses necessary to become an eligible candidate.\nObtain a job offer letter on official letterhead from your employer. Universities typically have a list of specific information this letter should include, like the address where work will take place.\nApply for the college-specific CPT program through your university. Note that authorization can take a few weeks, so plan ahead. Before beginning the application process make sure you have all requested documentation such as proof of class registration.\nYou will receive a document (physical or by email) approving your application and outlining your CPT start and end date. Print, sign and make a copy of this document where required.\nTalk to your employer and send relevant documentation where required.\nStart the CPT program with your employer on the outlined start date."
-            }
-            else if (work_type == "opt"){
-                return "Confirm your 12-month OPT information is correct\nComplete and submit your STEM OPT Extension I-20 Request to ISS \nPick up New I-20 and prepare your application\nMail your application to USCIS.";
-            }
-        } else if (visa_type == 'j1') {
-            if(work_type == "on campus"){
-                return "You must obtain written approval from the program sponsor (BIO) before beginning any type of on-campus employment. Check out https://internationaloffice.berkeley.edu/students/employment/oncampus for more information"
-            }
-            else if(work_type == "academic training"){
-                return "Academic Training is a type of off-campus work authorization for employment in a J-1 student's field of study. Check out more information at: https://internationaloffice.berkeley.edu/students/employment/at"
-            }
-            else if(work_type == "cpt"){
-                return "J1 students aren't allowed to get CPT training."
-            }
-            else if (work_type == "opt"){
-                return "J1 students aren't allowed to get OPT training."
-            }
-            else {
-                return "More information coming soon!"
-            }
-        }
-        else{
-            return "More information regarding the " + visa_type + " work authorization rules coming soon! Thanks!"
+    async checklistStep(stepContext) {
+        const result = stepContext.result;
+        const checklist = result && result.type === 'procedure_auth' && findChecklist(this.knowledgeBase.checklists, result.visa_type, result.work_type);
+        if (checklist) {
+            await this.sendAnswer(stepContext, result);
+            const profile = await this.userProfileAccessor.get(stepContext.context, new UserProfile());
+            result.checklistId = checklist.id;
+            result.checkedItems = (profile.checklists || {})[checklist.id];
+            return await stepContext.beginDialog(CHECKLIST_DIALOG, result);
         }
+        return await stepContext.next(result);
     }
 
+    /**
+     * This is the final step in the main waterfall dialog.
+     * It answers the question using the knowledge base and restarts the main dialog with the question's topic,
+     * or the last topic when nothing was answered, for the next question to follow up on, and the answer for feedback.
+     * Answers are sent as a card with the steps and sources, and suggest the answer's follow-up questions.
+     * The answer is in the language of the turn when the knowledge base has a translation for it, otherwise in English.
+     */
     async finalStep(stepContext) {
         // If the child dialog ("bookingDialog") was cancelled or the user failed to confirm, the Result here will be null.
-        if (stepContext.result) {
-            const result = stepContext.result;
-            // Now we have all the booking details.
-
-            // This is where calls to the booking AOU service or database would go.
-
-            // If the call to the booking service was successful tell the user.
-            const timeProperty = new TimexProperty(result.travelDate);
-            const travelDateMsg = timeProperty.toNaturalLanguage(new Date(Date.now()));
-            let msg = "";
-            console.log("result:",result);
-            if (result["type"] == 'eligibility') {
-                msg = this.messagefunc(result.visa_type.visa_type, result.work_type.work_type);
-            } else if (result["type"] == "visa_information") {
-                msg = this.messagefunc(result.visa_type.visa_type, result.work_type.work_type);
-            } else if (result["type"] == "procedure_auth") {
-                msg = this.messagefunc(result.visa_type.visa_type, result.work_type);
-            } else {
-                msg = "Something is wrong";
-            }
-            console.log(msg);
-            // const msg = `I have you booked to ${ result.destination } from ${ result.origin } on ${ travelDateMsg }.`;
-            await stepContext.context.sendActivity(msg, msg, InputHints.IgnoringInput);
+        const result = stepContext.result;
+        if (result && (result.type === 'timeline' || result.type === 'unemployment' || result.eligibility || result.checklistId)) {
+            // The timeline, unemployment, eligibility and checklist dialogs have already replied.
+            await this.saveProfile(stepContext.context, result);
+        } else if (result) {
+            await this.sendAnswer(stepContext, result);
+
+            // Remember the confirmed details so the next question doesn't ask for them again.
+            await this.saveProfile(stepContext.context, result);
         }
 
         // Restart the main dialog with a different message the second time around
-        return await stepContext.replaceDialog(this.initialDialogId, { restartMsg: 'What else can I do for you?' });
+        return await stepContext.replaceDialog(this.initialDialogId, {
+            restartMsg: localize(stepContext.context, 'mainDialog.restart'),
+            topic: createTopic(result) || stepContext.options.topic,
+            lastAnswer: stepContext.values.answer
+        });
+    }
+
+    /**
+     * Answers the question using the knowledge base, as a card with the steps and sources that suggests the answer's follow-up questions.
+     * Found answers can be rated with feedback buttons; questions the knowledge base has no answer for are logged as unanswered.
+     */
+    async sendAnswer(stepContext, result) {
+        const context = stepContext.context;
+        const locale = getLocale(context);
+        const answer = this.knowledgeBase.forLocale(locale).lookup({
+            intent: result.type,
+            visaType: result.visa_type,
+            workType: result.work_type
+        });
+        await trackEvent(context, 'answerServed', {
+            source: 'knowledgeBase',
+            answerKey: answer.key,
+            found: answer.found,
+            intent: result.type,
+            visaType: result.visa_type,
+            workType: result.work_type
+        });
+        if (answer.found) {
+            stepContext.values.answer = { key: answer.key, intent: answer.intent, visaType: answer.visaType, workType: answer.workType };
+        } else {
+            await this.logUnanswered(stepContext, 'missingAnswer', { answerKey: answer.key || null });
+        }
+        const suggestions = answer.found ? answer.followUps.concat(feedbackActions(locale)) : answer.followUps;
+        await context.sendActivity(createCardMessage(context.activity.channelId,
+            createAnswerCard(answer, locale), describeAnswer(answer, locale), suggestions));
+    }
+
+    /**
+     * Appends the question of this waterfall to the unanswered log, when there is one, with what was recognized and why
+     * it went unanswered: 'notUnderstood', 'faq' when only an FAQ passage matched, or 'missingAnswer' when the knowledge
+     * base has no answer for it. Personal details in the text are redacted. See scripts/unanswered.js to review the log.
+     * @param {WaterfallStepContext} stepContext
+     * @param {string} reason
+     * @param {*} details optional, added to the record
+     */
+    async logUnanswered(stepContext, reason, details) {
+        const question = stepContext.values.question;
+        if (!this.unansweredLog || !question) return;
+        await this.unansweredLog.append(Object.assign({
+            timestamp: new Date().toISOString(),
+            locale: getLocale(stepContext.context),
+            reason: reason,
+            text: redact(question.text),
+            intent: question.intent,
+            score: question.score,
+            entities: question.entities
+        }, details));
+    }
+
+    /**
+     * Fills the details the question didn't mention from the user's profile.
+     * Details recognized in the question always win, so "what about J-1?" asks about J-1 even for an F-1 student.
+     */
+    applyProfile(userinfo, profile) {
+        if (!userinfo.visa_type) userinfo.visa_type = profile.visaType;
+        if (userinfo.type === 'eligibility' && !userinfo.occupation_status) userinfo.occupation_status = profile.occupationStatus;
+        return userinfo;
+    }
+
+    /**
+     * Writes the details confirmed in the booking dialog, the dates and jobs given to the timeline and
+     * unemployment dialogs, the ticked off checklist items and the remembered eligibility facts to the user's profile.
+     */
+    async saveProfile(context, userinfo) {
+        const profile = await this.userProfileAccessor.get(context, new UserProfile());
+        if (userinfo.visa_type) profile.visaType = userinfo.visa_type;
+        if (userinfo.occupation_status) profile.occupationStatus = userinfo.occupation_status;
+        if (userinfo.programStartDate) profile.programStartDate = userinfo.programStartDate;
+        if (userinfo.programEndDate) profile.programEndDate = userinfo.programEndDate;
+        if (userinfo.optStartDate) profile.optStartDate = userinfo.optStartDate;
+        if (userinfo.workAuthorization) profile.workAuthorization = userinfo.workAuthorization;
+        if (userinfo.employmentPeriods) profile.employmentPeriods = userinfo.employmentPeriods;
+        if (userinfo.checklistId) profile.checklists = Object.assign({}, profile.checklists, { [userinfo.checklistId]: userinfo.checkedItems });
+        this.rememberedFacts().forEach(fact => {
+            if (userinfo.facts && userinfo.facts[fact.id] !== undefined) profile[fact.id] = userinfo.facts[fact.id];
+        });
+        await this.userProfileAccessor.set(context, profile);
+    }
+
+    /**
+     * Eligibility facts marked `remember` in rules.json; they are stored in the profile under the fact id.
+     */
+    rememberedFacts() {
+        return this.knowledgeBase.rules.facts.filter(fact => fact.remember);
     }
 }
 
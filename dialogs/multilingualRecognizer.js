@@ -0,0 +1,39 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { DEFAULT_LOCALE, getLocale } = require('../localization');
+const { FlightBookingRecognizer } = require('./flightBookingRecognizer');
+
+/**
+ * Sends each question to the recognizer of the turn's locale, e.g. a LUIS app trained in Korean or an
+ * OfflineRecognizer over the Korean knowledge base, and to the English one for other locales.
+ * Every recognizer resolves entities to the same canonical ids, so the entity helpers use the English knowledge base.
+ */
+class MultilingualRecognizer extends FlightBookingRecognizer {
+    /**
+     * @param {{ [locale: string]: FlightBookingRecognizer }} recognizers must include 'en'
+     */
+    constructor(recognizers) {
+        if (!recognizers || !recognizers[DEFAULT_LOCALE]) throw new Error(`[MultilingualRecognizer]: Missing parameter 'recognizers.${ DEFAULT_LOCALE }' is required`);
+        super(undefined, recognizers[DEFAULT_LOCALE].knowledgeBase);
+        this.recognizers = recognizers;
+    }
+
+    get isConfigured() {
+        return this.recognizers[DEFAULT_LOCALE].isConfigured;
+    }
+
+    /**
+     * Returns the locale's recognizer, falling back to English.
+     * @param {string} locale
+     */
+    forLocale(locale) {
+        return this.recognizers[locale] || this.recognizers[DEFAULT_LOCALE];
+    }
+
+    async executeLuisQuery(context) {
+        return await this.forLocale(getLocale(context)).executeLuisQuery(context);
+    }
+}
+
+module.exports.MultilingualRecognizer = MultilingualRecognizer;
@@ -0,0 +1,72 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { ENTITY_CATEGORIES, FlightBookingRecognizer } = require('./flightBookingRecognizer');
+
+/**
+ * A rule-based stand-in for FlightBookingRecognizer that needs no LUIS app.
+ * Intents are classified from the intent keywords in the knowledge base vocabulary and entities are
+ * extracted from the vocabulary synonyms. Results have the same shape as LuisRecognizer results
+ * (list entities resolve to canonical ids), so the entity helpers of FlightBookingRecognizer work on them unchanged.
+ */
+class OfflineRecognizer extends FlightBookingRecognizer {
+    constructor(knowledgeBase) {
+        super(undefined, knowledgeBase);
+    }
+
+    get isConfigured() {
+        return true;
+    }
+
+    /**
+     * Returns an object with preformatted results for the bot's dialogs to consume.
+     * @param {TurnContext} context
+     */
+    async executeLuisQuery(context) {
+        return this.recognize(context.activity.text);
+    }
+
+    recognize(text) {
+        const entities = { $instance: {} };
+        Object.keys(ENTITY_CATEGORIES).forEach(name => {
+            const mentions = this.knowledgeBase.findMentions(ENTITY_CATEGORIES[name], text);
+            if (mentions.length) {
+                entities[name] = mentions.map(m => [m.id]);
+                entities.$instance[name] = mentions.map(m => ({
+                    startIndex: m.startIndex,
+                    endIndex: m.endIndex,
+                    text: m.text,
+                    type: name
+                }));
+            }
+        });
+
+        return { text: text, intents: this.classify(text, entities), entities: entities };
+    }
+
+    /**
+     * Scores each intent by its share of the keyword hits in the text.
+     * Without any keyword a question that still names a visa or work type is treated as visa_information.
+     */
+    classify(text, entities) {
+        const hits = {};
+        this.knowledgeBase.findMentions('intents', text).forEach(m => {
+            hits[m.id] = (hits[m.id] || 0) + 1;
+        });
+
+        const total = Object.values(hits).reduce((sum, count) => sum + count, 0);
+        if (!total) {
+            return entities.visa_type || entities.work_type
+                ? { visa_information: { score: 0.5 } }
+                : { None: { score: 1 } };
+        }
+
+        const intents = {};
+        Object.keys(hits).forEach(id => {
+            intents[id] = { score: hits[id] / total };
+        });
+        return intents;
+    }
+}
+
+module.exports.OfflineRecognizer = OfflineRecognizer;
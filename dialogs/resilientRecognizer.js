@@ -0,0 +1,68 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { CircuitBreaker } = require('../errors');
+const { trackEvent } = require('../telemetry');
+const { FlightBookingRecognizer } = require('./flightBookingRecognizer');
+
+/**
+ * Keeps the bot answering when LUIS doesn't: when the recognizer fails, e.g. a RetryingRecognizer that ran out of
+ * retries or timed out, the question is classified by the fallback recognizer instead, usually an OfflineRecognizer.
+ * Once the recognizer has failed `failureThreshold` times in a row, a circuit breaker skips it and goes straight to the
+ * fallback, until a trial call after `resetTimeoutMs` succeeds.
+ * Every fallback is tracked as a 'recognizerFallback' event, and every change of the circuit as a 'recognizerCircuit' event.
+ */
+class ResilientRecognizer extends FlightBookingRecognizer {
+    /**
+     * @param {FlightBookingRecognizer} recognizer
+     * @param {FlightBookingRecognizer} fallbackRecognizer
+     * @param {{ failureThreshold: number, resetTimeoutMs: number, now: Function }} options optional, see CircuitBreaker
+     */
+    constructor(recognizer, fallbackRecognizer, options) {
+        if (!recognizer) throw new Error('[ResilientRecognizer]: Missing parameter \'recognizer\' is required');
+        if (!fallbackRecognizer) throw new Error('[ResilientRecognizer]: Missing parameter \'fallbackRecognizer\' is required');
+        super(undefined, recognizer.knowledgeBase);
+        this.innerRecognizer = recognizer;
+        this.fallbackRecognizer = fallbackRecognizer;
+        this.circuitBreaker = new CircuitBreaker(options);
+    }
+
+    get isConfigured() {
+        return this.innerRecognizer.isConfigured;
+    }
+
+    async executeLuisQuery(context) {
+        if (!this.circuitBreaker.canRequest()) {
+            return await this.fallBack(context, { reason: 'circuitOpen' });
+        }
+
+        let result;
+        try {
+            result = await this.innerRecognizer.executeLuisQuery(context);
+        } catch (err) {
+            await this.recordOutcome(context, () => this.circuitBreaker.recordFailure());
+            const cause = err.cause || err;
+            return await this.fallBack(context, { reason: 'recognizerFailed', errorName: cause.name, errorCode: cause.code, statusCode: cause.statusCode });
+        }
+        await this.recordOutcome(context, () => this.circuitBreaker.recordSuccess());
+        return result;
+    }
+
+    async fallBack(context, properties) {
+        await trackEvent(context, 'recognizerFallback', properties);
+        return await this.fallbackRecognizer.executeLuisQuery(context);
+    }
+
+    /**
+     * Records the outcome of a call and tracks the change of the circuit's state, if any.
+     */
+    async recordOutcome(context, record) {
+        const previousState = this.circuitBreaker.state;
+        record();
+        if (this.circuitBreaker.state !== previousState) {
+            await trackEvent(context, 'recognizerCircuit', { state: this.circuitBreaker.state, previousState: previousState, failures: this.circuitBreaker.failures });
+        }
+    }
+}
+
+module.exports.ResilientRecognizer = ResilientRecognizer;
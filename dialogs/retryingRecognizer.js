@@ -0,0 +1,44 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { RecognizerError, isTransientError, withRetry, withTimeout } = require('../errors');
+const { trackEvent } = require('../telemetry');
+const { FlightBookingRecognizer } = require('./flightBookingRecognizer');
+
+/**
+ * Retries the calls of another recognizer, e.g. a LUIS app, with exponential backoff when they fail with a network
+ * error, throttling, a server error or a timeout (see isTransientError()). Every retry is tracked as a 'recognizerRetry' event.
+ * When the recognizer still fails, or fails in a way retrying can't fix, a RecognizerError is thrown so the turn
+ * error handler can tell the user the question couldn't be understood rather than that the bot is broken.
+ */
+class RetryingRecognizer extends FlightBookingRecognizer {
+    /**
+     * @param {FlightBookingRecognizer} recognizer
+     * @param {{ timeoutMs: number, retries: number, baseDelayMs: number, maxDelayMs: number }} options optional.
+     * timeoutMs limits every attempt, and is unlimited by default; see withRetry() for the others.
+     */
+    constructor(recognizer, options) {
+        if (!recognizer) throw new Error('[RetryingRecognizer]: Missing parameter \'recognizer\' is required');
+        super(undefined, recognizer.knowledgeBase);
+        this.innerRecognizer = recognizer;
+        this.options = options || {};
+    }
+
+    get isConfigured() {
+        return this.innerRecognizer.isConfigured;
+    }
+
+    async executeLuisQuery(context) {
+        try {
+            const recognize = () => withTimeout(this.innerRecognizer.executeLuisQuery(context), this.options.timeoutMs, `The recognizer didn't answer within ${ this.options.timeoutMs } ms`);
+            return await withRetry(recognize, Object.assign({}, this.options, {
+                shouldRetry: isTransientError,
+                onRetry: (err, attempt, delayMs) => trackEvent(context, 'recognizerRetry', { attempt: attempt + 1, delayMs: delayMs, errorName: err.name, errorCode: err.code })
+            }));
+        } catch (err) {
+            throw new RecognizerError(`[RetryingRecognizer]: The recognizer failed: ${ err.message }`, err);
+        }
+    }
+}
+
+module.exports.RetryingRecognizer = RetryingRecognizer;
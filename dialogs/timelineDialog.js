@@ -0,0 +1,87 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { InputHints } = require('botbuilder');
+const { WaterfallDialog } = require('botbuilder-dialogs');
+const { CancelAndHelpDialog } = require('./cancelAndHelpDialog');
+const { DateResolverDialog } = require('./dateResolverDialog');
+const { today } = require('../immigration/dates');
+const { computeTimeline, describeTimeline } = require('../immigration/timeline');
+const { getLocale, localize } = require('../localization');
+
+const DATE_RESOLVER_DIALOG = 'dateResolverDialog';
+const WATERFALL_DIALOG = 'waterfallDialog';
+
+/**
+ * Replies with the OPT filing window, grace period, unemployment limits and STEM OPT extension deadline.
+ * The program start and end dates are asked for unless they are passed in `programStartDate` and `programEndDate`;
+ * the start date tells when the first academic year ends. The OPT start date is only needed
+ * for the STEM extension, so it is asked for when the question is about `stem_opt` and not passed in `optStartDate`.
+ * Ends with the options and the dates it collected, so they can be remembered.
+ */
+class TimelineDialog extends CancelAndHelpDialog {
+    constructor(id) {
+        super(id || 'timelineDialog');
+
+        this.addDialog(new DateResolverDialog(DATE_RESOLVER_DIALOG))
+            .addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
+                this.programStartDateStep.bind(this),
+                this.programEndDateStep.bind(this),
+                this.optStartDateStep.bind(this),
+                this.finalStep.bind(this)
+            ]));
+
+        this.initialDialogId = WATERFALL_DIALOG;
+    }
+
+    async programStartDateStep(stepContext) {
+        const userinfo = stepContext.options;
+
+        if (!userinfo.programStartDate) {
+            return await stepContext.beginDialog(DATE_RESOLVER_DIALOG, {
+                prompt: localize(stepContext.context, 'timelineDialog.programStartDatePrompt'),
+                help: localize(stepContext.context, 'timelineDialog.programStartDateHelp')
+            });
+        }
+        return await stepContext.next(userinfo.programStartDate);
+    }
+
+    async programEndDateStep(stepContext) {
+        const userinfo = stepContext.options;
+        userinfo.programStartDate = stepContext.result;
+
+        if (!userinfo.programEndDate) {
+            return await stepContext.beginDialog(DATE_RESOLVER_DIALOG, {
+                prompt: localize(stepContext.context, 'timelineDialog.programEndDatePrompt'),
+                help: localize(stepContext.context, 'timelineDialog.programEndDateHelp')
+            });
+        }
+        return await stepContext.next(userinfo.programEndDate);
+    }
+
+    async optStartDateStep(stepContext) {
+        const userinfo = stepContext.options;
+        userinfo.programEndDate = stepContext.result;
+
+        if (userinfo.work_type === 'stem_opt' && !userinfo.optStartDate) {
+            return await stepContext.beginDialog(DATE_RESOLVER_DIALOG, {
+                prompt: localize(stepContext.context, 'timelineDialog.optStartDatePrompt'),
+                help: localize(stepContext.context, 'timelineDialog.optStartDateHelp')
+            });
+        }
+        return await stepContext.next(userinfo.optStartDate);
+    }
+
+    async finalStep(stepContext) {
+        const userinfo = stepContext.options;
+        userinfo.optStartDate = stepContext.result;
+
+        const timeline = computeTimeline({ programStartDate: userinfo.programStartDate, programEndDate: userinfo.programEndDate, optStartDate: userinfo.optStartDate });
+        const messageText = describeTimeline(timeline, today(), getLocale(stepContext.context));
+        await stepContext.context.sendActivity(messageText, messageText, InputHints.IgnoringInput);
+
+        return await stepContext.endDialog(userinfo);
+    }
+}
+
+module.exports.TimelineDialog = TimelineDialog;
@@ -0,0 +1,173 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { InputHints, MessageFactory } = require('botbuilder');
+const { ChoicePrompt, ListStyle, WaterfallDialog } = require('botbuilder-dialogs');
+const { CancelAndHelpDialog } = require('./cancelAndHelpDialog');
+const { DateResolverDialog } = require('./dateResolverDialog');
+const { daysBetween, today } = require('../immigration/dates');
+const { computeUnemployment, describeUnemployment } = require('../immigration/unemployment');
+const { getLocale, localize } = require('../localization');
+
+const ACTION_PROMPT = 'actionPrompt';
+const DATE_RESOLVER_DIALOG = 'dateResolverDialog';
+const STILL_WORKING_PROMPT = 'stillWorkingPrompt';
+const WORK_AUTHORIZATION_PROMPT = 'workAuthorizationPrompt';
+const WATERFALL_DIALOG = 'waterfallDialog';
+
+// The work authorizations with an unemployment limit, by knowledge base work type id, and their unemploymentDialog.* string.
+const WORK_AUTHORIZATIONS = [
+    { id: 'opt', name: 'opt' },
+    { id: 'stem_opt', name: 'stemOpt' }
+];
+
+// The choices of the prompts, in order; their names and synonyms are the unemploymentDialog.* strings.
+const ACTIONS = ['logJob', 'removeJobs', 'done'];
+const YES_NO = ['yes', 'no'];
+
+/**
+ * Tracks the unemployment days of OPT and STEM OPT students.
+ * Options: `optStartDate`, `workAuthorization` ('opt' or 'stem_opt') and `employmentPeriods`
+ * ([{ startDate, endDate }], endDate is missing for ongoing jobs). Missing details are asked for, then the bot
+ * shows the days used and left and lets the user log jobs until they are done.
+ * Ends with the options, including the jobs that were logged, so they can be remembered.
+ */
+class UnemploymentDialog extends CancelAndHelpDialog {
+    constructor(id) {
+        super(id || 'unemploymentDialog');
+
+        this.addDialog(new DateResolverDialog(DATE_RESOLVER_DIALOG))
+            .addDialog(new ChoicePrompt(WORK_AUTHORIZATION_PROMPT))
+            .addDialog(new ChoicePrompt(ACTION_PROMPT))
+            .addDialog(new ChoicePrompt(STILL_WORKING_PROMPT))
+            .addDialog(new WaterfallDialog(WATERFALL_DIALOG, [
+                this.optStartDateStep.bind(this),
+                this.workAuthorizationStep.bind(this),
+                this.summaryStep.bind(this),
+                this.actionStep.bind(this),
+                this.stillWorkingStep.bind(this),
+                this.jobEndDateStep.bind(this),
+                this.logJobStep.bind(this)
+            ]));
+
+        this.initialDialogId = WATERFALL_DIALOG;
+    }
+
+    async optStartDateStep(stepContext) {
+        const userinfo = stepContext.options;
+        userinfo.employmentPeriods = userinfo.employmentPeriods || [];
+
+        if (!userinfo.optStartDate) {
+            return await stepContext.beginDialog(DATE_RESOLVER_DIALOG, {
+                prompt: localize(stepContext.context, 'unemploymentDialog.optStartDatePrompt'),
+                help: localize(stepContext.context, 'unemploymentDialog.optStartDateHelp')
+            });
+        }
+        return await stepContext.next(userinfo.optStartDate);
+    }
+
+    async workAuthorizationStep(stepContext) {
+        const userinfo = stepContext.options;
+        userinfo.optStartDate = stepContext.result;
+
+        if (!WORK_AUTHORIZATIONS.some(workAuthorization => workAuthorization.id === userinfo.workAuthorization)) {
+            return await stepContext.prompt(WORK_AUTHORIZATION_PROMPT, this.choicePromptOptions(stepContext.context, 'workAuthorization',
+                WORK_AUTHORIZATIONS.map(workAuthorization => workAuthorization.name), 'choiceRetry'));
+        }
+        return await stepContext.next();
+    }
+
+    /**
+     * Shows the unemployment days used and left, then asks what to do next.
+     */
+    async summaryStep(stepContext) {
+        const userinfo = stepContext.options;
+        if (stepContext.result) {
+            userinfo.workAuthorization = WORK_AUTHORIZATIONS[stepContext.result.index].id;
+        }
+
+        const asOf = today();
+        const status = computeUnemployment({
+            optStartDate: userinfo.optStartDate,
+            periods: userinfo.employmentPeriods,
+            stemExtension: userinfo.workAuthorization === 'stem_opt',
+            asOf: asOf
+        });
+        const messageText = describeUnemployment(status, userinfo.employmentPeriods, asOf, getLocale(stepContext.context));
+        await stepContext.context.sendActivity(messageText, messageText, InputHints.IgnoringInput);
+
+        return await stepContext.prompt(ACTION_PROMPT, this.choicePromptOptions(stepContext.context, 'action', ACTIONS, 'choiceRetry'));
+    }
+
+    async actionStep(stepContext) {
+        const userinfo = stepContext.options;
+
+        switch (ACTIONS[stepContext.result.index]) {
+        case 'logJob':
+            return await stepContext.beginDialog(DATE_RESOLVER_DIALOG, {
+                prompt: localize(stepContext.context, 'unemploymentDialog.jobStartDatePrompt'),
+                help: localize(stepContext.context, 'unemploymentDialog.jobStartDateHelp')
+            });
+        case 'removeJobs': {
+            userinfo.employmentPeriods = [];
+            const messageText = localize(stepContext.context, 'unemploymentDialog.jobsRemoved');
+            await stepContext.context.sendActivity(messageText, messageText, InputHints.IgnoringInput);
+            return await stepContext.replaceDialog(WATERFALL_DIALOG, userinfo);
+        }
+        default:
+            return await stepContext.endDialog(userinfo);
+        }
+    }
+
+    async stillWorkingStep(stepContext) {
+        stepContext.values.startDate = stepContext.result;
+
+        return await stepContext.prompt(STILL_WORKING_PROMPT, this.choicePromptOptions(stepContext.context, 'stillWorking', YES_NO, 'stillWorkingRetry'));
+    }
+
+    async jobEndDateStep(stepContext) {
+        if (YES_NO[stepContext.result.index] === 'no') {
+            return await stepContext.beginDialog(DATE_RESOLVER_DIALOG, {
+                prompt: localize(stepContext.context, 'unemploymentDialog.jobEndDatePrompt'),
+                help: localize(stepContext.context, 'unemploymentDialog.jobEndDateHelp')
+            });
+        }
+        return await stepContext.next();
+    }
+
+    /**
+     * Logs the job and shows the summary again.
+     */
+    async logJobStep(stepContext) {
+        const userinfo = stepContext.options;
+        const job = { startDate: stepContext.values.startDate, endDate: stepContext.result };
+
+        if (job.endDate && daysBetween(job.startDate, job.endDate) < 0) {
+            const messageText = localize(stepContext.context, 'unemploymentDialog.jobEndsBeforeStart');
+            await stepContext.context.sendActivity(messageText, messageText, InputHints.IgnoringInput);
+        } else {
+            if (!job.endDate) delete job.endDate;
+            userinfo.employmentPeriods.push(job);
+        }
+
+        return await stepContext.replaceDialog(WATERFALL_DIALOG, userinfo);
+    }
+
+    /**
+     * Options of a choice prompt, from the unemploymentDialog.<name>Prompt and <name>Help strings.
+     * Every choice is the unemploymentDialog.<choice> string with its <choice>Synonyms.
+     */
+    choicePromptOptions(context, name, choices, retryName) {
+        const promptText = localize(context, `unemploymentDialog.${ name }Prompt`);
+        const retryPromptText = localize(context, `unemploymentDialog.${ retryName }`);
+        return {
+            prompt: MessageFactory.text(promptText, promptText, InputHints.ExpectingInput),
+            retryPrompt: MessageFactory.text(retryPromptText, retryPromptText, InputHints.ExpectingInput),
+            choices: choices.map(choice => ({ value: localize(context, `unemploymentDialog.${ choice }`), synonyms: localize(context, `unemploymentDialog.${ choice }Synonyms`) })),
+            style: ListStyle.suggestedAction,
+            help: localize(context, `unemploymentDialog.${ name }Help`)
+        };
+    }
+}
+
+module.exports.UnemploymentDialog = UnemploymentDialog;
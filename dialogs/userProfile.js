@@ -0,0 +1,102 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { checkedItems, getChecklist } = require('../immigration/checklists');
+const { LOCALE_NAMES, translate } = require('../localization');
+
+// Name of the UserState property that stores the profile.
+const USER_PROFILE_PROPERTY = 'userProfile';
+
+const SHOW_PROFILE_PATTERN = /^(what do you know about me|what do you remember about me|show (me )?my (profile|info|information|details)|my (profile|info|information|details))\??$/;
+const FORGET_PROFILE_PATTERN = /^(forget (me|my (profile|info|information|details)|everything|about me)|(delete|clear|erase|reset) my (profile|info|information|details|data))\.?$/;
+
+/**
+ * The immigration details we remember about a user across conversations.
+ * The profile is persisted in UserState as plain JSON, so keep it free of methods: use the functions below instead.
+ * Visa type, occupation status and work authorization hold canonical knowledge base ids; dates are 'YYYY-MM-DD' strings.
+ * Degree level and whether the degree is STEM designated are the remembered eligibility facts of rules.json.
+ * Employment periods are [{ startDate, endDate }], without an endDate for ongoing jobs.
+ * Checklists are the ids of the ticked off items by checklist id, e.g. { opt_i765: ['form_i765'] }.
+ * The last visit is the date the user last started a conversation, so returning users can be welcomed back.
+ * The locale is the language the user asked to talk in, e.g. 'es'; without it the channel's locale is used.
+ */
+class UserProfile {
+    constructor() {
+        this.visaType = undefined;
+        this.occupationStatus = undefined;
+        this.programStartDate = undefined;
+        this.programEndDate = undefined;
+        this.optStartDate = undefined;
+        this.degreeLevel = undefined;
+        this.stemDesignated = undefined;
+        this.workAuthorization = undefined;
+        this.employmentPeriods = undefined;
+        this.checklists = undefined;
+        this.lastVisit = undefined;
+        this.locale = undefined;
+    }
+}
+
+/**
+ * Returns 'show' or 'forget' when the text is a profile command, otherwise undefined.
+ * Besides the English phrases, the profile.*Commands phrases of the locale are recognized.
+ * @param {string} text
+ * @param {string} locale optional, defaults to English
+ */
+function getProfileCommand(text, locale) {
+    if (typeof text !== 'string') return undefined;
+    const normalized = text.trim().toLowerCase().replace(/\s+/g, ' ');
+    const phrase = normalized.replace(/^[¿¡]+|[.!?。！？]+$/g, '');
+    if (SHOW_PROFILE_PATTERN.test(normalized) || translate(locale, 'profile.showCommands').includes(phrase)) return 'show';
+    if (FORGET_PROFILE_PATTERN.test(normalized) || translate(locale, 'profile.forgetCommands').includes(phrase)) return 'forget';
+    return undefined;
+}
+
+/**
+ * The name of a remembered answer to a choice fact in the knowledge base's language, or the id when it isn't a choice anymore.
+ */
+function choiceName(knowledgeBase, factId, choiceId) {
+    const fact = knowledgeBase.rules.facts.find(f => f.id === factId);
+    const choice = fact && (fact.choices || []).find(c => c.id === choiceId);
+    return choice ? choice.name : choiceId;
+}
+
+/**
+ * Describes the profile as a bulleted list, or says we don't know anything yet.
+ * @param {UserProfile} profile
+ * @param {*} knowledgeBase the knowledge base in the same locale, see KnowledgeBase.forLocale()
+ * @param {string} locale optional, defaults to English
+ */
+function describeProfile(profile, knowledgeBase, locale) {
+    const line = (key, value) => translate(locale, `profile.${ key }`, { value: value });
+    const lines = [];
+    if (profile.visaType) lines.push(line('visaType', knowledgeBase.displayName('visaTypes', profile.visaType)));
+    if (profile.occupationStatus) lines.push(line('occupationStatus', knowledgeBase.displayName('occupationStatuses', profile.occupationStatus)));
+    if (profile.programStartDate) lines.push(line('programStartDate', profile.programStartDate));
+    if (profile.programEndDate) lines.push(line('programEndDate', profile.programEndDate));
+    if (profile.optStartDate) lines.push(line('optStartDate', profile.optStartDate));
+    if (profile.degreeLevel) lines.push(line('degreeLevel', choiceName(knowledgeBase, 'degreeLevel', profile.degreeLevel)));
+    if (profile.stemDesignated !== undefined) lines.push(line('stemDesignated', translate(locale, profile.stemDesignated ? 'profile.yes' : 'profile.no')));
+    if (profile.workAuthorization) lines.push(line('workAuthorization', knowledgeBase.displayName('workTypes', profile.workAuthorization)));
+    if (profile.employmentPeriods && profile.employmentPeriods.length) lines.push(line('employmentPeriods', profile.employmentPeriods.length));
+    Object.keys(profile.checklists || {}).forEach(id => {
+        const checklist = getChecklist(knowledgeBase.checklists, id);
+        if (!checklist) return;
+        lines.push(translate(locale, 'profile.checklist', {
+            title: checklist.title,
+            done: checkedItems(checklist, profile.checklists[id]).length,
+            total: checklist.items.length
+        }));
+    });
+    if (profile.locale && LOCALE_NAMES[profile.locale]) lines.push(line('language', LOCALE_NAMES[profile.locale]));
+
+    if (!lines.length) {
+        return translate(locale, 'profile.empty');
+    }
+    return translate(locale, 'profile.summary', { details: `- ${ lines.join('\n- ') }` });
+}
+
+module.exports.USER_PROFILE_PROPERTY = USER_PROFILE_PROPERTY;
+module.exports.UserProfile = UserProfile;
+module.exports.describeProfile = describeProfile;
+module.exports.getProfileCommand = getProfileCommand;
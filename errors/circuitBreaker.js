@@ -0,0 +1,73 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// Closed: calls go through. Open: calls are skipped until the reset timeout has passed.
+// Half open: a single trial call goes through, and closes the circuit again or reopens it.
+const CIRCUIT_STATES = ['closed', 'open', 'halfOpen'];
+
+// Open after 5 failed calls in a row, and try again after 30 seconds, unless configured otherwise.
+const DEFAULT_FAILURE_THRESHOLD = 5;
+const DEFAULT_RESET_TIMEOUT_MS = 30000;
+
+/**
+ * Stops calling a service that keeps failing, so users don't wait for a call that will most likely fail too,
+ * and the service gets time to recover. The caller asks canRequest() before each call and reports its outcome
+ * with recordSuccess() or recordFailure().
+ */
+class CircuitBreaker {
+    /**
+     * @param {{ failureThreshold: number, resetTimeoutMs: number, now: Function }} options all optional.
+     * now() returns the current time in milliseconds, and is replaced in tests.
+     */
+    constructor(options) {
+        const {
+            failureThreshold = DEFAULT_FAILURE_THRESHOLD,
+            resetTimeoutMs = DEFAULT_RESET_TIMEOUT_MS,
+            now = Date.now
+        } = options || {};
+        if (!(failureThreshold >= 1)) throw new Error(`[CircuitBreaker]: Invalid failureThreshold '${ failureThreshold }', expected 1 or more`);
+
+        this.failureThreshold = failureThreshold;
+        this.resetTimeoutMs = resetTimeoutMs;
+        this.now = now;
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = undefined;
+        this.trialInProgress = false;
+    }
+
+    /**
+     * Whether a call may be made now. Once the reset timeout of an open circuit has passed, the circuit is half open
+     * and lets exactly one call through until its outcome is recorded.
+     */
+    canRequest() {
+        if (this.state === 'open' && this.now() - this.openedAt >= this.resetTimeoutMs) {
+            this.state = 'halfOpen';
+        }
+        if (this.state === 'halfOpen') {
+            if (this.trialInProgress) return false;
+            this.trialInProgress = true;
+            return true;
+        }
+        return this.state === 'closed';
+    }
+
+    recordSuccess() {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = undefined;
+        this.trialInProgress = false;
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.trialInProgress = false;
+        if (this.state === 'halfOpen' || this.failures >= this.failureThreshold) {
+            this.state = 'open';
+            this.openedAt = this.now();
+        }
+    }
+}
+
+module.exports.CIRCUIT_STATES = CIRCUIT_STATES;
+module.exports.CircuitBreaker = CircuitBreaker;
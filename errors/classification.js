@@ -0,0 +1,71 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// What went wrong in a failed turn, which decides what the user is told and what state is reset, see TurnErrorHandler.
+const ERROR_TYPES = ['recognizer', 'storage', 'dialog'];
+
+// File system errors of the durable stores and logs, e.g. a full disk or a read-only state directory.
+const STORAGE_ERROR_CODES = ['EACCES', 'EBUSY', 'EIO', 'EMFILE', 'ENFILE', 'ENOSPC', 'EPERM', 'EROFS'];
+
+// Network errors worth another try.
+const TRANSIENT_ERROR_CODES = ['EAI_AGAIN', 'ECONNABORTED', 'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT'];
+
+/**
+ * The recognizer couldn't classify the question, e.g. because LUIS kept failing. `cause` is the last error.
+ */
+class RecognizerError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'RecognizerError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * The conversation or user state, or a log, couldn't be read or written. The stores in storage/ throw it for
+ * every failure, including eTag conflicts. `cause` is the underlying error.
+ */
+class StorageError extends Error {
+    constructor(message, cause) {
+        super(message);
+        this.name = 'StorageError';
+        this.cause = cause;
+    }
+}
+
+/**
+ * Returns one of ERROR_TYPES: 'recognizer' for RecognizerErrors, 'storage' for StorageErrors and for the eTag conflicts
+ * and file system errors of stores that don't throw them, like MemoryStorage, and 'dialog' for everything else, i.e. a bug in the bot.
+ * @param {*} error
+ */
+function classifyError(error) {
+    if (error instanceof RecognizerError) return 'recognizer';
+    if (error instanceof StorageError) return 'storage';
+    if (error && STORAGE_ERROR_CODES.includes(error.code)) return 'storage';
+    // MemoryStorage reports eTag conflicts as "Storage: error writing ...".
+    if (error && typeof error.message === 'string' && error.message.startsWith('Storage: ')) return 'storage';
+    return 'dialog';
+}
+
+function statusCode(error) {
+    const response = error.response || {};
+    return error.statusCode || error.status || response.statusCode || response.status;
+}
+
+/**
+ * Whether a failed call is worth retrying: network errors, timeouts, throttling (429) and server errors (5xx).
+ * Other client errors, like a wrong LUIS key, fail the same way every time.
+ * @param {*} error
+ */
+function isTransientError(error) {
+    if (!error) return false;
+    if (TRANSIENT_ERROR_CODES.includes(error.code)) return true;
+    const status = Number(statusCode(error));
+    return status === 408 || status === 429 || status >= 500;
+}
+
+module.exports.ERROR_TYPES = ERROR_TYPES;
+module.exports.RecognizerError = RecognizerError;
+module.exports.StorageError = StorageError;
+module.exports.classifyError = classifyError;
+module.exports.isTransientError = isTransientError;
@@ -0,0 +1,22 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { CIRCUIT_STATES, CircuitBreaker } = require('./circuitBreaker');
+const { ERROR_TYPES, RecognizerError, StorageError, classifyError, isTransientError } = require('./classification');
+const { backoffDelay, withRetry } = require('./retry');
+const { TimeoutError, withTimeout } = require('./timeout');
+const { TurnErrorHandler, createIncidentId } = require('./turnErrorHandler');
+
+module.exports.CIRCUIT_STATES = CIRCUIT_STATES;
+module.exports.CircuitBreaker = CircuitBreaker;
+module.exports.ERROR_TYPES = ERROR_TYPES;
+module.exports.RecognizerError = RecognizerError;
+module.exports.StorageError = StorageError;
+module.exports.TimeoutError = TimeoutError;
+module.exports.TurnErrorHandler = TurnErrorHandler;
+module.exports.backoffDelay = backoffDelay;
+module.exports.classifyError = classifyError;
+module.exports.createIncidentId = createIncidentId;
+module.exports.isTransientError = isTransientError;
+module.exports.withRetry = withRetry;
+module.exports.withTimeout = withTimeout;
@@ -0,0 +1,51 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// Retry twice, after 250 ms and then 500 ms, unless configured otherwise.
+const DEFAULT_RETRIES = 2;
+const DEFAULT_BASE_DELAY_MS = 250;
+const DEFAULT_MAX_DELAY_MS = 2000;
+
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * The wait before retry number `attempt` (0 for the first retry): the base delay, doubled for every retry, up to the maximum.
+ */
+function backoffDelay(attempt, baseDelayMs, maxDelayMs) {
+    return Math.min(maxDelayMs, baseDelayMs * Math.pow(2, attempt));
+}
+
+/**
+ * Runs an async operation, retrying it with exponential backoff while it fails with an error `shouldRetry` accepts.
+ * Resolves with the first result, or rejects with the last error.
+ * @param {Function} operation called with the attempt number, starting at 0
+ * @param {{ retries: number, baseDelayMs: number, maxDelayMs: number, shouldRetry: Function, onRetry: Function, sleep: Function }} options
+ * all optional. onRetry(error, attempt, delayMs) is called before every retry; sleep(ms) waits, and is replaced in tests.
+ */
+async function withRetry(operation, options) {
+    const {
+        retries = DEFAULT_RETRIES,
+        baseDelayMs = DEFAULT_BASE_DELAY_MS,
+        maxDelayMs = DEFAULT_MAX_DELAY_MS,
+        shouldRetry = () => true,
+        onRetry,
+        sleep = delay
+    } = options || {};
+    if (!(Number.isInteger(retries) && retries >= 0)) throw new Error(`[withRetry]: Invalid retries '${ retries }', expected a whole number of 0 or more`);
+
+    for (let attempt = 0; ; attempt++) {
+        try {
+            return await operation(attempt);
+        } catch (err) {
+            if (attempt >= retries || !shouldRetry(err)) throw err;
+            const delayMs = backoffDelay(attempt, baseDelayMs, maxDelayMs);
+            if (onRetry) await onRetry(err, attempt, delayMs);
+            await sleep(delayMs);
+        }
+    }
+}
+
+module.exports.backoffDelay = backoffDelay;
+module.exports.withRetry = withRetry;
@@ -0,0 +1,35 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+/**
+ * An operation took longer than it was allowed to. The code is ETIMEDOUT, like a socket timeout, so
+ * isTransientError() retries it.
+ */
+class TimeoutError extends Error {
+    constructor(message, timeoutMs) {
+        super(message);
+        this.name = 'TimeoutError';
+        this.code = 'ETIMEDOUT';
+        this.timeoutMs = timeoutMs;
+    }
+}
+
+/**
+ * Resolves like `promise`, or rejects with a TimeoutError when it hasn't settled after `timeoutMs`.
+ * The operation itself isn't cancelled; its late result is ignored. Without a timeout the promise is returned as is.
+ * @param {Promise} promise
+ * @param {number} timeoutMs
+ * @param {string} message optional, the TimeoutError message
+ */
+function withTimeout(promise, timeoutMs, message) {
+    if (!timeoutMs) return promise;
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new TimeoutError(message || `Timed out after ${ timeoutMs } ms`, timeoutMs)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+module.exports.TimeoutError = TimeoutError;
+module.exports.withTimeout = withTimeout;
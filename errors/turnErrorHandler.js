@@ -0,0 +1,89 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const crypto = require('crypto');
+const { InputHints } = require('botbuilder');
+const { localize } = require('../localization');
+const { classifyError } = require('./classification');
+
+/**
+ * A short id for a failed turn, e.g. "7F3A9C21". It is logged with the error and shown to the user,
+ * so a user's report can be matched with the log.
+ */
+function createIncidentId() {
+    return crypto.randomBytes(4).toString('hex').toUpperCase();
+}
+
+/**
+ * Handles errors no dialog caught, as the adapter's onTurnError.
+ * The error is tracked as an 'error' telemetry event with an incident id and its type (see classifyError()), and the
+ * user gets a message for that type with the incident id. State the failed turn changed is never saved, so after a
+ * recognizer or storage failure the user can simply try again. A dialog bug could fail the same way on the next
+ * turn, so then the dialog stack, and only the dialog stack, is reset; the user profile in UserState is kept.
+ */
+class TurnErrorHandler {
+    /**
+     * @param {ConversationState} conversationState
+     * @param {StatePropertyAccessor} dialogStateAccessor the dialog stack in conversationState, see DialogBot
+     * @param {TelemetryClient} telemetryClient
+     */
+    constructor(conversationState, dialogStateAccessor, telemetryClient) {
+        if (!conversationState) throw new Error('[TurnErrorHandler]: Missing parameter \'conversationState\' is required');
+        if (!dialogStateAccessor) throw new Error('[TurnErrorHandler]: Missing parameter \'dialogStateAccessor\' is required');
+        if (!telemetryClient) throw new Error('[TurnErrorHandler]: Missing parameter \'telemetryClient\' is required');
+        this.conversationState = conversationState;
+        this.dialogStateAccessor = dialogStateAccessor;
+        this.telemetryClient = telemetryClient;
+    }
+
+    /**
+     * Handles the error of a turn and returns its incident id.
+     * @param {TurnContext} context
+     * @param {Error} error
+     */
+    async onTurnError(context, error) {
+        const incidentId = createIncidentId();
+        const errorType = classifyError(error);
+        await this.telemetryClient.trackException(context, error, { incidentId: incidentId, errorType: errorType });
+
+        // Send a trace activity, which will be displayed in Bot Framework Emulator
+        await this.attempt(context, incidentId, 'trace', () => context.sendTraceActivity(
+            'OnTurnError Trace',
+            `${ error } (incident ${ incidentId })`,
+            'https://www.botframework.com/schemas/error',
+            'TurnError'
+        ));
+
+        if (errorType === 'dialog') {
+            await this.attempt(context, incidentId, 'resetDialogs', () => this.resetDialogs(context));
+        }
+
+        const messageText = localize(context, `errors.${ errorType }`, { incidentId: incidentId });
+        await this.attempt(context, incidentId, 'sendMessage', () => context.sendActivity(messageText, messageText, InputHints.ExpectingInput));
+        return incidentId;
+    }
+
+    /**
+     * Deletes the dialog stack from the stored conversation state. The state is read again first, so nothing else
+     * the failed turn changed is saved.
+     */
+    async resetDialogs(context) {
+        await this.conversationState.load(context, true);
+        await this.dialogStateAccessor.delete(context);
+        await this.conversationState.saveChanges(context, false);
+    }
+
+    /**
+     * Runs one step of the error handling; a step that fails is tracked rather than hiding the original error.
+     */
+    async attempt(context, incidentId, step, operation) {
+        try {
+            await operation();
+        } catch (err) {
+            await this.telemetryClient.trackException(context, err, { incidentId: incidentId, errorHandlingStep: step });
+        }
+    }
+}
+
+module.exports.TurnErrorHandler = TurnErrorHandler;
+module.exports.createIncidentId = createIncidentId;
@@ -0,0 +1,138 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { translate } = require('../localization');
+
+const EXPORT_FORMATS = ['markdown', 'text'];
+
+/**
+ * Returns the checklist of the procedure for a work type on a visa, or undefined when there is none.
+ * @param {*} checklists the checklists of the knowledge base, see checklists.json
+ * @param {string} visaType canonical id
+ * @param {string} workType canonical id
+ */
+function findChecklist(checklists, visaType, workType) {
+    return checklists.checklists.find(checklist => checklist.visaType === visaType && checklist.workType === workType);
+}
+
+function getChecklist(checklists, id) {
+    return checklists.checklists.find(checklist => checklist.id === id);
+}
+
+/**
+ * Returns the ids of the checked items that are still on the checklist, in checklist order.
+ * Ticked items are remembered by id, so items removed from checklists.json are forgotten.
+ */
+function checkedItems(checklist, checked) {
+    const ids = new Set(checked || []);
+    return checklist.items.filter(item => ids.has(item.id)).map(item => item.id);
+}
+
+/**
+ * Reads the item numbers in a reply like "1, 3 and 5", "2-4" or "all".
+ * Besides "all", the checklists.allCommands phrases of the locale are recognized.
+ * Returns the 1-based numbers, or undefined when the reply isn't a list of numbers between 1 and `count`.
+ * @param {string} text
+ * @param {number} count the number of items
+ * @param {string} locale optional, defaults to English
+ */
+function parseItemNumbers(text, count, locale) {
+    if (typeof text !== 'string') return undefined;
+    const normalized = text.trim().toLowerCase().replace(/[.!。！]+$/, '').replace(/\s*-\s*/g, '-');
+    if (translate(locale, 'checklists.allCommands').includes(normalized)) return Array.from({ length: count }, (_, i) => i + 1);
+
+    const parts = normalized.split(/\s*(?:,|，|、|\band\b|&|\s)\s*/).filter(part => part);
+    if (!parts.length) return undefined;
+
+    const numbers = [];
+    for (const part of parts) {
+        const match = /^(\d+)(?:-(\d+))?$/.exec(part);
+        if (!match) return undefined;
+        const first = Number(match[1]);
+        const last = match[2] === undefined ? first : Number(match[2]);
+        if (first < 1 || last > count || last < first) return undefined;
+        for (let number = first; number <= last; number++) {
+            if (!numbers.includes(number)) numbers.push(number);
+        }
+    }
+    return numbers;
+}
+
+/**
+ * Ticks the items with the given 1-based numbers, or unticks them when they were already ticked.
+ * Returns the new list of checked item ids, in checklist order.
+ * @param {*} checklist
+ * @param {string[]} checked the ids of the checked items
+ * @param {number[]} numbers see parseItemNumbers()
+ */
+function toggleItems(checklist, checked, numbers) {
+    const ids = new Set(checkedItems(checklist, checked));
+    numbers.forEach(number => {
+        const item = checklist.items[number - 1];
+        if (!item) throw new Error(`[Checklists]: Item ${ number } is not on the checklist '${ checklist.id }'`);
+        if (ids.has(item.id)) {
+            ids.delete(item.id);
+        } else {
+            ids.add(item.id);
+        }
+    });
+    return checkedItems(checklist, Array.from(ids));
+}
+
+/**
+ * Describes the checklist with numbered items, so the user can tick them off by number.
+ * @param {*} checklist in the same locale, see KnowledgeBase.forLocale()
+ * @param {string[]} checked the ids of the checked items
+ * @param {string} locale optional, defaults to English
+ */
+function describeChecklist(checklist, checked, locale) {
+    const ids = checkedItems(checklist, checked);
+    const progress = translate(locale, 'checklists.progress', { title: checklist.title, done: ids.length, total: checklist.items.length });
+    const lines = [
+        ids.length === checklist.items.length ? `${ progress } ${ translate(locale, 'checklists.complete') }` : progress,
+        checklist.description,
+        checklist.items.map((item, i) => `${ i + 1 }. [${ ids.includes(item.id) ? 'x' : ' ' }] ${ item.text }`).join('\n')
+    ];
+    return lines.join('\n\n');
+}
+
+/**
+ * Writes the checklist as a Markdown task list or as plain text, with its sources, for the user to keep.
+ * @param {*} checklist in the same locale, see KnowledgeBase.forLocale()
+ * @param {string[]} checked the ids of the checked items
+ * @param {string} format 'markdown' or 'text'
+ * @param {string} locale optional, defaults to English
+ */
+function exportChecklist(checklist, checked, format, locale) {
+    if (!EXPORT_FORMATS.includes(format)) throw new Error(`[Checklists]: Unknown export format '${ format }'`);
+
+    const ids = checkedItems(checklist, checked);
+    const sources = checklist.sources || [];
+    const sourcesTitle = translate(locale, 'checklists.sources');
+    if (format === 'markdown') {
+        const lines = [`# ${ checklist.title }`, '', checklist.description, ''];
+        checklist.items.forEach(item => lines.push(`- [${ ids.includes(item.id) ? 'x' : ' ' }] ${ item.text }`));
+        if (sources.length) {
+            lines.push('', `## ${ sourcesTitle }`, '');
+            sources.forEach(source => lines.push(`- [${ source.title }](${ source.url })`));
+        }
+        return `${ lines.join('\n') }\n`;
+    }
+
+    const lines = [checklist.title, '='.repeat(checklist.title.length), '', checklist.description, ''];
+    checklist.items.forEach((item, i) => lines.push(`[${ ids.includes(item.id) ? 'x' : ' ' }] ${ i + 1 }. ${ item.text }`));
+    if (sources.length) {
+        lines.push('', `${ sourcesTitle }:`);
+        sources.forEach(source => lines.push(`- ${ source.title }: ${ source.url }`));
+    }
+    return `${ lines.join('\n') }\n`;
+}
+
+module.exports.EXPORT_FORMATS = EXPORT_FORMATS;
+module.exports.checkedItems = checkedItems;
+module.exports.describeChecklist = describeChecklist;
+module.exports.exportChecklist = exportChecklist;
+module.exports.findChecklist = findChecklist;
+module.exports.getChecklist = getChecklist;
+module.exports.parseItemNumbers = parseItemNumbers;
+module.exports.toggleItems = toggleItems;
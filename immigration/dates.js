@@ -0,0 +1,109 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { TimexProperty } = require('@microsoft/recognizers-text-data-types-timex-expression');
+const { DEFAULT_LOCALE } = require('../localization');
+
+// Immigration dates are calendar days without a time or time zone. They are passed around as 'YYYY-MM-DD'
+// strings (which are also TIMEX dates) and calculated on in UTC so daylight saving never shifts a day.
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toUtc(date) {
+    const match = DATE_PATTERN.exec(date);
+    const utc = match ? new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))) : undefined;
+    if (!utc || utc.toISOString().substring(0, 10) !== date) {
+        throw new Error(`[Dates]: Invalid date '${ date }', expected YYYY-MM-DD`);
+    }
+    return utc;
+}
+
+function fromUtc(utc) {
+    return utc.toISOString().substring(0, 10);
+}
+
+function isDate(date) {
+    try {
+        toUtc(date);
+        return true;
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Returns today's date in the local time zone.
+ */
+function today(now) {
+    const local = now || new Date();
+    return fromUtc(new Date(Date.UTC(local.getFullYear(), local.getMonth(), local.getDate())));
+}
+
+function addDays(date, days) {
+    return fromUtc(new Date(toUtc(date).getTime() + days * DAY_MS));
+}
+
+/**
+ * Adds calendar months. The day is clamped to the end of shorter months, so 2020-02-29 plus 12 months is 2021-02-28.
+ */
+function addMonths(date, months) {
+    const utc = toUtc(date);
+    const target = new Date(Date.UTC(utc.getUTCFullYear(), utc.getUTCMonth() + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(utc.getUTCDate(), lastDay));
+    return fromUtc(target);
+}
+
+/**
+ * Number of days from `from` to `to`; negative when `to` is earlier.
+ */
+function daysBetween(from, to) {
+    return Math.round((toUtc(to).getTime() - toUtc(from).getTime()) / DAY_MS);
+}
+
+// The TIMEX library spells February as 'Februrary'.
+function fixMonthNames(text) {
+    return text.replace('Februrary', 'February');
+}
+
+/**
+ * Renders a date the way people say it, e.g. '15th May 2021'. Dates in the coming week are relative to the
+ * reference date ('tomorrow', 'this Friday') and keep the calendar date in brackets.
+ * TIMEX only speaks English, so other languages get the date in the locale's long format, e.g. '15 de mayo de 2021',
+ * followed by 'mañana' or the weekday in brackets for dates in the coming week.
+ * @param {string} date YYYY-MM-DD
+ * @param {string} referenceDate YYYY-MM-DD, usually today
+ * @param {string} locale optional, defaults to English
+ */
+function describeDate(date, referenceDate, locale) {
+    if (locale && locale !== DEFAULT_LOCALE) return describeLocalDate(date, referenceDate, locale);
+
+    toUtc(date);
+    const timex = new TimexProperty(date);
+    const calendarDate = fixMonthNames(timex.toString());
+    if (!referenceDate) return calendarDate;
+
+    const reference = toUtc(referenceDate);
+    const naturalLanguage = fixMonthNames(timex.toNaturalLanguage(new Date(reference.getUTCFullYear(), reference.getUTCMonth(), reference.getUTCDate())));
+    return naturalLanguage === calendarDate ? calendarDate : `${ naturalLanguage } (${ calendarDate })`;
+}
+
+function describeLocalDate(date, referenceDate, locale) {
+    const utc = toUtc(date);
+    const calendarDate = new Intl.DateTimeFormat(locale, { dateStyle: 'long', timeZone: 'UTC' }).format(utc);
+    const days = referenceDate ? daysBetween(referenceDate, date) : undefined;
+    if (days >= -1 && days <= 1) {
+        return `${ calendarDate } (${ new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }).format(days, 'day') })`;
+    }
+    if (days > 1 && days < 7) {
+        return `${ calendarDate } (${ new Intl.DateTimeFormat(locale, { weekday: 'long', timeZone: 'UTC' }).format(utc) })`;
+    }
+    return calendarDate;
+}
+
+module.exports.addDays = addDays;
+module.exports.addMonths = addMonths;
+module.exports.daysBetween = daysBetween;
+module.exports.describeDate = describeDate;
+module.exports.isDate = isDate;
+module.exports.today = today;
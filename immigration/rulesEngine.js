@@ -0,0 +1,137 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { DEFAULT_LOCALE, translate } = require('../localization');
+
+const VERDICTS = {
+    yes: 'yes',
+    no: 'no',
+    maybe: 'maybe'
+};
+
+/**
+ * Tests a condition against the facts: true or false, or undefined when the fact is not known.
+ */
+function check(condition, facts) {
+    const value = facts[condition.fact];
+    if (value === undefined || value === null) return undefined;
+
+    if (condition.equals !== undefined) return value === condition.equals;
+    if (condition.in !== undefined) return condition.in.includes(value);
+    if (condition.atLeast !== undefined) return value >= condition.atLeast;
+    if (condition.atMost !== undefined) return value <= condition.atMost;
+    return undefined;
+}
+
+/**
+ * Evaluates the declarative eligibility rules of the knowledge base (rules.json).
+ * Every rule belongs to a work type and tests one fact, optionally only `when` another fact holds.
+ * Facts are plain values keyed by fact id, e.g. { visaType: 'f1', monthsEnrolled: 12 }; unknown facts are left out.
+ */
+class RulesEngine {
+    constructor(rules) {
+        if (!rules) throw new Error('[RulesEngine]: Missing parameter \'rules\' is required');
+        this.facts = rules.facts;
+        this.rules = rules.rules;
+    }
+
+    hasRules(workType) {
+        return this.rules.some(rule => rule.workType === workType);
+    }
+
+    getFact(id) {
+        return this.facts.find(fact => fact.id === id);
+    }
+
+    /**
+     * Answers whether the facts meet every rule of a work type.
+     * The verdict is 'no' when any rule fails, 'maybe' when none fails but some can't be checked yet, otherwise 'yes'.
+     * Rules whose `when` condition doesn't hold don't apply and are left out of the result.
+     * @returns {{ workType: string, verdict: string, passed: Array, failed: Array, unknown: Array, missing: Array }}
+     * passed, failed and unknown hold rules; missing holds the ids of the facts needed to check the unknown rules.
+     */
+    evaluate(workType, facts) {
+        const result = { workType: workType, verdict: VERDICTS.yes, passed: [], failed: [], unknown: [], missing: [] };
+        const addMissing = factId => {
+            if (!result.missing.includes(factId)) result.missing.push(factId);
+        };
+
+        this.rules.filter(rule => rule.workType === workType).forEach(rule => {
+            const applies = rule.when ? check(rule.when, facts) : true;
+            if (applies === false) return;
+
+            const outcome = applies === undefined ? undefined : check(rule.condition, facts);
+            if (outcome === true) {
+                result.passed.push(rule);
+            } else if (outcome === false) {
+                result.failed.push(rule);
+            } else {
+                result.unknown.push(rule);
+                if (applies === undefined) addMissing(rule.when.fact);
+                if (check(rule.condition, facts) === undefined) addMissing(rule.condition.fact);
+            }
+        });
+
+        if (result.failed.length) {
+            result.verdict = VERDICTS.no;
+        } else if (result.unknown.length) {
+            result.verdict = VERDICTS.maybe;
+        }
+        return result;
+    }
+
+    /**
+     * Returns the next fact worth asking about, or undefined when asking can't change the verdict:
+     * the answer is already 'no', or no missing fact has a question.
+     * @param {string} workType
+     * @param {*} facts
+     * @param {string[]} skipped ids of facts the user already said they don't know
+     */
+    nextQuestion(workType, facts, skipped) {
+        const result = this.evaluate(workType, facts);
+        if (result.verdict === VERDICTS.no) return undefined;
+
+        return result.missing
+            .map(id => this.getFact(id))
+            .find(fact => fact.question && !(skipped || []).includes(fact.id));
+    }
+}
+
+/**
+ * Describes an evaluation: the verdict, then the rules that failed, passed and couldn't be checked.
+ * @param {*} result a result of RulesEngine.evaluate()
+ * @param {RulesEngine} engine with the rules in the same locale, see KnowledgeBase.forLocale()
+ * @param {string} question what was asked, e.g. 'CPT on an F-1'
+ * @param {string} locale optional, defaults to English
+ */
+function describeEligibility(result, engine, question, locale) {
+    const list = rules => rules.map(rule => `- ${ rule.description }`).join('\n');
+    const section = (key, params) => translate(locale, `eligibility.${ key }`, params);
+    const sections = [];
+
+    switch (result.verdict) {
+    case VERDICTS.yes:
+        sections.push(section('yes', { question: question }));
+        break;
+    case VERDICTS.no:
+        sections.push(section('no', { question: question }));
+        sections.push(section('failed', { rules: list(result.failed) }));
+        break;
+    default: {
+        const facts = new Intl.ListFormat(locale || DEFAULT_LOCALE, { type: 'conjunction' }).format(result.missing.map(id => engine.getFact(id).description));
+        sections.push(section('maybe', { question: question }));
+        sections.push(section('dependsOn', { facts: facts, rules: list(result.unknown) }));
+    }
+    }
+
+    if (result.passed.length) {
+        sections.push(section('passed', { rules: list(result.passed) }));
+    }
+    sections.push(section('confirm'));
+
+    return sections.join('\n\n');
+}
+
+module.exports.VERDICTS = VERDICTS;
+module.exports.RulesEngine = RulesEngine;
+module.exports.describeEligibility = describeEligibility;
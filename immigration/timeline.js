@@ -0,0 +1,100 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { addDays, addMonths, describeDate, isDate } = require('./dates');
+const { translate } = require('../localization');
+
+// F-1 post-completion OPT rules, see 8 CFR 214.2(f).
+const ACADEMIC_YEAR_MONTHS = 9;
+const OPT_FILING_DAYS_BEFORE_END = 90;
+const OPT_FILING_DAYS_AFTER_END = 60;
+const GRACE_PERIOD_DAYS = 60;
+const OPT_MONTHS = 12;
+const OPT_UNEMPLOYMENT_DAYS = 90;
+const STEM_FILING_DAYS_BEFORE_OPT_END = 90;
+const STEM_MONTHS = 24;
+const STEM_UNEMPLOYMENT_DAYS = 150;
+
+/**
+ * Computes the OPT and STEM OPT extension dates for an F-1 student.
+ * All dates are 'YYYY-MM-DD' strings.
+ * @param {{ programStartDate: string, programEndDate: string, optStartDate: string }} dates programStartDate is
+ * optional and only needed for the end of the first academic year. optStartDate is the start date on the
+ * approved OPT card and is only needed for the OPT and STEM extension dates.
+ */
+function computeTimeline({ programStartDate, programEndDate, optStartDate }) {
+    if (!isDate(programEndDate)) throw new Error(`[Timeline]: Invalid program end date '${ programEndDate }'`);
+    if (programStartDate !== undefined && !isDate(programStartDate)) throw new Error(`[Timeline]: Invalid program start date '${ programStartDate }'`);
+    if (optStartDate !== undefined && !isDate(optStartDate)) throw new Error(`[Timeline]: Invalid OPT start date '${ optStartDate }'`);
+
+    const timeline = {
+        programEndDate: programEndDate,
+        optFilingWindow: {
+            start: addDays(programEndDate, -OPT_FILING_DAYS_BEFORE_END),
+            end: addDays(programEndDate, OPT_FILING_DAYS_AFTER_END)
+        },
+        gracePeriodEnd: addDays(programEndDate, GRACE_PERIOD_DAYS)
+    };
+
+    // OPT and CPT need one full academic year of enrollment, which a program shorter than that never reaches.
+    const academicYearEnd = programStartDate && addMonths(programStartDate, ACADEMIC_YEAR_MONTHS);
+    if (academicYearEnd && academicYearEnd <= programEndDate) {
+        timeline.programStartDate = programStartDate;
+        timeline.academicYearEnd = academicYearEnd;
+    }
+
+    if (optStartDate) {
+        const optEndDate = addDays(addMonths(optStartDate, OPT_MONTHS), -1);
+        timeline.opt = {
+            startDate: optStartDate,
+            endDate: optEndDate,
+            unemploymentLimitDays: OPT_UNEMPLOYMENT_DAYS,
+            // Unemployment days count from the OPT start date, so without a job this is the first day over the limit.
+            employedBy: addDays(optStartDate, OPT_UNEMPLOYMENT_DAYS),
+            gracePeriodEnd: addDays(optEndDate, GRACE_PERIOD_DAYS)
+        };
+        timeline.stemExtension = {
+            filingWindow: {
+                start: addDays(optEndDate, -STEM_FILING_DAYS_BEFORE_OPT_END),
+                // The application has to reach USCIS before the OPT card expires.
+                end: optEndDate
+            },
+            endDate: addMonths(optEndDate, STEM_MONTHS),
+            unemploymentLimitDays: STEM_UNEMPLOYMENT_DAYS
+        };
+    }
+
+    return timeline;
+}
+
+/**
+ * Describes a timeline as a bulleted list of concrete dates.
+ * @param {*} timeline a result of computeTimeline()
+ * @param {string} referenceDate YYYY-MM-DD, usually today; dates in the coming week are described relative to it
+ * @param {string} locale optional, defaults to English
+ */
+function describeTimeline(timeline, referenceDate, locale) {
+    const date = value => describeDate(value, referenceDate, locale);
+    const line = (key, params) => translate(locale, `timeline.${ key }`, params);
+    const lines = timeline.academicYearEnd ? [line('academicYear', { months: ACADEMIC_YEAR_MONTHS, date: date(timeline.academicYearEnd) })] : [];
+    lines.push(
+        line('optFilingWindow', { start: date(timeline.optFilingWindow.start), end: date(timeline.optFilingWindow.end) }),
+        line('gracePeriod', { days: GRACE_PERIOD_DAYS, date: date(timeline.gracePeriodEnd) })
+    );
+
+    if (timeline.opt) {
+        lines.push(line('optPeriod', { start: date(timeline.opt.startDate), end: date(timeline.opt.endDate) }));
+        lines.push(line('optUnemployment', { days: timeline.opt.unemploymentLimitDays, date: date(timeline.opt.employedBy) }));
+        lines.push(line('stemFilingWindow', { start: date(timeline.stemExtension.filingWindow.start), end: date(timeline.stemExtension.filingWindow.end) }));
+        lines.push(line('stemExtension', { date: date(timeline.stemExtension.endDate), days: timeline.stemExtension.unemploymentLimitDays }));
+        lines.push(line('optGracePeriod', { date: date(timeline.opt.gracePeriodEnd) }));
+    }
+
+    return line('summary', { programEndDate: date(timeline.programEndDate), lines: `- ${ lines.join('\n- ') }` });
+}
+
+module.exports.GRACE_PERIOD_DAYS = GRACE_PERIOD_DAYS;
+module.exports.OPT_UNEMPLOYMENT_DAYS = OPT_UNEMPLOYMENT_DAYS;
+module.exports.STEM_UNEMPLOYMENT_DAYS = STEM_UNEMPLOYMENT_DAYS;
+module.exports.computeTimeline = computeTimeline;
+module.exports.describeTimeline = describeTimeline;
@@ -0,0 +1,129 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { addDays, daysBetween, describeDate, isDate } = require('./dates');
+const { OPT_UNEMPLOYMENT_DAYS, STEM_UNEMPLOYMENT_DAYS } = require('./timeline');
+const { translate } = require('../localization');
+
+/**
+ * Checks employment periods and returns them sorted, with overlapping or touching periods merged.
+ * A period is { startDate, endDate } with inclusive 'YYYY-MM-DD' dates; a missing endDate means the job is ongoing.
+ */
+function mergePeriods(periods) {
+    const sorted = (periods || []).map(period => {
+        if (!isDate(period.startDate)) throw new Error(`[Unemployment]: Invalid employment start date '${ period.startDate }'`);
+        if (period.endDate !== undefined && !isDate(period.endDate)) throw new Error(`[Unemployment]: Invalid employment end date '${ period.endDate }'`);
+        if (period.endDate !== undefined && daysBetween(period.startDate, period.endDate) < 0) {
+            throw new Error(`[Unemployment]: Employment period ends (${ period.endDate }) before it starts (${ period.startDate })`);
+        }
+        return { startDate: period.startDate, endDate: period.endDate };
+    }).sort((a, b) => daysBetween(b.startDate, a.startDate));
+
+    const merged = [];
+    sorted.forEach(period => {
+        const last = merged[merged.length - 1];
+        if (last && (last.endDate === undefined || daysBetween(last.endDate, period.startDate) <= 1)) {
+            if (last.endDate !== undefined && (period.endDate === undefined || daysBetween(last.endDate, period.endDate) > 0)) {
+                last.endDate = period.endDate;
+            }
+        } else {
+            merged.push(period);
+        }
+    });
+    return merged;
+}
+
+function isEmployedOn(periods, date) {
+    return periods.some(period => daysBetween(period.startDate, date) >= 0 && (period.endDate === undefined || daysBetween(date, period.endDate) >= 0));
+}
+
+/**
+ * Counts the unemployment days of an OPT student.
+ * Every day from the OPT start date up to and including `asOf` without a job is one unemployment day.
+ * Days without a job after `asOf` are projected to find the date the limit will be reached; known future jobs are
+ * taken into account, and there is no such date while the user has an ongoing job.
+ * @param {{ optStartDate: string, periods: Array, stemExtension: boolean, asOf: string }} facts
+ * @returns {{ limit: number, daysUsed: number, daysRemaining: number, employed: boolean, limitDate: string, exceeded: boolean }}
+ * limitDate is the last unemployment day allowed: when exceeded, the day the limit was reached.
+ */
+function computeUnemployment({ optStartDate, periods, stemExtension, asOf }) {
+    if (!isDate(optStartDate)) throw new Error(`[Unemployment]: Invalid OPT start date '${ optStartDate }'`);
+    if (!isDate(asOf)) throw new Error(`[Unemployment]: Invalid date '${ asOf }'`);
+
+    const merged = mergePeriods(periods);
+    const limit = stemExtension ? STEM_UNEMPLOYMENT_DAYS : OPT_UNEMPLOYMENT_DAYS;
+    const status = {
+        limit: limit,
+        daysUsed: 0,
+        daysRemaining: limit,
+        employed: isEmployedOn(merged, asOf),
+        limitDate: undefined,
+        exceeded: false
+    };
+
+    let unemployedDays = 0;
+    const elapsedDays = daysBetween(optStartDate, asOf) + 1;
+    for (let day = 0; day < elapsedDays; day++) {
+        const date = addDays(optStartDate, day);
+        if (!isEmployedOn(merged, date)) {
+            unemployedDays++;
+            if (unemployedDays === limit) status.limitDate = date;
+        }
+    }
+
+    status.daysUsed = unemployedDays;
+    status.daysRemaining = Math.max(0, limit - unemployedDays);
+    status.exceeded = unemployedDays > limit;
+
+    // Project the remaining days. Past the last known job every day counts, so the loop ends.
+    const ongoing = merged.some(period => period.endDate === undefined && daysBetween(period.startDate, asOf) >= 0);
+    if (!status.limitDate && !ongoing) {
+        // Before OPT starts, nothing counts yet.
+        let date = daysBetween(optStartDate, asOf) >= 0 ? asOf : addDays(optStartDate, -1);
+        while (unemployedDays < limit) {
+            date = addDays(date, 1);
+            if (isEmployedOn(merged, date)) {
+                if (merged.some(period => period.endDate === undefined && period.startDate === date)) break;
+                continue;
+            }
+            unemployedDays++;
+        }
+        if (unemployedDays === limit) status.limitDate = date;
+    }
+
+    return status;
+}
+
+/**
+ * Describes the unemployment status and the logged jobs.
+ * @param {*} status a result of computeUnemployment()
+ * @param {Array} periods the logged employment periods
+ * @param {string} referenceDate YYYY-MM-DD, usually today
+ * @param {string} locale optional, defaults to English
+ */
+function describeUnemployment(status, periods, referenceDate, locale) {
+    const date = value => describeDate(value, referenceDate, locale);
+    const line = (key, params) => translate(locale, `unemployment.${ key }`, params);
+    const lines = [line(status.daysRemaining === 1 ? 'daysUsedOneLeft' : 'daysUsed', { used: status.daysUsed, limit: status.limit, remaining: status.daysRemaining })];
+
+    if (status.exceeded) {
+        lines.push(line('exceeded', { date: date(status.limitDate) }));
+    } else if (status.employed) {
+        lines.push(line('employed'));
+    } else if (status.limitDate) {
+        lines.push(line('lastDay', { date: date(status.limitDate) }));
+    } else {
+        lines.push(line('withinLimit'));
+    }
+
+    const jobs = mergePeriods(periods).map(job => (job.endDate
+        ? line('jobPeriod', { start: date(job.startDate), end: date(job.endDate) })
+        : line('jobOngoing', { start: date(job.startDate) })));
+    lines.push(jobs.length ? line('jobs', { jobs: `- ${ jobs.join('\n- ') }` }) : line('noJobs'));
+
+    return lines.join('\n\n');
+}
+
+module.exports.computeUnemployment = computeUnemployment;
+module.exports.describeUnemployment = describeUnemployment;
+module.exports.mergePeriods = mergePeriods;
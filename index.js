@@ -9,13 +9,23 @@ const restify = require('restify');
 
 // Import required bot services.
 // See https://aka.ms/bot-services to learn more about the different parts of a bot.
-const { BotFrameworkAdapter, ConversationState, InputHints, MemoryStorage, UserState } = require('botbuilder');
+const { BotFrameworkAdapter, ConversationState, UserState } = require('botbuilder');
 
 const { FlightBookingRecognizer } = require('./dialogs/flightBookingRecognizer');
+const { MultilingualRecognizer } = require('./dialogs/multilingualRecognizer');
+const { OfflineRecognizer } = require('./dialogs/offlineRecognizer');
+const { ResilientRecognizer } = require('./dialogs/resilientRecognizer');
+const { RetryingRecognizer } = require('./dialogs/retryingRecognizer');
+const { TurnErrorHandler } = require('./errors');
+const { loadKnowledgeBase } = require('./knowledgeBase');
+const { DEFAULT_LOCALE, LocaleMiddleware, SUPPORTED_LOCALES } = require('./localization');
+const { JsonLinesLog, createStorage } = require('./storage');
+const { TelemetryMiddleware, createTelemetryClient } = require('./telemetry');
 
 // This bot's main dialog.
 const { DialogAndWelcomeBot } = require('./bots/dialogAndWelcomeBot');
 const { MainDialog } = require('./dialogs/mainDialog');
+const { USER_PROFILE_PROPERTY } = require('./dialogs/userProfile');
 
 // the bot's booking dialog
 const { BookingDialog } = require('./dialogs/bookingDialog');
@@ -25,6 +35,26 @@ const BOOKING_DIALOG = 'bookingDialog';
 const ENV_FILE = path.join(__dirname, '.env');
 require('dotenv').config({ path: ENV_FILE });
 
+// Reads a whole number setting from the environment, or returns the default when it isn't set.
+// A setting that isn't a whole number of at least `min` stops the bot at startup rather than misbehaving later.
+function integerSetting(name, defaultValue, min) {
+    const text = process.env[name];
+    if (text === undefined || text.trim() === '') return defaultValue;
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < min) throw new Error(`[index]: Invalid ${ name } '${ text }', expected a whole number of ${ min } or more`);
+    return value;
+}
+
+// Structured telemetry events go to stdout by default; set TelemetrySinks to "stdout,file" to also write rotating files.
+// Free text is scrubbed of personal details unless TelemetryText is "full" (or "none" to leave it out), see README.
+const telemetry = createTelemetryClient({
+    sinks: process.env.TelemetrySinks,
+    path: process.env.TelemetryPath,
+    maxBytes: integerSetting('TelemetryMaxBytes', undefined, 1),
+    maxFiles: integerSetting('TelemetryMaxFiles', undefined, 1),
+    textMode: process.env.TelemetryText
+});
+
 // Create adapter.
 // See https://aka.ms/about-bot-adapter to learn more about adapters.
 const adapter = new BotFrameworkAdapter({
@@ -32,50 +62,77 @@ const adapter = new BotFrameworkAdapter({
     appPassword: process.env.MicrosoftAppPassword
 });
 
-// Catch-all for errors.
-adapter.onTurnError = async (context, error) => {
-    // This check writes out errors to console log .vs. app insights.
-    // NOTE: In production environment, you should consider logging this to Azure
-    //       application insights.
-    console.error(`\n [onTurnError] unhandled error: ${ error }`);
-
-    // Send a trace activity, which will be displayed in Bot Framework Emulator
-    await context.sendTraceActivity(
-        'OnTurnError Trace',
-        `${ error }`,
-        'https://www.botframework.com/schemas/error',
-        'TurnError'
-    );
-
-    // Send a message to the user
-    let onTurnErrorMessage = 'The bot encounted an error or bug.';
-    await context.sendActivity(onTurnErrorMessage, onTurnErrorMessage, InputHints.ExpectingInput);
-    onTurnErrorMessage = 'To continue to run this bot, please fix the bot source code.';
-    await context.sendActivity(onTurnErrorMessage, onTurnErrorMessage, InputHints.ExpectingInput);
-    // Clear out state
-    await conversationState.delete(context);
-};
-
-// Define a state store for your bot. See https://aka.ms/about-bot-state to learn more about using MemoryStorage.
+// Define a state store for your bot. See https://aka.ms/about-bot-state to learn more about bot state.
 // A bot requires a state store to persist the dialog and user state between messages.
 
-// For local development, in-memory storage is used.
-// CAUTION: The Memory Storage used here is for local bot debugging only. When the bot
+// Set StorageType to "file" or "sqlite" (and optionally StoragePath) to keep state across restarts.
+// CAUTION: The default "memory" storage is for local bot debugging only. When the bot
 // is restarted, anything stored in memory will be gone.
-const memoryStorage = new MemoryStorage();
-const conversationState = new ConversationState(memoryStorage);
-const userState = new UserState(memoryStorage);
+const storage = createStorage({ type: process.env.StorageType, path: process.env.StoragePath });
+const conversationState = new ConversationState(storage);
+const userState = new UserState(storage);
+
+// Load the immigration knowledge base. This validates every answer file so a bad edit fails at startup.
+const knowledgeBase = loadKnowledgeBase();
 
 // If configured, pass in the FlightBookingRecognizer.  (Defining it externally allows it to be mocked for tests)
-const { LuisAppId, LuisAPIKey, LuisAPIHostName } = process.env;
+// Set RecognizerType to "offline" to use the rule-based recognizer instead of LUIS. When RecognizerType is not set,
+// the offline recognizer is used whenever LUIS is not configured.
+const { LuisAppId, LuisAPIKey, LuisAPIHostName, RecognizerType } = process.env;
 const luisConfig = { applicationId: LuisAppId, endpointKey: LuisAPIKey, endpoint: `https://${ LuisAPIHostName }` };
 
-const luisRecognizer = new FlightBookingRecognizer(luisConfig);
+// LUIS calls that time out or fail with a network or server error are retried with backoff, see dialogs/retryingRecognizer.js.
+// When LUIS still fails, or has failed too often lately, the offline recognizer answers instead, see dialogs/resilientRecognizer.js.
+const retryOptions = {
+    timeoutMs: integerSetting('LuisTimeoutMs', 3000, 1),
+    retries: integerSetting('LuisRetries', 1, 0)
+};
+const circuitOptions = {
+    failureThreshold: integerSetting('LuisCircuitFailures', undefined, 1),
+    resetTimeoutMs: integerSetting('LuisCircuitResetMs', undefined, 0)
+};
+function createLuisRecognizer(recognizer, localeKnowledgeBase) {
+    return new ResilientRecognizer(new RetryingRecognizer(recognizer, retryOptions), new OfflineRecognizer(localeKnowledgeBase), circuitOptions);
+}
+
+let englishRecognizer = createLuisRecognizer(new FlightBookingRecognizer(luisConfig, knowledgeBase), knowledgeBase);
+if (RecognizerType === 'offline' || (!RecognizerType && !englishRecognizer.isConfigured)) {
+    console.log('\nUsing the offline recognizer.');
+    englishRecognizer = new OfflineRecognizer(knowledgeBase);
+}
+
+// Every other language uses the LUIS app in LuisAppId_<locale> (e.g. LuisAppId_es) with the same key and host,
+// or the offline recognizer over the translated knowledge base when there is no such app.
+const recognizers = { [DEFAULT_LOCALE]: englishRecognizer };
+SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE).forEach(locale => {
+    const recognizer = new FlightBookingRecognizer(Object.assign({}, luisConfig, { applicationId: process.env[`LuisAppId_${ locale }`] }), knowledgeBase);
+    recognizers[locale] = RecognizerType !== 'offline' && recognizer.isConfigured
+        ? createLuisRecognizer(recognizer, knowledgeBase.forLocale(locale))
+        : new OfflineRecognizer(knowledgeBase.forLocale(locale));
+});
+const luisRecognizer = new MultilingualRecognizer(recognizers);
 
 // Create the main dialog.
-const bookingDialog = new BookingDialog(BOOKING_DIALOG);
-const dialog = new MainDialog(luisRecognizer, bookingDialog);
-const bot = new DialogAndWelcomeBot(conversationState, userState, dialog);
+const bookingDialog = new BookingDialog(BOOKING_DIALOG, knowledgeBase);
+const userProfileAccessor = userState.createProperty(USER_PROFILE_PROPERTY);
+// Track every turn, then choose its language before the bot runs.
+adapter.use(new TelemetryMiddleware(telemetry));
+adapter.use(new LocaleMiddleware(userProfileAccessor));
+// Which question users meant when the bot had to ask is logged for retraining the LUIS model (see README).
+const clarificationLog = new JsonLinesLog(process.env.ClarificationLogPath || path.join(__dirname, 'data', 'clarifications.jsonl'));
+// Questions the knowledge base couldn't answer are logged for review with scripts/unanswered.js (see README).
+const unansweredLog = new JsonLinesLog(process.env.UnansweredLogPath || path.join(__dirname, 'data', 'unanswered.jsonl'));
+// Users' ratings of the answers are stored for scripts/feedbackReport.js (see README).
+const feedbackLog = new JsonLinesLog(process.env.FeedbackLogPath || path.join(__dirname, 'data', 'feedback.jsonl'));
+const dialog = new MainDialog(luisRecognizer, bookingDialog, knowledgeBase, userProfileAccessor, clarificationLog, unansweredLog, feedbackLog);
+const bot = new DialogAndWelcomeBot(conversationState, userState, dialog, knowledgeBase, userProfileAccessor);
+
+// Catch-all for errors: the user gets a message with an incident id that is also logged, and after a bug only
+// the dialog stack is reset, so the user profile survives. See errors/turnErrorHandler.js.
+const turnErrorHandler = new TurnErrorHandler(conversationState, bot.dialogState, telemetry);
+adapter.onTurnError = async (context, error) => {
+    await turnErrorHandler.onTurnError(context, error);
+};
 
 // Create HTTP server
 const server = restify.createServer();
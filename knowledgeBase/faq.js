@@ -0,0 +1,144 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// BM25 term frequency saturation and document length normalization.
+const K1 = 1.2;
+const B = 0.75;
+
+// Heading terms count this many times, since the heading says what the passage is about.
+const HEADING_WEIGHT = 2;
+
+// Endings stripped by tokenize(), tried in order.
+const SUFFIXES = ['ing', 'ed', 'es', 's', 'e'];
+
+// Matches below this confidence are not worth answering with.
+const MIN_CONFIDENCE = 0.5;
+
+// Words too common to tell passages apart.
+const STOP_WORDS = new Set([
+    'a', 'about', 'am', 'an', 'and', 'are', 'as', 'at', 'be', 'can', 'could', 'do', 'does', 'for', 'from', 'have',
+    'how', 'i', 'if', 'in', 'is', 'it', 'me', 'my', 'of', 'on', 'or', 'should', 'so', 'that', 'the', 'their', 'them',
+    'there', 'they', 'this', 'to', 'was', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'with',
+    'would', 'you', 'your'
+]);
+
+/**
+ * Splits text into lowercase terms without stop words. Common English endings are stripped,
+ * so "traveling" finds "travel", "taxes" finds "tax" and "expired" finds "expires".
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return (String(text).toLowerCase().match(/[\p{L}\p{N}]+(?:-[\p{L}\p{N}]+)*/gu) || [])
+        .filter(word => !STOP_WORDS.has(word))
+        .map(stem);
+}
+
+function stem(word) {
+    if (word.length <= 3 || /\d/.test(word) || /(?:ss|us|is)$/.test(word)) return word;
+    const suffix = SUFFIXES.find(ending => word.endsWith(ending) && word.length - ending.length >= 3);
+    return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+/**
+ * Splits a Markdown FAQ document into passages, one per heading below the document title.
+ * The passage text is everything up to the next heading; headings without text are skipped.
+ * Returns [{ document, title, heading, text }].
+ * @param {string} markdown
+ * @param {string} document the file name, used in messages and to tell the documents apart
+ */
+function parseFaqDocument(markdown, document) {
+    const passages = [];
+    let title;
+    let current;
+    const finish = () => {
+        if (current && current.lines.join('\n').trim()) {
+            passages.push({ document: document, title: title, heading: current.heading, text: current.lines.join('\n').trim() });
+        }
+    };
+
+    markdown.split(/\r?\n/).forEach(line => {
+        const heading = /^(#{1,6})\s+(.*?)\s*#*\s*$/.exec(line);
+        if (heading && heading[1].length === 1 && title === undefined) {
+            title = heading[2];
+        } else if (heading) {
+            finish();
+            current = { heading: heading[2], lines: [] };
+        } else if (current) {
+            current.lines.push(line);
+        }
+    });
+    finish();
+
+    return passages.map(passage => Object.assign(passage, { title: passage.title || document }));
+}
+
+/**
+ * Finds the FAQ passage that best answers a question with BM25 over the passage headings and texts.
+ * Everything runs locally, so long-tail questions still get an answer without a QnA service.
+ * Use loadKnowledgeBase() to index the Markdown files in knowledgeBase/faq.
+ */
+class FaqIndex {
+    /**
+     * @param {Array} passages see parseFaqDocument()
+     */
+    constructor(passages) {
+        this.passages = (passages || []).map(passage => {
+            const terms = tokenize(`${ `${ passage.heading }\n`.repeat(HEADING_WEIGHT) }${ passage.text }`);
+            const frequencies = new Map();
+            terms.forEach(term => frequencies.set(term, (frequencies.get(term) || 0) + 1));
+            return { passage: passage, length: terms.length, frequencies: frequencies };
+        });
+        this.averageLength = this.passages.reduce((sum, indexed) => sum + indexed.length, 0) / (this.passages.length || 1);
+
+        this.documentFrequencies = new Map();
+        this.passages.forEach(indexed => indexed.frequencies.forEach((_, term) =>
+            this.documentFrequencies.set(term, (this.documentFrequencies.get(term) || 0) + 1)));
+    }
+
+    get size() {
+        return this.passages.length;
+    }
+
+    idf(term) {
+        const frequency = this.documentFrequencies.get(term) || 0;
+        return Math.log(1 + (this.passages.length - frequency + 0.5) / (frequency + 0.5));
+    }
+
+    /**
+     * Returns the best passage for the question as { document, title, heading, text, score, confidence },
+     * or undefined when no passage reaches `minConfidence`.
+     * The score is the BM25 score. The confidence is the share of the question's terms, weighted by how rare they are,
+     * that the passage contains, so it is between 0 and 1 and comparable across questions.
+     * @param {string} question
+     * @param {number} minConfidence optional, defaults to MIN_CONFIDENCE
+     */
+    search(question, minConfidence) {
+        const threshold = minConfidence === undefined ? MIN_CONFIDENCE : minConfidence;
+        const terms = Array.from(new Set(tokenize(question || '')));
+        if (!terms.length || !this.passages.length) return undefined;
+
+        let best;
+        this.passages.forEach(indexed => {
+            const score = terms.reduce((sum, term) => {
+                const frequency = indexed.frequencies.get(term) || 0;
+                const saturation = (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * indexed.length / this.averageLength));
+                return sum + this.idf(term) * saturation;
+            }, 0);
+            if (score > 0 && (!best || score > best.score)) best = { indexed: indexed, score: score };
+        });
+        if (!best) return undefined;
+
+        const totalWeight = terms.reduce((sum, term) => sum + this.idf(term), 0);
+        const matchedWeight = terms.filter(term => best.indexed.frequencies.has(term)).reduce((sum, term) => sum + this.idf(term), 0);
+        const confidence = matchedWeight / totalWeight;
+        if (confidence < threshold) return undefined;
+
+        return Object.assign({}, best.indexed.passage, { score: best.score, confidence: confidence });
+    }
+}
+
+module.exports.FaqIndex = FaqIndex;
+module.exports.MIN_CONFIDENCE = MIN_CONFIDENCE;
+module.exports.parseFaqDocument = parseFaqDocument;
+module.exports.tokenize = tokenize;
@@ -0,0 +1,412 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const fs = require('fs');
+const path = require('path');
+const { FaqIndex, parseFaqDocument } = require('./faq');
+const { DEFAULT_LOCALE, resolveLocale, translate } = require('../localization');
+const { VOCABULARY_CATEGORIES, WILDCARD, validateAnswerFile, validateChecklists, validateRules, validateTranslation, validateVocabulary } = require('./schema');
+
+/**
+ * Holds the immigration vocabulary (visa types, work types, occupation statuses and intents),
+ * the answers keyed by visa type, work type and intent, the eligibility rules, the document checklists of application procedures
+ * and the FAQ passages that answer questions no intent matches.
+ * The knowledge base is in English; forLocale() returns it in one of the translated languages.
+ * Use loadKnowledgeBase() to create one from disk; the constructor expects already validated data.
+ */
+class KnowledgeBase {
+    constructor(vocabulary, answerFiles, rules, translations, checklists, faq) {
+        this.vocabulary = vocabulary;
+        this.rules = rules || { facts: [], rules: [] };
+        this.checklists = checklists || { checklists: [] };
+        this.faq = faq || new FaqIndex([]);
+        this.locale = DEFAULT_LOCALE;
+        this.translations = new Map((translations || []).map(translation => [translation.locale, translation]));
+        this.localized = new Map();
+        this.answerFiles = answerFiles;
+        this.answers = new Map();
+        answerFiles.forEach(answerFile => {
+            answerFile.answers.forEach(answer => {
+                const key = this.answerKey(answerFile.visaType, answer.workType, answer.intent);
+                this.answers.set(key, Object.assign({ key: key, visaType: answerFile.visaType }, answer));
+            });
+        });
+    }
+
+    get version() {
+        return this.vocabulary.version;
+    }
+
+    get intents() {
+        return this.vocabulary.intents;
+    }
+
+    get visaTypes() {
+        return this.vocabulary.visaTypes;
+    }
+
+    get workTypes() {
+        return this.vocabulary.workTypes;
+    }
+
+    get occupationStatuses() {
+        return this.vocabulary.occupationStatuses;
+    }
+
+    answerKey(visaType, workType, intent) {
+        return `${ visaType }.${ workType }.${ intent }`;
+    }
+
+    /**
+     * Returns this knowledge base in another language: the translated names, synonyms, intent keywords, examples,
+     * answers, rule descriptions and checklists from translations/<locale>.json on top of the English ones, so English questions keep working.
+     * Returns the English knowledge base for English and for locales without a translation.
+     * @param {string} locale
+     */
+    forLocale(locale) {
+        const resolved = resolveLocale(locale) || DEFAULT_LOCALE;
+        if (resolved === this.locale) return this;
+        if (this.english) return this.english.forLocale(resolved);
+
+        const translation = this.translations.get(resolved);
+        if (!translation) return this;
+        if (!this.localized.has(resolved)) {
+            const localized = new KnowledgeBase(localizeVocabulary(this.vocabulary, translation), localizeAnswerFiles(this.answerFiles, translation), localizeRules(this.rules, translation), undefined, localizeChecklists(this.checklists, translation), this.faq);
+            localized.locale = resolved;
+            localized.english = this;
+            this.localized.set(resolved, localized);
+        }
+        return this.localized.get(resolved);
+    }
+
+    /**
+     * Maps an id, display name or synonym (case insensitive) to the canonical id of the given
+     * vocabulary category ('visaTypes', 'workTypes' or 'occupationStatuses').
+     * Returns undefined when the value is not part of the vocabulary.
+     */
+    resolve(category, value) {
+        if (typeof value !== 'string') return undefined;
+        const text = value.trim().toLowerCase();
+        const entry = this.vocabulary[category].find(e =>
+            e.id === text || e.name.toLowerCase() === text || e.synonyms.some(s => s.toLowerCase() === text));
+        return entry ? entry.id : undefined;
+    }
+
+    resolveVisaType(value) {
+        return this.resolve('visaTypes', value);
+    }
+
+    resolveWorkType(value) {
+        return this.resolve('workTypes', value);
+    }
+
+    resolveOccupationStatus(value) {
+        return this.resolve('occupationStatuses', value);
+    }
+
+    /**
+     * Finds every mention of a vocabulary entry in free text, preferring the longest phrase when two overlap.
+     * For 'intents' the intent keywords are matched, for the other categories the name and synonyms.
+     * Returns [{ id, text, startIndex, endIndex }] ordered by position; endIndex is exclusive.
+     */
+    findMentions(category, text) {
+        if (typeof text !== 'string' || !text) return [];
+
+        const phrases = [];
+        this.vocabulary[category].forEach(entry => {
+            const entryPhrases = category === 'intents' ? (entry.keywords || []) : [entry.name].concat(entry.synonyms);
+            entryPhrases.forEach(phrase => phrases.push({ id: entry.id, phrase: phrase.toLowerCase() }));
+        });
+        phrases.sort((a, b) => b.phrase.length - a.phrase.length);
+
+        const lower = text.toLowerCase();
+        const taken = new Array(text.length).fill(false);
+        const mentions = [];
+        phrases.forEach(({ id, phrase }) => {
+            let start = lower.indexOf(phrase);
+            while (start !== -1) {
+                const end = start + phrase.length;
+                if (isWordBoundary(lower, start - 1, phrase[0]) && isWordBoundary(lower, end, phrase[phrase.length - 1]) && !taken.slice(start, end).includes(true)) {
+                    taken.fill(true, start, end);
+                    mentions.push({ id: id, text: text.substring(start, end), startIndex: start, endIndex: end });
+                }
+                start = lower.indexOf(phrase, start + 1);
+            }
+        });
+
+        return mentions.sort((a, b) => a.startIndex - b.startIndex);
+    }
+
+    /**
+     * Returns the display name for a canonical id, e.g. 'f1' => 'F-1'.
+     */
+    displayName(category, id) {
+        const entry = this.vocabulary[category].find(e => e.id === id);
+        return entry ? entry.name : id;
+    }
+
+    /**
+     * Returns example questions built from the intent example templates, one per template.
+     * Templates mentioning {visaType} or {workType} are only filled with combinations the knowledge base has an answer for,
+     * preferring work types no earlier example used, so the examples show the range of topics.
+     * @param {string} visaType optional canonical id, to only give examples about that visa
+     */
+    exampleQuestions(visaType) {
+        const answers = Array.from(this.answers.values()).filter(answer => !visaType || answer.visaType === visaType);
+        const usedWorkTypes = new Set();
+        const examples = [];
+
+        this.intents.forEach(intent => {
+            (intent.examples || []).forEach(template => {
+                const needsVisaType = template.includes('{visaType}');
+                const needsWorkType = template.includes('{workType}');
+                if (!needsVisaType && !needsWorkType) {
+                    examples.push(template);
+                    return;
+                }
+
+                const candidates = answers.filter(answer =>
+                    (answer.intent === intent.id || answer.intent === WILDCARD) &&
+                    (needsWorkType ? answer.workType !== WILDCARD : answer.workType === WILDCARD));
+                const answer = candidates.find(candidate => !usedWorkTypes.has(candidate.workType)) || candidates[0];
+                if (!answer) return;
+
+                usedWorkTypes.add(answer.workType);
+                examples.push(template
+                    .replace('{visaType}', this.displayName('visaTypes', answer.visaType))
+                    .replace('{workType}', this.displayName('workTypes', answer.workType)));
+            });
+        });
+
+        return examples;
+    }
+
+    /**
+     * Finds the answer for a question. Visa and work types may be canonical ids or synonyms.
+     * The most specific answer wins: an answer for the exact work type and intent, then one for the work type
+     * and any intent, then the general answers for the visa type.
+     * Always returns an object; `found` is false when there is no answer for this combination.
+     * Besides the `text`, found answers may have `steps` to follow, `sources` ([{ title, url }]) and `followUps`
+     * (questions the user may want to ask next); these are empty arrays when the answer has none.
+     * @param {{ intent: string, visaType: string, workType: string }} query
+     */
+    lookup(query) {
+        const intent = query.intent;
+        const visaType = this.resolveVisaType(query.visaType);
+        const workType = this.resolveWorkType(query.workType);
+
+        if (!visaType) {
+            const text = query.visaType
+                ? translate(this.locale, 'knowledgeBase.unknownVisa', { visaType: query.visaType })
+                : translate(this.locale, 'knowledgeBase.missingVisa');
+            return { found: false, key: undefined, intent: intent, visaType: undefined, workType: workType, text: text, steps: [], sources: [], followUps: [] };
+        }
+
+        const candidates = [];
+        if (workType) {
+            candidates.push([workType, intent], [workType, WILDCARD]);
+        }
+        candidates.push([WILDCARD, intent], [WILDCARD, WILDCARD]);
+
+        for (const [work, answerIntent] of candidates) {
+            const answer = this.answers.get(this.answerKey(visaType, work, answerIntent));
+            if (answer) {
+                return {
+                    found: true,
+                    key: answer.key,
+                    intent: intent,
+                    visaType: visaType,
+                    workType: workType,
+                    text: answer.text,
+                    steps: answer.steps || [],
+                    sources: answer.sources || [],
+                    followUps: answer.followUps || []
+                };
+            }
+        }
+
+        const visaName = this.displayName('visaTypes', visaType);
+        const text = workType
+            ? translate(this.locale, 'knowledgeBase.missingWorkTypeAnswer', { workType: this.displayName('workTypes', workType), visaType: visaName })
+            : translate(this.locale, 'knowledgeBase.missingAnswer', { visaType: visaName });
+        return { found: false, key: this.answerKey(visaType, workType || WILDCARD, intent), intent: intent, visaType: visaType, workType: workType, text: text, steps: [], sources: [], followUps: [] };
+    }
+}
+
+/**
+ * Puts a translation on top of the vocabulary: translated keywords and synonyms are added to the English ones,
+ * translated examples, names and descriptions replace them.
+ */
+function localizeVocabulary(vocabulary, translation) {
+    const localized = Object.assign({}, vocabulary);
+    localized.intents = vocabulary.intents.map(intent => {
+        const translated = (translation.intents || {})[intent.id];
+        if (!translated) return intent;
+        return Object.assign({}, intent, {
+            keywords: (intent.keywords || []).concat(translated.keywords),
+            examples: translated.examples || intent.examples
+        });
+    });
+    VOCABULARY_CATEGORIES.forEach(category => {
+        localized[category] = vocabulary[category].map(entry => {
+            const translated = (translation[category] || {})[entry.id];
+            if (!translated) return entry;
+            return Object.assign({}, entry, {
+                name: translated.name || entry.name,
+                description: translated.description || entry.description,
+                synonyms: entry.synonyms.concat(translated.synonyms)
+            });
+        });
+    });
+    return localized;
+}
+
+/**
+ * Replaces the text, steps and follow-ups of every translated answer; the sources stay, and answers that
+ * aren't translated or are null in the translation stay in English.
+ */
+function localizeAnswerFiles(answerFiles, translation) {
+    const answers = translation.answers || {};
+    return answerFiles.map(answerFile => Object.assign({}, answerFile, {
+        answers: answerFile.answers.map(answer => {
+            const translated = answers[`${ answerFile.visaType }.${ answer.workType }.${ answer.intent }`];
+            if (!translated) return answer;
+            return Object.assign({}, answer, { text: translated.text, steps: translated.steps, followUps: translated.followUps });
+        })
+    }));
+}
+
+/**
+ * Replaces the descriptions and questions of the translated facts and the descriptions of the translated rules;
+ * conditions stay, so the localized rules give the same answers.
+ */
+function localizeRules(rules, translation) {
+    const translated = translation.rules || {};
+    const facts = translated.facts || {};
+    const descriptions = translated.rules || {};
+    return Object.assign({}, rules, {
+        facts: rules.facts.map(fact => (facts[fact.id] ? localizeFact(fact, facts[fact.id]) : fact)),
+        rules: rules.rules.map(rule => (descriptions[rule.id] ? Object.assign({}, rule, { description: descriptions[rule.id] }) : rule))
+    });
+}
+
+/**
+ * Replaces the description, question and choice names of a fact. The English choice names and synonyms stay synonyms.
+ */
+function localizeFact(fact, translated) {
+    const localized = Object.assign({}, fact, { description: translated.description, question: translated.question || fact.question });
+    if (fact.choices) {
+        const names = translated.choices || {};
+        localized.choices = fact.choices.map(choice => (names[choice.id]
+            ? Object.assign({}, choice, { name: names[choice.id], synonyms: [choice.name].concat(choice.synonyms || []) })
+            : choice));
+    }
+    return localized;
+}
+
+/**
+ * Replaces the title, description and item texts of the translated checklists. Ids and sources stay,
+ * so ticked items are kept when the user switches languages.
+ */
+function localizeChecklists(checklists, translation) {
+    const translatedChecklists = translation.checklists || {};
+    return Object.assign({}, checklists, {
+        checklists: checklists.checklists.map(checklist => {
+            const translated = translatedChecklists[checklist.id];
+            if (!translated) return checklist;
+            const items = translated.items || {};
+            return Object.assign({}, checklist, {
+                title: translated.title || checklist.title,
+                description: translated.description || checklist.description,
+                items: checklist.items.map(item => (items[item.id] ? Object.assign({}, item, { text: items[item.id] }) : item))
+            });
+        })
+    });
+}
+
+/**
+ * Whether a phrase ending in the given character may end (or start) next to text[index]. Only letters and digits
+ * need a boundary, so 'opt' doesn't match inside 'adopted' but '申请' matches right before 'OPT'.
+ */
+function isWordBoundary(text, index, edge) {
+    return index < 0 || index >= text.length || !/[a-z0-9]/.test(edge) || !/[a-z0-9]/.test(text[index]);
+}
+
+function readJson(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (err) {
+        throw new Error(`[KnowledgeBase]: Unable to read ${ filePath }: ${ err.message }`);
+    }
+}
+
+/**
+ * Loads and validates vocabulary.json, every file in answers/ and translations/, rules.json and checklists.json under the given directory,
+ * and indexes the Markdown files in faq/.
+ * Throws with the full list of problems if anything is invalid, so a broken knowledge base fails at startup.
+ * @param {string} directory defaults to this folder
+ */
+function loadKnowledgeBase(directory) {
+    const root = directory || __dirname;
+    const vocabulary = readJson(path.join(root, 'vocabulary.json'));
+
+    let errors = validateVocabulary(vocabulary);
+    if (errors.length) {
+        throw new Error(`[KnowledgeBase]: Invalid knowledge base:\n - ${ errors.join('\n - ') }`);
+    }
+
+    const answersDir = path.join(root, 'answers');
+    const answerFiles = fs.readdirSync(answersDir)
+        .filter(fileName => fileName.endsWith('.json'))
+        .sort()
+        .map(fileName => {
+            const answerFile = readJson(path.join(answersDir, fileName));
+            errors = errors.concat(validateAnswerFile(answerFile, fileName, vocabulary));
+            return answerFile;
+        });
+
+    const rules = readJson(path.join(root, 'rules.json'));
+    errors = errors.concat(validateRules(rules, vocabulary));
+
+    const checklists = readJson(path.join(root, 'checklists.json'));
+    errors = errors.concat(validateChecklists(checklists, vocabulary));
+
+    const answerKeys = [];
+    answerFiles.forEach(answerFile => (answerFile.answers || []).forEach(answer =>
+        answerKeys.push(`${ answerFile.visaType }.${ answer.workType }.${ answer.intent }`)));
+
+    const translationsDir = path.join(root, 'translations');
+    const translations = (fs.existsSync(translationsDir) ? fs.readdirSync(translationsDir) : [])
+        .filter(fileName => fileName.endsWith('.json'))
+        .sort()
+        .map(fileName => {
+            const translation = readJson(path.join(translationsDir, fileName));
+            const translationErrors = validateTranslation(translation, fileName, vocabulary, answerKeys, checklists, rules);
+            errors = errors.concat(translationErrors.length
+                ? translationErrors
+                : validateVocabulary(localizeVocabulary(vocabulary, translation)).map(error => `${ fileName }: ${ error }`));
+            return translation;
+        });
+
+    const faqDir = path.join(root, 'faq');
+    const passages = [];
+    (fs.existsSync(faqDir) ? fs.readdirSync(faqDir) : [])
+        .filter(fileName => fileName.endsWith('.md'))
+        .sort()
+        .forEach(fileName => {
+            const documentPassages = parseFaqDocument(fs.readFileSync(path.join(faqDir, fileName), 'utf8'), fileName);
+            if (!documentPassages.length) {
+                errors.push(`faq/${ fileName }: must have at least one section, i.e. a heading followed by text`);
+            }
+            passages.push(...documentPassages);
+        });
+
+    if (errors.length) {
+        throw new Error(`[KnowledgeBase]: Invalid knowledge base:\n - ${ errors.join('\n - ') }`);
+    }
+
+    return new KnowledgeBase(vocabulary, answerFiles, rules, translations, checklists, new FaqIndex(passages));
+}
+
+module.exports.KnowledgeBase = KnowledgeBase;
+module.exports.loadKnowledgeBase = loadKnowledgeBase;
@@ -0,0 +1,514 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const ID_PATTERN = /^[a-z0-9_]+$/;
+const VERSION_PATTERN = /^\d+\.\d+\.\d+$/;
+const URL_PATTERN = /^https:\/\/\S+$/;
+const WILDCARD = '*';
+
+const VOCABULARY_CATEGORIES = ['visaTypes', 'workTypes', 'occupationStatuses'];
+const FACT_TYPES = ['vocabulary', 'boolean', 'number', 'choice'];
+const CONDITION_OPERATORS = ['equals', 'in', 'atLeast', 'atMost'];
+const EXAMPLE_PLACEHOLDERS = ['{visaType}', '{workType}'];
+
+function isNonEmptyString(value) {
+    return typeof value === 'string' && value.trim().length > 0;
+}
+
+/**
+ * Validates the parsed vocabulary.json and returns a list of human readable problems.
+ * An empty list means the vocabulary is valid.
+ * @param {*} vocabulary
+ */
+function validateVocabulary(vocabulary) {
+    const errors = [];
+    if (!vocabulary || typeof vocabulary !== 'object') {
+        return ['vocabulary: must be an object'];
+    }
+
+    if (!VERSION_PATTERN.test(vocabulary.version)) {
+        errors.push(`vocabulary: version "${ vocabulary.version }" must look like "1.0.0"`);
+    }
+
+    if (!Array.isArray(vocabulary.intents) || !vocabulary.intents.length) {
+        errors.push('vocabulary: intents must be a non-empty array');
+    } else {
+        const seen = new Set();
+        vocabulary.intents.forEach((intent, i) => {
+            if (!intent || !ID_PATTERN.test(intent.id)) {
+                errors.push(`vocabulary: intents[${ i }].id must match ${ ID_PATTERN }`);
+                return;
+            }
+            if (seen.has(intent.id)) {
+                errors.push(`vocabulary: duplicate intent "${ intent.id }"`);
+            }
+            seen.add(intent.id);
+
+            if (intent.keywords !== undefined && (!Array.isArray(intent.keywords) || !intent.keywords.every(isNonEmptyString))) {
+                errors.push(`vocabulary: intents[${ i }].keywords must be an array of non-empty strings`);
+            }
+            if (intent.examples !== undefined) {
+                if (!Array.isArray(intent.examples) || !intent.examples.every(isNonEmptyString)) {
+                    errors.push(`vocabulary: intents[${ i }].examples must be an array of non-empty strings`);
+                } else {
+                    intent.examples.forEach(example => {
+                        (example.match(/\{[^}]*\}/g) || [])
+                            .filter(placeholder => !EXAMPLE_PLACEHOLDERS.includes(placeholder))
+                            .forEach(placeholder => errors.push(`vocabulary: intents[${ i }].examples uses unknown placeholder "${ placeholder }"`));
+                    });
+                }
+            }
+        });
+    }
+
+    VOCABULARY_CATEGORIES.forEach(category => {
+        const entries = vocabulary[category];
+        if (!Array.isArray(entries) || !entries.length) {
+            errors.push(`vocabulary: ${ category } must be a non-empty array`);
+            return;
+        }
+
+        const ids = new Set();
+        const synonyms = new Map();
+        entries.forEach((entry, i) => {
+            const where = `vocabulary: ${ category }[${ i }]`;
+            if (!entry || !ID_PATTERN.test(entry.id)) {
+                errors.push(`${ where }.id must match ${ ID_PATTERN }`);
+                return;
+            }
+            if (ids.has(entry.id)) {
+                errors.push(`vocabulary: duplicate ${ category } id "${ entry.id }"`);
+            }
+            ids.add(entry.id);
+
+            if (!isNonEmptyString(entry.name)) {
+                errors.push(`${ where }.name must be a non-empty string`);
+            }
+            if (entry.description !== undefined && !isNonEmptyString(entry.description)) {
+                errors.push(`${ where }.description must be a non-empty string`);
+            }
+            if (!Array.isArray(entry.synonyms) || !entry.synonyms.every(isNonEmptyString)) {
+                errors.push(`${ where }.synonyms must be an array of non-empty strings`);
+                return;
+            }
+            entry.synonyms.forEach(synonym => {
+                const key = synonym.toLowerCase();
+                if (synonyms.has(key) && synonyms.get(key) !== entry.id) {
+                    errors.push(`vocabulary: synonym "${ synonym }" is used by both "${ synonyms.get(key) }" and "${ entry.id }"`);
+                }
+                synonyms.set(key, entry.id);
+            });
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Validates one parsed answers/<visaType>.json file against an already validated vocabulary.
+ * @param {*} answerFile
+ * @param {string} fileName name of the file, used in messages and to check the visa type
+ * @param {*} vocabulary
+ */
+function validateAnswerFile(answerFile, fileName, vocabulary) {
+    const errors = [];
+    if (!answerFile || typeof answerFile !== 'object') {
+        return [`${ fileName }: must be an object`];
+    }
+
+    const visaTypes = vocabulary.visaTypes.map(v => v.id);
+    const workTypes = vocabulary.workTypes.map(w => w.id);
+    const intents = vocabulary.intents.map(i => i.id);
+
+    if (!visaTypes.includes(answerFile.visaType)) {
+        errors.push(`${ fileName }: visaType "${ answerFile.visaType }" is not in the vocabulary`);
+    } else if (fileName !== `${ answerFile.visaType }.json`) {
+        errors.push(`${ fileName }: file must be named ${ answerFile.visaType }.json`);
+    }
+
+    if (!Array.isArray(answerFile.answers) || !answerFile.answers.length) {
+        errors.push(`${ fileName }: answers must be a non-empty array`);
+        return errors;
+    }
+
+    const keys = new Set();
+    answerFile.answers.forEach((answer, i) => {
+        const where = `${ fileName }: answers[${ i }]`;
+        if (!answer || typeof answer !== 'object') {
+            errors.push(`${ where } must be an object`);
+            return;
+        }
+        if (answer.workType !== WILDCARD && !workTypes.includes(answer.workType)) {
+            errors.push(`${ where }.workType "${ answer.workType }" is not in the vocabulary`);
+        }
+        if (answer.intent !== WILDCARD && !intents.includes(answer.intent)) {
+            errors.push(`${ where }.intent "${ answer.intent }" is not in the vocabulary`);
+        }
+        if (!isNonEmptyString(answer.text)) {
+            errors.push(`${ where }.text must be a non-empty string`);
+        }
+        ['steps', 'followUps'].forEach(field => {
+            if (answer[field] !== undefined && (!Array.isArray(answer[field]) || !answer[field].length || !answer[field].every(isNonEmptyString))) {
+                errors.push(`${ where }.${ field } must be a non-empty array of non-empty strings`);
+            }
+        });
+        if (answer.sources !== undefined) {
+            if (!Array.isArray(answer.sources) || !answer.sources.length) {
+                errors.push(`${ where }.sources must be a non-empty array`);
+            } else {
+                answer.sources.forEach((source, j) => {
+                    if (!source || !isNonEmptyString(source.title) || !URL_PATTERN.test(source.url)) {
+                        errors.push(`${ where }.sources[${ j }] must have a title and an https url`);
+                    }
+                });
+            }
+        }
+
+        const key = `${ answer.workType }.${ answer.intent }`;
+        if (keys.has(key)) {
+            errors.push(`${ where } duplicates workType "${ answer.workType }" and intent "${ answer.intent }"`);
+        }
+        keys.add(key);
+    });
+
+    return errors;
+}
+
+/**
+ * Validates one parsed translations/<locale>.json file against an already validated vocabulary, the answer keys
+ * ('<visaType>.<workType>.<intent>') of the English answers, the English checklists and the English rules.
+ * Only the shape is checked here: a translation may leave entries out, and an answer set to null explicitly falls back to English.
+ * @param {*} translation
+ * @param {string} fileName name of the file, used in messages and to check the locale
+ * @param {*} vocabulary
+ * @param {string[]} answerKeys
+ * @param {*} checklistsFile optional, the parsed checklists.json
+ * @param {*} rulesFile optional, the parsed rules.json
+ */
+function validateTranslation(translation, fileName, vocabulary, answerKeys, checklistsFile, rulesFile) {
+    if (!translation || typeof translation !== 'object') {
+        return [`${ fileName }: must be an object`];
+    }
+
+    const errors = [];
+    if (!ID_PATTERN.test(translation.locale)) {
+        errors.push(`${ fileName }: locale "${ translation.locale }" must match ${ ID_PATTERN }`);
+    } else if (fileName !== `${ translation.locale }.json`) {
+        errors.push(`${ fileName }: file must be named ${ translation.locale }.json`);
+    }
+
+    const isStringList = value => Array.isArray(value) && value.every(isNonEmptyString);
+
+    Object.entries(translation.intents || {}).forEach(([id, intent]) => {
+        const where = `${ fileName }: intents.${ id }`;
+        if (!vocabulary.intents.some(i => i.id === id)) {
+            errors.push(`${ where } is not in the vocabulary`);
+        } else if (!intent || !isStringList(intent.keywords) || (intent.examples !== undefined && !isStringList(intent.examples))) {
+            errors.push(`${ where } must have keywords, and may have examples, that are arrays of non-empty strings`);
+        }
+    });
+
+    VOCABULARY_CATEGORIES.forEach(category => {
+        Object.entries(translation[category] || {}).forEach(([id, entry]) => {
+            const where = `${ fileName }: ${ category }.${ id }`;
+            if (!vocabulary[category].some(e => e.id === id)) {
+                errors.push(`${ where } is not in the vocabulary`);
+            } else if (!entry || !isStringList(entry.synonyms)) {
+                errors.push(`${ where }.synonyms must be an array of non-empty strings`);
+            } else {
+                ['name', 'description']
+                    .filter(field => entry[field] !== undefined && !isNonEmptyString(entry[field]))
+                    .forEach(field => errors.push(`${ where }.${ field } must be a non-empty string`));
+            }
+        });
+    });
+
+    Object.entries(translation.answers || {}).forEach(([key, answer]) => {
+        const where = `${ fileName }: answers["${ key }"]`;
+        if (!answerKeys.includes(key)) {
+            errors.push(`${ where } is not an answer in answers/`);
+        } else if (answer !== null) {
+            if (!answer || !isNonEmptyString(answer.text)) {
+                errors.push(`${ where } must be null or have a non-empty text`);
+                return;
+            }
+            ['steps', 'followUps']
+                .filter(field => answer[field] !== undefined && (!isStringList(answer[field]) || !answer[field].length))
+                .forEach(field => errors.push(`${ where }.${ field } must be a non-empty array of non-empty strings`));
+        }
+    });
+
+    const translatedRules = translation.rules || {};
+    Object.entries(translatedRules.facts || {}).forEach(([id, translated]) => {
+        const where = `${ fileName }: rules.facts.${ id }`;
+        const fact = ((rulesFile && rulesFile.facts) || []).find(f => f.id === id);
+        if (!fact) {
+            errors.push(`${ where } is not in rules.json`);
+        } else if (!translated || !isNonEmptyString(translated.description)) {
+            errors.push(`${ where }.description must be a non-empty string`);
+        } else if (translated.question !== undefined && (!fact.question || !isNonEmptyString(translated.question))) {
+            errors.push(`${ where }.question must be a non-empty string, and only facts with a question can translate it`);
+        } else {
+            Object.entries(translated.choices || {}).forEach(([choiceId, name]) => {
+                if (!(fact.choices || []).some(choice => choice.id === choiceId)) {
+                    errors.push(`${ where }.choices.${ choiceId } is not a choice of the fact`);
+                } else if (!isNonEmptyString(name)) {
+                    errors.push(`${ where }.choices.${ choiceId } must be a non-empty string`);
+                }
+            });
+        }
+    });
+    Object.entries(translatedRules.rules || {}).forEach(([id, description]) => {
+        const where = `${ fileName }: rules.rules.${ id }`;
+        if (!((rulesFile && rulesFile.rules) || []).some(rule => rule.id === id)) {
+            errors.push(`${ where } is not in rules.json`);
+        } else if (!isNonEmptyString(description)) {
+            errors.push(`${ where } must be a non-empty string`);
+        }
+    });
+
+    const checklists = (checklistsFile && checklistsFile.checklists) || [];
+    Object.entries(translation.checklists || {}).forEach(([id, translated]) => {
+        const where = `${ fileName }: checklists.${ id }`;
+        const checklist = checklists.find(c => c.id === id);
+        if (!checklist) {
+            errors.push(`${ where } is not in checklists.json`);
+            return;
+        }
+        if (!translated || typeof translated !== 'object') {
+            errors.push(`${ where } must be an object`);
+            return;
+        }
+        ['title', 'description']
+            .filter(field => translated[field] !== undefined && !isNonEmptyString(translated[field]))
+            .forEach(field => errors.push(`${ where }.${ field } must be a non-empty string`));
+        Object.entries(translated.items || {}).forEach(([itemId, text]) => {
+            if (!checklist.items.some(item => item.id === itemId)) {
+                errors.push(`${ where }.items.${ itemId } is not an item of the checklist`);
+            } else if (!isNonEmptyString(text)) {
+                errors.push(`${ where }.items.${ itemId } must be a non-empty string`);
+            }
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Validates a rule condition, `{ fact, equals | in | atLeast | atMost }`, against the declared facts.
+ */
+function validateCondition(condition, where, facts, vocabulary) {
+    if (!condition || typeof condition !== 'object') {
+        return [`${ where } must be an object`];
+    }
+    const fact = facts.get(condition.fact);
+    if (!fact) {
+        return [`${ where }.fact "${ condition.fact }" is not declared in facts`];
+    }
+
+    const operators = CONDITION_OPERATORS.filter(operator => condition[operator] !== undefined);
+    if (operators.length !== 1) {
+        return [`${ where } must have exactly one of ${ CONDITION_OPERATORS.join(', ') }`];
+    }
+
+    const operator = operators[0];
+    const values = operator === 'in' ? condition.in : [condition[operator]];
+    if (!Array.isArray(values) || !values.length) {
+        return [`${ where }.in must be a non-empty array`];
+    }
+    if ((operator === 'atLeast' || operator === 'atMost') && fact.type !== 'number') {
+        return [`${ where }.${ operator } needs a number fact, "${ fact.id }" is a ${ fact.type }`];
+    }
+
+    const errors = [];
+    values.forEach(value => {
+        if (fact.type === 'vocabulary') {
+            if (!vocabulary[fact.category].some(entry => entry.id === value)) {
+                errors.push(`${ where }: "${ value }" is not in the vocabulary ${ fact.category }`);
+            }
+        } else if (fact.type === 'choice') {
+            if (!(fact.choices || []).some(choice => choice.id === value)) {
+                errors.push(`${ where }: ${ JSON.stringify(value) } is not a choice of "${ fact.id }"`);
+            }
+        } else if ((fact.type === 'boolean' && typeof value !== 'boolean') || (fact.type === 'number' && typeof value !== 'number')) {
+            errors.push(`${ where }: ${ JSON.stringify(value) } must be a ${ fact.type }`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Validates the answers of a choice fact: [{ id, name, synonyms }], where synonyms are optional.
+ */
+function validateChoices(choices, where) {
+    if (!Array.isArray(choices) || !choices.length) {
+        return [`${ where }.choices must be a non-empty array`];
+    }
+    const errors = [];
+    const ids = new Set();
+    choices.forEach((choice, i) => {
+        if (!choice || !ID_PATTERN.test(choice.id) || !isNonEmptyString(choice.name) ||
+            (choice.synonyms !== undefined && !(Array.isArray(choice.synonyms) && choice.synonyms.every(isNonEmptyString)))) {
+            errors.push(`${ where }.choices[${ i }] must have an id matching ${ ID_PATTERN }, a name and optional synonyms`);
+        } else if (ids.has(choice.id)) {
+            errors.push(`${ where }: duplicate choice "${ choice.id }"`);
+        }
+        if (choice) ids.add(choice.id);
+    });
+    return errors;
+}
+
+/**
+ * Validates the parsed rules.json against an already validated vocabulary.
+ * Facts are the things rules test; a fact with a question can be asked for, the others come from the conversation.
+ * @param {*} rulesFile
+ * @param {*} vocabulary
+ */
+function validateRules(rulesFile, vocabulary) {
+    if (!rulesFile || typeof rulesFile !== 'object') {
+        return ['rules: must be an object'];
+    }
+    if (!Array.isArray(rulesFile.facts) || !Array.isArray(rulesFile.rules)) {
+        return ['rules: facts and rules must be arrays'];
+    }
+
+    const errors = [];
+    const facts = new Map();
+    rulesFile.facts.forEach((fact, i) => {
+        const where = `rules: facts[${ i }]`;
+        if (!fact || !/^[a-zA-Z0-9]+$/.test(fact.id)) {
+            errors.push(`${ where }.id must be a camelCase name`);
+            return;
+        }
+        if (facts.has(fact.id)) {
+            errors.push(`rules: duplicate fact "${ fact.id }"`);
+        }
+        if (!FACT_TYPES.includes(fact.type)) {
+            errors.push(`${ where }.type must be one of ${ FACT_TYPES.join(', ') }`);
+        } else if (fact.type === 'vocabulary' && !VOCABULARY_CATEGORIES.includes(fact.category)) {
+            errors.push(`${ where }.category must be one of ${ VOCABULARY_CATEGORIES.join(', ') }`);
+        } else if (fact.type === 'choice') {
+            errors.push(...validateChoices(fact.choices, where));
+        }
+        if (!isNonEmptyString(fact.description)) {
+            errors.push(`${ where }.description must be a non-empty string`);
+        }
+        if (fact.question !== undefined && (!isNonEmptyString(fact.question) || fact.type === 'vocabulary')) {
+            errors.push(`${ where }.question must be a non-empty string, and only boolean, number and choice facts can be asked`);
+        }
+        facts.set(fact.id, fact);
+    });
+
+    const workTypes = vocabulary.workTypes.map(w => w.id);
+    const ids = new Set();
+    rulesFile.rules.forEach((rule, i) => {
+        const where = `rules: rules[${ i }]`;
+        if (!rule || !ID_PATTERN.test(rule.id)) {
+            errors.push(`${ where }.id must match ${ ID_PATTERN }`);
+            return;
+        }
+        if (ids.has(rule.id)) {
+            errors.push(`rules: duplicate rule "${ rule.id }"`);
+        }
+        ids.add(rule.id);
+
+        if (!workTypes.includes(rule.workType)) {
+            errors.push(`${ where }.workType "${ rule.workType }" is not in the vocabulary`);
+        }
+        if (!isNonEmptyString(rule.description)) {
+            errors.push(`${ where }.description must be a non-empty string`);
+        }
+        errors.push(...validateCondition(rule.condition, `${ where }.condition`, facts, vocabulary));
+        if (rule.when !== undefined) {
+            errors.push(...validateCondition(rule.when, `${ where }.when`, facts, vocabulary));
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validates the parsed checklists.json against an already validated vocabulary and returns a list of human readable problems.
+ * Every checklist is for one visa type and work type, and item ids are unique within their checklist since the
+ * ticked items are remembered by id.
+ * @param {*} checklistsFile
+ * @param {*} vocabulary
+ */
+function validateChecklists(checklistsFile, vocabulary) {
+    if (!checklistsFile || typeof checklistsFile !== 'object' || !Array.isArray(checklistsFile.checklists)) {
+        return ['checklists: checklists must be an array'];
+    }
+
+    const visaTypes = vocabulary.visaTypes.map(v => v.id);
+    const workTypes = vocabulary.workTypes.map(w => w.id);
+    const errors = [];
+    const ids = new Set();
+    const procedures = new Set();
+    checklistsFile.checklists.forEach((checklist, i) => {
+        const where = `checklists: checklists[${ i }]`;
+        if (!checklist || !ID_PATTERN.test(checklist.id)) {
+            errors.push(`${ where }.id must match ${ ID_PATTERN }`);
+            return;
+        }
+        if (ids.has(checklist.id)) {
+            errors.push(`checklists: duplicate checklist "${ checklist.id }"`);
+        }
+        ids.add(checklist.id);
+
+        if (!visaTypes.includes(checklist.visaType)) {
+            errors.push(`${ where }.visaType "${ checklist.visaType }" is not in the vocabulary`);
+        }
+        if (!workTypes.includes(checklist.workType)) {
+            errors.push(`${ where }.workType "${ checklist.workType }" is not in the vocabulary`);
+        }
+        const procedure = `${ checklist.visaType }.${ checklist.workType }`;
+        if (procedures.has(procedure)) {
+            errors.push(`${ where } duplicates visaType "${ checklist.visaType }" and workType "${ checklist.workType }"`);
+        }
+        procedures.add(procedure);
+
+        ['title', 'description'].forEach(field => {
+            if (!isNonEmptyString(checklist[field])) {
+                errors.push(`${ where }.${ field } must be a non-empty string`);
+            }
+        });
+
+        if (!Array.isArray(checklist.items) || !checklist.items.length) {
+            errors.push(`${ where }.items must be a non-empty array`);
+        } else {
+            const itemIds = new Set();
+            checklist.items.forEach((item, j) => {
+                if (!item || !ID_PATTERN.test(item.id) || !isNonEmptyString(item.text)) {
+                    errors.push(`${ where }.items[${ j }] must have an id matching ${ ID_PATTERN } and a text`);
+                    return;
+                }
+                if (itemIds.has(item.id)) {
+                    errors.push(`${ where }: duplicate item "${ item.id }"`);
+                }
+                itemIds.add(item.id);
+            });
+        }
+
+        if (checklist.sources !== undefined) {
+            if (!Array.isArray(checklist.sources) || !checklist.sources.length) {
+                errors.push(`${ where }.sources must be a non-empty array`);
+            } else {
+                checklist.sources.forEach((source, j) => {
+                    if (!source || !isNonEmptyString(source.title) || !URL_PATTERN.test(source.url)) {
+                        errors.push(`${ where }.sources[${ j }] must have a title and an https url`);
+                    }
+                });
+            }
+        }
+    });
+
+    return errors;
+}
+
+module.exports.VOCABULARY_CATEGORIES = VOCABULARY_CATEGORIES;
+module.exports.WILDCARD = WILDCARD;
+module.exports.validateVocabulary = validateVocabulary;
+module.exports.validateAnswerFile = validateAnswerFile;
+module.exports.validateChecklists = validateChecklists;
+module.exports.validateRules = validateRules;
+module.exports.validateTranslation = validateTranslation;
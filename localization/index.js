@@ -0,0 +1,28 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { LocaleMiddleware } = require('./localeMiddleware');
+const {
+    DEFAULT_LOCALE,
+    LOCALE_NAMES,
+    STRINGS,
+    SUPPORTED_LOCALES,
+    getLanguageCommand,
+    getLocale,
+    localize,
+    resolveLocale,
+    setLocale,
+    translate
+} = require('./localizer');
+
+module.exports.DEFAULT_LOCALE = DEFAULT_LOCALE;
+module.exports.LOCALE_NAMES = LOCALE_NAMES;
+module.exports.STRINGS = STRINGS;
+module.exports.SUPPORTED_LOCALES = SUPPORTED_LOCALES;
+module.exports.LocaleMiddleware = LocaleMiddleware;
+module.exports.getLanguageCommand = getLanguageCommand;
+module.exports.getLocale = getLocale;
+module.exports.localize = localize;
+module.exports.resolveLocale = resolveLocale;
+module.exports.setLocale = setLocale;
+module.exports.translate = translate;
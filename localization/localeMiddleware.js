@@ -0,0 +1,27 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { DEFAULT_LOCALE, resolveLocale, setLocale } = require('./localizer');
+
+/**
+ * Chooses the locale of every turn: the language the user picked (saved as `locale` in their profile) wins,
+ * then the locale of the activity, which channels set from the user's device or browser, then English.
+ * Dialogs read the locale with getLocale(context).
+ */
+class LocaleMiddleware {
+    /**
+     * @param {StatePropertyAccessor} userProfileAccessor the UserProfile in UserState
+     */
+    constructor(userProfileAccessor) {
+        if (!userProfileAccessor) throw new Error('[LocaleMiddleware]: Missing parameter \'userProfileAccessor\' is required');
+        this.userProfileAccessor = userProfileAccessor;
+    }
+
+    async onTurn(context, next) {
+        const profile = await this.userProfileAccessor.get(context);
+        setLocale(context, resolveLocale(profile && profile.locale) || resolveLocale(context.activity.locale) || DEFAULT_LOCALE);
+        await next();
+    }
+}
+
+module.exports.LocaleMiddleware = LocaleMiddleware;
@@ -0,0 +1,111 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = ['en', 'zh', 'hi', 'ko', 'es'];
+
+// The name of each locale in its own language, used to confirm a language change.
+const LOCALE_NAMES = {
+    en: 'English',
+    zh: '中文',
+    hi: 'हिन्दी',
+    ko: '한국어',
+    es: 'Español'
+};
+
+// The names users may call each language by, in English and in the supported languages.
+const LANGUAGE_NAMES = {
+    en: ['english', 'inglés', 'ingles', '英语', '英文', '영어', 'अंग्रेज़ी', 'अंग्रेजी'],
+    zh: ['chinese', 'mandarin', 'chino', '中文', '汉语', '普通话', '중국어', 'चीनी'],
+    hi: ['hindi', 'हिन्दी', 'हिंदी', '印地语', '힌디어'],
+    ko: ['korean', 'coreano', '한국어', '韩语', '韩文', 'कोरियाई'],
+    es: ['spanish', 'español', 'espanol', '西班牙语', '스페인어', 'स्पेनिश']
+};
+
+// "speak Spanish", "switch to Korean", "in Chinese please"; a language name on its own also counts.
+const LANGUAGE_COMMAND_PATTERN = /^(?:(?:please )?(?:speak|talk|reply|answer|switch to|change (?:the )?language to|use|language:?|in) )?(.+?)(?: please)?$/;
+
+// Turn state key of the locale of the current turn, see setLocale().
+const LOCALE_KEY = Symbol('locale');
+
+const STRINGS = {};
+SUPPORTED_LOCALES.forEach(locale => {
+    STRINGS[locale] = require(`./strings/${ locale }.json`);
+});
+
+/**
+ * Maps a BCP-47 locale like 'zh-CN' or 'es_MX' to a supported locale, or undefined when it isn't supported.
+ */
+function resolveLocale(locale) {
+    if (typeof locale !== 'string') return undefined;
+    const language = locale.trim().toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : undefined;
+}
+
+/**
+ * The locale of the current turn, as chosen by LocaleMiddleware. Defaults to English.
+ * @param {TurnContext} context
+ */
+function getLocale(context) {
+    return (context && context.turnState.get(LOCALE_KEY)) || DEFAULT_LOCALE;
+}
+
+function setLocale(context, locale) {
+    context.turnState.set(LOCALE_KEY, resolveLocale(locale) || DEFAULT_LOCALE);
+}
+
+/**
+ * Returns the string of a key in a locale, with its {placeholders} filled from params.
+ * A translation that is null, or a locale without the key, falls back to English. Lists of phrases are
+ * returned as arrays, and translated phrases come on top of the English ones so those keep working.
+ * Throws for keys that English doesn't have, as that is always a bug.
+ * @param {string} locale
+ * @param {string} key
+ * @param {*} params optional
+ */
+function translate(locale, key, params) {
+    const english = STRINGS[DEFAULT_LOCALE][key];
+    if (english === undefined) throw new Error(`[Localization]: Unknown string '${ key }'`);
+
+    const translation = STRINGS[resolveLocale(locale) || DEFAULT_LOCALE][key];
+    if (Array.isArray(english)) {
+        return Array.isArray(translation) && translation !== english ? english.concat(translation) : english;
+    }
+    return format(typeof translation === 'string' ? translation : english, params);
+}
+
+/**
+ * translate() in the locale of the current turn.
+ * @param {TurnContext} context
+ * @param {string} key
+ * @param {*} params optional
+ */
+function localize(context, key, params) {
+    return translate(getLocale(context), key, params);
+}
+
+function format(text, params) {
+    if (!params) return text;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) => (params[name] === undefined ? placeholder : params[name]));
+}
+
+/**
+ * Returns the locale a user asks to switch to, e.g. 'es' for "speak Spanish" or "español", otherwise undefined.
+ */
+function getLanguageCommand(text) {
+    if (typeof text !== 'string') return undefined;
+    const match = LANGUAGE_COMMAND_PATTERN.exec(text.trim().toLowerCase().replace(/\s+/g, ' ').replace(/[.!?。！？]+$/, ''));
+    if (!match) return undefined;
+    return SUPPORTED_LOCALES.find(locale => LANGUAGE_NAMES[locale].includes(match[1]));
+}
+
+module.exports.DEFAULT_LOCALE = DEFAULT_LOCALE;
+module.exports.LOCALE_NAMES = LOCALE_NAMES;
+module.exports.STRINGS = STRINGS;
+module.exports.SUPPORTED_LOCALES = SUPPORTED_LOCALES;
+module.exports.getLanguageCommand = getLanguageCommand;
+module.exports.getLocale = getLocale;
+module.exports.localize = localize;
+module.exports.resolveLocale = resolveLocale;
+module.exports.setLocale = setLocale;
+module.exports.translate = translate;
@@ -0,0 +1,83 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// The command line handling shared by the log reports, scripts/unanswered.js and scripts/feedbackReport.js:
+// `--name value` options with a --format, an optional --since date, CSV output and writing to --out or stdout.
+
+const fs = require('fs');
+
+/**
+ * Parses the command line arguments of a script. Every option takes a value.
+ * @param {string} scriptName the name errors start with, e.g. 'unanswered'
+ * @param {string[]} args the arguments after the script name
+ * @param {{ options: *, formats: string[], defaults: * }} spec options maps every command line option to its name,
+ * e.g. { '--min-count': 'minCount' }; formats lists the values of --format, the first one is the default.
+ * defaults are the values of the options that aren't given.
+ * @returns the options by name, with the format in lower case
+ */
+function parseOptions(scriptName, args, spec) {
+    const options = Object.assign({ format: spec.formats[0] }, spec.defaults);
+    for (let i = 0; i < args.length; i++) {
+        const name = spec.options[args[i]];
+        if (!name) throw new Error(`[${ scriptName }]: Unknown option '${ args[i] }'. Use one of: ${ Object.keys(spec.options).join(', ') }`);
+        if (i + 1 >= args.length) throw new Error(`[${ scriptName }]: Option '${ args[i] }' needs a value`);
+        options[name] = args[++i];
+    }
+
+    options.format = options.format.toLowerCase();
+    if (!spec.formats.includes(options.format)) {
+        throw new Error(`[${ scriptName }]: Unknown format '${ options.format }'. Use one of: ${ spec.formats.join(', ') }`);
+    }
+    if (options.since !== undefined && isNaN(Date.parse(options.since))) {
+        throw new Error(`[${ scriptName }]: --since '${ options.since }' is not a date`);
+    }
+    return options;
+}
+
+function csvField(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${ text.replace(/"/g, '""') }"` : text;
+}
+
+/**
+ * Formats a header and rows as CSV, quoting the fields that need it. Missing values are empty fields.
+ * @param {string[]} columns
+ * @param {Array[]} rows
+ */
+function toCsvText(columns, rows) {
+    return [columns].concat(rows).map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Writes the output to the --out file and prints what was written, or prints the output when there is no file.
+ * @param {string} output
+ * @param {string} out optional, the file name
+ * @param {string} description what was written, e.g. '12 questions'
+ */
+function writeOutput(output, out, description) {
+    if (out) {
+        fs.writeFileSync(out, output);
+        console.log(`Wrote ${ description } to ${ out }`);
+    } else {
+        process.stdout.write(output);
+    }
+}
+
+/**
+ * Runs the async main function of a script with the command line arguments. Its result is the exit code;
+ * when it fails, the error message is printed and the exit code is 1.
+ * @param {Function} main
+ */
+function run(main) {
+    return main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, err => {
+        console.error(err.message);
+        process.exitCode = 1;
+    });
+}
+
+module.exports.parseOptions = parseOptions;
+module.exports.run = run;
+module.exports.toCsvText = toCsvText;
+module.exports.writeOutput = writeOutput;
@@ -0,0 +1,146 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// Summarizes the users' ratings of the answers, which the bot stores in data/feedback.jsonl (or FeedbackLogPath),
+// ranking the knowledge base entries by negative feedback so the wrong or outdated answers are fixed first.
+//
+//   node ./scripts/feedbackReport.js                                  prints the report with the latest comments
+//   node ./scripts/feedbackReport.js --format csv --out feedback.csv  exports one row per answer as CSV
+//   node ./scripts/feedbackReport.js --format json                    prints the summary as JSON
+//
+// Options: --file <log>, --since <YYYY-MM-DD>, --comments <n> (comments per answer in the report, 3 by default)
+
+const path = require('path');
+const { JsonLinesLog } = require('../storage');
+const { parseOptions, run, toCsvText, writeOutput } = require('./cli');
+
+const DEFAULT_LOG_FILE = path.join(__dirname, '..', 'data', 'feedback.jsonl');
+const FORMATS = ['report', 'csv', 'json'];
+const DEFAULT_COMMENTS = 3;
+
+const CSV_COLUMNS = ['answer_key', 'visa_type', 'work_type', 'intent', 'not_helpful', 'helpful', 'negative_share', 'comments', 'last_feedback'];
+
+// Command line option => option name. Every option takes a value.
+const OPTIONS = {
+    '--file': 'file',
+    '--format': 'format',
+    '--out': 'out',
+    '--since': 'since',
+    '--comments': 'comments'
+};
+
+function parseArgs(args) {
+    const options = parseOptions('feedbackReport', args, { options: OPTIONS, formats: FORMATS, defaults: { comments: DEFAULT_COMMENTS } });
+    options.comments = Number(options.comments);
+    if (!Number.isInteger(options.comments) || options.comments < 0) {
+        throw new Error('[feedbackReport]: --comments must be a whole number');
+    }
+    return options;
+}
+
+/**
+ * Adds up the feedback per answer key, most negative feedback first: the answers with the most "not helpful"
+ * ratings, then the highest share of them. Comments are kept newest first.
+ * @param {*} records as stored by FeedbackDialog
+ * @param {string} since optional, only count feedback given on or after this date
+ */
+function summarizeFeedback(records, since) {
+    const from = since !== undefined ? Date.parse(since) : undefined;
+    const entries = new Map();
+    records.filter(record => from === undefined || Date.parse(record.timestamp) >= from).forEach(record => {
+        if (!entries.has(record.answerKey)) {
+            entries.set(record.answerKey, {
+                answerKey: record.answerKey,
+                visaType: record.visaType,
+                workType: record.workType,
+                intent: record.intent,
+                helpful: 0,
+                notHelpful: 0,
+                comments: []
+            });
+        }
+        const entry = entries.get(record.answerKey);
+        if (record.helpful) {
+            entry.helpful++;
+        } else {
+            entry.notHelpful++;
+        }
+        if (record.comment) entry.comments.unshift({ timestamp: record.timestamp, locale: record.locale, text: record.comment });
+        entry.lastFeedback = record.timestamp;
+    });
+
+    return Array.from(entries.values()).map(entry => Object.assign(entry, {
+        negativeShare: entry.notHelpful / (entry.helpful + entry.notHelpful)
+    })).sort((a, b) =>
+        b.notHelpful - a.notHelpful || b.negativeShare - a.negativeShare || a.answerKey.localeCompare(b.answerKey));
+}
+
+function percent(share) {
+    return `${ Math.round(share * 100) }%`;
+}
+
+function toCsv(entries) {
+    const rows = entries.map(entry => [
+        entry.answerKey,
+        entry.visaType,
+        entry.workType,
+        entry.intent,
+        entry.notHelpful,
+        entry.helpful,
+        entry.negativeShare.toFixed(2),
+        entry.comments.map(comment => comment.text).join(' | '),
+        entry.lastFeedback
+    ]);
+    return toCsvText(CSV_COLUMNS, rows);
+}
+
+/**
+ * The report: a line per answer with its ratings, followed by its latest comments.
+ * @param {*} entries see summarizeFeedback()
+ * @param {number} comments the number of comments to show per answer
+ */
+function describeReport(entries, comments) {
+    if (!entries.length) return 'No feedback yet.';
+    const width = Math.max(...entries.map(entry => entry.answerKey.length), 'Answer'.length);
+    const lines = [`${ 'Answer'.padEnd(width) }  Not helpful  Helpful  Negative`];
+    entries.forEach(entry => {
+        lines.push(`${ entry.answerKey.padEnd(width) }  ${ String(entry.notHelpful).padStart(11) }  ${ String(entry.helpful).padStart(7) }  ${ percent(entry.negativeShare).padStart(8) }`);
+        entry.comments.slice(0, comments).forEach(comment => {
+            lines.push(`    - "${ comment.text }" (${ comment.timestamp.substring(0, 10) })`);
+        });
+    });
+    return lines.join('\n');
+}
+
+async function main(args) {
+    const options = parseArgs(args);
+    const records = await new JsonLinesLog(options.file || process.env.FeedbackLogPath || DEFAULT_LOG_FILE).readAll();
+    const entries = summarizeFeedback(records, options.since);
+
+    let output;
+    switch (options.format) {
+    case 'csv':
+        output = toCsv(entries);
+        break;
+    case 'json':
+        output = JSON.stringify(entries, null, 2) + '\n';
+        break;
+    default:
+        output = describeReport(entries, options.comments) + '\n';
+    }
+
+    writeOutput(output, options.out, `feedback on ${ entries.length } answers`);
+    return 0;
+}
+
+if (require.main === module) {
+    run(main);
+}
+
+module.exports.DEFAULT_LOG_FILE = DEFAULT_LOG_FILE;
+module.exports.FORMATS = FORMATS;
+module.exports.describeReport = describeReport;
+module.exports.main = main;
+module.exports.parseArgs = parseArgs;
+module.exports.summarizeFeedback = summarizeFeedback;
+module.exports.toCsv = toCsv;
@@ -0,0 +1,136 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// Generates cognitiveModels/ImmigrationQA.json from the knowledge base vocabulary and the example utterances
+// in cognitiveModels/utterances.json, so the LUIS model and the code can't drift apart.
+//
+//   node ./scripts/luisModel.js          writes the model
+//   node ./scripts/luisModel.js --check  fails if the committed model is out of date
+
+const fs = require('fs');
+const path = require('path');
+const { loadKnowledgeBase } = require('../knowledgeBase');
+
+const MODEL_FILE = path.join(__dirname, '..', 'cognitiveModels', 'ImmigrationQA.json');
+const UTTERANCES_FILE = path.join(__dirname, '..', 'cognitiveModels', 'utterances.json');
+const NONE_INTENT = 'None';
+
+// LUIS list entity name => knowledge base vocabulary category.
+const LIST_ENTITIES = {
+    visa_type: 'visaTypes',
+    work_type: 'workTypes',
+    occupation_status: 'occupationStatuses'
+};
+
+/**
+ * Checks that every intent in the utterances file is known and that no utterance is used twice.
+ * Returns a list of problems; an empty list means the utterances are valid.
+ */
+function validateUtterances(knowledgeBase, utterances) {
+    const errors = [];
+    const intents = knowledgeBase.intents.map(i => i.id).concat(NONE_INTENT);
+
+    Object.keys(utterances).forEach(intent => {
+        if (!intents.includes(intent)) {
+            errors.push(`utterances: intent "${ intent }" is not in the vocabulary`);
+        }
+    });
+    intents.forEach(intent => {
+        if (!Array.isArray(utterances[intent]) || !utterances[intent].length) {
+            errors.push(`utterances: intent "${ intent }" needs at least one example`);
+        }
+    });
+
+    const seen = new Map();
+    Object.keys(utterances).forEach(intent => {
+        (utterances[intent] || []).forEach(text => {
+            const key = text.toLowerCase();
+            if (seen.has(key)) {
+                errors.push(`utterances: "${ text }" is listed under both "${ seen.get(key) }" and "${ intent }"`);
+            }
+            seen.set(key, intent);
+        });
+    });
+
+    return errors;
+}
+
+/**
+ * Builds the LUIS app JSON (schema 3.2.0) for the knowledge base.
+ * List entities use the canonical vocabulary ids as their canonical form, so LUIS resolves every synonym to an id.
+ */
+function buildLuisModel(knowledgeBase, utterances) {
+    const errors = validateUtterances(knowledgeBase, utterances);
+    if (errors.length) {
+        throw new Error(`[luisModel]: Invalid utterances:\n - ${ errors.join('\n - ') }`);
+    }
+
+    const intents = knowledgeBase.intents.map(i => i.id).concat(NONE_INTENT);
+    const closedLists = Object.keys(LIST_ENTITIES).map(name => ({
+        name: name,
+        subLists: knowledgeBase.vocabulary[LIST_ENTITIES[name]].map(entry => ({
+            canonicalForm: entry.id,
+            list: Array.from(new Set([entry.name].concat(entry.synonyms).map(s => s.toLowerCase())))
+        })),
+        roles: []
+    }));
+
+    return {
+        luis_schema_version: '3.2.0',
+        versionId: knowledgeBase.version,
+        name: 'ImmigrationQA',
+        desc: 'LUIS model for the immigration QnA bot. Generated by scripts/luisModel.js, do not edit by hand.',
+        culture: 'en-us',
+        tokenizerVersion: '1.0.0',
+        intents: intents.map(name => ({ name: name })),
+        entities: [],
+        composites: [],
+        closedLists: closedLists,
+        patternAnyEntities: [],
+        regex_entities: [],
+        prebuiltEntities: [],
+        model_features: [],
+        regex_features: [],
+        patterns: [],
+        utterances: intents.reduce((all, intent) => all.concat(utterances[intent].map(text => ({
+            text: text.toLowerCase(),
+            intent: intent,
+            entities: []
+        }))), []),
+        settings: []
+    };
+}
+
+function serialize(model) {
+    return JSON.stringify(model, null, 2) + '\n';
+}
+
+function main(args) {
+    const knowledgeBase = loadKnowledgeBase();
+    const utterances = JSON.parse(fs.readFileSync(UTTERANCES_FILE, 'utf8'));
+    const generated = serialize(buildLuisModel(knowledgeBase, utterances));
+
+    if (args.includes('--check')) {
+        const current = fs.existsSync(MODEL_FILE) ? fs.readFileSync(MODEL_FILE, 'utf8') : '';
+        if (current !== generated) {
+            console.error(`${ path.relative(process.cwd(), MODEL_FILE) } is out of date. Run "npm run luis:generate" and commit the result.`);
+            return 1;
+        }
+        console.log(`${ path.relative(process.cwd(), MODEL_FILE) } is up to date.`);
+        return 0;
+    }
+
+    fs.writeFileSync(MODEL_FILE, generated);
+    console.log(`Wrote ${ path.relative(process.cwd(), MODEL_FILE) }`);
+    return 0;
+}
+
+if (require.main === module) {
+    process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports.MODEL_FILE = MODEL_FILE;
+module.exports.UTTERANCES_FILE = UTTERANCES_FILE;
+module.exports.buildLuisModel = buildLuisModel;
+module.exports.serialize = serialize;
+module.exports.validateUtterances = validateUtterances;
@@ -0,0 +1,170 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// Lists, deduplicates and exports the questions the bot couldn't answer from the knowledge base, which it logs to
+// data/unanswered.jsonl (or UnansweredLogPath), so the most asked ones get new content or LUIS examples first.
+//
+//   node ./scripts/unanswered.js                                    lists the questions, most asked first
+//   node ./scripts/unanswered.js --format csv --out unanswered.csv  exports them as CSV
+//   node ./scripts/unanswered.js --format luis --out batch.json     exports English questions as LUIS batch labeling JSON
+//
+// Options: --file <log>, --reason <notUnderstood|faq|missingAnswer>, --locale <locale>, --since <YYYY-MM-DD>, --min-count <n>
+
+const path = require('path');
+const { JsonLinesLog } = require('../storage');
+const { parseOptions, run, toCsvText, writeOutput } = require('./cli');
+
+const DEFAULT_LOG_FILE = path.join(__dirname, '..', 'data', 'unanswered.jsonl');
+const FORMATS = ['list', 'csv', 'luis'];
+const NONE_INTENT = 'None';
+
+// The LUIS model is English only, see scripts/luisModel.js.
+const LUIS_LOCALE = 'en';
+
+const CSV_COLUMNS = ['text', 'count', 'locale', 'reasons', 'intent', 'score', 'visa_type', 'work_type', 'occupation_status', 'first_seen', 'last_seen'];
+
+// Command line option => option name. Every option takes a value.
+const OPTIONS = {
+    '--file': 'file',
+    '--format': 'format',
+    '--out': 'out',
+    '--reason': 'reason',
+    '--locale': 'locale',
+    '--since': 'since',
+    '--min-count': 'minCount'
+};
+
+function parseArgs(args) {
+    const options = parseOptions('unanswered', args, { options: OPTIONS, formats: FORMATS, defaults: { minCount: 1 } });
+    options.minCount = Number(options.minCount);
+    if (!Number.isInteger(options.minCount) || options.minCount < 1) {
+        throw new Error('[unanswered]: --min-count must be a positive whole number');
+    }
+    return options;
+}
+
+/**
+ * The form two questions share when they only differ in case, spacing or punctuation, e.g. "Can I work on F-1?"
+ * and "can i work on f-1".
+ */
+function normalizeQuestion(text) {
+    return String(text || '').toLowerCase().replace(/[^\p{L}\p{N}\s-]/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Keeps the records with the given reason and locale, logged on or after `since`. Filters that aren't given keep every record.
+ */
+function filterRecords(records, filters) {
+    const since = filters.since !== undefined ? Date.parse(filters.since) : undefined;
+    return records.filter(record =>
+        (!filters.reason || record.reason === filters.reason) &&
+        (!filters.locale || record.locale === filters.locale) &&
+        (since === undefined || Date.parse(record.timestamp) >= since));
+}
+
+/**
+ * Groups the records of the same question in the same language, most asked first.
+ * A group has the text as last asked, how often it was asked, why it went unanswered, the intent it was most
+ * often recognized as and the last recognized score and entities.
+ */
+function groupQuestions(records) {
+    const groups = new Map();
+    records.forEach(record => {
+        const key = `${ record.locale }|${ normalizeQuestion(record.text) }`;
+        if (!groups.has(key)) {
+            groups.set(key, { locale: record.locale, count: 0, reasons: [], intents: {}, firstSeen: record.timestamp });
+        }
+        const group = groups.get(key);
+        group.count++;
+        group.text = record.text;
+        group.score = record.score;
+        group.entities = record.entities || {};
+        group.lastSeen = record.timestamp;
+        if (!group.reasons.includes(record.reason)) group.reasons.push(record.reason);
+        const intent = record.intent || NONE_INTENT;
+        group.intents[intent] = (group.intents[intent] || 0) + 1;
+    });
+
+    return Array.from(groups.values()).map(group => {
+        const intents = group.intents;
+        delete group.intents;
+        group.intent = Object.keys(intents).sort((a, b) => intents[b] - intents[a])[0];
+        return group;
+    }).sort((a, b) => b.count - a.count || String(b.lastSeen).localeCompare(String(a.lastSeen)));
+}
+
+function toCsv(groups) {
+    const rows = groups.map(group => [
+        group.text,
+        group.count,
+        group.locale,
+        group.reasons.join(' '),
+        group.intent,
+        group.score,
+        group.entities.visa_type,
+        group.entities.work_type,
+        group.entities.occupation_status,
+        group.firstSeen,
+        group.lastSeen
+    ]);
+    return toCsvText(CSV_COLUMNS, rows);
+}
+
+/**
+ * Builds a LUIS batch labeling file: the questions with the intent they were recognized as, to be corrected
+ * in the LUIS portal before training. Entities are list entities, which LUIS finds without labels.
+ */
+function toLuisBatch(groups) {
+    return groups.map(group => ({
+        text: group.text,
+        intent: group.intent,
+        entities: []
+    }));
+}
+
+function describeGroups(groups) {
+    if (!groups.length) return 'No unanswered questions.';
+    return groups.map(group => {
+        const entities = ['visa_type', 'work_type', 'occupation_status'].map(name => group.entities[name]).filter(value => value);
+        const details = [group.locale, group.reasons.join(', '), `intent ${ group.intent }`].concat(entities.length ? [entities.join('/')] : []);
+        return `${ String(group.count).padStart(5) }  ${ group.text }  (${ details.join('; ') })`;
+    }).join('\n');
+}
+
+async function main(args) {
+    const options = parseArgs(args);
+    if (options.format === 'luis' && !options.locale) options.locale = LUIS_LOCALE;
+
+    const records = await new JsonLinesLog(options.file || process.env.UnansweredLogPath || DEFAULT_LOG_FILE).readAll();
+    const groups = groupQuestions(filterRecords(records, options)).filter(group => group.count >= options.minCount);
+
+    let output;
+    switch (options.format) {
+    case 'csv':
+        output = toCsv(groups);
+        break;
+    case 'luis':
+        output = JSON.stringify(toLuisBatch(groups), null, 2) + '\n';
+        break;
+    default:
+        output = describeGroups(groups) + '\n';
+    }
+
+    writeOutput(output, options.out, `${ groups.length } questions`);
+    return 0;
+}
+
+if (require.main === module) {
+    run(main);
+}
+
+module.exports.DEFAULT_LOG_FILE = DEFAULT_LOG_FILE;
+module.exports.FORMATS = FORMATS;
+module.exports.describeGroups = describeGroups;
+module.exports.filterRecords = filterRecords;
+module.exports.groupQuestions = groupQuestions;
+module.exports.main = main;
+module.exports.normalizeQuestion = normalizeQuestion;
+module.exports.parseArgs = parseArgs;
+module.exports.toCsv = toCsv;
+module.exports.toLuisBatch = toLuisBatch;
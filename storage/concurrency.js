@@ -0,0 +1,55 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const crypto = require('crypto');
+const { StorageError } = require('../errors');
+
+/**
+ * Returns a new eTag. eTags are random rather than a counter so that an eTag read before a restart
+ * can never match an item written after it.
+ */
+function createETag() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * Throws when a change can't be written over the stored item, following the MemoryStorage rules:
+ * new items and changes with the '*' eTag always win, otherwise the eTags have to match.
+ * @param {string} key
+ * @param {*} change the item being written
+ * @param {string} currentETag eTag of the stored item, undefined when there is none
+ */
+function assertCanWrite(key, change, currentETag) {
+    if (currentETag === undefined || change.eTag === '*' || change.eTag === currentETag) return;
+    throw new StorageError(`Storage: error writing "${ key }" due to eTag conflict.`);
+}
+
+/**
+ * Runs async tasks one at a time, in the order they were queued.
+ * Storage operations read, compare and write, so they must not interleave.
+ * The queue of a store is named after it, and its failures are thrown as StorageErrors so the turn error handler
+ * knows the state couldn't be read or written; the original error is the `cause`.
+ */
+class TaskQueue {
+    /**
+     * @param {string} storeName optional, e.g. 'FileStorage'
+     */
+    constructor(storeName) {
+        this.storeName = storeName;
+        this.tail = Promise.resolve();
+    }
+
+    run(task) {
+        const result = this.tail.then(() => task()).catch(err => {
+            if (!this.storeName || err instanceof StorageError) throw err;
+            throw new StorageError(`[${ this.storeName }]: ${ err.message }`, err);
+        });
+        // Keep the queue going when a task fails; the caller still sees the failure.
+        this.tail = result.catch(() => undefined);
+        return result;
+    }
+}
+
+module.exports.TaskQueue = TaskQueue;
+module.exports.assertCanWrite = assertCanWrite;
+module.exports.createETag = createETag;
@@ -0,0 +1,87 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { TaskQueue, assertCanWrite, createETag } = require('./concurrency');
+
+/**
+ * A botbuilder Storage that keeps every item in its own JSON file, so state survives restarts.
+ * File names are a hash of the key because state keys contain slashes and can be longer than a file name.
+ * Files are replaced atomically (write to a temporary file, then rename) so a crash never leaves half an item behind.
+ * Only one bot process should use a directory at a time: eTags are checked within the process.
+ */
+class FileStorage {
+    constructor(directory) {
+        if (!directory) throw new Error('[FileStorage]: Missing parameter \'directory\' is required');
+        this.directory = directory;
+        this.queue = new TaskQueue('FileStorage');
+        fs.mkdirSync(directory, { recursive: true });
+    }
+
+    async read(keys) {
+        return this.queue.run(async () => {
+            const data = {};
+            for (const key of keys) {
+                const item = await this.readItem(key);
+                if (item) data[key] = item;
+            }
+            return data;
+        });
+    }
+
+    /**
+     * Writes all changes, or none of them when any eTag conflicts.
+     */
+    async write(changes) {
+        return this.queue.run(async () => {
+            const keys = Object.keys(changes);
+            for (const key of keys) {
+                const current = await this.readItem(key);
+                assertCanWrite(key, changes[key], current ? current.eTag : undefined);
+            }
+
+            for (const key of keys) {
+                const item = Object.assign({}, changes[key], { eTag: createETag() });
+                await this.writeFile(this.fileName(key), JSON.stringify({ key: key, item: item }));
+            }
+        });
+    }
+
+    async delete(keys) {
+        return this.queue.run(async () => {
+            for (const key of keys) {
+                try {
+                    await fs.promises.unlink(this.fileName(key));
+                } catch (err) {
+                    if (err.code !== 'ENOENT') throw err;
+                }
+            }
+        });
+    }
+
+    fileName(key) {
+        const hash = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(this.directory, `${ hash }.json`);
+    }
+
+    async readItem(key) {
+        let contents;
+        try {
+            contents = await fs.promises.readFile(this.fileName(key), 'utf8');
+        } catch (err) {
+            if (err.code === 'ENOENT') return undefined;
+            throw err;
+        }
+        return JSON.parse(contents).item;
+    }
+
+    async writeFile(fileName, contents) {
+        const tempFileName = `${ fileName }.${ process.pid }.tmp`;
+        await fs.promises.writeFile(tempFileName, contents, 'utf8');
+        await fs.promises.rename(tempFileName, fileName);
+    }
+}
+
+module.exports.FileStorage = FileStorage;
@@ -0,0 +1,43 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const path = require('path');
+const { MemoryStorage } = require('botbuilder');
+const { FileStorage } = require('./fileStorage');
+const { JsonLinesLog } = require('./jsonLinesLog');
+const { SqliteStorage } = require('./sqliteStorage');
+
+const STORAGE_TYPES = ['memory', 'file', 'sqlite'];
+
+// Where the durable stores keep their data unless a path is configured.
+const DEFAULT_PATHS = {
+    file: path.join(__dirname, '..', 'data', 'state'),
+    sqlite: path.join(__dirname, '..', 'data', 'state.sqlite')
+};
+
+/**
+ * Creates the bot's state store from configuration.
+ * @param {{ type: string, path: string }} config type is memory (the default), file or sqlite. path is the directory
+ * of the file store or the database file of the SQLite store.
+ */
+function createStorage(config) {
+    const type = ((config && config.type) || 'memory').toLowerCase();
+    const location = (config && config.path) || DEFAULT_PATHS[type];
+
+    switch (type) {
+    case 'memory':
+        return new MemoryStorage();
+    case 'file':
+        return new FileStorage(location);
+    case 'sqlite':
+        return new SqliteStorage(location);
+    default:
+        throw new Error(`[createStorage]: Unknown storage type '${ type }'. Use one of: ${ STORAGE_TYPES.join(', ') }`);
+    }
+}
+
+module.exports.STORAGE_TYPES = STORAGE_TYPES;
+module.exports.FileStorage = FileStorage;
+module.exports.JsonLinesLog = JsonLinesLog;
+module.exports.SqliteStorage = SqliteStorage;
+module.exports.createStorage = createStorage;
@@ -0,0 +1,44 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const fs = require('fs');
+const path = require('path');
+const { TaskQueue } = require('./concurrency');
+
+/**
+ * Appends records to a file as JSON Lines (one JSON object per line), for logs that are reviewed offline,
+ * e.g. to retrain the language model. The file and its directory are created on the first write.
+ * Appends are queued so records written by concurrent turns never interleave.
+ */
+class JsonLinesLog {
+    constructor(filePath) {
+        if (!filePath) throw new Error('[JsonLinesLog]: Missing parameter \'filePath\' is required');
+        this.filePath = filePath;
+        this.queue = new TaskQueue('JsonLinesLog');
+    }
+
+    async append(record) {
+        return this.queue.run(async () => {
+            await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+            await fs.promises.appendFile(this.filePath, `${ JSON.stringify(record) }\n`);
+        });
+    }
+
+    /**
+     * Returns every record in the order they were written, or an empty list when nothing was logged yet.
+     */
+    async readAll() {
+        return this.queue.run(async () => {
+            let text;
+            try {
+                text = await fs.promises.readFile(this.filePath, 'utf8');
+            } catch (err) {
+                if (err.code === 'ENOENT') return [];
+                throw err;
+            }
+            return text.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+        });
+    }
+}
+
+module.exports.JsonLinesLog = JsonLinesLog;
@@ -0,0 +1,118 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+const { StorageError } = require('../errors');
+const { TaskQueue, assertCanWrite, createETag } = require('./concurrency');
+
+const CREATE_TABLE = 'CREATE TABLE IF NOT EXISTS items (key TEXT PRIMARY KEY, etag TEXT NOT NULL, document TEXT NOT NULL)';
+
+/**
+ * A botbuilder Storage backed by a SQLite database file.
+ * It uses sql.js (SQLite compiled to WebAssembly), so no native module has to be built on the bot's host.
+ * sql.js keeps the database in memory: it is loaded from the file on first use and saved back after every change.
+ * Only one bot process should use a database file at a time.
+ */
+class SqliteStorage {
+    constructor(fileName) {
+        if (!fileName) throw new Error('[SqliteStorage]: Missing parameter \'fileName\' is required');
+        this.fileName = fileName;
+        this.queue = new TaskQueue('SqliteStorage');
+    }
+
+    async read(keys) {
+        return this.queue.run(async () => {
+            const db = await this.open();
+            const data = {};
+            keys.forEach(key => {
+                const row = this.selectItem(db, key);
+                if (row) data[key] = Object.assign(JSON.parse(row.document), { eTag: row.etag });
+            });
+            return data;
+        });
+    }
+
+    /**
+     * Writes all changes in one transaction, or none of them when any eTag conflicts.
+     */
+    async write(changes) {
+        return this.queue.run(async () => {
+            const db = await this.open();
+            const keys = Object.keys(changes);
+            keys.forEach(key => {
+                const row = this.selectItem(db, key);
+                assertCanWrite(key, changes[key], row ? row.etag : undefined);
+            });
+
+            this.transaction(db, () => keys.forEach(key => {
+                const document = Object.assign({}, changes[key]);
+                delete document.eTag;
+                db.run('INSERT OR REPLACE INTO items (key, etag, document) VALUES (?, ?, ?)', [key, createETag(), JSON.stringify(document)]);
+            }));
+            await this.save(db);
+        });
+    }
+
+    async delete(keys) {
+        return this.queue.run(async () => {
+            const db = await this.open();
+            this.transaction(db, () => keys.forEach(key => db.run('DELETE FROM items WHERE key = ?', [key])));
+            await this.save(db);
+        });
+    }
+
+    /**
+     * Closes the in-memory database. The next operation loads it from the file again.
+     */
+    async close() {
+        return this.queue.run(async () => {
+            if (this.db) this.db.close();
+            this.db = undefined;
+        });
+    }
+
+    async open() {
+        if (!this.db) {
+            const SQL = await initSqlJs();
+            const contents = fs.existsSync(this.fileName) ? fs.readFileSync(this.fileName) : undefined;
+            this.db = new SQL.Database(contents);
+            this.db.run(CREATE_TABLE);
+        }
+        return this.db;
+    }
+
+    /**
+     * Runs the statements of `run` in a transaction. When one fails, e.g. because a change can't be serialized,
+     * the transaction is rolled back so the database is unchanged and the next operation can begin its own.
+     */
+    transaction(db, run) {
+        db.run('BEGIN');
+        try {
+            run();
+            db.run('COMMIT');
+        } catch (err) {
+            db.run('ROLLBACK');
+            throw new StorageError(`[SqliteStorage]: ${ err.message }`, err);
+        }
+    }
+
+    selectItem(db, key) {
+        const statement = db.prepare('SELECT etag, document FROM items WHERE key = ?', [key]);
+        try {
+            return statement.step() ? statement.getAsObject() : undefined;
+        } finally {
+            statement.free();
+        }
+    }
+
+    async save(db) {
+        fs.mkdirSync(path.dirname(this.fileName), { recursive: true });
+        const tempFileName = `${ this.fileName }.${ process.pid }.tmp`;
+        await fs.promises.writeFile(tempFileName, Buffer.from(db.export()));
+        await fs.promises.rename(tempFileName, this.fileName);
+    }
+}
+
+module.exports.SqliteStorage = SqliteStorage;
@@ -0,0 +1,53 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const path = require('path');
+const { TEXT_MODES, redact } = require('./redaction');
+const { RotatingFileSink, StreamSink } = require('./sinks');
+const { TelemetryClient, getTelemetry, trackEvent } = require('./telemetryClient');
+const { TelemetryMiddleware } = require('./telemetryMiddleware');
+
+const SINK_TYPES = ['stdout', 'file', 'none'];
+
+// Where the file sink writes unless a path is configured.
+const DEFAULT_FILE_PATH = path.join(__dirname, '..', 'data', 'telemetry', 'telemetry.jsonl');
+
+/**
+ * Creates the bot's telemetry client from configuration.
+ * @param {{ sinks: string, path: string, maxBytes: number, maxFiles: number, textMode: string }} config
+ * sinks is a comma separated list of stdout (the default), file and none. path, maxBytes and maxFiles configure
+ * the rotating file of the file sink. textMode is how free text is logged, see TEXT_MODES; redacted by default.
+ */
+function createTelemetryClient(config) {
+    const types = ((config && config.sinks) || 'stdout').toLowerCase().split(',').map(type => type.trim()).filter(type => type);
+    const sinks = types.filter(type => type !== 'none').map(type => {
+        switch (type) {
+        case 'stdout':
+            return new StreamSink(process.stdout);
+        case 'file':
+            return new RotatingFileSink((config && config.path) || DEFAULT_FILE_PATH, {
+                maxBytes: config && config.maxBytes,
+                maxFiles: config && config.maxFiles
+            });
+        default:
+            throw new Error(`[createTelemetryClient]: Unknown telemetry sink '${ type }'. Use one of: ${ SINK_TYPES.join(', ') }`);
+        }
+    });
+
+    const textMode = ((config && config.textMode) || 'redacted').toLowerCase();
+    if (!TEXT_MODES.includes(textMode)) {
+        throw new Error(`[createTelemetryClient]: Unknown text mode '${ textMode }'. Use one of: ${ TEXT_MODES.join(', ') }`);
+    }
+    return new TelemetryClient(sinks, { textMode: textMode });
+}
+
+module.exports.SINK_TYPES = SINK_TYPES;
+module.exports.TEXT_MODES = TEXT_MODES;
+module.exports.RotatingFileSink = RotatingFileSink;
+module.exports.StreamSink = StreamSink;
+module.exports.TelemetryClient = TelemetryClient;
+module.exports.TelemetryMiddleware = TelemetryMiddleware;
+module.exports.createTelemetryClient = createTelemetryClient;
+module.exports.getTelemetry = getTelemetry;
+module.exports.redact = redact;
+module.exports.trackEvent = trackEvent;
@@ -0,0 +1,51 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+// How free text is logged: scrubbed of personal details (the default), left out, or as typed.
+const TEXT_MODES = ['redacted', 'none', 'full'];
+
+// Personal details users may type, most specific first so e.g. a receipt number isn't logged as a number.
+const PATTERNS = [
+    { label: '[EMAIL]', pattern: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g },
+    { label: '[RECEIPT_NUMBER]', pattern: /\b(?:EAC|WAC|LIN|SRC|NBC|MSC|IOE|YSC)\d{10}\b/gi },
+    { label: '[SEVIS_ID]', pattern: /\bN\d{10}\b/gi },
+    { label: '[A_NUMBER]', pattern: /\bA-?\d{8,9}\b/gi },
+    { label: '[SSN]', pattern: /\b\d{3}-\d{2}-\d{4}\b/g },
+    { label: '[PHONE]', pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g },
+    { label: '[DOCUMENT_NUMBER]', pattern: /\b[A-Z]{1,2}\d{6,9}\b/g },
+    { label: '[NUMBER]', pattern: /\b\d{6,}\b/g }
+];
+
+/**
+ * Replaces personal details in free text, like email addresses, phone numbers, Social Security numbers,
+ * A-numbers, SEVIS ids, USCIS receipt numbers, passport numbers and other long numbers, with a label like [EMAIL].
+ * Form names like "I-765" and visa types like "F-1" are kept, so the text still says what the user asked.
+ * Names can't be told apart from other words, so text logged this way may still contain them.
+ * @param {string} text
+ */
+function redact(text) {
+    if (typeof text !== 'string') return text;
+    return PATTERNS.reduce((redacted, { label, pattern }) => redacted.replace(pattern, label), text);
+}
+
+/**
+ * Applies a text mode to free text: 'redacted' scrubs it with redact(), 'none' leaves it out and 'full' keeps it.
+ * @param {string} text
+ * @param {string} mode one of TEXT_MODES
+ */
+function applyTextMode(text, mode) {
+    switch (mode) {
+    case 'full':
+        return text;
+    case 'none':
+        return undefined;
+    case 'redacted':
+        return redact(text);
+    default:
+        throw new Error(`[Telemetry]: Unknown text mode '${ mode }'. Use one of: ${ TEXT_MODES.join(', ') }`);
+    }
+}
+
+module.exports.TEXT_MODES = TEXT_MODES;
+module.exports.applyTextMode = applyTextMode;
+module.exports.redact = redact;
@@ -0,0 +1,89 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const fs = require('fs');
+const path = require('path');
+const { TaskQueue } = require('../storage/concurrency');
+
+// Rotate the telemetry file at 10 MB and keep 5 rotated files, unless configured otherwise.
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+const DEFAULT_MAX_FILES = 5;
+
+/**
+ * Writes every event as one line of JSON to a stream, stdout by default, for log collectors that read the bot's output.
+ */
+class StreamSink {
+    constructor(stream) {
+        this.stream = stream || process.stdout;
+    }
+
+    async write(event) {
+        this.stream.write(`${ JSON.stringify(event) }\n`);
+    }
+}
+
+/**
+ * Appends every event as one line of JSON to a file. When the file would grow past `maxBytes` it is renamed to
+ * <file>.1, the earlier <file>.1 to <file>.2 and so on, and the oldest beyond `maxFiles` rotated files is deleted.
+ * Writes are queued so events of concurrent turns never interleave.
+ */
+class RotatingFileSink {
+    /**
+     * @param {string} filePath
+     * @param {{ maxBytes: number, maxFiles: number }} options optional, default to 10 MB and 5 files
+     */
+    constructor(filePath, options) {
+        if (!filePath) throw new Error('[RotatingFileSink]: Missing parameter \'filePath\' is required');
+        this.filePath = filePath;
+        this.maxBytes = (options && options.maxBytes) || DEFAULT_MAX_BYTES;
+        this.maxFiles = (options && options.maxFiles) || DEFAULT_MAX_FILES;
+        this.queue = new TaskQueue();
+        this.size = undefined;
+    }
+
+    async write(event) {
+        const line = `${ JSON.stringify(event) }\n`;
+        return this.queue.run(async () => {
+            if (this.size === undefined) {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                this.size = await fileSize(this.filePath);
+            }
+
+            const bytes = Buffer.byteLength(line);
+            if (this.size > 0 && this.size + bytes > this.maxBytes) {
+                await this.rotate();
+                this.size = 0;
+            }
+            await fs.promises.appendFile(this.filePath, line);
+            this.size += bytes;
+        });
+    }
+
+    async rotate() {
+        await ignoreMissing(fs.promises.unlink(`${ this.filePath }.${ this.maxFiles }`));
+        for (let i = this.maxFiles - 1; i >= 1; i--) {
+            await ignoreMissing(fs.promises.rename(`${ this.filePath }.${ i }`, `${ this.filePath }.${ i + 1 }`));
+        }
+        await ignoreMissing(fs.promises.rename(this.filePath, `${ this.filePath }.1`));
+    }
+}
+
+async function fileSize(filePath) {
+    try {
+        return (await fs.promises.stat(filePath)).size;
+    } catch (err) {
+        if (err.code === 'ENOENT') return 0;
+        throw err;
+    }
+}
+
+async function ignoreMissing(operation) {
+    try {
+        await operation;
+    } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+    }
+}
+
+module.exports.RotatingFileSink = RotatingFileSink;
+module.exports.StreamSink = StreamSink;
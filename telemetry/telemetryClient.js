@@ -0,0 +1,118 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const crypto = require('crypto');
+const { applyTextMode } = require('./redaction');
+
+// Turn state key of the telemetry client of the current turn, see TelemetryMiddleware.
+const TELEMETRY_KEY = Symbol('telemetry');
+
+/**
+ * Sends structured telemetry events to its sinks, e.g. { timestamp, event: 'intentRecognized', conversationId, intent, score }.
+ * Every event carries the conversation, activity and channel of the turn, and a hash of the user id instead of the id.
+ * Free text goes in the `text` property, which is redacted according to the text mode; other properties are logged
+ * as they are, so keep them to ids, names, scores and counts.
+ * A sink that fails doesn't fail the turn: the failure is reported once on stderr and the other sinks still get the event.
+ */
+class TelemetryClient {
+    /**
+     * @param {Array} sinks objects with an async write(event) method, see sinks.js
+     * @param {{ textMode: string }} options textMode is one of TEXT_MODES, 'redacted' by default
+     */
+    constructor(sinks, options) {
+        this.sinks = sinks || [];
+        this.textMode = (options && options.textMode) || 'redacted';
+        // Fail on a misconfigured text mode now rather than on the first event.
+        applyTextMode('', this.textMode);
+        this.failedSinks = new Set();
+    }
+
+    /**
+     * @param {TurnContext} context optional, the turn the event happened in
+     * @param {string} name the event name, e.g. 'turnReceived'
+     * @param {*} properties optional
+     */
+    async track(context, name, properties) {
+        const event = Object.assign({ timestamp: new Date().toISOString(), event: name }, describeTurn(context), properties);
+        if (event.text !== undefined) event.text = applyTextMode(event.text, this.textMode);
+        if (event.text === undefined) delete event.text;
+
+        await Promise.all(this.sinks.map(async sink => {
+            try {
+                await sink.write(event);
+            } catch (err) {
+                if (this.failedSinks.has(sink)) return;
+                this.failedSinks.add(sink);
+                process.stderr.write(`[TelemetryClient]: Unable to write telemetry to ${ sink.constructor.name }: ${ err.message }\n`);
+            }
+        }));
+    }
+
+    /**
+     * Tracks an error with its name, message and stack. The message is treated as free text since it may quote the user,
+     * and the stack is logged without it, see describeStack().
+     */
+    async trackException(context, error, properties) {
+        await this.track(context, 'error', Object.assign({
+            errorName: error && error.name,
+            text: error && error.message !== undefined ? String(error.message) : String(error),
+            stack: describeStack(error)
+        }, properties));
+    }
+}
+
+/**
+ * The error name and the call frames of the stack. The stack starts with the message, which can span several lines,
+ * so only the "at ..." lines are kept and the message is only logged through the text mode.
+ */
+function describeStack(error) {
+    if (!error || typeof error.stack !== 'string') return undefined;
+    const frames = error.stack.split('\n').filter(line => /^\s+at /.test(line));
+    return [error.name || 'Error'].concat(frames).join('\n');
+}
+
+function describeTurn(context) {
+    const activity = context && context.activity;
+    if (!activity) return {};
+    return {
+        conversationId: activity.conversation && activity.conversation.id,
+        activityId: activity.id,
+        channelId: activity.channelId,
+        userHash: activity.from && activity.from.id ? hashId(activity.from.id) : undefined
+    };
+}
+
+/**
+ * A short, stable pseudonym for a user id, so the events of one user can be grouped without logging the id.
+ */
+function hashId(id) {
+    return crypto.createHash('sha256').update(String(id)).digest('hex').substring(0, 16);
+}
+
+/**
+ * Returns the telemetry client of the turn, or undefined when the adapter doesn't use TelemetryMiddleware.
+ */
+function getTelemetry(context) {
+    return context && context.turnState ? context.turnState.get(TELEMETRY_KEY) : undefined;
+}
+
+function setTelemetry(context, telemetryClient) {
+    context.turnState.set(TELEMETRY_KEY, telemetryClient);
+}
+
+/**
+ * Tracks an event with the telemetry client of the turn. Does nothing without one, e.g. in tests.
+ * @param {TurnContext} context
+ * @param {string} name
+ * @param {*} properties optional, see TelemetryClient.track()
+ */
+async function trackEvent(context, name, properties) {
+    const telemetryClient = getTelemetry(context);
+    if (telemetryClient) await telemetryClient.track(context, name, properties);
+}
+
+module.exports.TelemetryClient = TelemetryClient;
+module.exports.getTelemetry = getTelemetry;
+module.exports.hashId = hashId;
+module.exports.setTelemetry = setTelemetry;
+module.exports.trackEvent = trackEvent;
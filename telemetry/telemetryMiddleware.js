@@ -0,0 +1,43 @@
+// Copyright (c) Microsoft Corporation. All rights reserved.
+// Licensed under the MIT License.
+
+const { setTelemetry } = require('./telemetryClient');
+
+/**
+ * Makes the telemetry client available to the rest of the turn (dialogs track events with trackEvent(context, ...))
+ * and tracks every turn: 'turnReceived' with the activity type, the text and the locale when it starts, and
+ * 'turnCompleted' with the duration and the number of activities the bot sent when it ends.
+ * Errors are tracked by the adapter's onTurnError handler.
+ */
+class TelemetryMiddleware {
+    /**
+     * @param {TelemetryClient} telemetryClient
+     */
+    constructor(telemetryClient) {
+        if (!telemetryClient) throw new Error('[TelemetryMiddleware]: Missing parameter \'telemetryClient\' is required');
+        this.telemetryClient = telemetryClient;
+    }
+
+    async onTurn(context, next) {
+        setTelemetry(context, this.telemetryClient);
+        const started = Date.now();
+        let activitiesSent = 0;
+        context.onSendActivities(async (ctx, activities, nextSend) => {
+            activitiesSent += activities.filter(activity => activity.type !== 'trace').length;
+            return await nextSend();
+        });
+
+        await this.telemetryClient.track(context, 'turnReceived', {
+            activityType: context.activity.type,
+            text: context.activity.text,
+            locale: context.activity.locale
+        });
+        await next();
+        await this.telemetryClient.track(context, 'turnCompleted', {
+            durationMs: Date.now() - started,
+            activitiesSent: activitiesSent
+        });
+    }
+}
+
+module.exports.TelemetryMiddleware = TelemetryMiddleware;
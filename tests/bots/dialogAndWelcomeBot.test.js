@@ -5,6 +5,8 @@
 const { TestAdapter, ActivityTypes, TurnContext, ConversationState, MemoryStorage, UserState } = require('botbuilder');
 const { DialogSet, DialogTurnStatus, Dialog } = require('botbuilder-dialogs');
 const { DialogAndWelcomeBot } = require('../../bots/dialogAndWelcomeBot');
+const { USER_PROFILE_PROPERTY } = require('../../dialogs/userProfile');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
 const assert = require('assert');
 
 /**
@@ -16,7 +18,8 @@ class MockRootDialog extends Dialog {
     }
 
     async beginDialog(dc, options) {
-        await dc.context.sendActivity(`${ this.id } mock invoked`);
+        const text = dc.context.activity.text;
+        await dc.context.sendActivity(text ? `${ this.id } mock invoked: ${ text }` : `${ this.id } mock invoked`);
         return await dc.endDialog();
     }
 
@@ -33,41 +36,103 @@ class MockRootDialog extends Dialog {
 }
 
 describe('DialogAndWelcomeBot', () => {
-    const testAdapter = new TestAdapter();
+    const knowledgeBase = loadKnowledgeBase();
+    let testAdapter;
+    let memoryStorage;
+
+    beforeEach(() => {
+        testAdapter = new TestAdapter();
+        memoryStorage = new MemoryStorage();
+    });
+
+    function createBot() {
+        const userState = new UserState(memoryStorage);
+        return new DialogAndWelcomeBot(new ConversationState(memoryStorage), userState, new MockRootDialog(), knowledgeBase, userState.createProperty(USER_PROFILE_PROPERTY));
+    }
 
     async function processActivity(activity, bot) {
         const context = new TurnContext(testAdapter, activity);
         await bot.run(context);
     }
 
-    it('Shows welcome card on member added and starts main dialog', async () => {
-        const mockRootDialog = new MockRootDialog();
-        const memoryStorage = new MemoryStorage();
-        const sut = new DialogAndWelcomeBot(new ConversationState(memoryStorage), new UserState(memoryStorage), mockRootDialog, console);
-
-        // Create conversationUpdate activity
-        const conversationUpdateActivity = {
+    // Create a conversationUpdate activity
+    function conversationUpdate(channelId) {
+        return {
             type: ActivityTypes.ConversationUpdate,
-            channelId: 'test',
+            channelId: channelId,
             conversation: {
                 id: 'someId'
             },
+            from: { id: 'theUser' },
             membersAdded: [
                 { id: 'theUser' }
             ],
             recipient: { id: 'theBot' }
         };
+    }
 
+    it('Shows welcome card on member added and starts main dialog', async () => {
         // Send the conversation update activity to the bot.
-        await processActivity(conversationUpdateActivity, sut);
+        await processActivity(conversationUpdate('emulator'), createBot());
 
         // Assert we got the welcome card
         let reply = testAdapter.activityBuffer.shift();
         assert.strictEqual(reply.attachments.length, 1);
         assert.strictEqual(reply.attachments[0].contentType, 'application/vnd.microsoft.card.adaptive');
 
+        const card = reply.attachments[0].content;
+        assert(card.body.some(element => element.id === 'disclaimer' && element.text.includes('not legal advice')));
+        assert.deepStrictEqual(card.actions.map(action => action.title), knowledgeBase.visaTypes.map(visaType => visaType.name));
+        assert.deepStrictEqual(card.actions[0].data, { question: 'Tell me about the F-1 visa' });
+
         // Assert that we started the main dialog.
         reply = testAdapter.activityBuffer.shift();
         assert.strictEqual(reply.text, 'mockRootDialog mock invoked');
     });
+
+    it('Welcomes with text and quick-start suggestions on channels without cards', async () => {
+        await processActivity(conversationUpdate('test'), createBot());
+
+        const reply = testAdapter.activityBuffer.shift();
+        assert.strictEqual(reply.attachments, undefined);
+        assert(reply.text.startsWith('Welcome to Immigration QnA!'));
+        assert(reply.text.includes('not legal advice'));
+        assert.strictEqual(reply.suggestedActions.actions[0].value, 'Tell me about the F-1 visa');
+    });
+
+    it('Welcomes returning users back and asks whether their visa is the same', async () => {
+        const userState = new UserState(memoryStorage);
+        const profileAccessor = userState.createProperty(USER_PROFILE_PROPERTY);
+        const context = new TurnContext(testAdapter, conversationUpdate('emulator'));
+        await profileAccessor.set(context, { visaType: 'j1', lastVisit: '2021-05-01' });
+        await userState.saveChanges(context);
+
+        await processActivity(conversationUpdate('emulator'), createBot());
+
+        const reply = testAdapter.activityBuffer.shift();
+        assert.strictEqual(reply.attachments, undefined);
+        assert.strictEqual(reply.text, 'Welcome back! Are you still on your J-1 visa? If not, say "forget my info" and I\'ll ask again.');
+        assert.deepStrictEqual(reply.suggestedActions.actions.map(action => action.value), ['Tell me about the J-1 visa', 'Forget my info']);
+    });
+
+    it('Remembers the visit', async () => {
+        await processActivity(conversationUpdate('emulator'), createBot());
+        testAdapter.activityBuffer.splice(0);
+
+        await processActivity(conversationUpdate('emulator'), createBot());
+        assert.strictEqual(testAdapter.activityBuffer.shift().text, 'Welcome back!');
+    });
+
+    it('Treats a submitted quick-start question as the message text', async () => {
+        await processActivity({
+            type: ActivityTypes.Message,
+            channelId: 'emulator',
+            conversation: { id: 'someId' },
+            from: { id: 'theUser' },
+            recipient: { id: 'theBot' },
+            value: { question: 'Tell me about the F-1 visa' }
+        }, createBot());
+
+        assert.strictEqual(testAdapter.activityBuffer.shift().text, 'mockRootDialog mock invoked: Tell me about the F-1 visa');
+    });
 });
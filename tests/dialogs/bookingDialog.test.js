@@ -6,11 +6,12 @@
 /* eslint-env node, mocha */
 const { DialogTestClient, DialogTestLogger } = require('botbuilder-testing');
 const { BookingDialog } = require('../../dialogs/bookingDialog');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
 const assert = require('assert');
 
 describe('BookingDialog', () => {
     const testCases = require('./testData/bookingDialogTestCases.js');
-    const sut = new BookingDialog('bookingDialog');
+    const sut = new BookingDialog('bookingDialog', loadKnowledgeBase());
 
     testCases.map(testData => {
         it(testData.name, async () => {
@@ -27,15 +28,89 @@ describe('BookingDialog', () => {
             assert.strictEqual(client.dialogTurnResult.status, testData.expectedStatus, `${ testData.expectedStatus } != ${ client.dialogTurnResult.status }`);
 
             console.log(`Dialog result: ${ JSON.stringify(client.dialogTurnResult.result) }`);
-            if (testData.expectedResult !== undefined) {
+            if (testData.expectedResult) {
                 // Check dialog results
                 const result = client.dialogTurnResult.result;
-                assert.strictEqual(result.destination, testData.expectedResult.destination);
-                assert.strictEqual(result.origin, testData.expectedResult.origin);
-                assert.strictEqual(result.travelDate, testData.expectedResult.travelDate);
+                assert.strictEqual(result.visa_type, testData.expectedResult.visa_type);
+                assert.strictEqual(result.work_type, testData.expectedResult.work_type);
+                assert.strictEqual(result.occupation_status, testData.expectedResult.occupation_status);
             } else {
-                assert.strictEqual(client.dialogTurnResult.result, undefined);
+                assert.strictEqual(client.dialogTurnResult.result, testData.expectedResult);
             }
         });
     });
+
+    it('Explains the open prompt when asked for help', async () => {
+        const client = new DialogTestClient('test', sut, { type: 'eligibility', visa_type: 'f1' }, [new DialogTestLogger()]);
+
+        let reply = await client.sendActivity('hi');
+        assert.strictEqual(reply.text, 'What work authorization do you want to learn about?');
+
+        reply = await client.sendActivity('help');
+        assert(reply.text.startsWith('A work authorization is the permission you need to work in the US. I know about these:\n- on-campus employment: '));
+        assert.strictEqual(client.getNextReply().text, 'What work authorization do you want to learn about?');
+
+        reply = await client.sendActivity('CPT');
+        assert.strictEqual(reply.text, 'What is your current occupation status?');
+    });
+
+    describe('Handles interruptions', () => {
+        const confirmation = 'You\'re on a J-1 (student) asking about academic training eligibility — correct?';
+
+        async function answerEverything(client) {
+            await client.sendActivity('hi');
+            await client.sendActivity('F-1');
+            await client.sendActivity('academic training');
+            return await client.sendActivity('student');
+        }
+
+        it('Changes one detail and keeps the others', async () => {
+            const client = new DialogTestClient('test', sut, { type: 'eligibility' }, [new DialogTestLogger()]);
+            await answerEverything(client);
+
+            let reply = await client.sendActivity('change my visa type');
+            assert.strictEqual(reply.text, 'OK, let\'s change your visa type.');
+            assert.strictEqual(client.getNextReply().text, 'What visa type do you currently have?');
+
+            reply = await client.sendActivity('J-1');
+            assert.strictEqual(reply.text, confirmation);
+        });
+
+        it('Changes a detail to the value the user gave', async () => {
+            const client = new DialogTestClient('test', sut, { type: 'eligibility' }, [new DialogTestLogger()]);
+            await answerEverything(client);
+
+            const reply = await client.sendActivity('change my visa to J-1');
+            assert.strictEqual(reply.text, 'OK, I\'ve changed your visa type to J-1.');
+            assert.strictEqual(client.getNextReply().text, confirmation);
+
+            await client.sendActivity('yes');
+            assert.strictEqual(client.dialogTurnResult.result.visa_type, 'j1');
+            assert.strictEqual(client.dialogTurnResult.result.work_type, 'academic_training');
+        });
+
+        it('Goes back to the previous question', async () => {
+            const client = new DialogTestClient('test', sut, { type: 'eligibility' }, [new DialogTestLogger()]);
+            await answerEverything(client);
+
+            let reply = await client.sendActivity('go back');
+            assert.strictEqual(reply.text, 'OK, let\'s go back.');
+            assert.strictEqual(client.getNextReply().text, 'What is your current occupation status?');
+
+            reply = await client.sendActivity('go back');
+            assert.strictEqual(client.getNextReply().text, 'What work authorization do you want to learn about?');
+
+            reply = await client.sendActivity('CPT');
+            assert.strictEqual(reply.text, 'What is your current occupation status?');
+        });
+
+        it('Starts over from the first question', async () => {
+            const client = new DialogTestClient('test', sut, { type: 'eligibility' }, [new DialogTestLogger()]);
+            await answerEverything(client);
+
+            const reply = await client.sendActivity('start over');
+            assert.strictEqual(reply.text, 'OK, let\'s start over.');
+            assert.strictEqual(client.getNextReply().text, 'What visa type do you currently have?');
+        });
+    });
 });
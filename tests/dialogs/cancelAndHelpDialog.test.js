@@ -27,7 +27,7 @@ class TestCancelAndHelpDialog extends CancelAndHelpDialog {
     }
 
     async promptStep(stepContext) {
-        return await stepContext.prompt('TextPrompt', { prompt: MessageFactory.text('Hi there') });
+        return await stepContext.prompt('TextPrompt', { prompt: MessageFactory.text('Hi there'), help: stepContext.options.help });
     }
 
     async finalStep(stepContext) {
@@ -35,9 +35,63 @@ class TestCancelAndHelpDialog extends CancelAndHelpDialog {
     }
 }
 
+/**
+ * A dialog that runs TestCancelAndHelpDialog as a child, to test help for nested prompts
+ */
+class TestParentDialog extends CancelAndHelpDialog {
+    constructor() {
+        super('TestParentDialog');
+
+        this.addDialog(new TestCancelAndHelpDialog())
+            .addDialog(new WaterfallDialog('WaterfallDialog', [
+                this.childStep.bind(this),
+                this.finalStep.bind(this)
+            ]));
+
+        this.initialDialogId = 'WaterfallDialog';
+    }
+
+    async childStep(stepContext) {
+        return await stepContext.beginDialog('TestCancelAndHelpDialog', { help: 'Answer the child\'s question.' });
+    }
+
+    async finalStep(stepContext) {
+        return await stepContext.endDialog();
+    }
+}
+
+/**
+ * A dialog that asks three questions and ends with the answers, to test going back and starting over
+ */
+class TestQuestionsDialog extends CancelAndHelpDialog {
+    constructor() {
+        super('TestQuestionsDialog');
+
+        this.addDialog(new TextPrompt('TextPrompt'))
+            .addDialog(new WaterfallDialog('WaterfallDialog', [
+                this.questionStep.bind(this, 'first'),
+                this.questionStep.bind(this, 'second'),
+                this.questionStep.bind(this, 'third'),
+                this.finalStep.bind(this)
+            ]));
+
+        this.initialDialogId = 'WaterfallDialog';
+    }
+
+    async questionStep(name, stepContext) {
+        if (stepContext.result) stepContext.options.answers.push(stepContext.result);
+        return await stepContext.prompt('TextPrompt', { prompt: MessageFactory.text(`What is the ${ name } answer?`) });
+    }
+
+    async finalStep(stepContext) {
+        stepContext.options.answers.push(stepContext.result);
+        return await stepContext.endDialog(stepContext.options.answers);
+    }
+}
+
 describe('CancelAndHelpDialog', () => {
     describe('Should be able to cancel', () => {
-        const testCases = ['cancel', 'quit'];
+        const testCases = ['cancel', 'quit', 'never mind', 'cancle'];
 
         testCases.map(testData => {
             it(testData, async () => {
@@ -70,9 +124,78 @@ describe('CancelAndHelpDialog', () => {
                 assert.strictEqual(client.dialogTurnResult.status, 'waiting');
 
                 reply = await client.sendActivity(testData);
-                assert.strictEqual(reply.text, 'Show help here');
+                assert.strictEqual(reply.text, 'I\'m waiting for your answer to my last question.\n\nSay "cancel" to stop, "go back" to change your last answer or "start over" to begin again.');
+                assert.strictEqual(client.getNextReply().text, 'Hi there');
                 assert.strictEqual(client.dialogTurnResult.status, 'waiting');
             });
         });
     });
+
+    it('Shows the help of the open prompt', async () => {
+        const sut = new TestCancelAndHelpDialog();
+        const client = new DialogTestClient('test', sut, { help: 'Just say hi back.' }, [new DialogTestLogger()]);
+
+        await client.sendActivity('Hi');
+        const reply = await client.sendActivity('help');
+        assert.strictEqual(reply.text, 'Just say hi back.\n\nSay "cancel" to stop, "go back" to change your last answer or "start over" to begin again.');
+    });
+
+    it('Shows the help of a prompt inside a child dialog', async () => {
+        const sut = new TestParentDialog();
+        const client = new DialogTestClient('test', sut, null, [new DialogTestLogger()]);
+
+        let reply = await client.sendActivity('Hi');
+        assert.strictEqual(reply.text, 'Hi there');
+
+        reply = await client.sendActivity('?');
+        assert(reply.text.startsWith('Answer the child\'s question.'));
+        assert.strictEqual(client.getNextReply().text, 'Hi there');
+
+        await client.sendActivity('hello');
+        assert.strictEqual(client.dialogTurnResult.status, 'complete');
+    });
+
+    describe('Should be able to go back and start over', () => {
+        it('Goes back one question and forgets its answer', async () => {
+            const client = new DialogTestClient('test', new TestQuestionsDialog(), { answers: [] }, [new DialogTestLogger()]);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('one');
+            await client.sendActivity('two');
+
+            let reply = await client.sendActivity('go back');
+            assert.strictEqual(reply.text, 'OK, let\'s go back.');
+            assert.strictEqual(client.getNextReply().text, 'What is the second answer?');
+
+            reply = await client.sendActivity('go back');
+            assert.strictEqual(client.getNextReply().text, 'What is the first answer?');
+
+            reply = await client.sendActivity('go back');
+            assert.strictEqual(reply.text, 'This is the first question, so there is nothing to go back to.');
+            assert.strictEqual(client.getNextReply().text, 'What is the first answer?');
+
+            await client.sendActivity('uno');
+            await client.sendActivity('dos');
+            await client.sendActivity('tres');
+            assert.strictEqual(client.dialogTurnResult.status, 'complete');
+            assert.deepStrictEqual(client.dialogTurnResult.result, ['uno', 'dos', 'tres']);
+        });
+
+        it('Starts over from the first question', async () => {
+            const client = new DialogTestClient('test', new TestQuestionsDialog(), { answers: [] }, [new DialogTestLogger()]);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('one');
+            await client.sendActivity('two');
+
+            const reply = await client.sendActivity('start over');
+            assert.strictEqual(reply.text, 'OK, let\'s start over.');
+            assert.strictEqual(client.getNextReply().text, 'What is the first answer?');
+
+            await client.sendActivity('uno');
+            await client.sendActivity('dos');
+            await client.sendActivity('tres');
+            assert.deepStrictEqual(client.dialogTurnResult.result, ['uno', 'dos', 'tres']);
+        });
+    });
 });
@@ -0,0 +1,108 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { CardFactory } = require('botbuilder');
+const { createAnswerCard, createCardMessage, createTopicMenuCard, describeAnswer, supportsAdaptiveCards } = require('../../dialogs/cards');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const AnswerCard = require('../../dialogs/resources/answerCard.json');
+const TopicMenuCard = require('../../dialogs/resources/topicMenuCard.json');
+const assert = require('assert');
+
+describe('Cards', () => {
+    const knowledgeBase = loadKnowledgeBase();
+
+    it('Fills the topic menu from the knowledge base', () => {
+        const attachment = createTopicMenuCard(knowledgeBase, ['Is it sunny?', 'Is it raining?']);
+        const findElement = id => attachment.content.body.find(element => element.id === id);
+
+        assert.strictEqual(attachment.contentType, CardFactory.contentTypes.adaptiveCard);
+        assert.deepStrictEqual(findElement('visaTypes').facts[0], { title: 'F-1', value: 'Students in a full-time academic program.' });
+        assert.strictEqual(findElement('workTypes').facts.length, knowledgeBase.workTypes.length);
+        assert.strictEqual(findElement('examples').text, '- Is it sunny?\n- Is it raining?');
+    });
+
+    it('Leaves the card template unchanged', () => {
+        createTopicMenuCard(knowledgeBase, ['Is it sunny?']);
+
+        assert.deepStrictEqual(TopicMenuCard.body.find(element => element.id === 'visaTypes').facts, []);
+    });
+
+    it('Translates the topic menu', () => {
+        const attachment = createTopicMenuCard(knowledgeBase.forLocale('zh'), ['可以吗？']);
+        const findElement = id => attachment.content.body.find(element => element.id === id);
+
+        assert.strictEqual(findElement('title').text, '我可以帮你了解这些内容');
+        assert.strictEqual(findElement('visaTypes').facts[0].value, knowledgeBase.forLocale('zh').visaTypes[0].description);
+        assert.strictEqual(TopicMenuCard.body.find(element => element.id === 'title').text, 'Here\'s what I can help with');
+    });
+
+    describe('Answers', () => {
+        const answer = {
+            text: 'CPT lets you work off campus.\nTo get CPT:',
+            steps: ['Find a job.', 'Ask your advisor.'],
+            sources: [{ title: 'ICE', url: 'https://www.ice.gov/sevis/practical-training' }],
+            followUps: ['What is OPT?']
+        };
+
+        it('Shows the text, numbered steps and sources', () => {
+            const attachment = createAnswerCard(answer);
+            const texts = id => attachment.content.body.find(element => element.id === id).items.map(item => item.text);
+
+            assert.strictEqual(attachment.contentType, CardFactory.contentTypes.adaptiveCard);
+            assert.deepStrictEqual(texts('text'), ['CPT lets you work off campus.', 'To get CPT:']);
+            assert.deepStrictEqual(texts('steps'), ['Steps', '1. Find a job.', '2. Ask your advisor.']);
+            assert.deepStrictEqual(texts('sources'), ['Source', '[ICE](https://www.ice.gov/sevis/practical-training)']);
+            assert.strictEqual(attachment.content.fallbackText, describeAnswer(answer));
+            assert.deepStrictEqual(AnswerCard.body.find(element => element.id === 'text').items, []);
+        });
+
+        it('Leaves out the sections an answer has nothing for', () => {
+            const attachment = createAnswerCard({ text: 'Yes.', steps: [], sources: [], followUps: [] });
+
+            assert.deepStrictEqual(attachment.content.body.map(element => element.id), ['text']);
+        });
+
+        it('Describes the answer as plain text', () => {
+            assert.strictEqual(describeAnswer(answer), 'CPT lets you work off campus.\nTo get CPT:\n\n' +
+                '1. Find a job.\n2. Ask your advisor.\n\n' +
+                'Source: ICE: https://www.ice.gov/sevis/practical-training\n\n' +
+                'You can also ask:\n- What is OPT?');
+            assert.strictEqual(describeAnswer({ text: 'Yes.', steps: [], sources: [], followUps: [] }), 'Yes.');
+        });
+
+        it('Translates the headings', () => {
+            const attachment = createAnswerCard(answer, 'zh');
+            const texts = id => attachment.content.body.find(element => element.id === id).items.map(item => item.text);
+
+            assert.strictEqual(texts('steps')[0], '步骤');
+            assert.strictEqual(texts('sources')[0], '来源');
+            assert(describeAnswer(answer, 'es').endsWith('Fuente: ICE: https://www.ice.gov/sevis/practical-training\n\n' +
+                'También puedes preguntar:\n- What is OPT?'));
+        });
+    });
+
+    describe('Card messages', () => {
+        const card = createAnswerCard({ text: 'Yes.', steps: [], sources: [], followUps: [] });
+
+        it('Sends the card on channels that support Adaptive Cards', () => {
+            const message = createCardMessage('msteams', card, 'Yes.', ['What is OPT?']);
+
+            assert(supportsAdaptiveCards('webchat'));
+            assert.strictEqual(message.attachments[0], card);
+            assert.strictEqual(message.speak, 'Yes.');
+            assert.deepStrictEqual(message.suggestedActions.actions.map(action => action.value), ['What is OPT?']);
+        });
+
+        it('Sends the plain text elsewhere', () => {
+            const message = createCardMessage('sms', card, 'Yes.', []);
+
+            assert(!supportsAdaptiveCards('sms'));
+            assert.strictEqual(message.attachments, undefined);
+            assert.strictEqual(message.text, 'Yes.');
+            assert.strictEqual(message.suggestedActions, undefined);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { DialogTurnStatus } = require('botbuilder-dialogs');
+const { DialogTestClient, DialogTestLogger } = require('botbuilder-testing');
+const { ChecklistDialog } = require('../../dialogs/checklistDialog');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const { setLocale } = require('../../localization');
+const assert = require('assert');
+
+describe('ChecklistDialog', () => {
+    const sut = new ChecklistDialog('checklistDialog', loadKnowledgeBase());
+    const actionPrompt = 'Would you like to tick off the documents you have, or export the checklist?';
+
+    it('Requires a knowledge base', () => {
+        assert.throws(() => new ChecklistDialog('checklistDialog'), /Missing parameter 'knowledgeBase'/);
+    });
+
+    it('Ticks off items and ends with the ticked items', async () => {
+        const client = new DialogTestClient('test', sut, { type: 'procedure_auth', checklistId: 'opt_i765', checkedItems: ['passport'] }, [new DialogTestLogger()]);
+
+        let reply = await client.sendActivity('hi');
+        assert(reply.text.startsWith('OPT application (Form I-765): 1 of 9 done.'));
+        assert(reply.text.includes('4. [x] Copy of your passport identity page'));
+        assert.strictEqual(client.getNextReply().text, actionPrompt);
+
+        reply = await client.sendActivity('Tick off items');
+        assert(reply.text.startsWith('Which items do you have?'));
+
+        reply = await client.sendActivity('12');
+        assert.strictEqual(reply.text, 'Please send item numbers between 1 and 9, e.g. "1, 3".');
+
+        reply = await client.sendActivity('1, 2 and 4');
+        assert(reply.text.startsWith('OPT application (Form I-765): 2 of 9 done.'));
+        assert(reply.text.includes('4. [ ] Copy of your passport identity page'));
+        assert.strictEqual(client.getNextReply().text, actionPrompt);
+
+        await client.sendActivity('Done');
+        assert.strictEqual(client.dialogTurnResult.status, DialogTurnStatus.complete);
+        assert.deepStrictEqual(client.dialogTurnResult.result.checkedItems, ['dso_recommendation', 'form_i765']);
+    });
+
+    it('Exports the checklist as a file', async () => {
+        const client = new DialogTestClient('test', sut, { checklistId: 'cpt_authorization', checkedItems: ['offer_letter'] }, [new DialogTestLogger()]);
+
+        await client.sendActivity('hi');
+        client.getNextReply();
+
+        const reply = await client.sendActivity('Export as Markdown');
+        assert.strictEqual(reply.text, 'Here is your checklist for the CPT authorization.');
+        const attachment = reply.attachments[0];
+        assert.strictEqual(attachment.name, 'cpt_authorization.md');
+        assert.strictEqual(attachment.contentType, 'text/markdown');
+        const content = Buffer.from(attachment.contentUrl.replace('data:text/markdown;base64,', ''), 'base64').toString('utf8');
+        assert(content.startsWith('# CPT authorization\n'));
+        assert(content.includes('- [x] Job offer letter'));
+
+        // The checklist is shown again, so the user can keep going.
+        assert(client.getNextReply().text.startsWith('CPT authorization: 1 of 6 done.'));
+        assert.strictEqual(client.getNextReply().text, actionPrompt);
+
+        const textReply = await client.sendActivity('text');
+        assert.strictEqual(textReply.attachments[0].name, 'cpt_authorization.txt');
+        assert.strictEqual(textReply.attachments[0].contentType, 'text/plain');
+    });
+
+    it('Talks in the language of the user', async () => {
+        const spanish = { onTurn: async (context, next) => { setLocale(context, 'es'); await next(); } };
+        const client = new DialogTestClient('test', sut, { checklistId: 'cpt_authorization' }, [spanish, new DialogTestLogger()]);
+
+        let reply = await client.sendActivity('hola');
+        assert(reply.text.startsWith('Autorización de CPT: 0 de 6 listos.'));
+        assert(reply.text.includes('1. [ ] Carta de oferta de trabajo'));
+        assert.strictEqual(client.getNextReply().text, '¿Quieres marcar los documentos que ya tienes o exportar la lista?');
+
+        reply = await client.sendActivity('Marcar documentos');
+        assert(reply.text.startsWith('¿Qué documentos tienes?'));
+
+        reply = await client.sendActivity('todos');
+        assert(reply.text.startsWith('Autorización de CPT: 6 de 6 listos. ¡Ya tienes todo lo que necesitas!'));
+        client.getNextReply();
+
+        reply = await client.sendActivity('Exportar como texto');
+        assert.strictEqual(reply.text, 'Aquí tienes tu lista de documentos: Autorización de CPT.');
+        const content = Buffer.from(reply.attachments[0].contentUrl.replace('data:text/plain;base64,', ''), 'base64').toString('utf8');
+        assert(content.startsWith('Autorización de CPT\n'));
+        assert(content.includes('\nFuentes:\n'));
+        client.getNextReply();
+        client.getNextReply();
+
+        await client.sendActivity('Listo');
+        assert.strictEqual(client.dialogTurnResult.status, DialogTurnStatus.complete);
+        assert.strictEqual(client.dialogTurnResult.result.checkedItems.length, 6);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { LuisRecognizer } = require('botbuilder-ai');
+const { describeCandidates, describeClarification, findCandidates } = require('../../dialogs/clarification');
+const { OfflineRecognizer } = require('../../dialogs/offlineRecognizer');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const assert = require('assert');
+
+describe('Clarification', () => {
+    const knowledgeBase = loadKnowledgeBase();
+
+    describe('Finds the questions an unclear recognition could mean', () => {
+        const question = { type: 'eligibility', visa_type: 'f1', work_type: 'opt' };
+        const testCases = [
+            {
+                description: 'a clear top intent',
+                intents: { eligibility: { score: 0.9 }, procedure_auth: { score: 0.3 } },
+                expected: undefined
+            },
+            {
+                description: 'two close intents',
+                intents: { eligibility: { score: 0.62 }, procedure_auth: { score: 0.55 }, None: { score: 0.1 } },
+                expected: ['eligibility', 'procedure_auth']
+            },
+            {
+                description: 'a low top intent',
+                intents: { eligibility: { score: 0.3 }, None: { score: 0.05 } },
+                expected: ['eligibility']
+            },
+            {
+                description: 'a low top intent with more intents than are offered',
+                intents: { eligibility: { score: 0.3 }, timeline: { score: 0.2 }, visa_information: { score: 0.15 } },
+                expected: ['eligibility', 'timeline']
+            },
+            {
+                description: 'an intent kept from the last topic',
+                intents: { None: { score: 0.4 }, eligibility: { score: 0.2 } },
+                expected: undefined
+            }
+        ];
+
+        testCases.map(testData => {
+            it(testData.description, () => {
+                const candidates = findCandidates(question, testData.intents, ['f1']);
+                assert.deepStrictEqual(candidates && candidates.map(candidate => candidate.type), testData.expected);
+            });
+        });
+
+        it('None when nothing else is likely', () => {
+            assert.strictEqual(findCandidates({ type: 'None' }, { None: { score: 0.3 } }, []), undefined);
+            assert.deepStrictEqual(findCandidates({ type: 'None' }, { None: { score: 0.3 }, timeline: { score: 0.1 } }, []),
+                [{ type: 'timeline' }]);
+        });
+
+        it('One question per visa type when a question names two', () => {
+            const candidates = findCandidates(question, { eligibility: { score: 0.9 } }, ['f1', 'j1', 'f1']);
+            assert.deepStrictEqual(candidates, [
+                { type: 'eligibility', visa_type: 'f1', work_type: 'opt' },
+                { type: 'eligibility', visa_type: 'j1', work_type: 'opt' }
+            ]);
+            assert.strictEqual(findCandidates({ type: 'timeline', work_type: 'opt' }, { timeline: { score: 0.9 } }, ['f1', 'j1']), undefined);
+        });
+    });
+
+    describe('Describes the candidates', () => {
+        it('Names what the intents differ in', () => {
+            const descriptions = describeCandidates([
+                { type: 'eligibility', visa_type: 'f1', work_type: 'opt' },
+                { type: 'procedure_auth', visa_type: 'f1', work_type: 'opt' }
+            ], knowledgeBase, 'en');
+
+            assert.deepStrictEqual(descriptions, ['eligibility for OPT', 'how to apply for OPT']);
+            assert.strictEqual(describeClarification(descriptions, 'en'), 'Did you mean eligibility for OPT or how to apply for OPT?');
+        });
+
+        it('Names the visa types when the candidates differ in them', () => {
+            const descriptions = describeCandidates([
+                { type: 'visa_information', visa_type: 'f1', work_type: 'cpt' },
+                { type: 'visa_information', visa_type: 'j1', work_type: 'cpt' }
+            ], knowledgeBase, 'en');
+
+            assert.deepStrictEqual(descriptions, ['information about CPT on the F-1 visa', 'information about CPT on the J-1 visa']);
+        });
+
+        it('Falls back to the visa or to the user\'s visa without a work type', () => {
+            assert.deepStrictEqual(describeCandidates([{ type: 'visa_information', visa_type: 'h1b' }], knowledgeBase, 'en'), ['information about the H-1B visa']);
+            assert.strictEqual(describeClarification(describeCandidates([{ type: 'eligibility' }], knowledgeBase, 'en'), 'en'), 'Did you mean eligibility for your visa?');
+        });
+
+        it('Asks in the user\'s language', () => {
+            const descriptions = describeCandidates([
+                { type: 'eligibility', work_type: 'opt' },
+                { type: 'procedure_auth', work_type: 'opt' }
+            ], knowledgeBase.forLocale('es'), 'es');
+
+            assert.strictEqual(describeClarification(descriptions, 'es'), '¿Te refieres a si cumples los requisitos para OPT o a cómo solicitar OPT?');
+        });
+    });
+
+    it('Asks about questions the offline recognizer finds ambiguous', () => {
+        const recognizer = new OfflineRecognizer(knowledgeBase);
+        const result = recognizer.recognize('Can I apply for OPT?');
+        const question = {
+            type: LuisRecognizer.topIntent(result),
+            work_type: recognizer.getWorkTypeEntities(result).work_type
+        };
+
+        const candidates = findCandidates(question, result.intents, []);
+        assert.strictEqual(describeClarification(describeCandidates(candidates, knowledgeBase, 'en'), 'en'), 'Did you mean eligibility for OPT or how to apply for OPT?');
+    });
+});
@@ -0,0 +1,144 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { LuisRecognizer } = require('botbuilder-ai');
+const { applyTopic, createTopic, isFollowUp } = require('../../dialogs/conversationTopic');
+const { OfflineRecognizer } = require('../../dialogs/offlineRecognizer');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const assert = require('assert');
+
+describe('ConversationTopic', () => {
+    const topic = { type: 'eligibility', visa_type: 'f1', work_type: 'cpt', occupation_status: 'student' };
+
+    it('Keeps the intent and details of an answered question', () => {
+        assert.deepStrictEqual(createTopic({ type: 'procedure_auth', visa_type: 'j1', work_type: 'cpt', facts: {} }),
+            { type: 'procedure_auth', visa_type: 'j1', work_type: 'cpt', occupation_status: undefined });
+        assert.strictEqual(createTopic(undefined), undefined);
+    });
+
+    describe('Recognizes follow-up phrases', () => {
+        const testCases = [
+            { text: 'What about for J-1?', locale: 'en', expected: true },
+            { text: '  and how do I apply?', locale: 'en', expected: true },
+            { text: 'Andrew told me I can do CPT', locale: 'en', expected: false },
+            { text: 'Can I do CPT?', locale: 'en', expected: false },
+            { text: '那J-1呢？', locale: 'zh', expected: true },
+            { text: '¿Y para J-1?', locale: 'es', expected: true },
+            { text: 'Yo tengo una visa J-1', locale: 'es', expected: false },
+            { text: '그럼 J-1은요?', locale: 'ko', expected: true },
+            { text: undefined, locale: 'en', expected: false }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.locale }: ${ testData.text }`, () => {
+                assert.strictEqual(isFollowUp(testData.text, testData.locale), testData.expected);
+            });
+        });
+    });
+
+    describe('Fills in what follow-ups leave out', () => {
+        const testCases = [
+            {
+                description: 'a new visa type keeps the question',
+                text: 'What about for J-1?',
+                question: { type: 'visa_information', score: 0.5, visa_type: 'j1' },
+                expected: { type: 'eligibility', score: 0.5, visa_type: 'j1', work_type: 'cpt', occupation_status: 'student' }
+            },
+            {
+                description: 'a new question keeps the details',
+                text: 'and how do I apply?',
+                question: { type: 'procedure_auth', score: 1 },
+                expected: { type: 'procedure_auth', score: 1, visa_type: 'f1', work_type: 'cpt', occupation_status: 'student' }
+            },
+            {
+                description: 'a clear intent wins over the last one',
+                text: 'And what is OPT?',
+                question: { type: 'visa_information', score: 1, work_type: 'opt' },
+                expected: { type: 'visa_information', score: 1, visa_type: 'f1', work_type: 'opt', occupation_status: 'student' }
+            },
+            {
+                description: 'a question without entities is a follow-up',
+                text: 'How long does it take?',
+                question: { type: 'procedure_auth', score: 1 },
+                expected: { type: 'procedure_auth', score: 1, visa_type: 'f1', work_type: 'cpt', occupation_status: 'student' }
+            },
+            {
+                description: 'a new question about another visa starts a new topic',
+                text: 'What is an H-1B visa?',
+                question: { type: 'visa_information', score: 1, visa_type: 'h1b' },
+                expected: { type: 'visa_information', score: 1, visa_type: 'h1b' }
+            },
+            {
+                description: 'a question that isn\'t understood stays that way',
+                text: 'bananas',
+                question: { type: 'None', score: 1 },
+                expected: { type: 'None', score: 1 }
+            }
+        ];
+
+        testCases.map(testData => {
+            it(testData.description, () => {
+                assert.deepStrictEqual(applyTopic(testData.question, topic, testData.text, 'en'), testData.expected);
+            });
+        });
+
+        it('Leaves questions alone without a topic', () => {
+            assert.deepStrictEqual(applyTopic({ type: 'procedure_auth', score: 1 }, undefined, 'and how do I apply?'), { type: 'procedure_auth', score: 1 });
+        });
+    });
+
+    describe('Resolves multi-turn conversations', () => {
+        const knowledgeBase = loadKnowledgeBase();
+
+        // Each transcript is asked in order; a question's resolved topic is the next question's topic.
+        const transcripts = [
+            {
+                locale: 'en',
+                turns: [
+                    { text: 'How do I apply for CPT on my F-1 visa?', expected: ['procedure_auth', 'f1', 'cpt'] },
+                    { text: 'What about for J-1?', expected: ['procedure_auth', 'j1', 'cpt'] },
+                    { text: 'And what is OPT?', expected: ['visa_information', 'j1', 'opt'] },
+                    { text: 'bananas', expected: ['None', undefined, undefined] },
+                    { text: 'how long does it take?', expected: ['procedure_auth', 'j1', 'opt'] }
+                ]
+            },
+            {
+                locale: 'zh',
+                turns: [
+                    { text: '持 F-1 签证如何申请 CPT？', expected: ['procedure_auth', 'f1', 'cpt'] },
+                    { text: '那J-1呢？', expected: ['procedure_auth', 'j1', 'cpt'] }
+                ]
+            },
+            {
+                locale: 'es',
+                turns: [
+                    { text: '¿Cómo solicito CPT con una visa F-1?', expected: ['procedure_auth', 'f1', 'cpt'] },
+                    { text: '¿Y para J-1?', expected: ['procedure_auth', 'j1', 'cpt'] }
+                ]
+            }
+        ];
+
+        transcripts.map(transcript => {
+            it(`${ transcript.locale }: ${ transcript.turns.map(turn => turn.text).join(' / ') }`, () => {
+                const recognizer = new OfflineRecognizer(knowledgeBase.forLocale(transcript.locale));
+                let lastTopic;
+                transcript.turns.forEach(turn => {
+                    const result = recognizer.recognize(turn.text);
+                    const intent = LuisRecognizer.topIntent(result);
+                    const question = applyTopic({
+                        type: intent,
+                        score: result.intents[intent].score,
+                        visa_type: recognizer.getVisaTypeEntities(result).visa_type,
+                        work_type: recognizer.getWorkTypeEntities(result).work_type
+                    }, lastTopic, turn.text, transcript.locale);
+
+                    assert.deepStrictEqual([question.type, question.visa_type, question.work_type], turn.expected, turn.text);
+                    if (question.type !== 'None') lastTopic = createTopic(question);
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,44 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { feedbackActions, getFeedbackCommand, isSkipComment } = require('../../dialogs/feedback');
+const assert = require('assert');
+
+describe('Feedback', () => {
+    describe('Recognizes feedback commands', () => {
+        const testCases = [
+            { text: '👍 Helpful', expected: 'helpful' },
+            { text: 'helpful!', expected: 'helpful' },
+            { text: 'Thumbs up', expected: 'helpful' },
+            { text: '👎 Not helpful', expected: 'notHelpful' },
+            { text: 'this was not helpful', expected: 'notHelpful' },
+            { text: 'Outdated', expected: 'notHelpful' },
+            { text: '👍 有帮助', locale: 'zh', expected: 'helpful' },
+            { text: 'no fue útil', locale: 'es', expected: 'notHelpful' },
+            { text: '👍 Helpful', locale: 'ko', expected: 'helpful' },
+            { text: 'Is OPT helpful for my career?', expected: undefined },
+            { text: undefined, expected: undefined }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.text } (${ testData.locale || 'en' })`, () => {
+                assert.strictEqual(getFeedbackCommand(testData.text, testData.locale), testData.expected);
+            });
+        });
+    });
+
+    it('Labels the buttons in the language of the turn', () => {
+        assert.deepStrictEqual(feedbackActions('en'), ['👍 Helpful', '👎 Not helpful']);
+        assert.deepStrictEqual(feedbackActions('es'), ['👍 Útil', '👎 No fue útil']);
+    });
+
+    it('Recognizes skipped comments', () => {
+        assert(isSkipComment('Skip'));
+        assert(isSkipComment('  '));
+        assert(isSkipComment('跳过', 'zh'));
+        assert(!isSkipComment('The fee is out of date'));
+    });
+});
@@ -0,0 +1,143 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const http = require('http');
+const { ActivityTypes, TestAdapter, TurnContext } = require('botbuilder');
+const { FlightBookingRecognizer } = require('../../dialogs/flightBookingRecognizer');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const assert = require('assert');
+
+describe('FlightBookingRecognizer', () => {
+    const sut = new FlightBookingRecognizer(undefined, loadKnowledgeBase());
+
+    it('Requires a knowledge base', () => {
+        assert.throws(() => new FlightBookingRecognizer(), /Missing parameter 'knowledgeBase'/);
+    });
+
+    describe('Reads canonical values from recorded LUIS results', () => {
+        // Each LUIS result was recorded from the immigration model; entity values are the expected canonical ids.
+        const testCases = [
+            { jsonFile: 'CptEligibilityF1.json', visaType: 'f1', workType: 'cpt', occupationStatus: undefined },
+            { jsonFile: 'VisaWithoutWorkType.json', visaType: 'j1', workType: undefined, occupationStatus: undefined },
+            { jsonFile: 'TwoVisaTypes.json', visaType: 'f2', workType: 'opt', occupationStatus: undefined },
+            { jsonFile: 'NoEntities.json', visaType: undefined, workType: undefined, occupationStatus: undefined },
+            { jsonFile: 'LegacyCanonicalForms.json', visaType: 'f1', workType: 'stem_opt', occupationStatus: 'unemployed' }
+        ];
+
+        testCases.map(testData => {
+            it(testData.jsonFile, () => {
+                const luisResult = require(`./testData/${ testData.jsonFile }`);
+
+                assert.strictEqual(sut.getVisaTypeEntities(luisResult).visa_type, testData.visaType);
+                assert.strictEqual(sut.getWorkTypeEntities(luisResult).work_type, testData.workType);
+                assert.strictEqual(sut.getOccupationStatusEntities(luisResult).occupation_status, testData.occupationStatus);
+            });
+        });
+    });
+
+    it('Returns every match with its span and confidence', () => {
+        const luisResult = require('./testData/TwoVisaTypes.json');
+
+        assert.deepStrictEqual(sut.getVisaTypeEntities(luisResult).matches, [
+            { value: 'f2', text: 'f2', score: 1, startIndex: 7, endIndex: 9 },
+            { value: 'f1', text: 'f-1', score: 1, startIndex: 36, endIndex: 39 }
+        ]);
+    });
+
+    it('Falls back to the surface text when the resolution is not in the vocabulary', () => {
+        const luisResult = {
+            entities: {
+                $instance: { visa_type: [{ startIndex: 0, endIndex: 4, text: 'h-1b', type: 'visa_type', score: 0.82 }] },
+                visa_type: [['H1B Visa']]
+            }
+        };
+
+        assert.deepStrictEqual(sut.getVisaTypeEntities(luisResult), {
+            visa_type: 'h1b',
+            matches: [{ value: 'h1b', text: 'h-1b', score: 0.82, startIndex: 0, endIndex: 4 }]
+        });
+    });
+
+    it('Skips matches that are not in the vocabulary', () => {
+        const luisResult = {
+            entities: {
+                $instance: { visa_type: [{ startIndex: 0, endIndex: 2, text: 'b2', type: 'visa_type' }, { startIndex: 7, endIndex: 9, text: 'j1', type: 'visa_type' }] },
+                visa_type: [['b2'], ['j1']]
+            }
+        };
+
+        const entity = sut.getVisaTypeEntities(luisResult);
+        assert.strictEqual(entity.visa_type, 'j1');
+        assert.strictEqual(entity.matches[0].value, undefined);
+    });
+
+    it('Handles results without entities', () => {
+        assert.deepStrictEqual(sut.getWorkTypeEntities({ intents: {} }), { work_type: undefined, matches: [] });
+        assert.deepStrictEqual(sut.getWorkTypeEntities({ entities: {} }), { work_type: undefined, matches: [] });
+    });
+
+    describe('Calls the LUIS endpoint', () => {
+        const recorded = require('./testData/TwoVisaTypes.json');
+        let server;
+        let requests;
+        let status;
+
+        beforeEach(async () => {
+            requests = [];
+            status = 200;
+            server = http.createServer((req, res) => {
+                requests.push(req);
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(status === 200 ? recorded.luisResult : { error: { code: String(status), message: 'Stub error' } }));
+            });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        });
+
+        afterEach(async () => {
+            await new Promise(resolve => server.close(resolve));
+        });
+
+        function recognize(text) {
+            const recognizer = new FlightBookingRecognizer({ applicationId: 'stub-app', endpointKey: 'stub-key', endpoint: `http://127.0.0.1:${ server.address().port }` }, loadKnowledgeBase());
+            const sent = [];
+            const context = new TurnContext(new TestAdapter(), { type: 'message', text: text });
+            context.onSendActivities(async (ctx, activities, next) => {
+                sent.push(...activities);
+                return await next();
+            });
+            return recognizer.executeLuisQuery(context).then(result => ({ result: result, sent: sent }));
+        }
+
+        it('Reads the prediction like LuisRecognizer and traces it', async () => {
+            const { result, sent } = await recognize(recorded.text);
+
+            assert.strictEqual(requests.length, 1);
+            const url = new URL(requests[0].url, 'http://localhost');
+            assert.strictEqual(url.pathname, '/luis/v2.0/apps/stub-app');
+            assert.strictEqual(url.searchParams.get('q'), recorded.text);
+            assert.strictEqual(requests[0].headers['ocp-apim-subscription-key'], 'stub-key');
+
+            assert.strictEqual(result.text, recorded.text);
+            assert.deepStrictEqual(result.intents, recorded.intents);
+            assert.deepStrictEqual(result.luisResult, recorded.luisResult);
+            assert.deepStrictEqual(sut.getVisaTypeEntities(result), sut.getVisaTypeEntities(recorded));
+            assert.deepStrictEqual(sut.getWorkTypeEntities(result), sut.getWorkTypeEntities(recorded));
+            assert.deepStrictEqual(sent.map(activity => [activity.type, activity.name]), [[ActivityTypes.Trace, 'LuisRecognizer']]);
+        });
+
+        it('Makes a single call when LUIS fails, and reports its status', async () => {
+            status = 500;
+            await assert.rejects(recognize(recorded.text), { statusCode: 500, message: '[FlightBookingRecognizer]: LUIS answered with status 500: Stub error' });
+            assert.strictEqual(requests.length, 1);
+        });
+
+        it('Doesn\'t call LUIS for empty messages', async () => {
+            const { result } = await recognize('  ');
+            assert.deepStrictEqual(result.intents, { '': { score: 1 } });
+            assert.strictEqual(requests.length, 0);
+        });
+    });
+});
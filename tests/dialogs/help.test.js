@@ -0,0 +1,75 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { describeExamples, describeTopics, describeVocabulary, exampleQuestions, getHelpCommand } = require('../../dialogs/help');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const assert = require('assert');
+
+describe('Help', () => {
+    const knowledgeBase = loadKnowledgeBase();
+
+    describe('Recognizes help commands', () => {
+        const testCases = [
+            { text: 'help', expected: 'topics' },
+            { text: '?', expected: 'topics' },
+            { text: 'What can you help me with?', expected: 'topics' },
+            { text: 'what can you  do', expected: 'topics' },
+            { text: 'What can I ask?', expected: 'examples' },
+            { text: 'what questions can you answer', expected: 'examples' },
+            { text: 'Give me some examples', expected: 'examples' },
+            { text: 'Can you help me with CPT?', expected: undefined },
+            { text: undefined, expected: undefined }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.text }`, () => {
+                assert.strictEqual(getHelpCommand(testData.text), testData.expected);
+            });
+        });
+    });
+
+    it('Lists vocabulary entries with their descriptions', () => {
+        const text = describeVocabulary(knowledgeBase, 'workTypes');
+
+        assert(text.startsWith('- on-campus employment: A job at your school'));
+        assert.strictEqual(text.split('\n').length, knowledgeBase.workTypes.length);
+    });
+
+    it('Gives examples about the user\'s visa', () => {
+        assert(exampleQuestions(knowledgeBase, 'h1b').every(example => !example.includes('F-1')));
+        assert.deepStrictEqual(exampleQuestions(knowledgeBase, 'b2'), knowledgeBase.exampleQuestions());
+        assert.strictEqual(describeExamples(['Is it sunny?', 'Is it raining?']), 'Here are some things you can ask me:\n- Is it sunny?\n- Is it raining?');
+    });
+
+    it('Describes the topics as text', () => {
+        const text = describeTopics(knowledgeBase);
+
+        assert(text.startsWith('I can answer questions about working in the US on these visas:\n- F-1: '));
+        assert(text.includes('- STEM OPT extension: '));
+    });
+
+    describe('Recognizes translated help commands', () => {
+        const testCases = [
+            { text: '菜单', locale: 'zh', expected: 'topics' },
+            { text: '¿Qué puedo preguntar?', locale: 'es', expected: 'examples' },
+            { text: 'help', locale: 'ko', expected: 'topics' },
+            { text: '菜单', locale: 'en', expected: undefined }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.locale }: ${ testData.text }`, () => {
+                assert.strictEqual(getHelpCommand(testData.text, testData.locale), testData.expected);
+            });
+        });
+    });
+
+    it('Describes the topics in the knowledge base\'s language', () => {
+        const text = describeTopics(knowledgeBase.forLocale('es'));
+
+        assert(text.startsWith('Puedo responder preguntas sobre trabajar en EE. UU. con estas visas:\n- F-1: '));
+        assert.strictEqual(describeExamples(['¿Llueve?'], 'es'), 'Estas son algunas cosas que me puedes preguntar:\n- ¿Llueve?');
+    });
+});
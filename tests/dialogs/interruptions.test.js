@@ -0,0 +1,95 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { recognizeInterruption } = require('../../dialogs/interruptions');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const assert = require('assert');
+
+describe('Interruptions', () => {
+    const knowledgeBase = loadKnowledgeBase();
+
+    describe('Recognizes interruption phrases', () => {
+        const testCases = [
+            { text: 'help', expected: 'help' },
+            { text: '?', expected: 'help' },
+            { text: 'Cancel', expected: 'cancel' },
+            { text: 'Never mind.', expected: 'cancel' },
+            { text: 'forget it', expected: 'cancel' },
+            { text: 'Start over', expected: 'startOver' },
+            { text: 'can we start over please?', expected: 'startOver' },
+            { text: 'restart', expected: 'startOver' },
+            { text: 'go back', expected: 'goBack' },
+            { text: 'I want to go back', expected: 'goBack' },
+            { text: 'previous question', expected: 'goBack' }
+        ];
+
+        testCases.map(testData => {
+            it(testData.text, () => {
+                assert.deepStrictEqual(recognizeInterruption(testData.text), { type: testData.expected });
+            });
+        });
+    });
+
+    describe('Tolerates typos in longer phrases', () => {
+        const testCases = [
+            { text: 'cancle', expected: 'cancel' },
+            { text: 'strat over', expected: 'startOver' },
+            { text: 'nevr mind', expected: 'cancel' },
+            { text: 'start form the beginnig', expected: 'startOver' }
+        ];
+
+        testCases.map(testData => {
+            it(testData.text, () => {
+                assert.deepStrictEqual(recognizeInterruption(testData.text), { type: testData.expected });
+            });
+        });
+    });
+
+    describe('Leaves answers alone', () => {
+        const testCases = ['yes', 'F-1', 'backpack', 'stop by', 'helps', 'I want to start on campus work', '12', '', undefined];
+
+        testCases.map(text => {
+            it(`${ text }`, () => {
+                assert.strictEqual(recognizeInterruption(text, knowledgeBase), undefined);
+            });
+        });
+    });
+
+    describe('Recognizes changes to a detail', () => {
+        const testCases = [
+            { text: 'change my visa type', expected: { type: 'change', slot: 'visa_type', name: 'visa type', value: undefined } },
+            { text: 'Can I change my visa to J-1?', expected: { type: 'change', slot: 'visa_type', name: 'visa type', value: 'j1' } },
+            { text: 'update my work authorization', expected: { type: 'change', slot: 'work_type', name: 'work authorization', value: undefined } },
+            { text: 'change it to STEM OPT', expected: { type: 'change', slot: 'work_type', name: 'work authorization', value: 'stem_opt' } },
+            { text: 'please change my occupation status to employed', expected: { type: 'change', slot: 'occupation_status', name: 'occupation status', value: 'employed' } }
+        ];
+
+        testCases.map(testData => {
+            it(testData.text, () => {
+                assert.deepStrictEqual(recognizeInterruption(testData.text, knowledgeBase), testData.expected);
+            });
+        });
+    });
+
+    it('Needs the knowledge base to recognize new values', () => {
+        assert.deepStrictEqual(recognizeInterruption('change my visa to J-1'), { type: 'change', slot: 'visa_type', name: 'visa type', value: undefined });
+        assert.strictEqual(recognizeInterruption('change it to STEM OPT'), undefined);
+    });
+
+    describe('Recognizes translated interruption phrases', () => {
+        const testCases = [
+            { text: '取消', locale: 'zh', expected: 'cancel' },
+            { text: '¡Cancelar!', locale: 'es', expected: 'cancel' },
+            { text: 'start over', locale: 'ko', expected: 'startOver' }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.locale }: ${ testData.text }`, () => {
+                assert.deepStrictEqual(recognizeInterruption(testData.text, knowledgeBase, testData.locale), { type: testData.expected });
+            });
+        });
+    });
+});
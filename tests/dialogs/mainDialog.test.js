@@ -4,11 +4,16 @@
  */
 
 /* eslint-env node, mocha */
+const { AutoSaveStateMiddleware, MemoryStorage, UserState } = require('botbuilder');
 const { TextPrompt } = require('botbuilder-dialogs');
 const { DialogTestClient, DialogTestLogger } = require('botbuilder-testing');
 const { FlightBookingRecognizer } = require('../../dialogs/flightBookingRecognizer');
+const { OfflineRecognizer } = require('../../dialogs/offlineRecognizer');
 const { MainDialog } = require('../../dialogs/mainDialog');
 const { BookingDialog } = require('../../dialogs/bookingDialog');
+const { USER_PROFILE_PROPERTY } = require('../../dialogs/userProfile');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const { setLocale } = require('../../localization');
 const assert = require('assert');
 
 /**
@@ -17,7 +22,7 @@ const assert = require('assert');
  */
 class MockFlightBookingRecognizer extends FlightBookingRecognizer {
     constructor(isConfigured, mockResult) {
-        super(isConfigured);
+        super(undefined, loadKnowledgeBase());
         this.isLuisConfigured = isConfigured;
         this.mockResult = mockResult;
     }
@@ -32,21 +37,38 @@ class MockFlightBookingRecognizer extends FlightBookingRecognizer {
 }
 
 /**
- * A simple mock for Booking dialog that just returns a preset booking info for tests.
+ * A simple mock for Booking dialog that just returns a preset user info for tests.
  */
 class MockBookingDialog extends BookingDialog {
-    constructor() {
-        super('bookingDialog');
+    constructor(knowledgeBase) {
+        super('bookingDialog', knowledgeBase);
     }
 
     async beginDialog(dc, options) {
-        const bookingDetails = {
-            origin: 'New York',
-            destination: 'Seattle',
-            travelDate: '2025-07-08'
+        this.lastOptions = options;
+        const userinfo = {
+            type: options.type,
+            visa_type: 'f1',
+            work_type: 'cpt',
+            occupation_status: 'student'
         };
         await dc.context.sendActivity(`${ this.id } mock invoked`);
-        return await dc.endDialog(bookingDetails);
+        return await dc.endDialog(userinfo);
+    }
+}
+
+/**
+ * A mock for Booking dialog that confirms the details the main dialog passes in, so the answer is about the question as recognized.
+ */
+class EchoBookingDialog extends BookingDialog {
+    constructor(knowledgeBase) {
+        super('bookingDialog', knowledgeBase);
+    }
+
+    async beginDialog(dc, options) {
+        this.lastOptions = options;
+        await dc.context.sendActivity(`${ this.id } mock invoked`);
+        return await dc.endDialog(Object.assign({}, options));
     }
 }
 
@@ -56,8 +78,8 @@ class MockBookingDialog extends BookingDialog {
 * and assert that the main dialog was called.
 */
 class MockBookingDialogWithPrompt extends BookingDialog {
-    constructor() {
-        super('bookingDialog');
+    constructor(knowledgeBase) {
+        super('bookingDialog', knowledgeBase);
     }
 
     async beginDialog(dc, options) {
@@ -67,11 +89,23 @@ class MockBookingDialogWithPrompt extends BookingDialog {
 };
 
 describe('MainDialog', () => {
+    const knowledgeBase = loadKnowledgeBase();
+    let userState;
+    let userProfileAccessor;
+
+    beforeEach(() => {
+        userState = new UserState(new MemoryStorage());
+        userProfileAccessor = userState.createProperty(USER_PROFILE_PROPERTY);
+    });
+
+    // Saves the user state after every turn, like DialogBot does. The 'test' channel gets plain text instead of cards.
+    const createClient = (sut, channelId) => new DialogTestClient(channelId || 'test', sut, null, [new AutoSaveStateMiddleware(userState), new DialogTestLogger()]);
+
     it('Shows message if LUIS is not configured and calls BookingDialogDirectly', async () => {
         const mockRecognizer = new MockFlightBookingRecognizer(false);
-        const mockBookingDialog = new MockBookingDialogWithPrompt();
-        const sut = new MainDialog(mockRecognizer, mockBookingDialog);
-        const client = new DialogTestClient('test', sut, null, [new DialogTestLogger()]);
+        const mockBookingDialog = new MockBookingDialogWithPrompt(knowledgeBase);
+        const sut = new MainDialog(mockRecognizer, mockBookingDialog, knowledgeBase, userProfileAccessor);
+        const client = createClient(sut);
 
         const reply = await client.sendActivity('hi');
         assert.strictEqual(reply.text, 'NOTE: LUIS is not configured. To enable all capabilities, add `LuisAppId`, `LuisAPIKey` and `LuisAPIHostName` to the .env file.', 'Did not warn about missing luis');
@@ -79,20 +113,19 @@ describe('MainDialog', () => {
 
     it('Shows prompt if LUIS is configured', async () => {
         const mockRecognizer = new MockFlightBookingRecognizer(true);
-        const mockBookingDialog = new MockBookingDialog();
-        const sut = new MainDialog(mockRecognizer, mockBookingDialog);
-        const client = new DialogTestClient('test', sut, null, [new DialogTestLogger()]);
+        const mockBookingDialog = new MockBookingDialog(knowledgeBase);
+        const sut = new MainDialog(mockRecognizer, mockBookingDialog, knowledgeBase, userProfileAccessor);
+        const client = createClient(sut);
 
         const reply = await client.sendActivity('hi');
-        assert.strictEqual(reply.text, 'What can I help you with today?\nSay something like "Book a flight from Paris to Berlin on March 22, 2020"', 'Did not show prompt');
+        assert.strictEqual(reply.text, 'Hi! What would you like to know about your visa and occupation status?', 'Did not show prompt');
     });
 
     describe('Invokes tasks based on LUIS intent', () => {
         // Create array with test case data.
         const testCases = [
-            { utterance: 'I want to book a flight', intent: 'BookFlight', invokedDialogResponse: 'bookingDialog mock invoked', taskConfirmationMessage: 'I have you booked to Seattle from New York' },
-            { utterance: 'What\'s the weather like?', intent: 'GetWeather', invokedDialogResponse: 'TODO: get weather flow here', taskConfirmationMessage: undefined },
-            { utterance: 'bananas', intent: 'None', invokedDialogResponse: 'Sorry, I didn\'t get that. Please try asking in a different way (intent was None)', taskConfirmationMessage: undefined }
+            { utterance: 'What is an F-1 visa?', intent: 'visa_information', invokedDialogResponse: 'bookingDialog mock invoked', taskConfirmationMessage: 'Curricular Practical Training (CPT) lets you work off campus' },
+            { utterance: 'bananas', intent: 'None', invokedDialogResponse: 'Sorry, I didn\'t get that. Please try asking in a different way, or say "help" to see what I can answer.', taskConfirmationMessage: undefined }
         ];
 
         testCases.map(testData => {
@@ -100,19 +133,19 @@ describe('MainDialog', () => {
                 // Create LuisResult for the mock recognizer.
                 const mockLuisResult = JSON.parse(`{"intents": {"${ testData.intent }": {"score": 1}}, "entities": {"$instance": {}}}`);
                 const mockRecognizer = new MockFlightBookingRecognizer(true, mockLuisResult);
-                const bookingDialog = new MockBookingDialog();
-                const sut = new MainDialog(mockRecognizer, bookingDialog);
-                const client = new DialogTestClient('test', sut, null, [new DialogTestLogger()]);
+                const bookingDialog = new MockBookingDialog(knowledgeBase);
+                const sut = new MainDialog(mockRecognizer, bookingDialog, knowledgeBase, userProfileAccessor);
+                const client = createClient(sut);
 
                 // Execute the test case
                 console.log(`Test Case: ${ testData.intent }`);
                 let reply = await client.sendActivity('Hi');
-                assert.strictEqual(reply.text, 'What can I help you with today?\nSay something like "Book a flight from Paris to Berlin on March 22, 2020"');
+                assert.strictEqual(reply.text, 'Hi! What would you like to know about your visa and occupation status?');
 
                 reply = await client.sendActivity(testData.utterance);
                 assert.strictEqual(reply.text, testData.invokedDialogResponse);
 
-                // The Booking dialog displays an additional confirmation message, assert that it is what we expect.
+                // The main dialog answers with the knowledge base entry for the details returned by the booking dialog.
                 if (testData.taskConfirmationMessage) {
                     reply = client.getNextReply();
                     assert(reply.text.startsWith(testData.taskConfirmationMessage));
@@ -125,32 +158,602 @@ describe('MainDialog', () => {
         });
     });
 
-    describe('Shows unsupported cities warning', () => {
-        // Create array with test case data.
-        const testCases = [
-            { jsonFile: 'FlightToMadrid.json', expectedMessage: 'Sorry but the following airports are not supported: madrid' },
-            { jsonFile: 'FlightFromMadridToChicago.json', expectedMessage: 'Sorry but the following airports are not supported: madrid, chicago' },
-            { jsonFile: 'FlightFromCdgToJfk.json', expectedMessage: 'Sorry but the following airports are not supported: cdg' },
-            { jsonFile: 'FlightFromParisToNewYork.json', expectedMessage: 'bookingDialog mock invoked' }
-        ];
+    it('Answers with a card of steps and sources on channels that support it', async () => {
+        const visaInformationResult = { intents: { visa_information: { score: 1 } }, entities: { $instance: {} } };
+        const mockRecognizer = new MockFlightBookingRecognizer(true, visaInformationResult);
+        const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+        const client = createClient(sut, 'emulator');
 
-        testCases.map(testData => {
-            it(testData.jsonFile, async () => {
-                // Create LuisResult for the mock recognizer.
-                const mockLuisResult = require(`./testData/${ testData.jsonFile }`);
-                const mockRecognizer = new MockFlightBookingRecognizer(true, mockLuisResult);
-                const bookingDialog = new MockBookingDialog();
-                const sut = new MainDialog(mockRecognizer, bookingDialog);
-                const client = new DialogTestClient('test', sut, null, [new DialogTestLogger()]);
+        await client.sendActivity('Hi');
+        await client.sendActivity('What is CPT?');
+        const reply = client.getNextReply();
+        const card = reply.attachments[0].content;
+        assert.strictEqual(reply.attachments[0].contentType, 'application/vnd.microsoft.card.adaptive');
+        assert.deepStrictEqual(card.body.map(element => element.id), ['text', 'steps', 'sources']);
+        assert(card.fallbackText.startsWith('Curricular Practical Training (CPT) lets you work off campus'));
+        assert.deepStrictEqual(reply.suggestedActions.actions.map(action => action.value),
+            knowledgeBase.lookup({ intent: 'visa_information', visaType: 'f1', workType: 'cpt' }).followUps.concat('👍 Helpful', '👎 Not helpful'));
+        assert.strictEqual(client.getNextReply().text, 'What else can I do for you?');
+    });
 
-                // Execute the test case
-                console.log(`Test Case: ${ mockLuisResult.text }`);
-                let reply = await client.sendActivity('Hi');
-                assert.strictEqual(reply.text, 'What can I help you with today?\nSay something like "Book a flight from Paris to Berlin on March 22, 2020"');
+    it('Answers eligibility questions with the rules engine', async () => {
+        const eligibilityResult = { intents: { eligibility: { score: 1 } }, entities: { $instance: {} } };
+        const mockRecognizer = new MockFlightBookingRecognizer(true, eligibilityResult);
+        const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+        const client = createClient(sut);
 
-                reply = await client.sendActivity(mockLuisResult.text);
-                assert.strictEqual(reply.text, testData.expectedMessage);
-            });
+        await client.sendActivity('Hi');
+        let reply = await client.sendActivity('Can I do CPT on my F-1?');
+        assert.strictEqual(reply.text, 'bookingDialog mock invoked');
+        assert.strictEqual(client.getNextReply().text, 'How many months have you been enrolled full-time at a US school?');
+
+        reply = await client.sendActivity('12 months');
+        assert(reply.text.startsWith('Is the work an integral part of your degree program'));
+
+        reply = await client.sendActivity('yes');
+        assert(reply.text.startsWith('Yes, based on what you told me you meet the requirements for CPT on your F-1 visa.'));
+        assert.strictEqual(client.getNextReply().text, 'What else can I do for you?');
+    });
+
+    it('Answers maybe when the user is not sure', async () => {
+        const eligibilityResult = { intents: { eligibility: { score: 1 } }, entities: { $instance: {} } };
+        const mockRecognizer = new MockFlightBookingRecognizer(true, eligibilityResult);
+        const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+        const client = createClient(sut);
+
+        await client.sendActivity('Hi');
+        await client.sendActivity('Can I do CPT on my F-1?');
+        client.getNextReply();
+        await client.sendActivity('not sure');
+
+        const reply = await client.sendActivity('yes');
+        assert(reply.text.startsWith('Maybe. You could be eligible for CPT on your F-1 visa'));
+        assert.strictEqual(client.getNextReply().text, 'What else can I do for you?');
+    });
+
+    it('Asks eligibility questions and answers in the user\'s language', async () => {
+        const eligibilityResult = { intents: { eligibility: { score: 1 } }, entities: { $instance: {} } };
+        const mockRecognizer = new MockFlightBookingRecognizer(true, eligibilityResult);
+        const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+        const spanish = { onTurn: async (context, next) => { setLocale(context, 'es'); await next(); } };
+        const client = new DialogTestClient('test', sut, null, [spanish, new AutoSaveStateMiddleware(userState), new DialogTestLogger()]);
+
+        await client.sendActivity('Hola');
+        await client.sendActivity('¿Puedo hacer CPT con mi F-1?');
+        assert.strictEqual(client.getNextReply().text, '¿Cuántos meses llevas matriculado a tiempo completo en una universidad de EE. UU.?');
+
+        let reply = await client.sendActivity('ayuda');
+        assert(reply.text.startsWith('Te pregunto cuánto tiempo llevas matriculado a tiempo completo por estos requisitos:\n' +
+            '- Debes haber estado matriculado a tiempo completo durante un año académico completo (9 meses).'));
+        client.getNextReply();
+
+        reply = await client.sendActivity('12 meses');
+        assert(reply.text.startsWith('¿El trabajo es parte integral de tu programa de estudios'));
+
+        reply = await client.sendActivity('no sé');
+        assert(reply.text.startsWith('Quizás. Podrías cumplir los requisitos para '));
+        assert(reply.text.includes('Depende de si el trabajo forma parte de tu plan de estudios:\n- El trabajo debe ser parte integral de tu plan de estudios.'));
+        assert(reply.text.endsWith('Confírmalo con la oficina de estudiantes internacionales antes de empezar a trabajar.'));
+    });
+
+    it('Asks for the degree level and remembers it with the other STEM facts', async () => {
+        const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), new EchoBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+        const client = createClient(sut);
+
+        await client.sendActivity('Hi');
+        await client.sendActivity('Can I get the STEM OPT extension on my F-1?');
+        assert.strictEqual(client.getNextReply().text, 'Are you currently on post-completion OPT?');
+        await client.sendActivity('yes');
+        await client.sendActivity('yes');
+
+        let reply = await client.sendActivity('banana');
+        assert.strictEqual(reply.text, 'Please pick one of the answers, or say "not sure".');
+        assert.deepStrictEqual(reply.suggestedActions.actions.map(action => action.title), ['Associate\'s', 'Bachelor\'s', 'Master\'s', 'Doctorate', 'Not sure']);
+
+        reply = await client.sendActivity('masters');
+        assert.strictEqual(reply.text, 'Is your employer enrolled in E-Verify?');
+        reply = await client.sendActivity('yes');
+        assert(reply.text.startsWith('Yes, based on what you told me you meet the requirements for STEM OPT extension on your F-1 visa.'));
+        client.getNextReply();
+
+        reply = await client.sendActivity('what do you know about me');
+        assert(reply.text.includes('- Degree level: Master\'s\n- STEM designated degree: yes'), reply.text);
+    });
+
+    describe('Help', () => {
+        it('Shows the topic menu', async () => {
+            const mockRecognizer = new MockFlightBookingRecognizer(true);
+            const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+            const client = createClient(sut, 'emulator');
+
+            await client.sendActivity('Hi');
+            const reply = await client.sendActivity('help');
+            assert.strictEqual(reply.attachments[0].contentType, 'application/vnd.microsoft.card.adaptive');
+            assert(reply.speak.startsWith('I can answer questions about working in the US on these visas:'));
+            assert.deepStrictEqual(reply.suggestedActions.actions.map(action => action.value), knowledgeBase.exampleQuestions().slice(0, 3));
+            assert.strictEqual(client.getNextReply().text, 'What else can I do for you?');
+        });
+
+        it('Shows the topics as text on channels without cards', async () => {
+            const mockRecognizer = new MockFlightBookingRecognizer(true);
+            const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            const reply = await client.sendActivity('help');
+            assert.strictEqual(reply.attachments, undefined);
+            assert(reply.text.startsWith('I can answer questions about working in the US on these visas:'));
+            assert.deepStrictEqual(reply.suggestedActions.actions.map(action => action.value), knowledgeBase.exampleQuestions().slice(0, 3));
+        });
+
+        it('Gives example questions about the user\'s visa', async () => {
+            const visaInformationResult = { intents: { visa_information: { score: 1 } }, entities: { $instance: {} } };
+            const mockRecognizer = new MockFlightBookingRecognizer(true, visaInformationResult);
+            const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            let reply = await client.sendActivity('What can I ask?');
+            assert.strictEqual(reply.text, `Here are some things you can ask me:\n- ${ knowledgeBase.exampleQuestions().join('\n- ') }`);
+            client.getNextReply();
+
+            // The mock booking dialog confirms an F-1 visa.
+            await client.sendActivity('What is an F-1 visa?');
+            client.getNextReply();
+            client.getNextReply();
+
+            reply = await client.sendActivity('What can I ask?');
+            assert.strictEqual(reply.text, `Here are some things you can ask me:\n- ${ knowledgeBase.exampleQuestions('f1').join('\n- ') }`);
+        });
+    });
+
+    it('Answers timeline questions with dates and remembers them', async () => {
+        const timelineResult = { intents: { timeline: { score: 1 } }, entities: { $instance: {} } };
+        const mockRecognizer = new MockFlightBookingRecognizer(true, timelineResult);
+        const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+        const client = createClient(sut);
+
+        await client.sendActivity('Hi');
+        let reply = await client.sendActivity('When can I apply for OPT?');
+        assert.strictEqual(reply.text, 'When did your program start? (the start date on your I-20)');
+
+        reply = await client.sendActivity('August 20th 2019');
+        assert.strictEqual(reply.text, 'When does your program end? (the end date on your I-20)');
+
+        reply = await client.sendActivity('May 15th 2021');
+        assert(reply.text.startsWith('Here is your F-1 OPT timeline for a program ending 15th May 2021:'));
+        assert(reply.text.includes('You complete one full academic year (9 months) of enrollment, which OPT requires, on 20th May 2020.'));
+        assert(reply.text.includes('You can apply for OPT from 14th February 2021 until 14th July 2021.'));
+        assert.strictEqual(client.getNextReply().text, 'What else can I do for you?');
+
+        // The program dates are not asked for again, and are shown with the other details.
+        reply = await client.sendActivity('What is my OPT deadline?');
+        assert(reply.text.startsWith('Here is your F-1 OPT timeline for a program ending 15th May 2021:'));
+        client.getNextReply();
+
+        reply = await client.sendActivity('what do you know about me');
+        assert(reply.text.includes('- Program start date: 2019-08-20\n- Program end date: 2021-05-15'), reply.text);
+    });
+
+    it('Tracks unemployment days for OPT students', async () => {
+        const unemploymentResult = { intents: { unemployment: { score: 1 } }, entities: { $instance: {} } };
+        const mockRecognizer = new MockFlightBookingRecognizer(true, unemploymentResult);
+        const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+        const client = createClient(sut);
+
+        await client.sendActivity('Hi');
+        let reply = await client.sendActivity('How many unemployment days do I have left?');
+        assert.strictEqual(reply.text, 'When did your OPT start? (the start date on your OPT card)');
+
+        reply = await client.sendActivity('June 1st 2021');
+        assert.strictEqual(reply.text, 'Are you on OPT or on the STEM OPT extension?');
+
+        reply = await client.sendActivity('STEM OPT extension');
+        assert(reply.text.startsWith('You have used '));
+        assert(reply.text.endsWith('You haven\'t logged any jobs yet.'));
+        assert.strictEqual(client.getNextReply().text, 'What would you like to do?');
+
+        reply = await client.sendActivity('Log a job');
+        assert.strictEqual(reply.text, 'When did (or will) the job start?');
+        reply = await client.sendActivity('June 5th 2021');
+        assert.strictEqual(reply.text, 'Are you still working there?');
+        reply = await client.sendActivity('yes');
+        assert.strictEqual(reply.text, 'You have used 4 of your 150 unemployment days, so 146 are left.\n\n' +
+            'You are working now, so you are not using any unemployment days.\n\n' +
+            'Jobs you\'ve logged:\n- 5th June 2021 onwards');
+        assert.strictEqual(client.getNextReply().text, 'What would you like to do?');
+
+        reply = await client.sendActivity('Done');
+        assert.strictEqual(reply.text, 'What else can I do for you?');
+
+        reply = await client.sendActivity('what do you know about me');
+        assert(reply.text.includes('- OPT start date: 2021-06-01'));
+        assert(reply.text.includes('- Current work authorization: STEM OPT extension'));
+        assert(reply.text.includes('- Jobs logged for OPT: 1'));
+    });
+
+    it('Tracks unemployment days for dates given with a time', async () => {
+        const unemploymentResult = { intents: { unemployment: { score: 1 } }, entities: { $instance: {} } };
+        const mockRecognizer = new MockFlightBookingRecognizer(true, unemploymentResult);
+        const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+        const client = createClient(sut);
+
+        await client.sendActivity('Hi');
+        await client.sendActivity('How many unemployment days do I have left?');
+        let reply = await client.sendActivity('June 1st 2021 at 9am');
+        assert.strictEqual(reply.text, 'Are you on OPT or on the STEM OPT extension?');
+        await client.sendActivity('OPT');
+        client.getNextReply();
+
+        await client.sendActivity('Log a job');
+        reply = await client.sendActivity('June 5th 2021 at 10am');
+        assert.strictEqual(reply.text, 'Are you still working there?');
+        reply = await client.sendActivity('no');
+        assert.strictEqual(reply.text, 'When did the job end? (your last day of work)');
+        reply = await client.sendActivity('June 30th 2021 at 5pm');
+        assert(reply.text.includes('Jobs you\'ve logged:\n- 5th June 2021 to 30th June 2021'), reply.text);
+        assert.strictEqual(client.getNextReply().text, 'What would you like to do?');
+
+        await client.sendActivity('Done');
+        reply = await client.sendActivity('what do you know about me');
+        assert(reply.text.includes('- OPT start date: 2021-06-01'));
+    });
+
+    describe('Follow-up questions', () => {
+        it('Carries the last topic over to follow-up questions', async () => {
+            const bookingDialog = new EchoBookingDialog(knowledgeBase);
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), bookingDialog, knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            const reply = await client.sendActivity('How do I apply for CPT on my F-1 visa?');
+            assert.strictEqual(reply.text, 'bookingDialog mock invoked');
+            assert(client.getNextReply().text.startsWith('Curricular Practical Training (CPT) lets you work off campus'));
+            assert(client.getNextReply().text.startsWith('CPT authorization: 0 of 6 done.'));
+            client.getNextReply();
+            assert.strictEqual((await client.sendActivity('Done')).text, 'What else can I do for you?');
+
+            await client.sendActivity('What about for J-1?');
+            assert.deepStrictEqual(bookingDialog.lastOptions, { type: 'procedure_auth', visa_type: 'j1', work_type: 'cpt' });
+            assert.strictEqual(client.getNextReply().text, 'J1 students aren\'t allowed to get CPT training.');
+            client.getNextReply();
+
+            // Help doesn't answer a question, so the topic is kept.
+            await client.sendActivity('What can I ask?');
+            client.getNextReply();
+
+            await client.sendActivity('And what is OPT?');
+            assert.deepStrictEqual(bookingDialog.lastOptions, { type: 'visa_information', visa_type: 'j1', work_type: 'opt' });
+            assert.strictEqual(client.getNextReply().text, 'J1 students aren\'t allowed to get OPT training.');
+        });
+
+        it('Starts a new topic for a new question', async () => {
+            const bookingDialog = new EchoBookingDialog(knowledgeBase);
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), bookingDialog, knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('How do I apply for CPT on my F-1 visa?');
+            await client.sendActivity('Done');
+
+            await client.sendActivity('What is an H-1B visa?');
+            assert.deepStrictEqual(bookingDialog.lastOptions, { type: 'visa_information', visa_type: 'h1b', work_type: undefined });
+        });
+
+        it('Forgets the topic with the user\'s info', async () => {
+            const bookingDialog = new EchoBookingDialog(knowledgeBase);
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), bookingDialog, knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('How do I apply for CPT on my F-1 visa?');
+            await client.sendActivity('Done');
+
+            await client.sendActivity('forget my info');
+            client.getNextReply();
+
+            await client.sendActivity('How long does it take?');
+            assert.deepStrictEqual(bookingDialog.lastOptions, { type: 'procedure_auth', visa_type: undefined, work_type: undefined });
+        });
+    });
+
+    describe('FAQ fallback', () => {
+        it('Answers questions no intent matches from the FAQ documents', async () => {
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), new EchoBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            const reply = await client.sendActivity('Do I have to pay Social Security taxes?');
+            assert(reply.text.startsWith('I don\'t have a direct answer to that, but this FAQ entry may help:\n\n' +
+                'Taxes and Social Security > Do international students pay Social Security and Medicare taxes?\n\n' +
+                'Most F-1 and J-1 students who are nonresident aliens'));
+            assert(reply.text.includes('(Match: 100%.'));
+            assert.strictEqual(client.getNextReply().text, 'What else can I do for you?');
+        });
+
+        it('Still says it didn\'t understand when nothing matches well', async () => {
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), new EchoBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            const reply = await client.sendActivity('Where should I park my bike?');
+            assert.strictEqual(reply.text, 'Sorry, I didn\'t get that. Please try asking in a different way, or say "help" to see what I can answer.');
+        });
+    });
+
+    describe('Unanswered questions', () => {
+        function createLog() {
+            const records = [];
+            return { records: records, append: async record => { records.push(record); } };
+        }
+
+        it('Logs questions it didn\'t understand and FAQ answers with what was recognized', async () => {
+            const unansweredLog = createLog();
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), new EchoBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor, undefined, unansweredLog);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('Where should I park my bike? Call me at 415-555-0123');
+            client.getNextReply();
+            await client.sendActivity('Do I have to pay Social Security taxes?');
+
+            assert.deepStrictEqual(unansweredLog.records.map(record => record.reason), ['notUnderstood', 'faq']);
+            assert.strictEqual(unansweredLog.records[0].text, 'Where should I park my bike? Call me at [PHONE]');
+            assert.strictEqual(unansweredLog.records[0].intent, 'None');
+            assert.strictEqual(unansweredLog.records[0].locale, 'en');
+            assert.strictEqual(unansweredLog.records[1].text, 'Do I have to pay Social Security taxes?');
+            assert.strictEqual(unansweredLog.records[1].faq, 'taxes.md#Do international students pay Social Security and Medicare taxes?');
+        });
+
+        it('Logs questions the knowledge base has no answer for', async () => {
+            const unansweredLog = createLog();
+            const mockRecognizer = new MockFlightBookingRecognizer(true, { intents: { visa_information: { score: 1 } }, entities: { $instance: {} } });
+            const sut = new MainDialog(mockRecognizer, new EchoBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor, undefined, unansweredLog);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('What is a green card?');
+
+            assert.strictEqual(unansweredLog.records.length, 1);
+            assert.strictEqual(unansweredLog.records[0].reason, 'missingAnswer');
+            assert.strictEqual(unansweredLog.records[0].text, 'What is a green card?');
+            assert.strictEqual(unansweredLog.records[0].intent, 'visa_information');
+            assert.strictEqual(unansweredLog.records[0].answerKey, null);
+        });
+    });
+
+    describe('Feedback', () => {
+        const visaInformationResult = { intents: { visa_information: { score: 1 } }, entities: { $instance: {} } };
+
+        function createLog() {
+            const records = [];
+            return { records: records, append: async record => { records.push(record); } };
+        }
+
+        it('Stores that an answer helped', async () => {
+            const feedbackLog = createLog();
+            const mockRecognizer = new MockFlightBookingRecognizer(true, visaInformationResult);
+            const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor, undefined, undefined, feedbackLog);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('What is CPT?');
+            client.getNextReply();
+            client.getNextReply();
+            const reply = await client.sendActivity('👍 Helpful');
+            assert.strictEqual(reply.text, 'Thanks for your feedback!');
+            assert.strictEqual(client.getNextReply().text, 'What else can I do for you?');
+
+            assert.strictEqual(feedbackLog.records.length, 1);
+            assert.strictEqual(feedbackLog.records[0].helpful, true);
+            assert.strictEqual(feedbackLog.records[0].answerKey, 'f1.cpt.*');
+            assert.strictEqual(feedbackLog.records[0].visaType, 'f1');
+            assert.strictEqual(feedbackLog.records[0].comment, null);
+        });
+
+        it('Asks what was wrong with an answer that didn\'t help', async () => {
+            const feedbackLog = createLog();
+            const mockRecognizer = new MockFlightBookingRecognizer(true, visaInformationResult);
+            const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor, undefined, undefined, feedbackLog);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('What is CPT?');
+            client.getNextReply();
+            client.getNextReply();
+            let reply = await client.sendActivity('👎 Not helpful');
+            assert.strictEqual(reply.text, 'Sorry about that. What was wrong or outdated in the answer? Say "skip" if you\'d rather not say.');
+            reply = await client.sendActivity('The fee changed, ask me at jane@example.edu');
+            assert.strictEqual(reply.text, 'Thanks, your comment will help us fix the answer.');
+
+            assert.strictEqual(feedbackLog.records[0].helpful, false);
+            assert.strictEqual(feedbackLog.records[0].comment, 'The fee changed, ask me at [EMAIL]');
+        });
+
+        it('Treats the buttons as a question when there is no answer to rate', async () => {
+            const feedbackLog = createLog();
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), new EchoBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor, undefined, undefined, feedbackLog);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            const reply = await client.sendActivity('👍 Helpful');
+            assert.strictEqual(reply.text, 'Sorry, I didn\'t get that. Please try asking in a different way, or say "help" to see what I can answer.');
+            assert.strictEqual(feedbackLog.records.length, 0);
+        });
+    });
+
+    describe('Checklists', () => {
+        const actionPrompt = 'Would you like to tick off the documents you have, or export the checklist?';
+
+        it('Shows the document checklist after answering how to apply', async () => {
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), new EchoBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            let reply = await client.sendActivity('How do I apply for OPT on my F-1 visa?');
+            assert.strictEqual(reply.text, 'bookingDialog mock invoked');
+            client.getNextReply();
+            assert(client.getNextReply().text.startsWith('OPT application (Form I-765): 0 of 9 done.'));
+            assert.strictEqual(client.getNextReply().text, actionPrompt);
+
+            await client.sendActivity('Tick off items');
+            reply = await client.sendActivity('1-2');
+            assert(reply.text.startsWith('OPT application (Form I-765): 2 of 9 done.'));
+            client.getNextReply();
+
+            reply = await client.sendActivity('Done');
+            assert.strictEqual(reply.text, 'What else can I do for you?');
+        });
+
+        it('Remembers the ticked items across conversations', async () => {
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), new EchoBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+            let client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('How do I apply for OPT on my F-1 visa?');
+            await client.sendActivity('Tick off items');
+            await client.sendActivity('3');
+            await client.sendActivity('Done');
+
+            // A new conversation with the same user state.
+            client = createClient(sut);
+            await client.sendActivity('Hi');
+            await client.sendActivity('How do I apply for OPT on my F-1 visa?');
+            client.getNextReply();
+            let reply = client.getNextReply();
+            assert(reply.text.startsWith('OPT application (Form I-765): 1 of 9 done.'));
+            assert(reply.text.includes('3. [x] Copies of all your previous I-20s'));
+
+            assert.strictEqual(client.getNextReply().text, actionPrompt);
+
+            // Close the checklist, so the question goes to the main dialog.
+            reply = await client.sendActivity('Done');
+            assert.strictEqual(reply.text, 'What else can I do for you?');
+            reply = await client.sendActivity('what do you know about me');
+            assert(reply.text.includes('- Checklist for the OPT application (Form I-765): 1 of 9 done'));
+        });
+
+        it('Answers procedures without a checklist as before', async () => {
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), new EchoBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('How do I apply for an H-1B visa?');
+            client.getNextReply();
+            assert.strictEqual(client.getNextReply().text, 'What else can I do for you?');
+        });
+    });
+
+    describe('Clarification', () => {
+        it('Asks which question was meant and answers the chosen one', async () => {
+            const bookingDialog = new EchoBookingDialog(knowledgeBase);
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), bookingDialog, knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            let reply = await client.sendActivity('Can I apply for OPT?');
+            assert.strictEqual(reply.text, 'Did you mean eligibility for OPT or how to apply for OPT?');
+            assert.deepStrictEqual(reply.suggestedActions.actions.map(action => action.title),
+                ['Eligibility for OPT', 'How to apply for OPT', 'Something else']);
+
+            reply = await client.sendActivity('How to apply for OPT');
+            assert.strictEqual(reply.text, 'bookingDialog mock invoked');
+            assert.deepStrictEqual(bookingDialog.lastOptions, { type: 'procedure_auth', visa_type: undefined, work_type: 'opt' });
+        });
+
+        it('Asks to rephrase when none of the questions was meant', async () => {
+            const bookingDialog = new EchoBookingDialog(knowledgeBase);
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), bookingDialog, knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('Can I apply for OPT?');
+
+            let reply = await client.sendActivity('none of these');
+            assert.strictEqual(reply.text, 'OK. Please ask in a different way, for example with your visa type and the work authorization you have in mind.');
+            reply = client.getNextReply();
+            assert.strictEqual(reply.text, 'What else can I do for you?');
+            assert.strictEqual(bookingDialog.lastOptions, undefined);
+        });
+
+        it('Logs the outcome for retraining', async () => {
+            const records = [];
+            const clarificationLog = { append: async record => { records.push(record); } };
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), new EchoBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor, clarificationLog);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('Can I apply for OPT?');
+            await client.sendActivity('Eligibility for OPT');
+
+            assert.strictEqual(records.length, 1);
+            assert.strictEqual(records[0].text, 'Can I apply for OPT?');
+            assert.deepStrictEqual(records[0].candidates.map(candidate => candidate.type), ['eligibility', 'procedure_auth']);
+            assert.strictEqual(records[0].chosen.type, 'eligibility');
+        });
+
+        it('Redacts personal details in the logged question', async () => {
+            const records = [];
+            const clarificationLog = { append: async record => { records.push(record); } };
+            const sut = new MainDialog(new OfflineRecognizer(knowledgeBase), new EchoBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor, clarificationLog);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('Can I apply for OPT? Email me at priya@example.edu or call 617-555-0123');
+            await client.sendActivity('Eligibility for OPT');
+
+            assert.strictEqual(records.length, 1);
+            assert.strictEqual(records[0].text, 'Can I apply for OPT? Email me at [EMAIL] or call [PHONE]');
+        });
+    });
+
+    describe('User profile', () => {
+        const visaInformationResult = { intents: { visa_information: { score: 1 } }, entities: { $instance: {} } };
+
+        it('Requires a user profile accessor', () => {
+            const mockRecognizer = new MockFlightBookingRecognizer(true);
+            assert.throws(() => new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase), /Missing parameter 'userProfileAccessor'/);
+        });
+
+        it('Remembers confirmed details and reuses them for the next question', async () => {
+            const mockRecognizer = new MockFlightBookingRecognizer(true, visaInformationResult);
+            const bookingDialog = new MockBookingDialog(knowledgeBase);
+            const sut = new MainDialog(mockRecognizer, bookingDialog, knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            await client.sendActivity('What is an F-1 visa?');
+            assert.strictEqual(bookingDialog.lastOptions.visa_type, undefined);
+
+            await client.sendActivity('What is CPT?');
+            assert.strictEqual(bookingDialog.lastOptions.visa_type, 'f1');
+        });
+
+        it('Shows and forgets what it knows about the user', async () => {
+            const mockRecognizer = new MockFlightBookingRecognizer(true, visaInformationResult);
+            const sut = new MainDialog(mockRecognizer, new MockBookingDialog(knowledgeBase), knowledgeBase, userProfileAccessor);
+            const client = createClient(sut);
+
+            await client.sendActivity('Hi');
+            let reply = await client.sendActivity('What do you know about me?');
+            assert(reply.text.startsWith('I don\'t know anything about you yet.'));
+            assert.strictEqual(client.getNextReply().text, 'What else can I do for you?');
+
+            reply = await client.sendActivity('What is an F-1 visa?');
+            assert.strictEqual(reply.text, 'bookingDialog mock invoked');
+            client.getNextReply();
+            assert.strictEqual(client.getNextReply().text, 'What else can I do for you?');
+
+            reply = await client.sendActivity('what do you know about me');
+            assert(reply.text.includes('- Visa type: F-1'));
+            client.getNextReply();
+
+            reply = await client.sendActivity('forget my info');
+            assert.strictEqual(reply.text, 'OK, I\'ve forgotten everything I knew about you.');
+            client.getNextReply();
+
+            reply = await client.sendActivity('what do you know about me');
+            assert(reply.text.startsWith('I don\'t know anything about you yet.'));
         });
     });
 });
@@ -0,0 +1,45 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { LuisRecognizer } = require('botbuilder-ai');
+const { TestAdapter, TurnContext } = require('botbuilder');
+const { MultilingualRecognizer } = require('../../dialogs/multilingualRecognizer');
+const { OfflineRecognizer } = require('../../dialogs/offlineRecognizer');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const { setLocale } = require('../../localization');
+const assert = require('assert');
+
+describe('MultilingualRecognizer', () => {
+    const knowledgeBase = loadKnowledgeBase();
+    const sut = new MultilingualRecognizer({
+        en: new OfflineRecognizer(knowledgeBase),
+        es: new OfflineRecognizer(knowledgeBase.forLocale('es'))
+    });
+
+    function createContext(text, locale) {
+        const context = new TurnContext(new TestAdapter(), { type: 'message', text: text });
+        if (locale) setLocale(context, locale);
+        return context;
+    }
+
+    it('Requires an English recognizer', () => {
+        assert.throws(() => new MultilingualRecognizer({ es: sut.forLocale('es') }), /Missing parameter 'recognizers.en' is required/);
+    });
+
+    it('Uses the recognizer of the turn\'s locale', async () => {
+        const result = await sut.executeLuisQuery(createContext('¿Puedo hacer la práctica curricular con una visa F-1?', 'es'));
+
+        assert.strictEqual(LuisRecognizer.topIntent(result), 'eligibility');
+        assert.strictEqual(sut.getWorkTypeEntities(result).work_type, 'cpt');
+    });
+
+    it('Falls back to English for locales without a recognizer', async () => {
+        assert.strictEqual(sut.forLocale('ko'), sut.forLocale('en'));
+        const result = await sut.executeLuisQuery(createContext('Can I do CPT on an F-1 visa?', 'ko'));
+
+        assert.strictEqual(sut.getVisaTypeEntities(result).visa_type, 'f1');
+    });
+});
@@ -0,0 +1,121 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { LuisRecognizer } = require('botbuilder-ai');
+const { OfflineRecognizer } = require('../../dialogs/offlineRecognizer');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../../localization');
+const assert = require('assert');
+
+describe('OfflineRecognizer', () => {
+    const sut = new OfflineRecognizer(loadKnowledgeBase());
+
+    it('Is always configured', () => {
+        assert.strictEqual(sut.isConfigured, true);
+    });
+
+    describe('Classifies intents and extracts entities', () => {
+        const testCases = [
+            { utterance: 'Can I work on campus as an F-1 student?', intent: 'eligibility', visaType: 'f1', workType: 'on_campus', occupationStatus: 'student' },
+            { utterance: 'How do I apply for OPT?', intent: 'procedure_auth', visaType: undefined, workType: 'opt', occupationStatus: undefined },
+            { utterance: 'How can I apply for the STEM OPT extension on my f1 visa', intent: 'procedure_auth', visaType: 'f1', workType: 'stem_opt', occupationStatus: undefined },
+            { utterance: 'What is academic training for J-1 students?', intent: 'visa_information', visaType: 'j1', workType: 'academic_training', occupationStatus: undefined },
+            { utterance: 'Am I eligible for CPT? I am unemployed on a J1', intent: 'eligibility', visaType: 'j1', workType: 'cpt', occupationStatus: 'unemployed' },
+            { utterance: 'What is the deadline for the STEM OPT extension?', intent: 'timeline', visaType: undefined, workType: 'stem_opt', occupationStatus: undefined },
+            { utterance: 'When can I apply for OPT?', intent: 'timeline', visaType: undefined, workType: 'opt', occupationStatus: undefined },
+            { utterance: 'I lost my job, how many days do I have left on STEM OPT?', intent: 'unemployment', visaType: undefined, workType: 'stem_opt', occupationStatus: undefined },
+            { utterance: 'H-1B', intent: 'visa_information', visaType: 'h1b', workType: undefined, occupationStatus: undefined },
+            { utterance: 'bananas', intent: 'None', visaType: undefined, workType: undefined, occupationStatus: undefined }
+        ];
+
+        testCases.map(testData => {
+            it(testData.utterance, async () => {
+                const result = await sut.executeLuisQuery({ activity: { text: testData.utterance } });
+
+                assert.strictEqual(LuisRecognizer.topIntent(result), testData.intent);
+                assert.strictEqual(sut.getVisaTypeEntities(result).visa_type, testData.visaType);
+                assert.strictEqual(sut.getWorkTypeEntities(result).work_type, testData.workType);
+                assert.strictEqual(sut.getOccupationStatusEntities(result).occupation_status, testData.occupationStatus);
+            });
+        });
+    });
+
+    it('Recognizes the example questions of the knowledge base', async () => {
+        const knowledgeBase = loadKnowledgeBase();
+        const expectedIntents = knowledgeBase.intents.filter(intent => intent.examples).map(intent => intent.id);
+        const examples = knowledgeBase.exampleQuestions();
+
+        const intents = examples.map(example => LuisRecognizer.topIntent(sut.recognize(example)));
+        intents.forEach((intent, i) => assert(expectedIntents.includes(intent), `${ examples[i] } => ${ intent }`));
+        assert.deepStrictEqual(Array.from(new Set(intents)), expectedIntents);
+    });
+
+    it('Recognizes the follow-up questions of the answers', () => {
+        const knowledgeBase = loadKnowledgeBase();
+        Array.from(knowledgeBase.answers.values()).forEach(answer => {
+            (answer.followUps || []).forEach(followUp => {
+                const result = sut.recognize(followUp);
+                assert.notStrictEqual(LuisRecognizer.topIntent(result), 'None', followUp);
+                assert(result.entities.visa_type || result.entities.work_type || LuisRecognizer.topIntent(result) === 'unemployment', followUp);
+            });
+        });
+    });
+
+    it('Returns LUIS shaped entity metadata', () => {
+        const result = sut.recognize('Can I do OPT as an f-1 visa holder?');
+
+        assert.deepStrictEqual(result.entities.visa_type, [['f1']]);
+        assert.deepStrictEqual(result.entities.$instance.visa_type, [{ startIndex: 19, endIndex: 27, text: 'f-1 visa', type: 'visa_type' }]);
+        assert.deepStrictEqual(result.entities.work_type, [['opt']]);
+    });
+
+    it('Does not match synonyms inside other words', () => {
+        const result = sut.recognize('I adopted a cat');
+
+        assert.strictEqual(result.entities.work_type, undefined);
+        assert.strictEqual(LuisRecognizer.topIntent(result), 'None');
+    });
+
+    describe('Recognizes translated questions', () => {
+        const knowledgeBase = loadKnowledgeBase();
+
+        const testCases = [
+            { locale: 'es', utterance: '¿Puedo hacer la práctica curricular con una visa F-1?', intent: 'eligibility', visaType: 'f1', workType: 'cpt' },
+            { locale: 'zh', utterance: '如何申请OPT？', intent: 'procedure_auth', visaType: undefined, workType: 'opt' },
+            { locale: 'ko', utterance: 'J-1 비자로 학술 연수 자격이 되나요?', intent: 'eligibility', visaType: 'j1', workType: 'academic_training' },
+            { locale: 'es', utterance: 'Can I do CPT on an F-1 visa?', intent: 'eligibility', visaType: 'f1', workType: 'cpt' }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.locale }: ${ testData.utterance }`, () => {
+                const recognizer = new OfflineRecognizer(knowledgeBase.forLocale(testData.locale));
+                const result = recognizer.recognize(testData.utterance);
+
+                assert.strictEqual(LuisRecognizer.topIntent(result), testData.intent);
+                assert.strictEqual(recognizer.getVisaTypeEntities(result).visa_type, testData.visaType);
+                assert.strictEqual(recognizer.getWorkTypeEntities(result).work_type, testData.workType);
+            });
+        });
+
+        SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE).forEach(locale => {
+            it(`Recognizes the ${ locale } example and follow-up questions`, () => {
+                const localized = knowledgeBase.forLocale(locale);
+                const recognizer = new OfflineRecognizer(localized);
+                const expectedIntents = localized.intents.filter(intent => intent.examples).map(intent => intent.id);
+
+                localized.exampleQuestions().forEach(example => {
+                    const intent = LuisRecognizer.topIntent(recognizer.recognize(example));
+                    assert(expectedIntents.includes(intent), `${ example } => ${ intent }`);
+                });
+                Array.from(localized.answers.values()).forEach(answer => {
+                    (answer.followUps || []).forEach(followUp => {
+                        assert.notStrictEqual(LuisRecognizer.topIntent(recognizer.recognize(followUp)), 'None', followUp);
+                    });
+                });
+            });
+        });
+    });
+});
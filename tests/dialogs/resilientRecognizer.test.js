@@ -0,0 +1,183 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const http = require('http');
+const { LuisRecognizer } = require('botbuilder-ai');
+const { TestAdapter, TurnContext } = require('botbuilder');
+const { FlightBookingRecognizer } = require('../../dialogs/flightBookingRecognizer');
+const { OfflineRecognizer } = require('../../dialogs/offlineRecognizer');
+const { ResilientRecognizer } = require('../../dialogs/resilientRecognizer');
+const { RetryingRecognizer } = require('../../dialogs/retryingRecognizer');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const { TelemetryClient, TelemetryMiddleware } = require('../../telemetry');
+const assert = require('assert');
+
+// A LUIS endpoint that answers every prediction request with `status` after `latencyMs`.
+class StubLuisServer {
+    constructor() {
+        this.status = 200;
+        this.latencyMs = 0;
+        this.requests = 0;
+        this.timers = [];
+        this.server = http.createServer((req, res) => this.respond(res));
+    }
+
+    start() {
+        return new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    }
+
+    stop() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.server.closeAllConnections();
+        return new Promise(resolve => this.server.close(resolve));
+    }
+
+    get endpoint() {
+        return `http://127.0.0.1:${ this.server.address().port }`;
+    }
+
+    respond(res) {
+        this.requests++;
+        const status = this.status;
+        const body = status === 200
+            ? { query: 'Can I work on CPT with an F-1 visa?', topScoringIntent: { intent: 'eligibility', score: 0.97 }, intents: [{ intent: 'eligibility', score: 0.97 }], entities: [] }
+            : { error: { code: String(status), message: 'Stub error' } };
+        this.timers.push(setTimeout(() => {
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(body));
+        }, this.latencyMs));
+    }
+}
+
+describe('ResilientRecognizer', () => {
+    const knowledgeBase = loadKnowledgeBase();
+    let stub;
+    let time;
+    let events;
+    let sut;
+
+    beforeEach(async () => {
+        stub = new StubLuisServer();
+        await stub.start();
+        time = 0;
+        events = [];
+        const luis = new FlightBookingRecognizer({ applicationId: 'stub-app', endpointKey: 'stub-key', endpoint: stub.endpoint }, knowledgeBase);
+        const retrying = new RetryingRecognizer(luis, { timeoutMs: 200, retries: 1, sleep: async () => {} });
+        sut = new ResilientRecognizer(retrying, new OfflineRecognizer(knowledgeBase), { failureThreshold: 2, resetTimeoutMs: 1000, now: () => time });
+    });
+
+    afterEach(async () => {
+        await stub.stop();
+    });
+
+    // Recognizes a question in a turn with telemetry, and returns the result.
+    async function recognize() {
+        const context = new TurnContext(new TestAdapter(), { type: 'message', text: 'Can I work on CPT with an F-1 visa?' });
+        const client = new TelemetryClient([{ write: async event => { events.push(event); } }]);
+        let result;
+        await new TelemetryMiddleware(client).onTurn(context, async () => {
+            result = await sut.executeLuisQuery(context);
+        });
+        return result;
+    }
+
+    function fallbacks() {
+        return events.filter(event => event.event === 'recognizerFallback');
+    }
+
+    function circuitChanges() {
+        return events.filter(event => event.event === 'recognizerCircuit').map(event => event.state);
+    }
+
+    // LUIS results keep the raw LUIS response, offline results have none.
+    function assertFromLuis(result) {
+        assert(result.luisResult, 'Expected a LUIS result');
+        assert.strictEqual(LuisRecognizer.topIntent(result), 'eligibility');
+        assert.strictEqual(result.intents.eligibility.score, 0.97);
+    }
+
+    function assertFromFallback(result) {
+        assert.strictEqual(result.luisResult, undefined, 'Expected an offline result');
+        assert.strictEqual(LuisRecognizer.topIntent(result), 'eligibility');
+        assert.strictEqual(sut.getVisaTypeEntities(result).visa_type, 'f1');
+        assert.strictEqual(sut.getWorkTypeEntities(result).work_type, 'cpt');
+    }
+
+    it('Uses LUIS while it answers', async () => {
+        assertFromLuis(await recognize());
+        assert.strictEqual(stub.requests, 1);
+        assert.deepStrictEqual(fallbacks(), []);
+    });
+
+    const failureCases = [
+        { name: 'slow', latencyMs: 1000, errorName: 'TimeoutError', errorCode: 'ETIMEDOUT' },
+        { name: 'throttled', status: 429, statusCode: 429 },
+        { name: 'failing', status: 500, statusCode: 500 }
+    ];
+
+    failureCases.map(testData => {
+        it(`Falls back to the offline recognizer when LUIS is ${ testData.name }`, async () => {
+            stub.status = testData.status || 200;
+            stub.latencyMs = testData.latencyMs || 0;
+
+            const started = Date.now();
+            assertFromFallback(await recognize());
+            assert(Date.now() - started < 1000, 'The fallback should answer before LUIS would');
+
+            assert.strictEqual(stub.requests, 2, 'LUIS should be retried once');
+            const fallback = fallbacks()[0];
+            assert.strictEqual(fallback.reason, 'recognizerFailed');
+            if (testData.errorName) assert.strictEqual(fallback.errorName, testData.errorName);
+            if (testData.errorCode) assert.strictEqual(fallback.errorCode, testData.errorCode);
+            if (testData.statusCode) assert.strictEqual(fallback.statusCode, testData.statusCode);
+        });
+    });
+
+    it('Stops calling LUIS after repeated failures, and tries again after the reset timeout', async () => {
+        stub.status = 500;
+        await recognize();
+        await recognize();
+        assert.deepStrictEqual(circuitChanges(), ['open']);
+        assert.strictEqual(stub.requests, 4);
+
+        // The circuit is open: LUIS isn't called at all.
+        assertFromFallback(await recognize());
+        assert.strictEqual(stub.requests, 4);
+        assert.strictEqual(fallbacks()[2].reason, 'circuitOpen');
+
+        // LUIS has recovered when the trial call is made.
+        stub.status = 200;
+        time = 1000;
+        assertFromLuis(await recognize());
+        assert.strictEqual(stub.requests, 5);
+        assert.deepStrictEqual(circuitChanges(), ['open', 'closed']);
+    });
+
+    it('Reopens the circuit when the trial call fails', async () => {
+        stub.status = 500;
+        await recognize();
+        await recognize();
+        time = 1000;
+        assertFromFallback(await recognize());
+        assert.strictEqual(stub.requests, 6);
+        assert.deepStrictEqual(circuitChanges(), ['open', 'open']);
+        assert.deepStrictEqual(events.filter(event => event.event === 'recognizerCircuit').map(event => event.previousState), ['closed', 'halfOpen']);
+
+        time = 1500;
+        await recognize();
+        assert.strictEqual(stub.requests, 6);
+    });
+
+    it('Is configured like the recognizer it wraps', () => {
+        assert(sut.isConfigured);
+        assert(!new ResilientRecognizer(new FlightBookingRecognizer(undefined, knowledgeBase), new OfflineRecognizer(knowledgeBase)).isConfigured);
+    });
+
+    it('Requires a recognizer and a fallback', () => {
+        assert.throws(() => new ResilientRecognizer(), /Missing parameter 'recognizer' is required/);
+        assert.throws(() => new ResilientRecognizer(sut), /Missing parameter 'fallbackRecognizer' is required/);
+    });
+});
@@ -0,0 +1,115 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { TestAdapter, TurnContext } = require('botbuilder');
+const { RetryingRecognizer } = require('../../dialogs/retryingRecognizer');
+const { RecognizerError, classifyError } = require('../../errors');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const { TelemetryClient, TelemetryMiddleware } = require('../../telemetry');
+const assert = require('assert');
+
+describe('RetryingRecognizer', () => {
+    const knowledgeBase = loadKnowledgeBase();
+    const noWait = { sleep: async () => {} };
+
+    // A LUIS recognizer that fails with the given errors before it answers.
+    class FlakyRecognizer {
+        constructor(errors) {
+            this.errors = errors;
+            this.knowledgeBase = knowledgeBase;
+            this.calls = 0;
+        }
+
+        get isConfigured() {
+            return true;
+        }
+
+        async executeLuisQuery(context) {
+            const error = this.errors[this.calls++];
+            if (error) throw error;
+            return { text: context.activity.text, intents: { eligibility: { score: 0.9 } }, entities: {} };
+        }
+    }
+
+    function networkError(code) {
+        return Object.assign(new Error(`connect ${ code }`), { code: code });
+    }
+
+    function createContext() {
+        return new TurnContext(new TestAdapter(), { type: 'message', text: 'Can I work on OPT?' });
+    }
+
+    it('Retries network errors', async () => {
+        const recognizer = new FlakyRecognizer([networkError('ECONNRESET'), networkError('ETIMEDOUT')]);
+        const result = await new RetryingRecognizer(recognizer, noWait).executeLuisQuery(createContext());
+        assert.strictEqual(result.text, 'Can I work on OPT?');
+        assert.strictEqual(recognizer.calls, 3);
+    });
+
+    it('Throws a RecognizerError when the retries run out', async () => {
+        const recognizer = new FlakyRecognizer([networkError('ECONNREFUSED'), networkError('ECONNREFUSED'), networkError('ECONNREFUSED')]);
+        const sut = new RetryingRecognizer(recognizer, Object.assign({ retries: 2 }, noWait));
+
+        await assert.rejects(sut.executeLuisQuery(createContext()), err => {
+            assert(err instanceof RecognizerError);
+            assert.strictEqual(classifyError(err), 'recognizer');
+            assert.strictEqual(err.cause.code, 'ECONNREFUSED');
+            return true;
+        });
+        assert.strictEqual(recognizer.calls, 3);
+    });
+
+    it('Retries calls that time out', async () => {
+        const recognizer = new FlakyRecognizer([]);
+        recognizer.executeLuisQuery = async () => {
+            recognizer.calls++;
+            return await new Promise(() => {});
+        };
+        const sut = new RetryingRecognizer(recognizer, Object.assign({ timeoutMs: 10, retries: 1 }, noWait));
+
+        await assert.rejects(sut.executeLuisQuery(createContext()), err => {
+            assert(err instanceof RecognizerError);
+            assert.strictEqual(err.cause.name, 'TimeoutError');
+            assert.match(err.message, /didn't answer within 10 ms/);
+            return true;
+        });
+        assert.strictEqual(recognizer.calls, 2);
+    });
+
+    it('Doesn\'t retry errors that won\'t go away', async () => {
+        const recognizer = new FlakyRecognizer([Object.assign(new Error('Access denied due to invalid subscription key'), { statusCode: 401 })]);
+        await assert.rejects(new RetryingRecognizer(recognizer, noWait).executeLuisQuery(createContext()), RecognizerError);
+        assert.strictEqual(recognizer.calls, 1);
+    });
+
+    it('Tracks every retry', async () => {
+        const events = [];
+        const client = new TelemetryClient([{ write: async event => { events.push(event); } }]);
+        const sut = new RetryingRecognizer(new FlakyRecognizer([Object.assign(new Error('Too Many Requests'), { statusCode: 429 })]), noWait);
+        const context = createContext();
+
+        await new TelemetryMiddleware(client).onTurn(context, async () => {
+            await sut.executeLuisQuery(context);
+        });
+
+        const retries = events.filter(event => event.event === 'recognizerRetry');
+        assert.strictEqual(retries.length, 1);
+        assert.strictEqual(retries[0].attempt, 1);
+        assert.strictEqual(retries[0].delayMs, 250);
+    });
+
+    it('Reads results like the recognizer it wraps', async () => {
+        const sut = new RetryingRecognizer(new FlakyRecognizer([]));
+        assert(sut.isConfigured);
+        assert.strictEqual(sut.knowledgeBase, knowledgeBase);
+        const result = { entities: { visa_type: [['F1']], $instance: { visa_type: [{ text: 'F-1' }] } } };
+        assert.strictEqual(sut.getVisaTypeEntities(result).visa_type, 'f1');
+    });
+
+    it('Requires a recognizer', () => {
+        assert.throws(() => new RetryingRecognizer(), /Missing parameter 'recognizer' is required/);
+    });
+});
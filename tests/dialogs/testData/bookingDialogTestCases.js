@@ -2,135 +2,192 @@
  * Copyright (c) Microsoft Corporation. All rights reserved.
  * Licensed under the MIT License.
  */
-const now = new Date();
-const today = formatDate(new Date());
-const tomorrow = formatDate(new Date().setDate(now.getDate() + 1));
-
-function formatDate(date) {
-    const d = new Date(date);
-    let month = '' + (d.getMonth() + 1);
-    let day = '' + d.getDate();
-    const year = d.getFullYear();
-
-    if (month.length < 2) month = '0' + month;
-    if (day.length < 2) day = '0' + day;
-
-    return [year, month, day].join('-');
-}
+const visaTypePrompt = 'What visa type do you currently have?';
+const workTypePrompt = 'What work authorization do you want to learn about?';
+const occupationStatusPrompt = 'What is your current occupation status?';
 
 module.exports = [
     {
         name: 'Full flow',
-        initialData: {},
+        initialData: { type: 'eligibility' },
         steps: [
-            ['hi', 'To what city would you like to travel?'],
-            ['Seattle', 'From what city will you be travelling?'],
-            ['New York', 'On what date would you like to travel?'],
-            ['tomorrow', `Please confirm, I have you traveling to: Seattle from: New York on: ${ tomorrow }. Is this correct? (1) Yes or (2) No`],
+            ['hi', visaTypePrompt],
+            ['J-1', workTypePrompt],
+            ['academic training', occupationStatusPrompt],
+            ['student', 'You\'re on a J-1 (student) asking about academic training eligibility — correct?'],
             ['yes', null]
         ],
         expectedStatus: 'complete',
         expectedResult: {
-            destination: 'Seattle',
-            origin: 'New York',
-            travelDate: tomorrow
+            visa_type: 'j1',
+            work_type: 'academic_training',
+            occupation_status: 'student'
         }
     },
     {
-        name: 'Full flow with \'no\' at confirmation',
-        initialData: {},
+        name: 'Occupation status is only asked for eligibility questions',
+        initialData: { type: 'procedure_auth' },
         steps: [
-            ['hi', 'To what city would you like to travel?'],
-            ['Seattle', 'From what city will you be travelling?'],
-            ['New York', 'On what date would you like to travel?'],
-            ['tomorrow', `Please confirm, I have you traveling to: Seattle from: New York on: ${ tomorrow }. Is this correct? (1) Yes or (2) No`],
-            ['no', null]
+            ['hi', visaTypePrompt],
+            ['F-1', workTypePrompt],
+            ['OPT', 'You\'re on an F-1 asking how to apply for OPT — correct?'],
+            ['yes', null]
         ],
         expectedStatus: 'complete',
-        expectedResult: undefined
+        expectedResult: {
+            visa_type: 'f1',
+            work_type: 'opt',
+            occupation_status: undefined
+        }
+    },
+    {
+        name: 'Re-prompts for an unknown visa type',
+        initialData: { type: 'eligibility' },
+        steps: [
+            ['hi', visaTypePrompt],
+            ['tourist', 'Sorry, I don\'t know that visa type. Please choose one of these:'],
+            ['F-1', workTypePrompt],
+            ['bananas', 'Sorry, I don\'t know that work authorization. Please choose one of these:'],
+            ['curricular practical training', occupationStatusPrompt],
+            ['employed', 'You\'re on an F-1 (employed) asking about CPT eligibility — correct?'],
+            ['yes', null]
+        ],
+        expectedStatus: 'complete',
+        expectedResult: {
+            visa_type: 'f1',
+            work_type: 'cpt',
+            occupation_status: 'employed'
+        }
+    },
+    {
+        name: 'General information uses the wildcard work type',
+        initialData: { type: 'visa_information', visa_type: 'H-1B' },
+        steps: [
+            ['hi', workTypePrompt],
+            ['General information', 'You\'re on an H-1B asking for general information — correct?'],
+            ['yes', null]
+        ],
+        expectedStatus: 'complete',
+        expectedResult: {
+            visa_type: 'h1b',
+            work_type: '*',
+            occupation_status: undefined
+        }
     },
     {
-        name: 'Destination given',
-        initialData: {
-            destination: 'Bahamas'
-        },
+        name: 'All details given by the recognizer',
+        initialData: { type: 'eligibility', visa_type: 'f-1 visa', work_type: 'cpt', occupation_status: 'student' },
         steps: [
-            ['hi', 'From what city will you be travelling?'],
-            ['New York', 'On what date would you like to travel?'],
-            ['tomorrow', `Please confirm, I have you traveling to: Bahamas from: New York on: ${ tomorrow }. Is this correct? (1) Yes or (2) No`],
+            ['hi', 'You\'re on an F-1 (student) asking about CPT eligibility — correct?'],
             ['yes', null]
         ],
         expectedStatus: 'complete',
         expectedResult: {
-            origin: 'New York',
-            destination: 'Bahamas',
-            travelDate: tomorrow
+            visa_type: 'f1',
+            work_type: 'cpt',
+            occupation_status: 'student'
         }
     },
     {
-        name: 'Destination and origin given',
-        initialData: {
-            destination: 'Seattle',
-            origin: 'New York'
-        },
+        name: 'Unknown recognizer values are asked for again',
+        initialData: { type: 'procedure_auth', visa_type: 'b2', work_type: 'opt' },
         steps: [
-            ['hi', 'On what date would you like to travel?'],
-            ['tomorrow', `Please confirm, I have you traveling to: Seattle from: New York on: ${ tomorrow }. Is this correct? (1) Yes or (2) No`],
+            ['hi', visaTypePrompt],
+            ['F-1', 'You\'re on an F-1 asking how to apply for OPT — correct?'],
             ['yes', null]
         ],
         expectedStatus: 'complete',
         expectedResult: {
-            destination: 'Seattle',
-            origin: 'New York',
-            travelDate: tomorrow
+            visa_type: 'f1',
+            work_type: 'opt',
+            occupation_status: undefined
         }
     },
     {
-        name: 'All booking details given for today',
-        initialData: {
-            destination: 'Seattle',
-            origin: 'Bahamas',
-            travelDate: today
-        },
+        name: 'Typed correction at confirmation',
+        initialData: { type: 'eligibility', visa_type: 'f1', work_type: 'cpt', occupation_status: 'student' },
         steps: [
-            ['hi', `Please confirm, I have you traveling to: Seattle from: Bahamas on: ${ today }. Is this correct? (1) Yes or (2) No`],
+            ['hi', 'You\'re on an F-1 (student) asking about CPT eligibility — correct?'],
+            ['no, I\'m on J-1', 'You\'re on a J-1 (student) asking about CPT eligibility — correct?'],
             ['yes', null]
         ],
         expectedStatus: 'complete',
         expectedResult: {
-            destination: 'Seattle',
-            origin: 'Bahamas',
-            travelDate: today
+            visa_type: 'j1',
+            work_type: 'cpt',
+            occupation_status: 'student'
         }
     },
     {
-        name: 'Cancel on origin prompt',
-        initialData: {},
+        name: '\'No\' at confirmation changes a single detail',
+        initialData: { type: 'procedure_auth', visa_type: 'f1', work_type: 'cpt' },
+        steps: [
+            ['hi', 'You\'re on an F-1 asking how to apply for CPT — correct?'],
+            ['no', 'What would you like to change?'],
+            ['Work authorization', workTypePrompt],
+            ['STEM OPT extension', 'You\'re on an F-1 asking how to apply for STEM OPT extension — correct?'],
+            ['yes', null]
+        ],
+        expectedStatus: 'complete',
+        expectedResult: {
+            visa_type: 'f1',
+            work_type: 'stem_opt',
+            occupation_status: undefined
+        }
+    },
+    {
+        name: 'Unrecognized reply at confirmation is asked again',
+        initialData: { type: 'procedure_auth', visa_type: 'f1', work_type: 'cpt' },
+        steps: [
+            ['hi', 'You\'re on an F-1 asking how to apply for CPT — correct?'],
+            ['bananas', 'Please answer yes or no, or tell me what to change (for example "no, I\'m on J-1").'],
+            ['yes', null]
+        ],
+        expectedStatus: 'complete',
+        expectedResult: {
+            visa_type: 'f1',
+            work_type: 'cpt',
+            occupation_status: undefined
+        }
+    },
+    {
+        name: 'Never mind at confirmation cancels',
+        initialData: { type: 'procedure_auth', visa_type: 'f1', work_type: 'cpt' },
+        steps: [
+            ['hi', 'You\'re on an F-1 asking how to apply for CPT — correct?'],
+            ['never mind', 'Cancelling...']
+        ],
+        expectedStatus: 'complete',
+        expectedResult: undefined
+    },
+    {
+        name: 'Cancel on visa type prompt',
+        initialData: { type: 'eligibility' },
         steps: [
-            ['hi', 'To what city would you like to travel?'],
+            ['hi', visaTypePrompt],
             ['cancel', 'Cancelling...']
         ],
         expectedStatus: 'complete',
         expectedResult: undefined
     },
     {
-        name: 'Cancel on destination prompt',
-        initialData: {},
+        name: 'Cancel on work type prompt',
+        initialData: { type: 'eligibility' },
         steps: [
-            ['hi', 'To what city would you like to travel?'],
-            ['Seattle', 'From what city will you be travelling?'],
+            ['hi', visaTypePrompt],
+            ['F-1', workTypePrompt],
             ['cancel', 'Cancelling...']
         ],
         expectedStatus: 'complete',
         expectedResult: undefined
     },
     {
-        name: 'Cancel on date prompt',
-        initialData: {},
+        name: 'Cancel on occupation status prompt',
+        initialData: { type: 'eligibility' },
         steps: [
-            ['hi', 'To what city would you like to travel?'],
-            ['Seattle', 'From what city will you be travelling?'],
-            ['New York', 'On what date would you like to travel?'],
+            ['hi', visaTypePrompt],
+            ['F-1', workTypePrompt],
+            ['OPT', occupationStatusPrompt],
             ['cancel', 'Cancelling...']
         ],
         expectedStatus: 'complete',
@@ -138,12 +195,12 @@ module.exports = [
     },
     {
         name: 'Cancel on confirm prompt',
-        initialData: {},
+        initialData: { type: 'eligibility' },
         steps: [
-            ['hi', 'To what city would you like to travel?'],
-            ['Seattle', 'From what city will you be travelling?'],
-            ['New York', 'On what date would you like to travel?'],
-            ['tomorrow', `Please confirm, I have you traveling to: Seattle from: New York on: ${ tomorrow }. Is this correct? (1) Yes or (2) No`],
+            ['hi', visaTypePrompt],
+            ['F-1', workTypePrompt],
+            ['OPT', occupationStatusPrompt],
+            ['student', 'You\'re on an F-1 (student) asking about OPT eligibility — correct?'],
             ['cancel', 'Cancelling...']
         ],
         expectedStatus: 'complete',
@@ -23,7 +23,7 @@ module.exports = [
         name: 'tomorrow',
         initialData: null,
         steps: [
-            ['hi', 'On what date would you like to travel?'],
+            ['hi', 'What is the date?'],
             ['tomorrow', null]
         ],
         expectedResult: tomorrow
@@ -32,7 +32,7 @@ module.exports = [
         name: 'the day after tomorrow',
         initialData: null,
         steps: [
-            ['hi', 'On what date would you like to travel?'],
+            ['hi', 'What is the date?'],
             ['the day after tomorrow', null]
         ],
         expectedResult: dayAfterTomorrow
@@ -41,11 +41,37 @@ module.exports = [
         name: 'two days from now',
         initialData: null,
         steps: [
-            ['hi', 'On what date would you like to travel?'],
+            ['hi', 'What is the date?'],
             ['two days from now', null]
         ],
         expectedResult: dayAfterTomorrow
     },
+    {
+        name: 'custom prompt',
+        initialData: { prompt: 'When does your program end?' },
+        steps: [
+            ['hi', 'When does your program end?'],
+            ['may 5th 2055', null]
+        ],
+        expectedResult: '2055-05-05'
+    },
+    {
+        name: 'date with a time',
+        initialData: null,
+        steps: [
+            ['hi', 'What is the date?'],
+            ['May 15 2021 at 3pm', null]
+        ],
+        expectedResult: '2021-05-15'
+    },
+    {
+        name: 'date with a time given',
+        initialData: { date: '2021-05-15T15' },
+        steps: [
+            ['hi', null]
+        ],
+        expectedResult: '2021-05-15'
+    },
     {
         name: 'valid input given (tomorrow)',
         initialData: { date: tomorrow },
@@ -58,8 +84,8 @@ module.exports = [
         name: 'retry prompt',
         initialData: {},
         steps: [
-            ['hi', 'On what date would you like to travel?'],
-            ['bananas', 'I\'m sorry, for best results, please enter your travel date including the month, day and year.'],
+            ['hi', 'What is the date?'],
+            ['bananas', 'I\'m sorry, for best results, please enter the date including the month, day and year.'],
             ['tomorrow', null]
         ],
         expectedResult: tomorrow
@@ -68,8 +94,8 @@ module.exports = [
         name: 'fuzzy time',
         initialData: {},
         steps: [
-            ['hi', 'On what date would you like to travel?'],
-            ['may 5th', 'I\'m sorry, for best results, please enter your travel date including the month, day and year.'],
+            ['hi', 'What is the date?'],
+            ['may 5th', 'I\'m sorry, for best results, please enter the date including the month, day and year.'],
             ['may 5th 2055', null]
         ],
         expectedResult: '2055-05-05'
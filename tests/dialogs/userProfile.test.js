@@ -0,0 +1,93 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { UserProfile, describeProfile, getProfileCommand } = require('../../dialogs/userProfile');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const assert = require('assert');
+
+describe('UserProfile', () => {
+    const knowledgeBase = loadKnowledgeBase();
+
+    describe('Recognizes profile commands', () => {
+        const testCases = [
+            { utterance: 'What do you know about me?', command: 'show' },
+            { utterance: '  show   my profile ', command: 'show' },
+            { utterance: 'Forget my info', command: 'forget' },
+            { utterance: 'delete my data', command: 'forget' },
+            { utterance: 'What do you know about OPT?', command: undefined },
+            { utterance: 'Can I forget my CPT application?', command: undefined },
+            { utterance: undefined, command: undefined }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.utterance }`, () => {
+                assert.strictEqual(getProfileCommand(testData.utterance), testData.command);
+            });
+        });
+    });
+
+    it('Describes an empty profile', () => {
+        assert(describeProfile(new UserProfile(), knowledgeBase).startsWith('I don\'t know anything about you yet.'));
+    });
+
+    it('Describes the known details with display names', () => {
+        const profile = Object.assign(new UserProfile(), {
+            visaType: 'f1',
+            occupationStatus: 'student',
+            programStartDate: '2019-08-20',
+            programEndDate: '2021-05-15',
+            degreeLevel: 'master',
+            stemDesignated: false
+        });
+
+        assert.strictEqual(describeProfile(profile, knowledgeBase), 'Here\'s what I know about you:\n' +
+            '- Visa type: F-1\n' +
+            `- Occupation status: ${ knowledgeBase.displayName('occupationStatuses', 'student') }\n` +
+            '- Program start date: 2019-08-20\n' +
+            '- Program end date: 2021-05-15\n' +
+            '- Degree level: Master\'s\n' +
+            '- STEM designated degree: no\n\n' +
+            'Say "forget my info" if you\'d like me to erase it.');
+    });
+
+    it('Describes the progress on checklists', () => {
+        const profile = Object.assign(new UserProfile(), {
+            visaType: 'f1',
+            checklists: { opt_i765: ['form_i765', 'passport'], removed_checklist: ['form'] }
+        });
+
+        assert.strictEqual(describeProfile(profile, knowledgeBase), 'Here\'s what I know about you:\n' +
+            '- Visa type: F-1\n' +
+            '- Checklist for the OPT application (Form I-765): 2 of 9 done\n\n' +
+            'Say "forget my info" if you\'d like me to erase it.');
+    });
+
+    describe('Recognizes translated profile commands', () => {
+        const testCases = [
+            { utterance: 'Olvida mis datos', locale: 'es', command: 'forget' },
+            { utterance: '我的信息', locale: 'zh', command: 'show' },
+            { utterance: 'show my profile', locale: 'zh', command: 'show' },
+            { utterance: 'olvida mis datos', locale: 'en', command: undefined }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.locale }: ${ testData.utterance }`, () => {
+                assert.strictEqual(getProfileCommand(testData.utterance, testData.locale), testData.command);
+            });
+        });
+    });
+
+    it('Describes the profile and the chosen language in the user\'s language', () => {
+        const profile = Object.assign(new UserProfile(), { visaType: 'f1', degreeLevel: 'bachelor', stemDesignated: true, locale: 'es' });
+
+        assert.strictEqual(describeProfile(profile, knowledgeBase.forLocale('es'), 'es'), 'Esto es lo que sé de ti:\n' +
+            '- Tipo de visa: F-1\n' +
+            '- Nivel de estudios: Licenciatura\n' +
+            '- Título STEM: sí\n' +
+            '- Idioma: Español\n\n' +
+            'Di "olvida mis datos" si quieres que lo borre.');
+    });
+});
@@ -0,0 +1,343 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { ConversationState, MemoryStorage, TestAdapter, TurnContext, UserState } = require('botbuilder');
+const {
+    CircuitBreaker,
+    RecognizerError,
+    StorageError,
+    TimeoutError,
+    TurnErrorHandler,
+    backoffDelay,
+    classifyError,
+    createIncidentId,
+    isTransientError,
+    withRetry,
+    withTimeout
+} = require('../../errors');
+const { setLocale } = require('../../localization');
+const { TelemetryClient } = require('../../telemetry');
+const assert = require('assert');
+
+function errorWith(properties) {
+    return Object.assign(new Error('failed'), properties);
+}
+
+describe('Errors', () => {
+    describe('classifyError', () => {
+        const testCases = [
+            { name: 'RecognizerError', error: new RecognizerError('LUIS is down'), expected: 'recognizer' },
+            { name: 'StorageError', error: new StorageError('Unable to save'), expected: 'storage' },
+            { name: 'eTag conflict', error: new Error('Storage: error writing "key" due to eTag conflict.'), expected: 'storage' },
+            { name: 'full disk', error: errorWith({ code: 'ENOSPC' }), expected: 'storage' },
+            { name: 'TypeError', error: new TypeError('Cannot read properties of undefined'), expected: 'dialog' },
+            { name: 'string', error: 'failed', expected: 'dialog' },
+            { name: 'undefined', error: undefined, expected: 'dialog' }
+        ];
+
+        testCases.map(testData => {
+            it(`Classifies ${ testData.name } as ${ testData.expected }`, () => {
+                assert.strictEqual(classifyError(testData.error), testData.expected);
+            });
+        });
+
+        it('Keeps the cause', () => {
+            const cause = new Error('socket hang up');
+            const error = new RecognizerError('LUIS is down', cause);
+            assert.strictEqual(error.cause, cause);
+            assert.strictEqual(error.name, 'RecognizerError');
+            assert(error instanceof Error);
+        });
+    });
+
+    describe('isTransientError', () => {
+        const testCases = [
+            { name: 'connection reset', error: errorWith({ code: 'ECONNRESET' }), expected: true },
+            { name: 'timeout', error: errorWith({ code: 'ETIMEDOUT' }), expected: true },
+            { name: 'throttling', error: errorWith({ statusCode: 429 }), expected: true },
+            { name: 'server error', error: errorWith({ response: { status: 503 } }), expected: true },
+            { name: 'wrong key', error: errorWith({ statusCode: 401 }), expected: false },
+            { name: 'bug', error: new TypeError('not a function'), expected: false },
+            { name: 'nothing', error: undefined, expected: false }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.expected ? 'Retries' : 'Doesn\'t retry' } ${ testData.name }`, () => {
+                assert.strictEqual(isTransientError(testData.error), testData.expected);
+            });
+        });
+    });
+
+    describe('withRetry', () => {
+        function failing(failures, error) {
+            let calls = 0;
+            const operation = async () => {
+                calls++;
+                if (calls <= failures) throw error || errorWith({ code: 'ECONNRESET' });
+                return 'recognized';
+            };
+            operation.calls = () => calls;
+            return operation;
+        }
+
+        it('Retries with exponential backoff until the operation succeeds', async () => {
+            const delays = [];
+            const operation = failing(2);
+            const result = await withRetry(operation, { retries: 3, baseDelayMs: 100, sleep: async ms => { delays.push(ms); } });
+            assert.strictEqual(result, 'recognized');
+            assert.strictEqual(operation.calls(), 3);
+            assert.deepStrictEqual(delays, [100, 200]);
+        });
+
+        it('Gives up after the last retry with the last error', async () => {
+            const operation = failing(5);
+            await assert.rejects(withRetry(operation, { retries: 2, sleep: async () => {} }), { code: 'ECONNRESET' });
+            assert.strictEqual(operation.calls(), 3);
+        });
+
+        it('Doesn\'t retry errors shouldRetry rejects', async () => {
+            const operation = failing(1, new TypeError('bug'));
+            await assert.rejects(withRetry(operation, { shouldRetry: isTransientError, sleep: async () => {} }), TypeError);
+            assert.strictEqual(operation.calls(), 1);
+        });
+
+        it('Reports every retry', async () => {
+            const retries = [];
+            await withRetry(failing(1), { baseDelayMs: 10, onRetry: (err, attempt, delayMs) => retries.push([err.code, attempt, delayMs]), sleep: async () => {} });
+            assert.deepStrictEqual(retries, [['ECONNRESET', 0, 10]]);
+        });
+
+        it('Rejects retries that aren\'t a whole number of 0 or more', async () => {
+            const operation = failing(1);
+            for (const retries of [NaN, -1, 1.5, Infinity, '1']) {
+                await assert.rejects(withRetry(operation, { retries: retries, sleep: async () => {} }), /\[withRetry\]: Invalid retries/);
+            }
+            assert.strictEqual(operation.calls(), 0);
+        });
+
+        it('Caps the delay', () => {
+            assert.deepStrictEqual([0, 1, 2, 3, 4].map(attempt => backoffDelay(attempt, 250, 2000)), [250, 500, 1000, 2000, 2000]);
+        });
+    });
+
+    describe('withTimeout', () => {
+        it('Resolves with the result of a fast operation', async () => {
+            assert.strictEqual(await withTimeout(Promise.resolve('recognized'), 50), 'recognized');
+        });
+
+        it('Rejects a slow operation with a TimeoutError that is retried', async () => {
+            await assert.rejects(withTimeout(new Promise(() => {}), 10, 'LUIS didn\'t answer'), err => {
+                assert(err instanceof TimeoutError);
+                assert.strictEqual(err.message, 'LUIS didn\'t answer');
+                assert.strictEqual(err.timeoutMs, 10);
+                assert(isTransientError(err));
+                return true;
+            });
+        });
+
+        it('Keeps the error of a failing operation', async () => {
+            await assert.rejects(withTimeout(Promise.reject(new TypeError('bug')), 50), TypeError);
+        });
+
+        it('Doesn\'t limit operations without a timeout', async () => {
+            const promise = Promise.resolve('recognized');
+            assert.strictEqual(withTimeout(promise, undefined), promise);
+        });
+    });
+
+    describe('CircuitBreaker', () => {
+        let time;
+        let sut;
+
+        beforeEach(() => {
+            time = 0;
+            sut = new CircuitBreaker({ failureThreshold: 3, resetTimeoutMs: 1000, now: () => time });
+        });
+
+        function fail(times) {
+            for (let i = 0; i < times; i++) {
+                assert(sut.canRequest());
+                sut.recordFailure();
+            }
+        }
+
+        it('Opens after the threshold of failures in a row', () => {
+            fail(2);
+            assert.strictEqual(sut.state, 'closed');
+            fail(1);
+            assert.strictEqual(sut.state, 'open');
+            assert(!sut.canRequest());
+        });
+
+        it('Counts only failures in a row', () => {
+            fail(2);
+            sut.recordSuccess();
+            fail(2);
+            assert.strictEqual(sut.state, 'closed');
+        });
+
+        it('Lets one trial call through after the reset timeout', () => {
+            fail(3);
+            time = 999;
+            assert(!sut.canRequest());
+            time = 1000;
+            assert(sut.canRequest());
+            assert.strictEqual(sut.state, 'halfOpen');
+            assert(!sut.canRequest());
+        });
+
+        it('Closes when the trial call succeeds', () => {
+            fail(3);
+            time = 1000;
+            sut.canRequest();
+            sut.recordSuccess();
+            assert.strictEqual(sut.state, 'closed');
+            assert.strictEqual(sut.failures, 0);
+            assert(sut.canRequest());
+        });
+
+        it('Reopens when the trial call fails', () => {
+            fail(3);
+            time = 1000;
+            sut.canRequest();
+            sut.recordFailure();
+            assert.strictEqual(sut.state, 'open');
+            time = 1999;
+            assert(!sut.canRequest());
+            time = 2000;
+            assert(sut.canRequest());
+        });
+
+        it('Requires a threshold of at least 1', () => {
+            assert.throws(() => new CircuitBreaker({ failureThreshold: 0 }), /Invalid failureThreshold '0'/);
+        });
+    });
+
+    describe('TurnErrorHandler', () => {
+        let storage;
+        let conversationState;
+        let userState;
+        let dialogState;
+        let answeredState;
+        let userProfile;
+        let sink;
+        let handler;
+
+        beforeEach(async () => {
+            storage = new MemoryStorage();
+            conversationState = new ConversationState(storage);
+            userState = new UserState(storage);
+            dialogState = conversationState.createProperty('DialogState');
+            answeredState = conversationState.createProperty('answered');
+            userProfile = userState.createProperty('userProfile');
+            sink = { events: [], write: async event => { sink.events.push(event); } };
+            handler = new TurnErrorHandler(conversationState, dialogState, new TelemetryClient([sink]));
+
+            // A conversation in the middle of a dialog, with a user who told the bot their visa.
+            const context = createContext();
+            await dialogState.set(context, { dialogStack: [{ id: 'MainDialog' }] });
+            await answeredState.set(context, 1);
+            await userProfile.set(context, { visaType: 'f1' });
+            await conversationState.saveChanges(context);
+            await userState.saveChanges(context);
+        });
+
+        function createContext(sent) {
+            const context = new TurnContext(new TestAdapter(), {
+                type: 'message',
+                id: 'activity-1',
+                channelId: 'test',
+                text: 'What is OPT?',
+                conversation: { id: 'conversation-1' },
+                from: { id: 'user-1' },
+                recipient: { id: 'bot' }
+            });
+            context.onSendActivities(async (ctx, activities, next) => {
+                if (sent) sent.push(...activities);
+                return await next();
+            });
+            return context;
+        }
+
+        async function storedState() {
+            const context = createContext();
+            return {
+                dialogState: await dialogState.get(context),
+                answered: await answeredState.get(context),
+                userProfile: await userProfile.get(context)
+            };
+        }
+
+        it('Resets only the dialog stack after a bug, and tells the user the incident id', async () => {
+            const sent = [];
+            const context = createContext(sent);
+            // The failed turn changed the state, but never saved it.
+            await answeredState.set(context, 2);
+            const incidentId = await handler.onTurnError(context, new TypeError('Cannot read properties of undefined'));
+
+            assert.match(incidentId, /^[0-9A-F]{8}$/);
+            const messages = sent.filter(activity => activity.type === 'message');
+            assert.strictEqual(messages.length, 1);
+            assert.strictEqual(messages[0].text, 'Sorry, something went wrong on my side. I\'ve restarted our conversation, but I still remember ' +
+                `what you told me about yourself. Please ask your question again. (Incident ${ incidentId })`);
+            assert(sent.find(activity => activity.type === 'trace').value.includes(incidentId));
+
+            assert.deepStrictEqual(await storedState(), { dialogState: undefined, answered: 1, userProfile: { visaType: 'f1' } });
+        });
+
+        it('Logs the error with the incident id and type', async () => {
+            const incidentId = await handler.onTurnError(createContext(), new TypeError('boom'));
+            const event = sink.events[0];
+            assert.strictEqual(event.event, 'error');
+            assert.strictEqual(event.incidentId, incidentId);
+            assert.strictEqual(event.errorType, 'dialog');
+            assert.strictEqual(event.errorName, 'TypeError');
+            assert.strictEqual(event.conversationId, 'conversation-1');
+        });
+
+        const keptStateCases = [
+            { error: new RecognizerError('LUIS is down'), expected: 'Sorry, I can\'t understand questions right now because the language service isn\'t responding.' },
+            { error: new Error('Storage: error writing "key" due to eTag conflict.'), expected: 'Sorry, I couldn\'t load or save our conversation just now' }
+        ];
+
+        keptStateCases.map(testData => {
+            it(`Keeps the dialog stack after a ${ classifyError(testData.error) } failure`, async () => {
+                const sent = [];
+                await handler.onTurnError(createContext(sent), testData.error);
+                assert(sent.find(activity => activity.type === 'message').text.startsWith(testData.expected));
+                assert.deepStrictEqual((await storedState()).dialogState, { dialogStack: [{ id: 'MainDialog' }] });
+            });
+        });
+
+        it('Tells the user in their language', async () => {
+            const sent = [];
+            const context = createContext(sent);
+            setLocale(context, 'es');
+            const incidentId = await handler.onTurnError(context, new RecognizerError('LUIS is down'));
+            assert(sent.find(activity => activity.type === 'message').text.endsWith(`(Incidente ${ incidentId })`));
+        });
+
+        it('Tracks failures of the error handling instead of throwing', async () => {
+            const context = createContext();
+            context.onSendActivities(async () => { throw new Error('channel is down'); });
+            const incidentId = await handler.onTurnError(context, new TypeError('boom'));
+
+            const failures = sink.events.filter(event => event.errorHandlingStep);
+            assert.deepStrictEqual(failures.map(event => event.errorHandlingStep), ['trace', 'sendMessage']);
+            failures.forEach(event => assert.strictEqual(event.incidentId, incidentId));
+        });
+
+        it('Requires its collaborators', () => {
+            assert.throws(() => new TurnErrorHandler(), /Missing parameter 'conversationState' is required/);
+            assert.throws(() => new TurnErrorHandler(conversationState), /Missing parameter 'dialogStateAccessor' is required/);
+            assert.throws(() => new TurnErrorHandler(conversationState, dialogState), /Missing parameter 'telemetryClient' is required/);
+        });
+    });
+
+    it('Creates distinct incident ids', () => {
+        assert.notStrictEqual(createIncidentId(), createIncidentId());
+    });
+});
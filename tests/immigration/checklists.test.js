@@ -0,0 +1,122 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { checkedItems, describeChecklist, exportChecklist, findChecklist, getChecklist, parseItemNumbers, toggleItems } = require('../../immigration/checklists');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const assert = require('assert');
+
+describe('Checklists', () => {
+    const checklists = loadKnowledgeBase().checklists;
+    const checklist = {
+        id: 'sample',
+        visaType: 'f1',
+        workType: 'cpt',
+        title: 'Sample application',
+        description: 'Apply early.',
+        items: [
+            { id: 'offer_letter', text: 'Job offer letter' },
+            { id: 'school_form', text: 'School form' },
+            { id: 'updated_i20', text: 'Updated I-20' }
+        ],
+        sources: [{ title: 'Study in the States', url: 'https://studyinthestates.dhs.gov' }]
+    };
+
+    describe('Finds the checklist of a procedure', () => {
+        const testCases = [
+            { visaType: 'f1', workType: 'opt', expected: 'opt_i765' },
+            { visaType: 'f1', workType: 'stem_opt', expected: 'stem_opt_i765' },
+            { visaType: 'f1', workType: 'cpt', expected: 'cpt_authorization' },
+            { visaType: 'j1', workType: 'academic_training', expected: 'j1_academic_training' },
+            { visaType: 'j1', workType: 'cpt', expected: undefined },
+            { visaType: 'h1b', workType: undefined, expected: undefined }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.visaType } ${ testData.workType }`, () => {
+                const found = findChecklist(checklists, testData.visaType, testData.workType);
+                assert.strictEqual(found && found.id, testData.expected);
+                if (found) assert.strictEqual(getChecklist(checklists, found.id), found);
+            });
+        });
+    });
+
+    describe('Reads item numbers', () => {
+        const testCases = [
+            { text: '1', expected: [1] },
+            { text: '1, 3 and 2', expected: [1, 3, 2] },
+            { text: '2 - 3', expected: [2, 3] },
+            { text: '1 1 2.', expected: [1, 2] },
+            { text: 'All', expected: [1, 2, 3] },
+            { text: '4', expected: undefined },
+            { text: '0', expected: undefined },
+            { text: '3-1', expected: undefined },
+            { text: 'the first one', expected: undefined },
+            { text: '', expected: undefined },
+            { text: 'todos', locale: 'es', expected: [1, 2, 3] },
+            { text: '1、3', locale: 'zh', expected: [1, 3] },
+            { text: '全部。', locale: 'zh', expected: [1, 2, 3] },
+            { text: 'todos', expected: undefined }
+        ];
+
+        testCases.map(testData => {
+            it(`"${ testData.text }"${ testData.locale ? ` (${ testData.locale })` : '' }`, () => {
+                assert.deepStrictEqual(parseItemNumbers(testData.text, 3, testData.locale), testData.expected);
+            });
+        });
+    });
+
+    it('Ticks items off and unticks ticked ones, in checklist order', () => {
+        const checked = toggleItems(checklist, [], [3, 1]);
+        assert.deepStrictEqual(checked, ['offer_letter', 'updated_i20']);
+        assert.deepStrictEqual(toggleItems(checklist, checked, [1, 2]), ['school_form', 'updated_i20']);
+        assert.throws(() => toggleItems(checklist, checked, [4]), /Item 4 is not on the checklist 'sample'/);
+    });
+
+    it('Forgets ticked items that are no longer on the checklist', () => {
+        assert.deepStrictEqual(checkedItems(checklist, ['updated_i20', 'old_form', 'offer_letter']), ['offer_letter', 'updated_i20']);
+        assert.deepStrictEqual(checkedItems(checklist, undefined), []);
+    });
+
+    it('Describes the checklist with numbered items', () => {
+        assert.strictEqual(describeChecklist(checklist, ['school_form']),
+            'Sample application: 1 of 3 done.\n\n' +
+            'Apply early.\n\n' +
+            '1. [ ] Job offer letter\n' +
+            '2. [x] School form\n' +
+            '3. [ ] Updated I-20');
+        assert(describeChecklist(checklist, ['offer_letter', 'school_form', 'updated_i20']).startsWith('Sample application: 3 of 3 done. You have everything you need!'));
+    });
+
+    it('Exports the checklist as Markdown', () => {
+        assert.strictEqual(exportChecklist(checklist, ['offer_letter'], 'markdown'),
+            '# Sample application\n\n' +
+            'Apply early.\n\n' +
+            '- [x] Job offer letter\n' +
+            '- [ ] School form\n' +
+            '- [ ] Updated I-20\n\n' +
+            '## Sources\n\n' +
+            '- [Study in the States](https://studyinthestates.dhs.gov)\n');
+    });
+
+    it('Exports the checklist as plain text', () => {
+        assert.strictEqual(exportChecklist(checklist, ['offer_letter'], 'text'),
+            'Sample application\n' +
+            '==================\n\n' +
+            'Apply early.\n\n' +
+            '[x] 1. Job offer letter\n' +
+            '[ ] 2. School form\n' +
+            '[ ] 3. Updated I-20\n\n' +
+            'Sources:\n' +
+            '- Study in the States: https://studyinthestates.dhs.gov\n');
+        assert.throws(() => exportChecklist(checklist, [], 'pdf'), /Unknown export format 'pdf'/);
+    });
+
+    it('Describes and exports the checklist in the user\'s language', () => {
+        assert(describeChecklist(checklist, ['school_form'], 'es').startsWith('Sample application: 1 de 3 listos.\n\n'));
+        assert(describeChecklist(checklist, ['offer_letter', 'school_form', 'updated_i20'], 'es').startsWith('Sample application: 3 de 3 listos. ¡Ya tienes todo lo que necesitas!'));
+        assert(exportChecklist(checklist, [], 'markdown', 'es').includes('\n## Fuentes\n'));
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { RulesEngine, describeEligibility } = require('../../immigration/rulesEngine');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const assert = require('assert');
+
+describe('RulesEngine', () => {
+    const sut = new RulesEngine(loadKnowledgeBase().rules);
+    const ids = rules => rules.map(rule => rule.id);
+
+    it('Requires rules', () => {
+        assert.throws(() => new RulesEngine(), /Missing parameter 'rules'/);
+    });
+
+    it('Knows which work types have rules', () => {
+        assert.strictEqual(sut.hasRules('cpt'), true);
+        assert.strictEqual(sut.hasRules('*'), false);
+    });
+
+    it('Answers yes when every rule passes', () => {
+        const result = sut.evaluate('cpt', { visaType: 'f1', occupationStatus: 'student', monthsEnrolled: 9, partOfCurriculum: true });
+
+        assert.strictEqual(result.verdict, 'yes');
+        assert.deepStrictEqual(ids(result.passed), ['cpt_visa', 'cpt_student', 'cpt_academic_year', 'cpt_curriculum']);
+        assert.deepStrictEqual(result.missing, []);
+    });
+
+    it('Answers no when any rule fails, even with missing facts', () => {
+        const result = sut.evaluate('cpt', { visaType: 'f1', occupationStatus: 'student', monthsEnrolled: 4 });
+
+        assert.strictEqual(result.verdict, 'no');
+        assert.deepStrictEqual(ids(result.failed), ['cpt_academic_year']);
+        assert.deepStrictEqual(ids(result.unknown), ['cpt_curriculum']);
+        assert.deepStrictEqual(result.missing, ['partOfCurriculum']);
+    });
+
+    it('Answers maybe with the missing facts', () => {
+        const result = sut.evaluate('cpt', { visaType: 'f1' });
+
+        assert.strictEqual(result.verdict, 'maybe');
+        assert.deepStrictEqual(ids(result.passed), ['cpt_visa']);
+        assert.deepStrictEqual(result.missing, ['occupationStatus', 'monthsEnrolled', 'partOfCurriculum']);
+    });
+
+    it('Only applies conditional rules when their condition holds', () => {
+        const facts = { visaType: 'f1', occupationStatus: 'student' };
+
+        const unknownTerm = sut.evaluate('on_campus', facts);
+        assert.deepStrictEqual(ids(unknownTerm.unknown), ['on_campus_hours']);
+        assert.deepStrictEqual(unknownTerm.missing, ['inSession', 'weeklyHours']);
+
+        const summer = sut.evaluate('on_campus', Object.assign({ inSession: false, weeklyHours: 40 }, facts));
+        assert.strictEqual(summer.verdict, 'yes');
+        assert.deepStrictEqual(ids(summer.passed), ['on_campus_visa', 'on_campus_student']);
+
+        const duringTerm = sut.evaluate('on_campus', Object.assign({ inSession: true, weeklyHours: 25 }, facts));
+        assert.strictEqual(duringTerm.verdict, 'no');
+        assert.deepStrictEqual(ids(duringTerm.failed), ['on_campus_hours']);
+    });
+
+    it('Requires sponsor approval for J-1 academic training', () => {
+        assert.strictEqual(sut.evaluate('academic_training', { visaType: 'j1', sponsorApproval: false }).verdict, 'no');
+        assert.strictEqual(sut.evaluate('academic_training', { visaType: 'j1', sponsorApproval: true }).verdict, 'yes');
+        assert.deepStrictEqual(ids(sut.evaluate('academic_training', { visaType: 'f1' }).failed), ['academic_training_visa']);
+    });
+
+    it('Requires a bachelor\'s degree or higher for the STEM OPT extension', () => {
+        const facts = { visaType: 'f1', onOpt: true, stemDesignated: true, employerEVerify: true };
+        assert.strictEqual(sut.evaluate('stem_opt', Object.assign({ degreeLevel: 'doctorate' }, facts)).verdict, 'yes');
+        assert.deepStrictEqual(ids(sut.evaluate('stem_opt', Object.assign({ degreeLevel: 'associate' }, facts)).failed), ['stem_opt_degree_level']);
+    });
+
+    it('Asks for the missing facts it has questions for', () => {
+        assert.strictEqual(sut.nextQuestion('cpt', { visaType: 'f1' }).id, 'monthsEnrolled');
+        assert.strictEqual(sut.nextQuestion('cpt', { visaType: 'f1' }, ['monthsEnrolled']).id, 'partOfCurriculum');
+        assert.strictEqual(sut.nextQuestion('cpt', { visaType: 'f1' }, ['monthsEnrolled', 'partOfCurriculum']), undefined);
+    });
+
+    it('Stops asking once the answer is no', () => {
+        assert.strictEqual(sut.nextQuestion('cpt', { visaType: 'j1' }), undefined);
+    });
+
+    it('Describes the verdict with the rules behind it', () => {
+        const result = sut.evaluate('cpt', { visaType: 'f1', occupationStatus: 'student', monthsEnrolled: 4 });
+
+        assert.strictEqual(describeEligibility(result, sut, 'CPT on your F-1 visa'),
+            'No, you don\'t meet the requirements for CPT on your F-1 visa.\n\n' +
+            'Requirements you don\'t meet:\n' +
+            '- You must have been enrolled full-time for one full academic year (9 months). Some graduate programs that require CPT from the start are an exception.\n\n' +
+            'Requirements you meet:\n' +
+            '- CPT is only available to F-1 students.\n' +
+            '- You must be enrolled as a student.\n\n' +
+            'Please confirm with your international student office before you start working.');
+    });
+
+    it('Describes the missing facts of a maybe', () => {
+        const result = sut.evaluate('stem_opt', { visaType: 'f1', onOpt: true, stemDesignated: true, degreeLevel: 'master' });
+
+        assert(describeEligibility(result, sut, 'the STEM OPT extension on your F-1 visa').startsWith(
+            'Maybe. You could be eligible for the STEM OPT extension on your F-1 visa, but I can\'t tell yet.\n\n' +
+            'It depends on whether your employer uses E-Verify:\n' +
+            '- Your employer must be enrolled in E-Verify.'));
+    });
+
+    it('Describes the verdict in the user\'s language', () => {
+        const spanish = new RulesEngine(loadKnowledgeBase().forLocale('es').rules);
+        const result = spanish.evaluate('stem_opt', { visaType: 'f1', onOpt: true });
+
+        assert.strictEqual(describeEligibility(result, spanish, 'la extensión STEM de OPT con tu visa F-1', 'es'),
+            'Quizás. Podrías cumplir los requisitos para la extensión STEM de OPT con tu visa F-1, pero todavía no lo puedo saber.\n\n' +
+            'Depende de si tu título es de un programa STEM, el nivel de tu título y si tu empleador usa E-Verify:\n' +
+            '- Tu título debe estar en la lista de programas de estudio STEM.\n' +
+            '- Tu título STEM debe ser de licenciatura, maestría o doctorado.\n' +
+            '- Tu empleador debe estar inscrito en E-Verify.\n\n' +
+            'Requisitos que cumples:\n' +
+            '- La extensión STEM OPT solo está disponible para estudiantes F-1.\n' +
+            '- Debes estar ahora en el OPT posterior a tus estudios.\n\n' +
+            'Confírmalo con la oficina de estudiantes internacionales antes de empezar a trabajar.');
+    });
+});
@@ -0,0 +1,120 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { addDays, addMonths, daysBetween, describeDate, today } = require('../../immigration/dates');
+const { computeTimeline, describeTimeline } = require('../../immigration/timeline');
+const assert = require('assert');
+
+describe('Timeline', () => {
+    describe('Dates', () => {
+        it('Adds days across months and years', () => {
+            assert.strictEqual(addDays('2021-05-15', -90), '2021-02-14');
+            assert.strictEqual(addDays('2020-12-31', 1), '2021-01-01');
+            assert.strictEqual(daysBetween('2021-02-14', '2021-05-15'), 90);
+        });
+
+        it('Clamps months to the last day', () => {
+            assert.strictEqual(addMonths('2020-02-29', 12), '2021-02-28');
+            assert.strictEqual(addMonths('2021-01-31', 1), '2021-02-28');
+            assert.strictEqual(addMonths('2021-06-01', 24), '2023-06-01');
+        });
+
+        it('Uses the local calendar day for today', () => {
+            assert.strictEqual(today(new Date(2021, 0, 31, 23, 59)), '2021-01-31');
+        });
+
+        it('Rejects invalid dates', () => {
+            assert.throws(() => addDays('2021-02-30', 1), /Invalid date '2021-02-30'/);
+            assert.throws(() => addDays('XXXX-05-15', 1), /Invalid date/);
+        });
+
+        it('Describes dates in natural language', () => {
+            assert.strictEqual(describeDate('2021-05-15'), '15th May 2021');
+            assert.strictEqual(describeDate('2021-05-15', '2021-01-01'), '15th May 2021');
+            assert.strictEqual(describeDate('2021-05-15', '2021-05-14'), 'tomorrow (15th May 2021)');
+        });
+
+        it('Describes dates in the user\'s language', () => {
+            assert.strictEqual(describeDate('2021-05-15', '2021-05-14', 'es'), '15 de mayo de 2021 (mañana)');
+            assert.strictEqual(describeDate('2021-05-15', '2021-05-12', 'es'), '15 de mayo de 2021 (sábado)');
+            assert.strictEqual(describeDate('2021-05-15', '2021-01-01', 'zh'), '2021年5月15日');
+            assert.strictEqual(describeDate('2021-05-15', '2021-05-14', 'en'), 'tomorrow (15th May 2021)');
+        });
+    });
+
+    it('Computes the OPT filing window and grace period from the program end date', () => {
+        assert.deepStrictEqual(computeTimeline({ programEndDate: '2021-05-15' }), {
+            programEndDate: '2021-05-15',
+            optFilingWindow: { start: '2021-02-14', end: '2021-07-14' },
+            gracePeriodEnd: '2021-07-14'
+        });
+    });
+
+    it('Computes the end of the first academic year from the program start date', () => {
+        const timeline = computeTimeline({ programStartDate: '2019-08-20', programEndDate: '2021-05-15' });
+        assert.strictEqual(timeline.programStartDate, '2019-08-20');
+        assert.strictEqual(timeline.academicYearEnd, '2020-05-20');
+
+        // A program shorter than an academic year never reaches it.
+        assert.strictEqual(computeTimeline({ programStartDate: '2021-01-10', programEndDate: '2021-05-15' }).academicYearEnd, undefined);
+    });
+
+    it('Computes the OPT and STEM extension dates from the OPT start date', () => {
+        const timeline = computeTimeline({ programEndDate: '2021-05-15', optStartDate: '2021-06-01' });
+
+        assert.deepStrictEqual(timeline.opt, {
+            startDate: '2021-06-01',
+            endDate: '2022-05-31',
+            unemploymentLimitDays: 90,
+            employedBy: '2021-08-30',
+            gracePeriodEnd: '2022-07-30'
+        });
+        assert.deepStrictEqual(timeline.stemExtension, {
+            filingWindow: { start: '2022-03-02', end: '2022-05-31' },
+            endDate: '2024-05-31',
+            unemploymentLimitDays: 150
+        });
+    });
+
+    it('Rejects missing or invalid dates', () => {
+        assert.throws(() => computeTimeline({}), /Invalid program end date 'undefined'/);
+        assert.throws(() => computeTimeline({ programEndDate: '2021-05-15', optStartDate: 'next june' }), /Invalid OPT start date 'next june'/);
+        assert.throws(() => computeTimeline({ programStartDate: 'last fall', programEndDate: '2021-05-15' }), /Invalid program start date 'last fall'/);
+    });
+
+    it('Describes the timeline with concrete dates', () => {
+        const timeline = computeTimeline({ programEndDate: '2021-05-15' });
+
+        assert.strictEqual(describeTimeline(timeline, '2021-05-14'), 'Here is your F-1 OPT timeline for a program ending tomorrow (15th May 2021):\n' +
+            '- You can apply for OPT from 14th February 2021 until 14th July 2021.\n' +
+            '- If you don\'t apply for OPT or change your status, your 60-day grace period ends on 14th July 2021.');
+    });
+
+    it('Describes the timeline in the user\'s language', () => {
+        const timeline = computeTimeline({ programEndDate: '2021-05-15' });
+
+        assert.strictEqual(describeTimeline(timeline, '2021-05-14', 'es'), 'Este es tu calendario de OPT F-1 para un programa que termina el 15 de mayo de 2021 (mañana):\n' +
+            '- Puedes solicitar el OPT desde el 14 de febrero de 2021 hasta el 14 de julio de 2021.\n' +
+            '- Si no solicitas el OPT ni cambias de estatus, tu periodo de gracia de 60 días termina el 14 de julio de 2021.');
+    });
+
+    it('Describes the end of the first academic year when the program start date is known', () => {
+        const description = describeTimeline(computeTimeline({ programStartDate: '2019-08-20', programEndDate: '2021-05-15' }), '2020-01-01');
+
+        assert(description.startsWith('Here is your F-1 OPT timeline for a program ending 15th May 2021:\n' +
+            '- You complete one full academic year (9 months) of enrollment, which OPT requires, on 20th May 2020.\n' +
+            '- You can apply for OPT from 14th February 2021'), description);
+    });
+
+    it('Describes the STEM extension when the OPT start date is known', () => {
+        const description = describeTimeline(computeTimeline({ programEndDate: '2021-05-15', optStartDate: '2021-06-01' }), '2021-01-01');
+
+        assert(description.includes('- Your OPT runs from 1st June 2021 to 31st May 2022.'));
+        assert(description.includes('you need to be working by 30th August 2021.'));
+        assert(description.includes('- You can apply for the STEM OPT extension from 2nd March 2022. USCIS must receive your application by 31st May 2022'));
+        assert(description.includes('your OPT ends on 31st May 2024 and you can be unemployed for at most 150 days in total.'));
+    });
+});
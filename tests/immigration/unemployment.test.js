@@ -0,0 +1,147 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { computeUnemployment, describeUnemployment, mergePeriods } = require('../../immigration/unemployment');
+const assert = require('assert');
+
+describe('Unemployment', () => {
+    const optStartDate = '2021-06-01';
+
+    describe('Merges employment periods', () => {
+        it('Sorts periods and merges overlapping ones', () => {
+            assert.deepStrictEqual(mergePeriods([
+                { startDate: '2021-09-01', endDate: '2021-09-30' },
+                { startDate: '2021-06-05', endDate: '2021-06-20' },
+                { startDate: '2021-06-15', endDate: '2021-06-30' }
+            ]), [
+                { startDate: '2021-06-05', endDate: '2021-06-30' },
+                { startDate: '2021-09-01', endDate: '2021-09-30' }
+            ]);
+        });
+
+        it('Merges back-to-back periods and periods inside others', () => {
+            assert.deepStrictEqual(mergePeriods([
+                { startDate: '2021-06-01', endDate: '2021-06-30' },
+                { startDate: '2021-07-01', endDate: '2021-07-31' },
+                { startDate: '2021-07-10', endDate: '2021-07-20' }
+            ]), [{ startDate: '2021-06-01', endDate: '2021-07-31' }]);
+        });
+
+        it('Lets an ongoing job absorb later periods', () => {
+            assert.deepStrictEqual(mergePeriods([
+                { startDate: '2021-06-10', endDate: '2021-06-20' },
+                { startDate: '2021-06-15' },
+                { startDate: '2021-08-01', endDate: '2021-08-31' }
+            ]), [{ startDate: '2021-06-10', endDate: undefined }]);
+        });
+
+        it('Rejects invalid periods', () => {
+            assert.throws(() => mergePeriods([{ startDate: '2021-06-10', endDate: '2021-06-01' }]), /ends \(2021-06-01\) before it starts \(2021-06-10\)/);
+            assert.throws(() => mergePeriods([{ startDate: 'june' }]), /Invalid employment start date 'june'/);
+        });
+    });
+
+    it('Counts every day since the start of OPT without a job', () => {
+        assert.deepStrictEqual(computeUnemployment({ optStartDate: optStartDate, periods: [], asOf: '2021-06-10' }), {
+            limit: 90,
+            daysUsed: 10,
+            daysRemaining: 80,
+            employed: false,
+            limitDate: '2021-08-29',
+            exceeded: false
+        });
+    });
+
+    it('Does not count overlapping jobs twice', () => {
+        const status = computeUnemployment({
+            optStartDate: optStartDate,
+            periods: [{ startDate: '2021-06-05', endDate: '2021-06-20' }, { startDate: '2021-06-15', endDate: '2021-06-30' }],
+            asOf: '2021-07-10'
+        });
+
+        // June 1-4 and July 1-10.
+        assert.strictEqual(status.daysUsed, 14);
+        assert.strictEqual(status.limitDate, '2021-09-24');
+    });
+
+    it('Stops counting during an ongoing job', () => {
+        const status = computeUnemployment({ optStartDate: optStartDate, periods: [{ startDate: '2021-06-05' }], asOf: '2022-01-01' });
+
+        assert.strictEqual(status.daysUsed, 4);
+        assert.strictEqual(status.employed, true);
+        assert.strictEqual(status.limitDate, undefined);
+    });
+
+    it('Projects the limit date around future jobs', () => {
+        const withFutureJob = computeUnemployment({
+            optStartDate: optStartDate,
+            periods: [{ startDate: '2021-07-01', endDate: '2021-07-31' }],
+            asOf: '2021-06-10'
+        });
+        assert.strictEqual(withFutureJob.limitDate, '2021-09-29');
+
+        const withFutureOngoingJob = computeUnemployment({ optStartDate: optStartDate, periods: [{ startDate: '2021-08-01' }], asOf: '2021-07-10' });
+        assert.strictEqual(withFutureOngoingJob.daysUsed, 40);
+        assert.strictEqual(withFutureOngoingJob.limitDate, undefined);
+    });
+
+    it('Ignores jobs before OPT and days before OPT starts', () => {
+        const beforeOpt = computeUnemployment({ optStartDate: optStartDate, periods: [{ startDate: '2021-01-01', endDate: '2021-05-31' }], asOf: '2021-05-15' });
+
+        assert.strictEqual(beforeOpt.daysUsed, 0);
+        assert.strictEqual(beforeOpt.limitDate, '2021-08-29');
+    });
+
+    it('Reports when the limit was exceeded', () => {
+        const status = computeUnemployment({ optStartDate: optStartDate, periods: [], asOf: '2021-10-10' });
+
+        assert.strictEqual(status.daysUsed, 132);
+        assert.strictEqual(status.daysRemaining, 0);
+        assert.strictEqual(status.exceeded, true);
+        assert.strictEqual(status.limitDate, '2021-08-29');
+    });
+
+    it('Allows 150 days on the STEM OPT extension', () => {
+        const status = computeUnemployment({ optStartDate: optStartDate, periods: [], stemExtension: true, asOf: '2021-10-10' });
+
+        assert.strictEqual(status.limit, 150);
+        assert.strictEqual(status.daysRemaining, 18);
+        assert.strictEqual(status.exceeded, false);
+    });
+
+    it('Describes the days used and the logged jobs', () => {
+        const periods = [{ startDate: '2021-06-05', endDate: '2021-06-30' }, { startDate: '2021-08-01' }];
+        const status = computeUnemployment({ optStartDate: optStartDate, periods: periods, asOf: '2021-08-10' });
+
+        assert.strictEqual(describeUnemployment(status, periods, '2021-08-10'),
+            'You have used 35 of your 90 unemployment days, so 55 are left.\n\n' +
+            'You are working now, so you are not using any unemployment days.\n\n' +
+            'Jobs you\'ve logged:\n- 5th June 2021 to 30th June 2021\n- last Sunday (1st August 2021) onwards');
+    });
+
+    it('Describes the projected limit date without jobs', () => {
+        const status = computeUnemployment({ optStartDate: optStartDate, periods: [], asOf: '2021-08-28' });
+
+        assert.strictEqual(describeUnemployment(status, [], '2021-08-28'),
+            'You have used 89 of your 90 unemployment days, so 1 is left.\n\n' +
+            'Without a job, your last allowed unemployment day is tomorrow (29th August 2021).\n\n' +
+            'You haven\'t logged any jobs yet.');
+    });
+
+    it('Describes the unemployment days in the user\'s language', () => {
+        const periods = [{ startDate: '2021-06-05', endDate: '2021-06-30' }, { startDate: '2021-08-01' }];
+        const status = computeUnemployment({ optStartDate: optStartDate, periods: periods, asOf: '2021-08-10' });
+
+        assert.strictEqual(describeUnemployment(status, periods, '2021-08-10', 'es'),
+            'Has usado 35 de tus 90 días sin empleo, así que te quedan 55.\n\n' +
+            'Ahora estás trabajando, así que no estás usando días sin empleo.\n\n' +
+            'Trabajos que has registrado:\n- Del 5 de junio de 2021 al 30 de junio de 2021\n- Desde el 1 de agosto de 2021');
+        assert.strictEqual(describeUnemployment(computeUnemployment({ optStartDate: optStartDate, periods: [], asOf: '2021-08-28' }), [], '2021-08-28', 'zh'),
+            '你已经用了 90 天失业期中的 89 天，还剩 1 天。\n\n' +
+            '如果没有工作，你允许失业的最后一天是 2021年8月29日 (明天)。\n\n' +
+            '你还没有记录任何工作。');
+    });
+});
@@ -0,0 +1,81 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { FaqIndex, MIN_CONFIDENCE, parseFaqDocument, tokenize } = require('../../knowledgeBase/faq');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const assert = require('assert');
+
+describe('FAQ', () => {
+    it('Tokenizes without stop words and common endings', () => {
+        assert.deepStrictEqual(tokenize('Can I keep traveling while my F-1 visa stamp expired?'), ['keep', 'travel', 'f-1', 'visa', 'stamp', 'expir']);
+        assert.deepStrictEqual(tokenize('Taxes, classes and fees'), ['tax', 'class', 'fee']);
+        assert.deepStrictEqual(tokenize('The status of J-2s'), ['status', 'j-2s']);
+    });
+
+    it('Splits documents into passages by heading', () => {
+        const markdown = '# Travel\n\nIntro text is not a passage.\n\n## Can I travel?\n\nYes, with a travel signature.\n\nAsk your DSO.\n\n## Empty heading\n\n### Visa stamps\nOnly for entry.\n';
+        assert.deepStrictEqual(parseFaqDocument(markdown, 'travel.md'), [
+            { document: 'travel.md', title: 'Travel', heading: 'Can I travel?', text: 'Yes, with a travel signature.\n\nAsk your DSO.' },
+            { document: 'travel.md', title: 'Travel', heading: 'Visa stamps', text: 'Only for entry.' }
+        ]);
+        assert.deepStrictEqual(parseFaqDocument('## Question\nAnswer.', 'untitled.md'), [
+            { document: 'untitled.md', title: 'untitled.md', heading: 'Question', text: 'Answer.' }
+        ]);
+        assert.deepStrictEqual(parseFaqDocument('Just text.', 'empty.md'), []);
+    });
+
+    describe('Ranks passages with BM25', () => {
+        const sut = new FaqIndex([
+            { document: 'a.md', title: 'A', heading: 'Social Security number', text: 'Apply at a Social Security office with your passport.' },
+            { document: 'a.md', title: 'A', heading: 'Tax returns', text: 'File Form 8843 every year, and Form 1040-NR if you had income.' },
+            { document: 'b.md', title: 'B', heading: 'Travel', text: 'You need a travel signature on your I-20 to come back.' }
+        ]);
+
+        it('Returns the best passage with its score and confidence', () => {
+            const match = sut.search('Where do I apply for a Social Security number?');
+            assert.strictEqual(match.heading, 'Social Security number');
+            assert.strictEqual(match.title, 'A');
+            assert(match.score > 0);
+            assert.strictEqual(match.confidence, 1);
+        });
+
+        it('Gives a lower confidence when some terms are missing', () => {
+            const match = sut.search('travel signature for my cat', 0);
+            assert.strictEqual(match.heading, 'Travel');
+            assert(match.confidence > 0 && match.confidence < MIN_CONFIDENCE);
+        });
+
+        it('Declines to answer below the threshold', () => {
+            assert.strictEqual(sut.search('travel signature for my cat'), undefined);
+            assert.strictEqual(sut.search('bananas'), undefined);
+            assert.strictEqual(sut.search('what is it?'), undefined);
+            assert.strictEqual(sut.search(undefined), undefined);
+            assert.strictEqual(new FaqIndex([]).search('tax returns'), undefined);
+        });
+    });
+
+    describe('Answers long-tail questions from the FAQ documents', () => {
+        const faq = loadKnowledgeBase().faq;
+        const testCases = [
+            { question: 'Do I have to pay Social Security taxes?', heading: 'Do international students pay Social Security and Medicare taxes?' },
+            { question: 'I moved, how do I update my address?', heading: 'How do I report a change of address?' },
+            { question: 'My visa stamp expired, can I stay?', heading: 'Can I stay in the US if my visa stamp expires?' },
+            { question: 'Can I travel abroad on OPT?', heading: 'Can I travel outside the US while on OPT?' },
+            { question: 'How do I get an SSN?', heading: 'How do I get a Social Security number (SSN)?' },
+            { question: 'Can I drop a class?', heading: 'Can I take fewer classes than a full course load?' },
+            { question: 'What is the SEVP portal?', heading: 'What is the SEVP Portal?' },
+            { question: 'Where can I park on campus?', heading: undefined },
+            { question: 'What is the capital of France?', heading: undefined }
+        ];
+
+        testCases.map(testData => {
+            it(testData.question, () => {
+                const match = faq.search(testData.question);
+                assert.strictEqual(match && match.heading, testData.heading);
+            });
+        });
+    });
+});
@@ -0,0 +1,423 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const { VOCABULARY_CATEGORIES, validateAnswerFile, validateChecklists, validateRules, validateTranslation, validateVocabulary } = require('../../knowledgeBase/schema');
+const { DEFAULT_LOCALE, SUPPORTED_LOCALES } = require('../../localization');
+const assert = require('assert');
+
+describe('KnowledgeBase', () => {
+    const knowledgeBase = loadKnowledgeBase();
+
+    it('Loads and validates the bundled knowledge base', () => {
+        assert.strictEqual(knowledgeBase.version, '1.0.0');
+        assert.deepStrictEqual(knowledgeBase.intents.map(i => i.id), ['eligibility', 'procedure_auth', 'visa_information', 'timeline', 'unemployment']);
+        ['f1', 'f2', 'j1', 'j2', 'h1b', 'o1'].forEach(id => assert(knowledgeBase.visaTypes.some(v => v.id === id), id));
+    });
+
+    describe('Resolves synonyms to canonical ids', () => {
+        const testCases = [
+            { category: 'visaTypes', value: 'F-1', expected: 'f1' },
+            { category: 'visaTypes', value: ' j1 visa ', expected: 'j1' },
+            { category: 'visaTypes', value: 'H-1B', expected: 'h1b' },
+            { category: 'workTypes', value: 'Curricular Practical Training', expected: 'cpt' },
+            { category: 'workTypes', value: 'on campus', expected: 'on_campus' },
+            { category: 'workTypes', value: 'STEM OPT', expected: 'stem_opt' },
+            { category: 'occupationStatuses', value: 'Student', expected: 'student' },
+            { category: 'visaTypes', value: 'tourist', expected: undefined },
+            { category: 'visaTypes', value: undefined, expected: undefined }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.category }: ${ testData.value }`, () => {
+                assert.strictEqual(knowledgeBase.resolve(testData.category, testData.value), testData.expected);
+            });
+        });
+    });
+
+    describe('lookup', () => {
+        it('Returns the answer for a visa and work type', () => {
+            const answer = knowledgeBase.lookup({ intent: 'eligibility', visaType: 'f1', workType: 'cpt' });
+            assert.strictEqual(answer.found, true);
+            assert.strictEqual(answer.key, 'f1.cpt.*');
+            assert(answer.text.startsWith('Curricular Practical Training (CPT)'));
+            assert(answer.steps[0].startsWith('Speak to a student advisor'));
+            assert(answer.sources.every(source => source.url.startsWith('https://')));
+            assert(answer.followUps.includes('What documents do I need for CPT?'));
+        });
+
+        it('Returns empty steps, sources and follow-ups for answers without them', () => {
+            const answer = knowledgeBase.lookup({ intent: 'eligibility', visaType: 'f2' });
+            assert.strictEqual(answer.found, true);
+            assert.deepStrictEqual([answer.steps, answer.sources, answer.followUps], [[], [], []]);
+        });
+
+        it('Normalizes surface text before looking up', () => {
+            const answer = knowledgeBase.lookup({ intent: 'eligibility', visaType: 'J-1', workType: 'Academic Training' });
+            assert.strictEqual(answer.found, true);
+            assert.strictEqual(answer.key, 'j1.academic_training.*');
+        });
+
+        it('Prefers an intent specific answer over the general one', () => {
+            const answer = knowledgeBase.lookup({ intent: 'procedure_auth', visaType: 'j2' });
+            assert.strictEqual(answer.key, 'j2.*.procedure_auth');
+
+            const general = knowledgeBase.lookup({ intent: 'eligibility', visaType: 'j2' });
+            assert.strictEqual(general.key, 'j2.*.*');
+        });
+
+        it('Falls back to the general visa answer for unlisted work types', () => {
+            const answer = knowledgeBase.lookup({ intent: 'eligibility', visaType: 'f2', workType: 'academic_training' });
+            assert.strictEqual(answer.found, true);
+            assert.strictEqual(answer.key, 'f2.*.*');
+        });
+
+        it('Reports a missing combination instead of an undefined message', () => {
+            const answer = knowledgeBase.lookup({ intent: 'eligibility', visaType: 'f1', workType: 'academic_training' });
+            assert.strictEqual(answer.found, false);
+            assert.strictEqual(answer.key, 'f1.academic_training.eligibility');
+            assert.strictEqual(answer.text, 'Sorry, I don\'t have an answer about academic training for F-1 visa holders yet.');
+        });
+
+        it('Reports an unknown visa type', () => {
+            const answer = knowledgeBase.lookup({ intent: 'eligibility', visaType: 'B-2', workType: 'cpt' });
+            assert.strictEqual(answer.found, false);
+            assert.strictEqual(answer.text, 'Sorry, I don\'t have any information about the B-2 visa yet.');
+        });
+    });
+
+    describe('exampleQuestions', () => {
+        it('Fills the example templates with answered visa and work types', () => {
+            assert.deepStrictEqual(knowledgeBase.exampleQuestions(), [
+                'Am I eligible for on-campus employment on my F-1 visa?',
+                'How do I apply for CPT on my F-1 visa?',
+                'What are the rules for OPT on my F-1 visa?',
+                'Tell me about the F-2 visa',
+                'When can I apply for OPT?',
+                'What is the deadline for the STEM OPT extension?',
+                'How many unemployment days do I have left?'
+            ]);
+        });
+
+        it('Only uses combinations the visa has answers for', () => {
+            const examples = knowledgeBase.exampleQuestions('j2');
+
+            assert(examples.includes('Tell me about the J-2 visa'));
+            assert(!examples.some(example => example.startsWith('Am I eligible')));
+        });
+    });
+
+    describe('forLocale', () => {
+        const spanish = knowledgeBase.forLocale('es-MX');
+
+        SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE).forEach(locale => {
+            it(`Translates every intent, vocabulary entry and answer into ${ locale }`, () => {
+                const translation = knowledgeBase.translations.get(locale);
+                assert(translation, locale);
+                knowledgeBase.intents.forEach(intent => assert(translation.intents[intent.id], intent.id));
+                VOCABULARY_CATEGORIES.forEach(category => knowledgeBase[category].forEach(entry => assert(translation[category][entry.id], entry.id)));
+                Array.from(knowledgeBase.answers.keys()).forEach(key => assert(translation.answers[key] !== undefined, key));
+                knowledgeBase.checklists.checklists.forEach(checklist => {
+                    const translated = translation.checklists[checklist.id];
+                    assert(translated && translated.title && translated.description, checklist.id);
+                    checklist.items.forEach(item => assert(translated.items[item.id], `${ checklist.id }.${ item.id }`));
+                });
+                knowledgeBase.rules.facts.forEach(fact => {
+                    const translated = translation.rules.facts[fact.id];
+                    assert(translated && translated.description, fact.id);
+                    assert.strictEqual(Boolean(translated.question), Boolean(fact.question), fact.id);
+                    (fact.choices || []).forEach(choice => assert(translated.choices[choice.id], `${ fact.id }.${ choice.id }`));
+                });
+                knowledgeBase.rules.rules.forEach(rule => assert(translation.rules.rules[rule.id], rule.id));
+            });
+        });
+
+        it('Returns translated answers and keeps their sources', () => {
+            const answer = spanish.lookup({ intent: 'eligibility', visaType: 'f1', workType: 'cpt' });
+            const english = knowledgeBase.lookup({ intent: 'eligibility', visaType: 'f1', workType: 'cpt' });
+
+            assert.strictEqual(answer.key, 'f1.cpt.*');
+            assert(answer.text.startsWith('La práctica curricular (CPT)'));
+            assert.strictEqual(answer.steps.length, english.steps.length);
+            assert.deepStrictEqual(answer.sources, english.sources);
+        });
+
+        it('Returns translated checklists with the same ids and sources', () => {
+            const checklist = spanish.checklists.checklists.find(c => c.id === 'cpt_authorization');
+            const english = knowledgeBase.checklists.checklists.find(c => c.id === 'cpt_authorization');
+
+            assert.strictEqual(checklist.title, 'Autorización de CPT');
+            assert.deepStrictEqual(checklist.items.map(item => item.id), english.items.map(item => item.id));
+            assert.notStrictEqual(checklist.items[0].text, english.items[0].text);
+            assert.deepStrictEqual(checklist.sources, english.sources);
+            assert.strictEqual(english.title, 'CPT authorization');
+        });
+
+        it('Returns translated rules that evaluate like the English ones', () => {
+            const fact = spanish.rules.facts.find(f => f.id === 'employerEVerify');
+            const english = knowledgeBase.rules.facts.find(f => f.id === 'employerEVerify');
+
+            assert.strictEqual(fact.description, 'si tu empleador usa E-Verify');
+            assert.strictEqual(fact.type, english.type);
+            assert.strictEqual(spanish.rules.rules.find(r => r.id === 'stem_opt_e_verify').description, 'Tu empleador debe estar inscrito en E-Verify.');
+            assert.deepStrictEqual(spanish.rules.rules.map(r => [r.when, r.condition]), knowledgeBase.rules.rules.map(r => [r.when, r.condition]));
+        });
+
+        it('Returns translated choices that keep the English names as synonyms', () => {
+            const choice = spanish.rules.facts.find(f => f.id === 'degreeLevel').choices.find(c => c.id === 'master');
+
+            assert.strictEqual(choice.name, 'Maestría');
+            assert(choice.synonyms.includes('Master\'s'), choice.synonyms);
+            assert(choice.synonyms.includes('masters'), choice.synonyms);
+            assert.strictEqual(knowledgeBase.rules.facts.find(f => f.id === 'degreeLevel').choices.find(c => c.id === 'master').name, 'Master\'s');
+        });
+
+        it('Falls back to the English answer when a translation is null', () => {
+            assert.strictEqual(knowledgeBase.forLocale('ko').lookup({ intent: 'eligibility', visaType: 'h1b' }).text,
+                knowledgeBase.lookup({ intent: 'eligibility', visaType: 'h1b' }).text);
+        });
+
+        it('Resolves translated and English synonyms', () => {
+            assert.strictEqual(spanish.resolve('workTypes', 'práctica curricular'), 'cpt');
+            assert.strictEqual(spanish.resolve('workTypes', 'Curricular Practical Training'), 'cpt');
+        });
+
+        it('Reports missing answers in the locale\'s language', () => {
+            assert.strictEqual(spanish.lookup({ intent: 'eligibility', visaType: 'B-2' }).text, 'Lo siento, todavía no tengo información sobre la visa B-2.');
+        });
+
+        it('Returns the same knowledge base for English, unsupported and repeated locales', () => {
+            assert.strictEqual(knowledgeBase.forLocale('en-US'), knowledgeBase);
+            assert.strictEqual(knowledgeBase.forLocale('fr'), knowledgeBase);
+            assert.strictEqual(knowledgeBase.forLocale('es'), spanish);
+            assert.strictEqual(spanish.forLocale('en'), knowledgeBase);
+            assert.strictEqual(spanish.forLocale('zh'), knowledgeBase.forLocale('zh'));
+        });
+    });
+
+    describe('Schema validation', () => {
+        const vocabulary = {
+            version: '1.0.0',
+            intents: [{ id: 'eligibility' }],
+            visaTypes: [{ id: 'f1', name: 'F-1', synonyms: ['f1'] }],
+            workTypes: [{ id: 'cpt', name: 'CPT', synonyms: ['cpt'] }],
+            occupationStatuses: [{ id: 'student', name: 'student', synonyms: ['student'] }]
+        };
+
+        it('Accepts a valid vocabulary and answer file', () => {
+            assert.deepStrictEqual(validateVocabulary(vocabulary), []);
+            const answerFile = { visaType: 'f1', answers: [{ workType: 'cpt', intent: '*', text: 'Yes.' }] };
+            assert.deepStrictEqual(validateAnswerFile(answerFile, 'f1.json', vocabulary), []);
+        });
+
+        it('Rejects synonyms shared by two entries', () => {
+            const invalid = Object.assign({}, vocabulary, {
+                visaTypes: [{ id: 'f1', name: 'F-1', synonyms: ['f1'] }, { id: 'f2', name: 'F-2', synonyms: ['F1'] }]
+            });
+            assert.deepStrictEqual(validateVocabulary(invalid), ['vocabulary: synonym "F1" is used by both "f1" and "f2"']);
+        });
+
+        it('Rejects example templates with unknown placeholders and empty descriptions', () => {
+            const invalid = Object.assign({}, vocabulary, {
+                intents: [{ id: 'eligibility', examples: ['Can I do {workType} as a {occupation}?'] }],
+                workTypes: [{ id: 'cpt', name: 'CPT', description: ' ', synonyms: ['cpt'] }]
+            });
+            assert.deepStrictEqual(validateVocabulary(invalid), [
+                'vocabulary: intents[0].examples uses unknown placeholder "{occupation}"',
+                'vocabulary: workTypes[0].description must be a non-empty string'
+            ]);
+        });
+
+        it('Rejects unknown keys, empty text and duplicates in answer files', () => {
+            const answerFile = {
+                visaType: 'f1',
+                answers: [
+                    { workType: 'opt', intent: '*', text: 'Maybe.' },
+                    { workType: 'cpt', intent: 'apply', text: '' },
+                    { workType: 'cpt', intent: 'apply', text: 'No.' }
+                ]
+            };
+            assert.deepStrictEqual(validateAnswerFile(answerFile, 'f1.json', vocabulary), [
+                'f1.json: answers[0].workType "opt" is not in the vocabulary',
+                'f1.json: answers[1].intent "apply" is not in the vocabulary',
+                'f1.json: answers[1].text must be a non-empty string',
+                'f1.json: answers[2].intent "apply" is not in the vocabulary',
+                'f1.json: answers[2] duplicates workType "cpt" and intent "apply"'
+            ]);
+        });
+
+        it('Rejects empty steps and follow-ups and sources without an https url', () => {
+            const answerFile = {
+                visaType: 'f1',
+                answers: [
+                    { workType: 'cpt', intent: '*', text: 'Yes.', steps: [], followUps: ['What is OPT?', ''] },
+                    { workType: '*', intent: '*', text: 'Maybe.', sources: [{ title: 'USCIS', url: 'http://www.uscis.gov' }, { url: 'https://www.uscis.gov' }] }
+                ]
+            };
+            assert.deepStrictEqual(validateAnswerFile(answerFile, 'f1.json', vocabulary), [
+                'f1.json: answers[0].steps must be a non-empty array of non-empty strings',
+                'f1.json: answers[0].followUps must be a non-empty array of non-empty strings',
+                'f1.json: answers[1].sources[0] must have a title and an https url',
+                'f1.json: answers[1].sources[1] must have a title and an https url'
+            ]);
+        });
+
+        it('Accepts valid rules', () => {
+            const rules = {
+                facts: [{ id: 'visaType', type: 'vocabulary', category: 'visaTypes', description: 'your visa type' }],
+                rules: [{ id: 'cpt_visa', workType: 'cpt', description: 'F-1 only.', condition: { fact: 'visaType', in: ['f1'] } }]
+            };
+            assert.deepStrictEqual(validateRules(rules, vocabulary), []);
+        });
+
+        it('Rejects rules with unknown facts, values or operators', () => {
+            const rules = {
+                facts: [
+                    { id: 'visaType', type: 'vocabulary', category: 'visaTypes', description: 'your visa type', question: 'Which visa?' },
+                    { id: 'weeklyHours', type: 'number', description: 'hours a week' },
+                    { id: 'degreeLevel', type: 'choice', description: 'your degree', choices: [{ id: 'master', name: 'Master\'s' }, { id: 'master', name: 'MA' }, { id: 'PhD' }] },
+                    { id: 'campus', type: 'choice', description: 'your campus', choices: [] }
+                ],
+                rules: [
+                    { id: 'a', workType: 'opt', description: 'A.', condition: { fact: 'visaType', equals: 'j1' } },
+                    { id: 'd', workType: 'cpt', description: 'D.', condition: { fact: 'degreeLevel', in: ['master', 'bachelor'] } },
+                    { id: 'b', workType: 'cpt', description: 'B.', condition: { fact: 'monthsEnrolled', atLeast: 9 } },
+                    { id: 'c', workType: 'cpt', description: 'C.', condition: { fact: 'weeklyHours', atMost: '20' }, when: { fact: 'visaType', atLeast: 1 } },
+                    { id: 'c', workType: 'cpt', description: '', condition: { fact: 'weeklyHours', equals: 20, atMost: 20 } }
+                ]
+            };
+            assert.deepStrictEqual(validateRules(rules, vocabulary), [
+                'rules: facts[0].question must be a non-empty string, and only boolean, number and choice facts can be asked',
+                'rules: facts[2]: duplicate choice "master"',
+                'rules: facts[2].choices[2] must have an id matching /^[a-z0-9_]+$/, a name and optional synonyms',
+                'rules: facts[3].choices must be a non-empty array',
+                'rules: rules[0].workType "opt" is not in the vocabulary',
+                'rules: rules[0].condition: "j1" is not in the vocabulary visaTypes',
+                'rules: rules[1].condition: "bachelor" is not a choice of "degreeLevel"',
+                'rules: rules[2].condition.fact "monthsEnrolled" is not declared in facts',
+                'rules: rules[3].condition: "20" must be a number',
+                'rules: rules[3].when.atLeast needs a number fact, "visaType" is a vocabulary',
+                'rules: duplicate rule "c"',
+                'rules: rules[4].description must be a non-empty string',
+                'rules: rules[4].condition must have exactly one of equals, in, atLeast, atMost'
+            ]);
+        });
+
+        it('Accepts valid checklists', () => {
+            const checklists = {
+                checklists: [{
+                    id: 'cpt_authorization',
+                    visaType: 'f1',
+                    workType: 'cpt',
+                    title: 'CPT authorization',
+                    description: 'Ask your DSO.',
+                    items: [{ id: 'offer_letter', text: 'Job offer letter' }],
+                    sources: [{ title: 'Study in the States', url: 'https://studyinthestates.dhs.gov' }]
+                }]
+            };
+            assert.deepStrictEqual(validateChecklists(checklists, vocabulary), []);
+        });
+
+        it('Rejects checklists with unknown procedures or duplicate items', () => {
+            const checklists = {
+                checklists: [
+                    { id: 'a', visaType: 'j1', workType: 'opt', title: 'A', description: 'A.', items: [] },
+                    { id: 'b', visaType: 'f1', workType: 'cpt', title: 'B', description: '', items: [{ id: 'x', text: 'X' }, { id: 'x', text: 'Y' }, { id: 'Z' }] },
+                    { id: 'b', visaType: 'f1', workType: 'cpt', title: 'C', description: 'C.', items: [{ id: 'x', text: 'X' }], sources: [{ title: 'C', url: 'http://example.com' }] }
+                ]
+            };
+            assert.deepStrictEqual(validateChecklists(checklists, vocabulary), [
+                'checklists: checklists[0].visaType "j1" is not in the vocabulary',
+                'checklists: checklists[0].workType "opt" is not in the vocabulary',
+                'checklists: checklists[0].items must be a non-empty array',
+                'checklists: checklists[1].description must be a non-empty string',
+                'checklists: checklists[1]: duplicate item "x"',
+                'checklists: checklists[1].items[2] must have an id matching /^[a-z0-9_]+$/ and a text',
+                'checklists: duplicate checklist "b"',
+                'checklists: checklists[2] duplicates visaType "f1" and workType "cpt"',
+                'checklists: checklists[2].sources[0] must have a title and an https url'
+            ]);
+            assert.deepStrictEqual(validateChecklists({}, vocabulary), ['checklists: checklists must be an array']);
+        });
+
+        it('Accepts a valid translation', () => {
+            const translation = {
+                locale: 'es',
+                intents: { eligibility: { keywords: ['puedo'] } },
+                workTypes: { cpt: { name: 'práctica curricular', synonyms: [] } },
+                answers: { 'f1.cpt.*': { text: 'Sí.', followUps: ['¿Qué es CPT?'] }, 'f1.*.*': null }
+            };
+            assert.deepStrictEqual(validateTranslation(translation, 'es.json', vocabulary, ['f1.cpt.*', 'f1.*.*']), []);
+        });
+
+        it('Rejects translations of unknown entries and answers without text', () => {
+            const translation = {
+                locale: 'es',
+                intents: { timeline: { keywords: ['cuándo'] }, eligibility: { keywords: 'puedo' } },
+                visaTypes: { j1: { synonyms: [] }, f1: { name: '', synonyms: [] } },
+                answers: { 'j1.*.*': { text: 'Sí.' }, 'f1.cpt.*': { steps: [] } }
+            };
+            assert.deepStrictEqual(validateTranslation(translation, 'ko.json', vocabulary, ['f1.cpt.*']), [
+                'ko.json: file must be named es.json',
+                'ko.json: intents.timeline is not in the vocabulary',
+                'ko.json: intents.eligibility must have keywords, and may have examples, that are arrays of non-empty strings',
+                'ko.json: visaTypes.j1 is not in the vocabulary',
+                'ko.json: visaTypes.f1.name must be a non-empty string',
+                'ko.json: answers["j1.*.*"] is not an answer in answers/',
+                'ko.json: answers["f1.cpt.*"] must be null or have a non-empty text'
+            ]);
+        });
+
+        it('Rejects translations of unknown checklists and items', () => {
+            const checklists = { checklists: [{ id: 'cpt', items: [{ id: 'offer_letter', text: 'Job offer letter' }] }] };
+            const translation = {
+                locale: 'es',
+                checklists: {
+                    cpt: { title: 'Autorización de CPT', description: '', items: { offer_letter: 'Carta de oferta', school_form: 'Formulario' } },
+                    opt: { title: 'OPT' }
+                }
+            };
+            assert.deepStrictEqual(validateTranslation(translation, 'es.json', vocabulary, [], checklists), [
+                'es.json: checklists.cpt.description must be a non-empty string',
+                'es.json: checklists.cpt.items.school_form is not an item of the checklist',
+                'es.json: checklists.opt is not in checklists.json'
+            ]);
+        });
+
+        it('Rejects translations of unknown facts and rules', () => {
+            const rules = {
+                facts: [{ id: 'inSession', question: 'Is school in session?' }, { id: 'visaType' }, { id: 'degreeLevel', choices: [{ id: 'master', name: 'Master\'s' }] }],
+                rules: [{ id: 'cpt_f1' }]
+            };
+            const translation = {
+                locale: 'es',
+                rules: {
+                    facts: {
+                        inSession: { description: '' },
+                        visaType: { description: 'tu tipo de visa', question: '¿Qué visa tienes?' },
+                        weeklyHours: { description: 'cuántas horas trabajas' },
+                        degreeLevel: { description: 'tu título', choices: { master: '', phd: 'Doctorado' } }
+                    },
+                    rules: { cpt_f1: '', cpt_enrolled: 'Debes estar matriculado.' }
+                }
+            };
+            assert.deepStrictEqual(validateTranslation(translation, 'es.json', vocabulary, [], undefined, rules), [
+                'es.json: rules.facts.inSession.description must be a non-empty string',
+                'es.json: rules.facts.visaType.question must be a non-empty string, and only facts with a question can translate it',
+                'es.json: rules.facts.weeklyHours is not in rules.json',
+                'es.json: rules.facts.degreeLevel.choices.master must be a non-empty string',
+                'es.json: rules.facts.degreeLevel.choices.phd is not a choice of the fact',
+                'es.json: rules.rules.cpt_f1 must be a non-empty string',
+                'es.json: rules.rules.cpt_enrolled is not in rules.json'
+            ]);
+        });
+
+        it('Requires the file name to match the visa type', () => {
+            const answerFile = { visaType: 'f1', answers: [{ workType: '*', intent: '*', text: 'Yes.' }] };
+            assert.deepStrictEqual(validateAnswerFile(answerFile, 'j1.json', vocabulary), ['j1.json: file must be named f1.json']);
+        });
+    });
+});
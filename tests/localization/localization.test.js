@@ -0,0 +1,161 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const { TestAdapter, TurnContext } = require('botbuilder');
+const {
+    DEFAULT_LOCALE,
+    LocaleMiddleware,
+    STRINGS,
+    SUPPORTED_LOCALES,
+    getLanguageCommand,
+    getLocale,
+    resolveLocale,
+    setLocale,
+    translate
+} = require('../../localization');
+const assert = require('assert');
+
+function placeholders(text) {
+    return (text.match(/\{\w+\}/g) || []).sort();
+}
+
+function createContext(locale) {
+    return new TurnContext(new TestAdapter(), { type: 'message', text: 'hi', locale: locale });
+}
+
+describe('Localization', () => {
+    const english = STRINGS[DEFAULT_LOCALE];
+    const locales = SUPPORTED_LOCALES.filter(locale => locale !== DEFAULT_LOCALE);
+
+    locales.forEach(locale => {
+        describe(`${ locale } strings`, () => {
+            const strings = STRINGS[locale];
+
+            it('Has a translation or an explicit null fallback for every English key', () => {
+                const missing = Object.keys(english).filter(key => strings[key] === undefined);
+                assert.deepStrictEqual(missing, []);
+            });
+
+            it('Has no keys that English doesn\'t have', () => {
+                assert.deepStrictEqual(Object.keys(strings).filter(key => english[key] === undefined), []);
+            });
+
+            it('Translates strings as strings and phrase lists as lists', () => {
+                Object.keys(english).filter(key => strings[key] !== null).forEach(key => {
+                    assert.strictEqual(Array.isArray(strings[key]), Array.isArray(english[key]), key);
+                    if (!Array.isArray(english[key])) assert(strings[key].trim(), key);
+                });
+            });
+
+            it('Keeps the placeholders of the English strings', () => {
+                Object.keys(english).filter(key => typeof strings[key] === 'string').forEach(key => {
+                    assert.deepStrictEqual(placeholders(strings[key]), placeholders(english[key]), key);
+                });
+            });
+        });
+    });
+
+    describe('translate', () => {
+        it('Fills placeholders', () => {
+            assert.strictEqual(translate('en', 'welcome.quickStart', { visaName: 'F-1' }), 'Tell me about the F-1 visa');
+            assert.strictEqual(translate('es', 'welcome.quickStart', { visaName: 'F-1' }), 'Háblame de la visa F-1');
+        });
+
+        it('Falls back to English for unsupported locales', () => {
+            assert.strictEqual(translate('fr', 'welcome.back'), 'Welcome back!');
+            assert.strictEqual(translate(undefined, 'welcome.back'), 'Welcome back!');
+        });
+
+        it('Keeps the English phrases when adding translated ones', () => {
+            const phrases = translate('zh', 'interruptions.cancel');
+
+            assert(phrases.includes('cancel'));
+            assert(phrases.includes('取消'));
+            assert.deepStrictEqual(translate('en', 'interruptions.cancel'), english['interruptions.cancel']);
+        });
+
+        it('Rejects unknown keys', () => {
+            assert.throws(() => translate('en', 'welcome.nothing'), /Unknown string 'welcome.nothing'/);
+        });
+    });
+
+    describe('Resolves locales', () => {
+        const testCases = [
+            { locale: 'en-US', expected: 'en' },
+            { locale: 'zh-CN', expected: 'zh' },
+            { locale: 'es_MX', expected: 'es' },
+            { locale: 'KO', expected: 'ko' },
+            { locale: 'fr-FR', expected: undefined },
+            { locale: undefined, expected: undefined }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.locale }`, () => {
+                assert.strictEqual(resolveLocale(testData.locale), testData.expected);
+            });
+        });
+    });
+
+    describe('Recognizes language commands', () => {
+        const testCases = [
+            { text: 'Speak Spanish please', expected: 'es' },
+            { text: 'switch to korean', expected: 'ko' },
+            { text: 'español', expected: 'es' },
+            { text: '中文', expected: 'zh' },
+            { text: 'हिंदी', expected: 'hi' },
+            { text: 'English!', expected: 'en' },
+            { text: 'speak French', expected: undefined },
+            { text: 'Can I do OPT in Spanish speaking countries?', expected: undefined },
+            { text: undefined, expected: undefined }
+        ];
+
+        testCases.map(testData => {
+            it(`${ testData.text }`, () => {
+                assert.strictEqual(getLanguageCommand(testData.text), testData.expected);
+            });
+        });
+    });
+
+    describe('LocaleMiddleware', () => {
+        function createAccessor(profile) {
+            return { get: async () => profile };
+        }
+
+        async function localeOf(profile, activityLocale) {
+            const context = createContext(activityLocale);
+            let locale;
+            await new LocaleMiddleware(createAccessor(profile)).onTurn(context, async () => {
+                locale = getLocale(context);
+            });
+            return locale;
+        }
+
+        it('Prefers the language the user picked', async () => {
+            assert.strictEqual(await localeOf({ locale: 'ko' }, 'es-ES'), 'ko');
+        });
+
+        it('Uses the activity locale otherwise', async () => {
+            assert.strictEqual(await localeOf({}, 'es-ES'), 'es');
+            assert.strictEqual(await localeOf(undefined, 'zh-CN'), 'zh');
+        });
+
+        it('Defaults to English', async () => {
+            assert.strictEqual(await localeOf({}, 'fr-FR'), 'en');
+            assert.strictEqual(getLocale(createContext('es')), 'en');
+        });
+
+        it('Requires the user profile accessor', () => {
+            assert.throws(() => new LocaleMiddleware(), /Missing parameter 'userProfileAccessor' is required/);
+        });
+    });
+
+    it('Ignores unsupported locales when setting the locale', () => {
+        const context = createContext();
+        setLocale(context, 'de');
+
+        assert.strictEqual(getLocale(context), 'en');
+    });
+});
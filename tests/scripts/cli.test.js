@@ -0,0 +1,79 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseOptions, run, toCsvText, writeOutput } = require('../../scripts/cli');
+const assert = require('assert');
+
+const SPEC = {
+    options: { '--format': 'format', '--out': 'out', '--since': 'since', '--top': 'top' },
+    formats: ['report', 'csv'],
+    defaults: { top: 10 }
+};
+
+describe('Script command lines', () => {
+    describe('parseOptions', () => {
+        it('Reads the options by name, with the defaults and the first format', () => {
+            assert.deepStrictEqual(parseOptions('report', [], SPEC), { format: 'report', top: 10 });
+            assert.deepStrictEqual(parseOptions('report', ['--format', 'CSV', '--top', '3', '--since', '2026-10-01'], SPEC),
+                { format: 'csv', top: '3', since: '2026-10-01' });
+        });
+
+        it('Rejects unknown options, missing values, unknown formats and invalid dates with the script name', () => {
+            assert.throws(() => parseOptions('report', ['--verbose'], SPEC), /^Error: \[report\]: Unknown option '--verbose'. Use one of: --format, --out, --since, --top$/);
+            assert.throws(() => parseOptions('report', ['--top'], SPEC), /\[report\]: Option '--top' needs a value/);
+            assert.throws(() => parseOptions('report', ['--format', 'html'], SPEC), /\[report\]: Unknown format 'html'. Use one of: report, csv/);
+            assert.throws(() => parseOptions('report', ['--since', 'yesterday'], SPEC), /\[report\]: --since 'yesterday' is not a date/);
+        });
+    });
+
+    it('Formats CSV with quoted fields and empty missing values', () => {
+        assert.strictEqual(toCsvText(['text', 'count'], [['Can I work, on "F-1"?', 2], [undefined, null]]),
+            'text,count\r\n"Can I work, on ""F-1""?",2\r\n,\r\n');
+    });
+
+    describe('Output', () => {
+        let tempDir;
+        let logged;
+        let consoleLog;
+        let consoleError;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'immigration-bot-cli-'));
+            logged = [];
+            consoleLog = console.log;
+            consoleError = console.error;
+            console.log = message => logged.push(message);
+            console.error = message => logged.push(message);
+        });
+
+        afterEach(() => {
+            console.log = consoleLog;
+            console.error = consoleError;
+            process.exitCode = undefined;
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it('Writes the output to the file and says what was written', () => {
+            const out = path.join(tempDir, 'report.csv');
+            writeOutput('a,b\r\n', out, '1 answer');
+
+            assert.strictEqual(fs.readFileSync(out, 'utf8'), 'a,b\r\n');
+            assert.deepStrictEqual(logged, [`Wrote 1 answer to ${ out }`]);
+        });
+
+        it('Sets the exit code from main, or prints the error and exits with 1', async () => {
+            await run(async () => 0);
+            assert.strictEqual(process.exitCode, 0);
+
+            await run(async () => { throw new Error('[report]: Unknown format \'html\''); });
+            assert.strictEqual(process.exitCode, 1);
+            assert.deepStrictEqual(logged, ['[report]: Unknown format \'html\'']);
+        });
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describeReport, main, parseArgs, summarizeFeedback, toCsv } = require('../../scripts/feedbackReport');
+const assert = require('assert');
+
+const RECORDS = [
+    { timestamp: '2026-10-01T10:00:00.000Z', locale: 'en', helpful: true, answerKey: 'f1.opt.eligibility', intent: 'eligibility', visaType: 'f1', workType: 'opt', comment: null },
+    { timestamp: '2026-10-02T10:00:00.000Z', locale: 'en', helpful: false, answerKey: 'f1.opt.procedure_auth', intent: 'procedure_auth', visaType: 'f1', workType: 'opt', comment: 'The fee is $470 now' },
+    { timestamp: '2026-10-03T10:00:00.000Z', locale: 'en', helpful: false, answerKey: 'f1.opt.eligibility', intent: 'eligibility', visaType: 'f1', workType: 'opt', comment: null },
+    { timestamp: '2026-10-04T10:00:00.000Z', locale: 'es', helpful: false, answerKey: 'f1.opt.procedure_auth', intent: 'procedure_auth', visaType: 'f1', workType: 'opt', comment: 'Falta el formulario, "I-765"' },
+    { timestamp: '2026-10-05T10:00:00.000Z', locale: 'en', helpful: true, answerKey: 'j1.*.*', intent: 'visa_information', visaType: 'j1', workType: null, comment: null }
+];
+
+describe('Feedback report', () => {
+    describe('summarizeFeedback', () => {
+        const entries = summarizeFeedback(RECORDS);
+
+        it('Ranks answers by negative feedback', () => {
+            assert.deepStrictEqual(entries.map(entry => [entry.answerKey, entry.notHelpful, entry.helpful]), [
+                ['f1.opt.procedure_auth', 2, 0],
+                ['f1.opt.eligibility', 1, 1],
+                ['j1.*.*', 0, 1]
+            ]);
+            assert.deepStrictEqual(entries.map(entry => entry.negativeShare), [1, 0.5, 0]);
+        });
+
+        it('Keeps the comments newest first', () => {
+            assert.deepStrictEqual(entries[0].comments.map(comment => comment.text), ['Falta el formulario, "I-765"', 'The fee is $470 now']);
+            assert.strictEqual(entries[0].lastFeedback, '2026-10-04T10:00:00.000Z');
+        });
+
+        it('Only counts feedback since a date', () => {
+            assert.deepStrictEqual(summarizeFeedback(RECORDS, '2026-10-03').map(entry => entry.answerKey), ['f1.opt.eligibility', 'f1.opt.procedure_auth', 'j1.*.*']);
+        });
+    });
+
+    describe('Output', () => {
+        const entries = summarizeFeedback(RECORDS);
+
+        it('Prints the report with the latest comments', () => {
+            assert.deepStrictEqual(describeReport(entries, 1).split('\n'), [
+                'Answer                 Not helpful  Helpful  Negative',
+                'f1.opt.procedure_auth            2        0      100%',
+                '    - "Falta el formulario, "I-765"" (2026-10-04)',
+                'f1.opt.eligibility               1        1       50%',
+                'j1.*.*                           0        1        0%'
+            ]);
+            assert.strictEqual(describeReport([], 3), 'No feedback yet.');
+        });
+
+        it('Exports CSV', () => {
+            const lines = toCsv(entries).split('\r\n');
+            assert.strictEqual(lines[0], 'answer_key,visa_type,work_type,intent,not_helpful,helpful,negative_share,comments,last_feedback');
+            assert.strictEqual(lines[1], 'f1.opt.procedure_auth,f1,opt,procedure_auth,2,0,1.00,"Falta el formulario, ""I-765"" | The fee is $470 now",2026-10-04T10:00:00.000Z');
+            assert.strictEqual(lines[3], 'j1.*.*,j1,,visa_information,0,1,0.00,,2026-10-05T10:00:00.000Z');
+        });
+    });
+
+    describe('Command line', () => {
+        let tempDir;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'immigration-bot-feedback-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        it('Writes the summary as JSON', async () => {
+            const logFile = path.join(tempDir, 'feedback.jsonl');
+            const out = path.join(tempDir, 'feedback.json');
+            fs.writeFileSync(logFile, RECORDS.map(record => JSON.stringify(record)).join('\n') + '\n');
+
+            const consoleLog = console.log;
+            console.log = () => {};
+            try {
+                assert.strictEqual(await main(['--file', logFile, '--format', 'json', '--out', out]), 0);
+            } finally {
+                console.log = consoleLog;
+            }
+            assert.strictEqual(JSON.parse(fs.readFileSync(out, 'utf8'))[0].answerKey, 'f1.opt.procedure_auth');
+        });
+
+        it('Rejects unknown options and formats', () => {
+            assert.throws(() => parseArgs(['--top', '5']), /Unknown option '--top'/);
+            assert.throws(() => parseArgs(['--format', 'html']), /Unknown format 'html'/);
+            assert.throws(() => parseArgs(['--comments', '-1']), /--comments must be a whole number/);
+            assert.throws(() => parseArgs(['--since', 'yesterday']), /--since 'yesterday' is not a date/);
+        });
+    });
+});
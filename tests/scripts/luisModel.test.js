@@ -0,0 +1,44 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const fs = require('fs');
+const { loadKnowledgeBase } = require('../../knowledgeBase');
+const { MODEL_FILE, UTTERANCES_FILE, buildLuisModel, serialize, validateUtterances } = require('../../scripts/luisModel');
+const assert = require('assert');
+
+describe('LUIS model', () => {
+    const knowledgeBase = loadKnowledgeBase();
+    const utterances = JSON.parse(fs.readFileSync(UTTERANCES_FILE, 'utf8'));
+    const model = buildLuisModel(knowledgeBase, utterances);
+
+    it('Committed model matches the knowledge base vocabulary', () => {
+        assert.strictEqual(fs.readFileSync(MODEL_FILE, 'utf8'), serialize(model), 'Run "npm run luis:generate" to update the model');
+    });
+
+    it('Defines every knowledge base intent plus None', () => {
+        assert.deepStrictEqual(model.intents.map(i => i.name), ['eligibility', 'procedure_auth', 'visa_information', 'timeline', 'unemployment', 'None']);
+    });
+
+    it('Resolves every synonym to its canonical id', () => {
+        const visaTypes = model.closedLists.find(l => l.name === 'visa_type');
+        const f1 = visaTypes.subLists.find(s => s.canonicalForm === 'f1');
+        assert(f1.list.includes('f-1'));
+        assert(f1.list.includes('f1 visa'));
+
+        const workTypes = model.closedLists.find(l => l.name === 'work_type');
+        assert(workTypes.subLists.find(s => s.canonicalForm === 'stem_opt').list.includes('stem opt'));
+        assert.deepStrictEqual(model.closedLists.map(l => l.name), ['visa_type', 'work_type', 'occupation_status']);
+    });
+
+    it('Rejects unknown intents and duplicated utterances', () => {
+        const invalid = Object.assign({}, utterances, { BookFlight: ['what is cpt'] });
+        assert.deepStrictEqual(validateUtterances(knowledgeBase, invalid), [
+            'utterances: intent "BookFlight" is not in the vocabulary',
+            'utterances: "what is cpt" is listed under both "visa_information" and "BookFlight"'
+        ]);
+        assert.throws(() => buildLuisModel(knowledgeBase, invalid), /Invalid utterances/);
+    });
+});
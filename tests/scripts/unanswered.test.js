@@ -0,0 +1,143 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    describeGroups,
+    filterRecords,
+    groupQuestions,
+    main,
+    normalizeQuestion,
+    parseArgs,
+    toCsv,
+    toLuisBatch
+} = require('../../scripts/unanswered');
+const assert = require('assert');
+
+const RECORDS = [
+    { timestamp: '2026-10-01T10:00:00.000Z', locale: 'en', reason: 'notUnderstood', text: 'Can I drive for Uber?', intent: 'None', score: 0.2, entities: {} },
+    { timestamp: '2026-10-02T10:00:00.000Z', locale: 'en', reason: 'missingAnswer', text: 'can i do CPT on H-4', intent: 'eligibility', score: 0.9, entities: { visa_type: 'h4', work_type: 'cpt' }, answerKey: 'h4/cpt/eligibility' },
+    { timestamp: '2026-10-03T10:00:00.000Z', locale: 'en', reason: 'faq', text: 'can I drive for uber', intent: 'eligibility', score: 0.4, entities: {}, faq: 'travel.md#Travel' },
+    { timestamp: '2026-10-04T10:00:00.000Z', locale: 'es', reason: 'notUnderstood', text: '¿Puedo conducir para Uber?', intent: 'None', score: 0.1, entities: {} },
+    { timestamp: '2026-10-05T10:00:00.000Z', locale: 'en', reason: 'notUnderstood', text: 'Can I  drive for Uber?!', intent: 'None', score: 0.3, entities: {} }
+];
+
+describe('Unanswered questions', () => {
+    describe('normalizeQuestion', () => {
+        const testCases = [
+            { text: 'Can I work on F-1?', expected: 'can i work on f-1' },
+            { text: '  can i   WORK on f-1 ', expected: 'can i work on f-1' },
+            { text: '¿Puedo trabajar con F-1?', expected: 'puedo trabajar con f-1' },
+            { text: '我可以做CPT吗？', expected: '我可以做cpt吗' },
+            { text: undefined, expected: '' }
+        ];
+
+        testCases.map(testData => {
+            it(`Normalizes "${ testData.text }"`, () => {
+                assert.strictEqual(normalizeQuestion(testData.text), testData.expected);
+            });
+        });
+    });
+
+    describe('groupQuestions', () => {
+        const groups = groupQuestions(RECORDS);
+
+        it('Deduplicates questions per language, most asked first', () => {
+            assert.deepStrictEqual(groups.map(group => [group.text, group.locale, group.count]), [
+                ['Can I  drive for Uber?!', 'en', 3],
+                ['¿Puedo conducir para Uber?', 'es', 1],
+                ['can i do CPT on H-4', 'en', 1]
+            ]);
+        });
+
+        it('Collects the reasons, the most recognized intent and the last score', () => {
+            const uber = groups[0];
+            assert.deepStrictEqual(uber.reasons, ['notUnderstood', 'faq']);
+            assert.strictEqual(uber.intent, 'None');
+            assert.strictEqual(uber.score, 0.3);
+            assert.strictEqual(uber.firstSeen, '2026-10-01T10:00:00.000Z');
+            assert.strictEqual(uber.lastSeen, '2026-10-05T10:00:00.000Z');
+        });
+    });
+
+    describe('filterRecords', () => {
+        it('Filters by reason, locale and date', () => {
+            assert.strictEqual(filterRecords(RECORDS, {}).length, 5);
+            assert.strictEqual(filterRecords(RECORDS, { reason: 'notUnderstood' }).length, 3);
+            assert.strictEqual(filterRecords(RECORDS, { locale: 'es' }).length, 1);
+            assert.deepStrictEqual(filterRecords(RECORDS, { since: '2026-10-04' }).map(record => record.locale), ['es', 'en']);
+        });
+    });
+
+    describe('Exports', () => {
+        const groups = groupQuestions(RECORDS);
+
+        it('Exports CSV with quoted fields', () => {
+            const lines = toCsv(groups).split('\r\n');
+            assert.strictEqual(lines[0], 'text,count,locale,reasons,intent,score,visa_type,work_type,occupation_status,first_seen,last_seen');
+            assert.strictEqual(lines[3], 'can i do CPT on H-4,1,en,missingAnswer,eligibility,0.9,h4,cpt,,2026-10-02T10:00:00.000Z,2026-10-02T10:00:00.000Z');
+            assert.strictEqual(toCsv(groupQuestions([{ locale: 'en', text: 'OPT, or "CPT"?', reason: 'faq' }])).split('\r\n')[1],
+                '"OPT, or ""CPT""?",1,en,faq,None,,,,,,');
+            assert.strictEqual(lines.length, 5);
+        });
+
+        it('Exports LUIS batch labeling JSON', () => {
+            assert.deepStrictEqual(toLuisBatch(groups.slice(0, 1)), [{ text: 'Can I  drive for Uber?!', intent: 'None', entities: [] }]);
+        });
+
+        it('Lists the questions', () => {
+            assert.strictEqual(describeGroups(groups).split('\n')[2], '    1  can i do CPT on H-4  (en; missingAnswer; intent eligibility; h4/cpt)');
+            assert.strictEqual(describeGroups([]), 'No unanswered questions.');
+        });
+    });
+
+    describe('Command line', () => {
+        let tempDir;
+        let logFile;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'immigration-bot-unanswered-'));
+            logFile = path.join(tempDir, 'unanswered.jsonl');
+            fs.writeFileSync(logFile, RECORDS.map(record => JSON.stringify(record)).join('\n') + '\n');
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        async function run(args) {
+            const consoleLog = console.log;
+            console.log = () => {};
+            try {
+                return await main(args);
+            } finally {
+                console.log = consoleLog;
+            }
+        }
+
+        it('Exports only English questions for LUIS by default', async () => {
+            const out = path.join(tempDir, 'batch.json');
+            assert.strictEqual(await run(['--file', logFile, '--format', 'luis', '--out', out]), 0);
+            assert.deepStrictEqual(JSON.parse(fs.readFileSync(out, 'utf8')).map(utterance => utterance.text), ['Can I  drive for Uber?!', 'can i do CPT on H-4']);
+        });
+
+        it('Exports the questions asked often enough as CSV', async () => {
+            const out = path.join(tempDir, 'unanswered.csv');
+            await run(['--file', logFile, '--format', 'csv', '--min-count', '2', '--out', out]);
+            assert.strictEqual(fs.readFileSync(out, 'utf8').trim().split('\r\n').length, 2);
+        });
+
+        it('Rejects unknown options and formats', () => {
+            assert.throws(() => parseArgs(['--verbose']), /Unknown option '--verbose'/);
+            assert.throws(() => parseArgs(['--format', 'xlsx']), /Unknown format 'xlsx'/);
+            assert.throws(() => parseArgs(['--format']), /Option '--format' needs a value/);
+            assert.throws(() => parseArgs(['--min-count', '0']), /--min-count must be a positive whole number/);
+            assert.throws(() => parseArgs(['--since', 'last week']), /--since 'last week' is not a date/);
+        });
+    });
+});
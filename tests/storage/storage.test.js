@@ -0,0 +1,212 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ConversationState, MemoryStorage, TestAdapter } = require('botbuilder');
+const { StorageError, classifyError } = require('../../errors');
+const { FileStorage, JsonLinesLog, SqliteStorage, createStorage } = require('../../storage');
+const assert = require('assert');
+
+describe('Storage', () => {
+    let tempDir;
+
+    beforeEach(() => {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'immigration-bot-storage-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    describe('createStorage', () => {
+        it('Uses MemoryStorage by default', () => {
+            assert(createStorage() instanceof MemoryStorage);
+            assert(createStorage({ type: 'Memory' }) instanceof MemoryStorage);
+        });
+
+        it('Creates the durable stores', () => {
+            assert(createStorage({ type: 'file', path: path.join(tempDir, 'state') }) instanceof FileStorage);
+            assert(createStorage({ type: 'sqlite', path: path.join(tempDir, 'state.sqlite') }) instanceof SqliteStorage);
+        });
+
+        it('Rejects unknown storage types', () => {
+            assert.throws(() => createStorage({ type: 'cosmos' }), /Unknown storage type 'cosmos'/);
+        });
+    });
+
+    // Both durable stores must behave the same, so they share one set of tests.
+    // reopen() returns a new store over the same data, as if the bot had restarted. corrupt() breaks its data.
+    const stores = [
+        {
+            name: 'FileStorage',
+            create: () => new FileStorage(path.join(tempDir, 'state')),
+            reopen: async storage => new FileStorage(storage.directory),
+            corrupt: storage => {
+                fs.rmSync(storage.directory, { recursive: true });
+                fs.writeFileSync(storage.directory, 'not a directory');
+            }
+        },
+        {
+            name: 'SqliteStorage',
+            create: () => new SqliteStorage(path.join(tempDir, 'state.sqlite')),
+            reopen: async storage => {
+                await storage.close();
+                return new SqliteStorage(storage.fileName);
+            },
+            corrupt: storage => fs.writeFileSync(storage.fileName, 'not a database')
+        }
+    ];
+
+    stores.map(store => {
+        describe(store.name, () => {
+            it('Reads what was written, with a new eTag', async () => {
+                const storage = store.create();
+                await storage.write({ 'test/users/u1/': { visaType: 'f1' } });
+
+                const data = await storage.read(['test/users/u1/', 'missing']);
+                assert.deepStrictEqual(Object.keys(data), ['test/users/u1/']);
+                assert.strictEqual(data['test/users/u1/'].visaType, 'f1');
+                assert.strictEqual(typeof data['test/users/u1/'].eTag, 'string');
+            });
+
+            it('Keeps state across restarts', async () => {
+                const storage = store.create();
+                await storage.write({ a: { count: 1 }, b: { count: 2 } });
+                await storage.delete(['b']);
+
+                const restarted = await store.reopen(storage);
+                const data = await restarted.read(['a', 'b']);
+                assert.deepStrictEqual(Object.keys(data), ['a']);
+                assert.strictEqual(data.a.count, 1);
+
+                // eTags read before the restart still work after it.
+                await restarted.write({ a: { count: 3, eTag: data.a.eTag } });
+                assert.strictEqual((await restarted.read(['a'])).a.count, 3);
+            });
+
+            it('Rejects writes with a stale eTag', async () => {
+                const storage = store.create();
+                await storage.write({ a: { count: 1 } });
+                const { a } = await storage.read(['a']);
+                await storage.write({ a: { count: 2, eTag: a.eTag } });
+
+                await assert.rejects(storage.write({ a: { count: 3, eTag: a.eTag } }), /error writing "a" due to eTag conflict/);
+                await assert.rejects(storage.write({ a: { count: 3 } }), { name: 'StorageError', message: /eTag conflict/ });
+                assert.strictEqual((await storage.read(['a'])).a.count, 2);
+
+                await storage.write({ a: { count: 4, eTag: '*' } });
+                assert.strictEqual((await storage.read(['a'])).a.count, 4);
+            });
+
+            it('Writes nothing when any change conflicts', async () => {
+                const storage = store.create();
+                await storage.write({ a: { count: 1 } });
+
+                await assert.rejects(storage.write({ b: { count: 1 }, a: { count: 2, eTag: 'stale' } }), /eTag conflict/);
+                assert.deepStrictEqual(Object.keys(await storage.read(['a', 'b'])), ['a']);
+            });
+
+            it('Throws StorageErrors with the underlying error when the store fails', async () => {
+                const storage = store.create();
+                store.corrupt(storage);
+
+                for (const operation of [() => storage.read(['a']), () => storage.write({ a: { count: 1 } })]) {
+                    const error = await operation().then(() => undefined, err => err);
+                    assert(error instanceof StorageError, `Expected a StorageError, got ${ error }`);
+                    assert(error.message.startsWith(`[${ store.name }]: `), error.message);
+                    assert(error.cause);
+                    assert.strictEqual(classifyError(error), 'storage');
+                }
+            });
+
+            it('Lets only one of several concurrent writers with the same eTag win', async () => {
+                const storage = store.create();
+                await storage.write({ a: { count: 0 } });
+                const { a } = await storage.read(['a']);
+
+                const results = await Promise.all([1, 2, 3].map(count =>
+                    storage.write({ a: { count: count, eTag: a.eTag } }).then(() => 'written', () => 'conflict')));
+
+                assert.deepStrictEqual(results, ['written', 'conflict', 'conflict']);
+                assert.strictEqual((await storage.read(['a'])).a.count, 1);
+            });
+
+            it('Does not lose concurrent writes to different keys', async () => {
+                const storage = store.create();
+                const keys = ['a', 'b', 'c', 'd', 'e'];
+                await Promise.all(keys.map((key, i) => storage.write({ [key]: { count: i } })));
+
+                const data = await (await store.reopen(storage)).read(keys);
+                assert.deepStrictEqual(keys.map(key => data[key].count), [0, 1, 2, 3, 4]);
+            });
+
+            it('Persists bot state', async () => {
+                const storage = store.create();
+                const conversationState = new ConversationState(storage);
+                const accessor = conversationState.createProperty('turnCount');
+                const adapter = new TestAdapter(async context => {
+                    const turns = await accessor.get(context, 0);
+                    await accessor.set(context, turns + 1);
+                    await conversationState.saveChanges(context);
+                });
+
+                await adapter.send('hi');
+                await adapter.send('hi again');
+
+                const restartedState = new ConversationState(await store.reopen(storage));
+                const restartedAccessor = restartedState.createProperty('turnCount');
+                const restartedAdapter = new TestAdapter(async context => {
+                    await restartedState.load(context);
+                    await context.sendActivity(`${ await restartedAccessor.get(context) }`);
+                });
+                await restartedAdapter.send('are you there?').assertReply('2');
+            });
+        });
+    });
+
+    it('Rolls back a failed SqliteStorage write, so later writes still succeed', async () => {
+        const storage = new SqliteStorage(path.join(tempDir, 'state.sqlite'));
+        await storage.write({ a: { count: 1 } });
+
+        // A circular structure can't be serialized, so the write fails after its transaction began.
+        const circular = {};
+        circular.self = circular;
+        await assert.rejects(storage.write({ b: { count: 1 }, a: { count: 2, circular: circular, eTag: '*' } }), { name: 'StorageError', message: /\[SqliteStorage\]: .*circular/ });
+        assert.deepStrictEqual(Object.keys(await storage.read(['a', 'b'])), ['a']);
+
+        await storage.write({ b: { count: 2 } });
+        await storage.delete(['a']);
+        await storage.close();
+        const data = await new SqliteStorage(storage.fileName).read(['a', 'b']);
+        assert.deepStrictEqual(Object.keys(data), ['b']);
+        assert.strictEqual(data.b.count, 2);
+    });
+
+    describe('JsonLinesLog', () => {
+        it('Appends records in order and reads them back', async () => {
+            const log = new JsonLinesLog(path.join(tempDir, 'logs', 'test.jsonl'));
+            assert.deepStrictEqual(await log.readAll(), []);
+
+            await Promise.all([1, 2, 3].map(i => log.append({ turn: i, text: 'line\nbreak' })));
+
+            assert.deepStrictEqual((await log.readAll()).map(record => record.turn), [1, 2, 3]);
+            assert.strictEqual(fs.readFileSync(log.filePath, 'utf8').split('\n').length, 4);
+        });
+
+        it('Throws StorageErrors when the file can\'t be written', async () => {
+            fs.writeFileSync(path.join(tempDir, 'logs'), 'not a directory');
+            const log = new JsonLinesLog(path.join(tempDir, 'logs', 'test.jsonl'));
+
+            await assert.rejects(log.append({ turn: 1 }), error => error instanceof StorageError && error.message.startsWith('[JsonLinesLog]: ') && error.cause.code === 'EEXIST');
+        });
+
+        it('Requires a file path', () => {
+            assert.throws(() => new JsonLinesLog(), /Missing parameter 'filePath' is required/);
+        });
+    });
+});
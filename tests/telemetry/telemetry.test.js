@@ -0,0 +1,275 @@
+/**
+ * Copyright (c) Microsoft Corporation. All rights reserved.
+ * Licensed under the MIT License.
+ */
+
+/* eslint-env node, mocha */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { TestAdapter, TurnContext } = require('botbuilder');
+const {
+    RotatingFileSink,
+    StreamSink,
+    TelemetryClient,
+    TelemetryMiddleware,
+    createTelemetryClient,
+    getTelemetry,
+    redact,
+    trackEvent
+} = require('../../telemetry');
+const assert = require('assert');
+
+class MemorySink {
+    constructor() {
+        this.events = [];
+    }
+
+    async write(event) {
+        this.events.push(event);
+    }
+}
+
+function createContext(text) {
+    return new TurnContext(new TestAdapter(), {
+        type: 'message',
+        id: 'activity-1',
+        channelId: 'test',
+        text: text,
+        locale: 'en-US',
+        conversation: { id: 'conversation-1' },
+        from: { id: 'user-1' }
+    });
+}
+
+describe('Telemetry', () => {
+    describe('redact', () => {
+        const testCases = [
+            { text: 'my email is jane.doe+opt@example.edu', expected: 'my email is [EMAIL]' },
+            { text: 'call me at (415) 555-0123', expected: 'call me at [PHONE]' },
+            { text: 'my SSN is 123-45-6789', expected: 'my SSN is [SSN]' },
+            { text: 'receipt EAC2190012345 is pending', expected: 'receipt [RECEIPT_NUMBER] is pending' },
+            { text: 'SEVIS id N0012345678', expected: 'SEVIS id [SEVIS_ID]' },
+            { text: 'my A-number is A123456789', expected: 'my A-number is [A_NUMBER]' },
+            { text: 'passport X12345678 expires soon', expected: 'passport [DOCUMENT_NUMBER] expires soon' },
+            { text: 'case 98765432', expected: 'case [NUMBER]' },
+            { text: 'Can I do CPT on my F-1 visa after filing the I-765?', expected: 'Can I do CPT on my F-1 visa after filing the I-765?' }
+        ];
+
+        testCases.map(testData => {
+            it(`Redacts "${ testData.text }"`, () => {
+                assert.strictEqual(redact(testData.text), testData.expected);
+            });
+        });
+
+        it('Leaves anything but text as it is', () => {
+            assert.strictEqual(redact(undefined), undefined);
+        });
+    });
+
+    describe('TelemetryClient', () => {
+        it('Adds the turn to every event and hashes the user id', async () => {
+            const sink = new MemorySink();
+            await new TelemetryClient([sink]).track(createContext('hi'), 'intentRecognized', { intent: 'eligibility', score: 0.9 });
+
+            const event = sink.events[0];
+            assert.strictEqual(event.event, 'intentRecognized');
+            assert.strictEqual(event.conversationId, 'conversation-1');
+            assert.strictEqual(event.activityId, 'activity-1');
+            assert.strictEqual(event.channelId, 'test');
+            assert.strictEqual(event.intent, 'eligibility');
+            assert.strictEqual(event.score, 0.9);
+            assert.match(event.userHash, /^[0-9a-f]{16}$/);
+            assert(!JSON.stringify(event).includes('user-1'));
+            assert(!isNaN(Date.parse(event.timestamp)));
+        });
+
+        it('Tracks events without a turn', async () => {
+            const sink = new MemorySink();
+            await new TelemetryClient([sink]).track(undefined, 'started');
+            assert.deepStrictEqual(Object.keys(sink.events[0]), ['timestamp', 'event']);
+        });
+
+        const textModes = [
+            { textMode: undefined, expected: 'my SSN is [SSN]' },
+            { textMode: 'redacted', expected: 'my SSN is [SSN]' },
+            { textMode: 'full', expected: 'my SSN is 123-45-6789' },
+            { textMode: 'none', expected: undefined }
+        ];
+
+        textModes.map(testData => {
+            it(`Logs free text with the ${ testData.textMode || 'default' } text mode`, async () => {
+                const sink = new MemorySink();
+                await new TelemetryClient([sink], { textMode: testData.textMode }).track(createContext(), 'turnReceived', { text: 'my SSN is 123-45-6789' });
+                assert.strictEqual(sink.events[0].text, testData.expected);
+                assert.strictEqual('text' in sink.events[0], testData.expected !== undefined);
+            });
+        });
+
+        it('Rejects unknown text modes', () => {
+            assert.throws(() => new TelemetryClient([], { textMode: 'partial' }), /Unknown text mode 'partial'/);
+        });
+
+        it('Redacts the message of errors', async () => {
+            const sink = new MemorySink();
+            await new TelemetryClient([sink]).trackException(createContext(), new TypeError('No answer for jane@example.edu'));
+
+            const event = sink.events[0];
+            assert.strictEqual(event.event, 'error');
+            assert.strictEqual(event.errorName, 'TypeError');
+            assert.strictEqual(event.text, 'No answer for [EMAIL]');
+            assert(event.stack.startsWith('TypeError\n    at '));
+            assert(!event.stack.includes('jane@example.edu'), event.stack);
+        });
+
+        it('Leaves the message out of the stack in every text mode', async () => {
+            const sink = new MemorySink();
+            const error = new Error('Unexpected reply from jane@example.edu\nmy SSN is 123-45-6789');
+            await new TelemetryClient([sink], { textMode: 'none' }).trackException(createContext(), error);
+
+            const event = sink.events[0];
+            assert.strictEqual('text' in event, false);
+            assert(!event.stack.includes('jane@example.edu'), event.stack);
+            assert(!event.stack.includes('123-45-6789'), event.stack);
+            assert(event.stack.split('\n').slice(1).every(line => line.startsWith('    at ')), event.stack);
+        });
+
+        it('Keeps writing to the other sinks when one fails', async () => {
+            const sink = new MemorySink();
+            const failing = { write: async () => { throw new Error('disk full'); } };
+            const client = new TelemetryClient([failing, sink]);
+
+            const stderrWrite = process.stderr.write;
+            const warnings = [];
+            process.stderr.write = text => warnings.push(text);
+            try {
+                await client.track(createContext(), 'turnReceived');
+                await client.track(createContext(), 'turnCompleted');
+            } finally {
+                process.stderr.write = stderrWrite;
+            }
+
+            assert.deepStrictEqual(sink.events.map(event => event.event), ['turnReceived', 'turnCompleted']);
+            assert.strictEqual(warnings.length, 1);
+            assert(warnings[0].includes('disk full'));
+        });
+    });
+
+    describe('StreamSink', () => {
+        it('Writes one line of JSON per event', async () => {
+            const lines = [];
+            const sink = new StreamSink({ write: line => lines.push(line) });
+            await sink.write({ event: 'turnReceived' });
+            assert.deepStrictEqual(lines, ['{"event":"turnReceived"}\n']);
+        });
+    });
+
+    describe('RotatingFileSink', () => {
+        let tempDir;
+
+        beforeEach(() => {
+            tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'immigration-bot-telemetry-'));
+        });
+
+        afterEach(() => {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        });
+
+        function readEvents(filePath) {
+            return fs.readFileSync(filePath, 'utf8').trim().split('\n').map(line => JSON.parse(line).n);
+        }
+
+        it('Appends events to the file, creating its directory', async () => {
+            const filePath = path.join(tempDir, 'logs', 'telemetry.jsonl');
+            const sink = new RotatingFileSink(filePath);
+            await Promise.all([1, 2, 3].map(n => sink.write({ n: n })));
+            assert.deepStrictEqual(readEvents(filePath), [1, 2, 3]);
+        });
+
+        it('Rotates the file when it is full and keeps the configured number of files', async () => {
+            const filePath = path.join(tempDir, 'telemetry.jsonl');
+            // Every event is 8 bytes, so each file holds two.
+            const sink = new RotatingFileSink(filePath, { maxBytes: 16, maxFiles: 2 });
+            for (let n = 1; n <= 8; n++) {
+                await sink.write({ n: n });
+            }
+
+            assert.deepStrictEqual(readEvents(filePath), [7, 8]);
+            assert.deepStrictEqual(readEvents(`${ filePath }.1`), [5, 6]);
+            assert.deepStrictEqual(readEvents(`${ filePath }.2`), [3, 4]);
+            assert(!fs.existsSync(`${ filePath }.3`));
+        });
+
+        it('Continues an existing file', async () => {
+            const filePath = path.join(tempDir, 'telemetry.jsonl');
+            fs.writeFileSync(filePath, '{"n":1}\n');
+            await new RotatingFileSink(filePath, { maxBytes: 16 }).write({ n: 2 });
+            await new RotatingFileSink(filePath, { maxBytes: 16 }).write({ n: 3 });
+
+            assert.deepStrictEqual(readEvents(filePath), [3]);
+            assert.deepStrictEqual(readEvents(`${ filePath }.1`), [1, 2]);
+        });
+
+        it('Requires a file path', () => {
+            assert.throws(() => new RotatingFileSink(), /Missing parameter 'filePath' is required/);
+        });
+    });
+
+    describe('createTelemetryClient', () => {
+        it('Logs redacted text to stdout by default', () => {
+            const client = createTelemetryClient();
+            assert.strictEqual(client.textMode, 'redacted');
+            assert.strictEqual(client.sinks.length, 1);
+            assert(client.sinks[0] instanceof StreamSink);
+        });
+
+        it('Creates the configured sinks', () => {
+            const filePath = path.join(os.tmpdir(), 'telemetry.jsonl');
+            const client = createTelemetryClient({ sinks: 'stdout, File', path: filePath, maxBytes: 1024, maxFiles: 3, textMode: 'None' });
+            assert.strictEqual(client.textMode, 'none');
+            assert(client.sinks[0] instanceof StreamSink);
+            assert(client.sinks[1] instanceof RotatingFileSink);
+            assert.strictEqual(client.sinks[1].filePath, filePath);
+            assert.strictEqual(client.sinks[1].maxBytes, 1024);
+            assert.strictEqual(client.sinks[1].maxFiles, 3);
+            assert.deepStrictEqual(createTelemetryClient({ sinks: 'none' }).sinks, []);
+        });
+
+        it('Rejects unknown sinks and text modes', () => {
+            assert.throws(() => createTelemetryClient({ sinks: 'stdout,appinsights' }), /Unknown telemetry sink 'appinsights'/);
+            assert.throws(() => createTelemetryClient({ textMode: 'some' }), /Unknown text mode 'some'/);
+        });
+    });
+
+    describe('TelemetryMiddleware', () => {
+        it('Tracks the turn and makes the client available to it', async () => {
+            const sink = new MemorySink();
+            const client = new TelemetryClient([sink]);
+            const context = createContext('Can I work on F-1? Mail me at jane@example.edu');
+
+            await new TelemetryMiddleware(client).onTurn(context, async () => {
+                assert.strictEqual(getTelemetry(context), client);
+                await trackEvent(context, 'answerServed', { answerKey: 'f1/opt/eligibility' });
+                await context.sendActivity('Yes');
+                await context.sendTraceActivity('trace');
+            });
+
+            assert.deepStrictEqual(sink.events.map(event => event.event), ['turnReceived', 'answerServed', 'turnCompleted']);
+            assert.strictEqual(sink.events[0].text, 'Can I work on F-1? Mail me at [EMAIL]');
+            assert.strictEqual(sink.events[0].activityType, 'message');
+            assert.strictEqual(sink.events[0].locale, 'en-US');
+            assert.strictEqual(sink.events[2].activitiesSent, 1);
+            assert(sink.events[2].durationMs >= 0);
+            sink.events.forEach(event => assert.strictEqual(event.conversationId, 'conversation-1'));
+        });
+
+        it('Lets turns without a telemetry client track nothing', async () => {
+            await trackEvent(createContext(), 'answerServed');
+            assert.strictEqual(getTelemetry(createContext()), undefined);
+        });
+
+        it('Requires the telemetry client', () => {
+            assert.throws(() => new TelemetryMiddleware(), /Missing parameter 'telemetryClient' is required/);
+        });
+    });
+});